@@ -75,6 +75,10 @@ CREATE TABLE user_sites (
     css_content TEXT,
     js_content TEXT,
     folder_path VARCHAR(500),
+    template_id VARCHAR(50) NOT NULL DEFAULT 'professional',
+    theme JSONB NOT NULL DEFAULT '{}',
+    parent_site_id UUID REFERENCES user_sites(id) ON DELETE SET NULL,
+    tailoring JSONB,
     deployment_status VARCHAR(50) DEFAULT 'generated',
     is_public BOOLEAN DEFAULT false,
     view_count INTEGER DEFAULT 0,
@@ -82,6 +86,15 @@ CREATE TABLE user_sites (
     updated_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
 );
 
+-- Databases created before templates were added need the column added once:
+-- ALTER TABLE user_sites ADD COLUMN IF NOT EXISTS template_id VARCHAR(50) NOT NULL DEFAULT 'professional';
+-- and, from before themes, the theme column:
+-- ALTER TABLE user_sites ADD COLUMN IF NOT EXISTS theme JSONB NOT NULL DEFAULT '{}';
+-- and, from before tailoring, the variant columns and their index:
+-- ALTER TABLE user_sites ADD COLUMN IF NOT EXISTS parent_site_id UUID REFERENCES user_sites(id) ON DELETE SET NULL,
+--     ADD COLUMN IF NOT EXISTS tailoring JSONB;
+-- CREATE INDEX IF NOT EXISTS idx_user_sites_parent ON user_sites(parent_site_id) WHERE parent_site_id IS NOT NULL;
+
 -- CV processing sessions table - session memory for multi-step processing
 CREATE TABLE cv_processing_sessions (
     id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
@@ -117,7 +130,7 @@ CREATE TABLE user_preferences (
     template_preference VARCHAR(50) DEFAULT 'professional',
     theme_preference VARCHAR(50) DEFAULT 'light',
     email_notifications BOOLEAN DEFAULT true,
-    privacy_settings JSONB DEFAULT '{"profile_public": false, "sites_discoverable": false}',
+    privacy_settings JSONB DEFAULT '{"profile_public": false, "sites_discoverable": false, "redact_pii": false}',
     api_settings JSONB DEFAULT '{"github_enabled": false, "vercel_enabled": false}',
     created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
     updated_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
@@ -135,6 +148,9 @@ CREATE TABLE processing_jobs (
     file_id TEXT,
     structured_data JSONB,
     error_message TEXT,
+    processor VARCHAR(100), -- Provider that served the job, e.g. 'gemini-2.5-flash' or 'rules' after failover
+    prompt_tokens INTEGER DEFAULT 0, -- Tokens the serving provider read and wrote for the job
+    completion_tokens INTEGER DEFAULT 0,
 
     -- Timing for free tier management
     created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
@@ -147,6 +163,12 @@ CREATE TABLE processing_jobs (
     estimated_wait_minutes INTEGER DEFAULT 0
 );
 
+-- Databases created before provider failover need the processor column added once:
+-- ALTER TABLE processing_jobs ADD COLUMN IF NOT EXISTS processor VARCHAR(100);
+-- and, from before token accounting, the token columns:
+-- ALTER TABLE processing_jobs ADD COLUMN IF NOT EXISTS prompt_tokens INTEGER DEFAULT 0,
+--     ADD COLUMN IF NOT EXISTS completion_tokens INTEGER DEFAULT 0;
+
 -- ============================================================================
 -- SECURITY TABLES
 -- ============================================================================
@@ -214,6 +236,7 @@ CREATE INDEX idx_user_sites_user_id ON user_sites(user_id);
 CREATE INDEX idx_user_sites_status ON user_sites(deployment_status);
 CREATE INDEX idx_user_sites_public ON user_sites(is_public) WHERE is_public = true;
 CREATE INDEX idx_user_sites_created ON user_sites(created_at);
+CREATE INDEX idx_user_sites_parent ON user_sites(parent_site_id) WHERE parent_site_id IS NOT NULL;
 
 -- CV processing sessions indexes
 CREATE INDEX idx_cv_sessions_user_id ON cv_processing_sessions(user_id);
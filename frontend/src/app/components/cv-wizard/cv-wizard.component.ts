@@ -2,8 +2,8 @@
 import { Component, OnInit, OnDestroy } from '@angular/core';
 import { CommonModule } from '@angular/common';
 import { FormsModule } from '@angular/forms';
-import { CVProcessingService, ProcessingProgress } from '../../services/cv-processing.service';
-import { LandingPageService } from '../../services/landing-page.service';
+import { CVProcessingService, ProcessingProgress, RewriteLength, RewriteTone } from '../../services/cv-processing.service';
+import { KeywordReport, LandingPageService } from '../../services/landing-page.service';
 import { AuthService } from '../../services/auth.service';
 import { PreviewModalComponent } from '../preview-modal/preview-modal.component';
 import { GitHubPublishButtonComponent, PublishSuccess } from '../github-publish-button/github-publish-button.component';
@@ -35,6 +35,70 @@ interface Banner {
     dismissable: boolean;
 }
 
+type ProfileLinkField = 'linkedin' | 'github' | 'website';
+
+// A hyperlink found in the uploaded document, with the field the server suggests
+interface LinkCandidate {
+    url: string;
+    text: string;
+    field: ProfileLinkField | null;
+}
+
+// Where the server found an extracted value in the uploaded CV (start is null when it didn't)
+interface FieldProvenance {
+    confidence: number;
+    start: number | null;
+    end: number | null;
+    snippet: string;
+    before: string;
+    after: string;
+}
+
+interface LowConfidenceField extends FieldProvenance {
+    path: string;
+    value: string;
+}
+
+// Rewrites the server suggested for a section, in the tone and length asked for
+interface RewriteSuggestions {
+    tone: RewriteTone;
+    length: RewriteLength;
+    loading: boolean;
+    alternatives: string[];
+}
+
+type RewritableSection = 'summary' | 'aboutMe';
+
+// A copy of the generated site tailored to one job description
+interface TailoredVariant {
+    id: string;
+    jobTitle: string;
+    company: string;
+    report: KeywordReport;
+}
+
+// Same bounds the server validates the pasted job description with
+const MIN_JOB_DESCRIPTION_LENGTH = 100;
+const MAX_JOB_DESCRIPTION_LENGTH = 15000;
+
+// Languages a site can be generated in (server/constants/site-locales.js) and how many can be added
+const SITE_LANGUAGES = [
+    { code: 'en', name: 'English' },
+    { code: 'de', name: 'Deutsch' },
+    { code: 'fr', name: 'Français' },
+    { code: 'es', name: 'Español' },
+    { code: 'it', name: 'Italiano' },
+    { code: 'nl', name: 'Nederlands' },
+    { code: 'pt', name: 'Português' },
+    { code: 'pl', name: 'Polski' },
+    { code: 'he', name: 'עברית' },
+    { code: 'ar', name: 'العربية' }
+];
+const MAX_TRANSLATIONS = 3;
+
+// Same threshold the server counts processingMetadata.lowConfidenceFields with
+const LOW_CONFIDENCE_THRESHOLD = 0.6;
+
 @Component({
     selector: 'app-cv-wizard',
     standalone: true,
@@ -55,12 +119,54 @@ export class CVWizardComponent implements OnInit, OnDestroy {
 
     showPreviewModal = false;
     generationId: string | null = null;
+    previewSiteId: string | null = null;
     isDownloading = false;
+    exportingFormat: 'pdf' | 'docx' | 'json' | null = null;
     generationResult: any = null;
 
+    // Languages of the generated site - the CV's own, plus translations by the LLM
+    readonly siteLanguages = SITE_LANGUAGES;
+    readonly maxTranslations = MAX_TRANSLATIONS;
+    siteLanguage = 'en';
+    translateTo: string[] = [];
+
+    // Tailoring the generated site to pasted job descriptions
+    jobDescription = '';
+    isTailoring = false;
+    tailoredVariants: TailoredVariant[] = [];
+    readonly maxJobDescriptionLength = MAX_JOB_DESCRIPTION_LENGTH;
+
     // Banner system
     currentBanner: Banner | null = null;
 
+    // Links and photo found in the uploaded document, waiting for confirmation
+    linkCandidates: LinkCandidate[] = [];
+    photoCandidate: string | null = null;
+    usePhotoCandidate = false;
+    candidatesReviewed = true;
+    readonly profileLinkFields: { value: ProfileLinkField; label: string }[] = [
+        { value: 'linkedin', label: 'LinkedIn' },
+        { value: 'github', label: 'GitHub' },
+        { value: 'website', label: 'Website' }
+    ];
+
+    // Extracted values that may be reworded or guessed, by section id
+    lowConfidenceFields: { [sectionId: string]: LowConfidenceField[] } = {};
+
+    // "Suggest" panels that are open, by section id
+    rewriteSuggestions: { [sectionId: string]: RewriteSuggestions } = {};
+    readonly rewriteTones: { value: RewriteTone; label: string }[] = [
+        { value: 'formal', label: 'Formal' },
+        { value: 'friendly', label: 'Friendly' },
+        { value: 'concise', label: 'Concise' },
+        { value: 'executive', label: 'Executive' }
+    ];
+    readonly rewriteLengths: { value: RewriteLength; label: string }[] = [
+        { value: 'short', label: 'Short' },
+        { value: 'medium', label: 'Medium' },
+        { value: 'long', label: 'Long' }
+    ];
+
     wizardSteps: WizardStep[] = [
         {
             id: 1,
@@ -228,11 +334,11 @@ export class CVWizardComponent implements OnInit, OnDestroy {
     }
 
     validateFile(file: File): boolean {
-        const allowedTypes = ['application/pdf', 'application/msword', 'application/vnd.openxmlformats-officedocument.wordprocessingml.document'];
+        const allowedTypes = ['application/pdf', 'application/msword', 'application/vnd.openxmlformats-officedocument.wordprocessingml.document', 'application/json', 'application/zip', 'application/x-zip-compressed', 'image/png', 'image/jpeg'];
         const maxSize = 10 * 1024 * 1024; // 10MB
 
         if (!allowedTypes.includes(file.type)) {
-            this.toastService.error('Please select a PDF, DOC, or DOCX file');
+            this.toastService.error('Please select a PDF, DOC, DOCX, PNG, JPG, JSON Resume, or LinkedIn export ZIP file');
             return false;
         }
 
@@ -340,6 +446,11 @@ export class CVWizardComponent implements OnInit, OnDestroy {
                         this.isProcessing = false;
                         this.cvData = jobStatus.structuredData;
                         this.populateCVSections();
+                        this.loadDocumentCandidates();
+                        this.loadFieldProvenance();
+                        if (this.cvData.processingMetadata?.fallbackFrom) {
+                            this.showBanner('warning', 'The AI service was unavailable, so your CV was read with basic rules. Please check each section carefully.');
+                        }
                         this.wizardSteps[2].completed = true;
                         this.stopProcessingTimer();
                         this.completeAllPhases();
@@ -487,6 +598,74 @@ export class CVWizardComponent implements OnInit, OnDestroy {
         console.log('CV sections populated for editing:', this.cvSections.map(s => ({ id: s.id, length: s.content?.length })));
     }
 
+    private loadDocumentCandidates() {
+        const candidates = this.cvData?.candidates;
+
+        this.linkCandidates = (candidates?.links || []).map((link: LinkCandidate) => ({ ...link }));
+        this.photoCandidate = candidates?.profilePicture || null;
+        // Don't replace a photo the user picked themselves unless they ask to
+        this.usePhotoCandidate = !!this.photoCandidate && !this.profilePicture;
+        this.candidatesReviewed = this.linkCandidates.length === 0 && !this.photoCandidate;
+    }
+
+    private loadFieldProvenance() {
+        const provenance: { [path: string]: FieldProvenance } = this.cvData?.fieldProvenance || {};
+
+        this.lowConfidenceFields = {};
+        Object.entries(provenance)
+            .filter(([, field]) => field.confidence < LOW_CONFIDENCE_THRESHOLD)
+            .forEach(([path, field]) => {
+                const sectionId = this.sectionForField(path);
+                if (!sectionId) return;
+
+                if (!this.lowConfidenceFields[sectionId]) {
+                    this.lowConfidenceFields[sectionId] = [];
+                }
+                this.lowConfidenceFields[sectionId].push({ ...field, path, value: this.valueAtPath(path) });
+            });
+    }
+
+    // "personalInfo.summary" -> summary, "experience[0].company" -> experience
+    private sectionForField(path: string): string | null {
+        if (path === 'personalInfo.summary') return 'summary';
+        if (path === 'personalInfo.aboutMe') return 'aboutMe';
+
+        const root = path.split(/[.[]/)[0];
+        return this.cvSections.some(section => section.id === root) ? root : null;
+    }
+
+    private valueAtPath(path: string): string {
+        const keys = path.match(/[^.[\]]+/g) || [];
+        return String(keys.reduce((value: any, key) => value?.[key], this.cvData) ?? '');
+    }
+
+    hasProfileLinkField(field: ProfileLinkField, except: LinkCandidate): boolean {
+        return this.linkCandidates.some(link => link !== except && link.field === field);
+    }
+
+    confirmDocumentCandidates() {
+        const personalInfo = this.cvData.personalInfo;
+
+        this.profileLinkFields.forEach(({ value }) => {
+            const link = this.linkCandidates.find(candidate => candidate.field === value);
+            if (link) {
+                personalInfo[value] = link.url;
+            }
+        });
+
+        if (this.usePhotoCandidate && this.photoCandidate) {
+            this.profilePicture = this.photoCandidate;
+            this.wizardSteps[1].completed = true;
+        }
+
+        this.candidatesReviewed = true;
+        this.toastService.success('Added to your profile');
+    }
+
+    dismissDocumentCandidates() {
+        this.candidatesReviewed = true;
+    }
+
     resetSection(section: CVSection) {
         // Reset to original AI-generated content
         if (this.cvData) {
@@ -498,6 +677,40 @@ export class CVWizardComponent implements OnInit, OnDestroy {
         }
     }
 
+    canSuggestRewrites(section: CVSection): boolean {
+        return section.id === 'summary' || section.id === 'aboutMe';
+    }
+
+    toggleRewriteSuggestions(section: CVSection) {
+        if (this.rewriteSuggestions[section.id]) {
+            delete this.rewriteSuggestions[section.id];
+        } else {
+            this.rewriteSuggestions[section.id] = { tone: 'formal', length: 'medium', loading: false, alternatives: [] };
+        }
+    }
+
+    async suggestRewrites(section: CVSection) {
+        const suggestions = this.rewriteSuggestions[section.id];
+        if (!suggestions || !section.content.trim()) {
+            return;
+        }
+
+        suggestions.loading = true;
+        try {
+            suggestions.alternatives = await this.cvProcessingService.suggestRewrites(
+                section.id as RewritableSection, section.content, suggestions.tone, suggestions.length);
+        } catch (error) {
+            this.toastService.error('Could not get suggestions: ' + (error as Error).message);
+        } finally {
+            suggestions.loading = false;
+        }
+    }
+
+    applyRewrite(section: CVSection, alternative: string) {
+        section.content = alternative;
+        delete this.rewriteSuggestions[section.id];
+    }
+
     async generateWebsite() {
         // Validate required fields before generating
         if (!this.cvData?.personalInfo?.name || this.cvData.personalInfo.name.trim() === '') {
@@ -517,7 +730,8 @@ export class CVWizardComponent implements OnInit, OnDestroy {
 
             console.log('Generating website with edited content:', finalData);
 
-            this.landingPageService.generateLandingPage(finalData).subscribe({
+            const languages = { language: this.siteLanguage, translateTo: this.translateTo };
+            this.landingPageService.generateLandingPage(finalData, undefined, undefined, languages).subscribe({
                 next: (result) => {
                     this.isGeneratingWebsite = false;
                     if (result.success) {
@@ -534,7 +748,7 @@ export class CVWizardComponent implements OnInit, OnDestroy {
                 error: (error) => {
                     this.isGeneratingWebsite = false;
                     console.error('Website generation failed:', error);
-                    this.toastService.error('Failed to generate website: ' + (error.error?.message || error.message));
+                    this.toastService.error('Failed to generate website: ' + (error.error?.message || error.error?.error || error.message));
                 }
             });
 
@@ -544,10 +758,27 @@ export class CVWizardComponent implements OnInit, OnDestroy {
         }
     }
 
+    onSiteLanguageChange() {
+        this.translateTo = this.translateTo.filter(code => code !== this.siteLanguage);
+    }
+
+    toggleTranslation(code: string) {
+        if (this.translateTo.includes(code)) {
+            this.translateTo = this.translateTo.filter(language => language !== code);
+        } else if (this.canAddTranslation(code)) {
+            this.translateTo = [...this.translateTo, code];
+        }
+    }
+
+    canAddTranslation(code: string): boolean {
+        return this.translateTo.includes(code) || this.translateTo.length < MAX_TRANSLATIONS;
+    }
+
     // Open preview modal
     openPreview() {
         if (this.generationId) {
             console.log('Opening preview for generation ID:', this.generationId);
+            this.previewSiteId = this.generationId;
             this.showPreviewModal = true;
         } else {
             this.toastService.error('No generation ID available for preview');
@@ -595,6 +826,77 @@ export class CVWizardComponent implements OnInit, OnDestroy {
         }
     }
 
+    // Export the edited CV as a printable PDF, an editable Word document or JSON Resume data
+    async downloadExport(format: 'pdf' | 'docx' | 'json') {
+        if (!this.generationId || this.exportingFormat) return;
+
+        const label = { pdf: 'PDF', docx: 'Word', json: 'JSON Resume' }[format];
+        this.exportingFormat = format;
+
+        try {
+            const token = this.authService.getToken();
+            if (!token) {
+                this.showBanner('error', 'Authentication required for download', true);
+                this.exportingFormat = null;
+                return;
+            }
+
+            const downloadUrl = `${environment.apiUrl}/cv/export/${format}?generationId=${this.generationId}&token=${encodeURIComponent(token)}`;
+
+            const link = document.createElement('a');
+            link.href = downloadUrl;
+            link.download = `${this.cvData?.personalInfo?.name || 'cv'}-cv.${format}`;
+            document.body.appendChild(link);
+            link.click();
+            document.body.removeChild(link);
+
+            console.log(`${label} download initiated for generation:`, this.generationId);
+            this.toastService.success(`${label} download started`);
+        } catch (error) {
+            console.error(`${label} download failed:`, error);
+            this.toastService.error(`${label} download failed. Please try again.`);
+        } finally {
+            setTimeout(() => {
+                this.exportingFormat = null;
+            }, 2000);
+        }
+    }
+
+    canTailor(): boolean {
+        return !!this.generationId && !this.isTailoring && this.jobDescription.trim().length >= MIN_JOB_DESCRIPTION_LENGTH;
+    }
+
+    // Generate a copy of the site aimed at the pasted job description
+    tailorToJob() {
+        if (!this.canTailor()) return;
+
+        this.isTailoring = true;
+        this.landingPageService.tailorLandingPage(this.generationId!, this.jobDescription.trim()).subscribe({
+            next: (result) => {
+                this.isTailoring = false;
+                this.tailoredVariants.unshift({
+                    id: result.generation.id,
+                    jobTitle: result.tailoring.jobTitle,
+                    company: result.tailoring.company,
+                    report: result.tailoring.report
+                });
+                this.jobDescription = '';
+                this.toastService.success(result.message);
+            },
+            error: (error) => {
+                this.isTailoring = false;
+                console.error('Tailoring failed:', error);
+                this.toastService.error('Failed to tailor your CV: ' +
+                    (error.error?.details?.map((d: any) => d.msg).join(', ') || error.error?.error || error.message));
+            }
+        });
+    }
+
+    previewVariant(variant: TailoredVariant) {
+        this.previewSiteId = variant.id;
+        this.showPreviewModal = true;
+    }
+
     onDownloadFromPreview(generationId: string) {
         console.log('Download completed from preview:', generationId);
         // Optional: Show success message or update UI
@@ -642,6 +944,10 @@ export class CVWizardComponent implements OnInit, OnDestroy {
             finalData.personalInfo.profilePicture = this.profilePicture;
         }
 
+        // Confirmed candidates are already in personalInfo
+        delete finalData.candidates;
+        delete finalData.fieldProvenance;
+
         finalData._hasEditedContent = true;
 
         console.log('Final data built with edited content:', {
@@ -708,6 +1014,7 @@ export class CVWizardComponent implements OnInit, OnDestroy {
             this.generationId = null;
             this.generationResult = null;
             this.isGeneratingWebsite = false;
+            this.tailoredVariants = [];
         }
 
         if (this.currentStep > 1) {
@@ -282,7 +282,7 @@ export class GitHubPublishButtonComponent implements OnInit {
     try {
       // This single call does EVERYTHING automatically:
       // 1. Creates GitHub repository with auto-generated name
-      // 2. Uploads all CV website files (index.html, styles.css, script.js, data.js, README.md)
+      // 2. Uploads all CV website files (index.html, styles.css, script.js, README.md)
       // 3. Enables GitHub Pages automatically 
       // 4. Returns live site URL ready to share
       const result = await this.githubService.publishCVSite(this.jobId);
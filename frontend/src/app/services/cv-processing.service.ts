@@ -17,6 +17,9 @@ export interface CVProcessingResult {
     message?: string;
 }
 
+export type RewriteTone = 'formal' | 'friendly' | 'concise' | 'executive';
+export type RewriteLength = 'short' | 'medium' | 'long';
+
 export interface ProcessingProgress {
     currentPhase: number;
     totalPhases: number;
@@ -353,6 +356,26 @@ export class CVProcessingService {
         });
     }
 
+    /**
+     * Suggest rewrites of the summary or about me text (counts against the daily AI limits)
+     */
+    suggestRewrites(section: 'summary' | 'aboutMe', text: string, tone: RewriteTone, length: RewriteLength): Promise<string[]> {
+        return new Promise((resolve, reject) => {
+            const headers = this.getAuthHeaders();
+
+            this.http.post<any>(`${this.apiUrl}/cv/assist/rewrite`, { section, text, tone, length }, { headers }).subscribe({
+                next: (response) => resolve(response.alternatives || []),
+                error: (error) => {
+                    if (error.status === 400) {
+                        reject(new Error(error.error?.details?.map((d: any) => d.msg).join(', ') || error.error?.error || 'Invalid request'));
+                    } else {
+                        reject(new Error(error.error?.error || error.error?.message || 'Could not get suggestions'));
+                    }
+                }
+            });
+        });
+    }
+
     /**
      * Get current phase index for error handling
      */
@@ -471,13 +494,26 @@ export class CVProcessingService {
 
     private convertSkillsToText(skills: any): string {
         let text = '';
+        // A skill's level is written after it - "Python (Expert)" - and read back by the server
+        const withLevels = (list: string[]) => list.map(skill => {
+            const level = skills.proficiency?.[skill];
+            return level ? `${skill} (${level.charAt(0).toUpperCase()}${level.slice(1)})` : skill;
+        }).join(', ');
         
         if (skills.technical && skills.technical.length > 0) {
-            text += `Technical Skills:\n${skills.technical.join(', ')}\n\n`;
+            text += `Technical Skills:\n${withLevels(skills.technical)}\n\n`;
+        }
+        
+        if (skills.tools && skills.tools.length > 0) {
+            text += `Tools:\n${withLevels(skills.tools)}\n\n`;
         }
         
         if (skills.soft && skills.soft.length > 0) {
-            text += `Professional Skills:\n${skills.soft.join(', ')}\n\n`;
+            text += `Professional Skills:\n${withLevels(skills.soft)}\n\n`;
+        }
+        
+        if (skills.domain && skills.domain.length > 0) {
+            text += `Domain Expertise:\n${withLevels(skills.domain)}\n\n`;
         }
         
         if (skills.languages && skills.languages.length > 0) {
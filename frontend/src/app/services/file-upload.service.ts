@@ -173,7 +173,12 @@ export class FileUploadService {
         const allowedTypes = [
             'application/pdf',
             'application/msword',
-            'application/vnd.openxmlformats-officedocument.wordprocessingml.document'
+            'application/vnd.openxmlformats-officedocument.wordprocessingml.document',
+            'application/json',
+            'application/zip',
+            'application/x-zip-compressed',
+            'image/png',
+            'image/jpeg'
         ];
 
         const maxSize = 10 * 1024 * 1024; // 10MB
@@ -79,7 +79,7 @@ export class GitHubPublishService {
     try {
       // The backend endpoint already does everything automatically:
       // 1. Creates repository with auto-generated name
-      // 2. Uploads all CV site files (index.html, styles.css, script.js, data.js, README.md)  
+      // 2. Uploads all CV site files (index.html, styles.css, script.js, README.md)  
       // 3. Enables GitHub Pages automatically
       // 4. Returns live site URL and repository URL
       const response = await this.http.post<PublishResult>(
@@ -14,9 +14,64 @@ export interface GenerationResult {
     outputDir: string;
     generatedAt: string;
     files: string[];
+    templateId: string;
+    theme: SiteTheme;
+    languages: string[];       // The CV's own language first, then its translations
     cvData: any;
   };
   previewUrl: string;
+  tokens?: number;             // LLM tokens spent on translations, when there were any
+}
+
+// The language the CV is written in and the languages the site is translated into
+export interface SiteLanguages {
+  language: string;
+  translateTo: string[];
+}
+
+// Which of the job description's keywords the original CV has, and in which sections
+export interface KeywordReport {
+  keywords: { keyword: string; found: boolean; sections: string[] }[];
+  matched: string[];
+  missing: string[];
+  coverage: number;          // Share of keywords found, 0-1
+}
+
+export interface TailoringResult extends GenerationResult {
+  parentSiteId: string;
+  tailoring: {
+    jobTitle: string;
+    company: string;
+    report: KeywordReport;
+  };
+  tokens: number;
+}
+
+export type ThemeMode = 'light' | 'dark' | 'auto';
+
+export type ThemeFont = 'inter' | 'system' | 'serif' | 'mono';
+
+export interface SiteTheme {
+  mode: ThemeMode;
+  accentColor?: string;      // Hex color, e.g. '#3b82f6'
+  backgroundColor?: string;  // Hex color; decides light or dark text
+  font?: ThemeFont;
+}
+
+export interface TemplateInfo {
+  id: string;
+  name: string;
+  description: string;
+  version: string;
+  sections: string[];
+  hasPreview: boolean;
+  isDefault: boolean;
+}
+
+export interface TemplateListResult {
+  success: boolean;
+  defaultTemplateId: string;
+  templates: TemplateInfo[];
 }
 
 export interface PreviewResult {
@@ -44,7 +99,15 @@ export class LandingPageService {
     });
   }
 
-  generateLandingPage(structuredData: any): Observable<GenerationResult> {
+  getTemplates(): Observable<TemplateListResult> {
+    return this.http.get<TemplateListResult>(`${this.apiUrl}/cv/templates`, { headers: this.getAuthHeaders() });
+  }
+
+  getTemplatePreviewUrl(templateId: string): string {
+    return `${this.apiUrl}/cv/templates/${encodeURIComponent(templateId)}/preview`;
+  }
+
+  generateLandingPage(structuredData: any, templateId?: string, theme?: Partial<SiteTheme>, languages?: SiteLanguages): Observable<GenerationResult> {
     const headers = this.getAuthHeaders();
     
     // Prepare the data - prioritize edited content over original structured data
@@ -61,11 +124,24 @@ export class LandingPageService {
     });
     
     return this.http.post<GenerationResult>(`${this.apiUrl}/cv/generate`, 
-      { structuredData: dataForGeneration }, 
+      {
+        structuredData: dataForGeneration,
+        ...(templateId ? { templateId } : {}),
+        ...(theme ? { theme } : {}),
+        ...(languages ? { language: languages.language, translateTo: languages.translateTo } : {})
+      },
       { headers }
     );
   }
 
+  // Generate a copy of a site tailored to a job description (counts against the daily AI limits)
+  tailorLandingPage(siteId: string, jobDescription: string): Observable<TailoringResult> {
+    return this.http.post<TailoringResult>(`${this.apiUrl}/cv/sites/${encodeURIComponent(siteId)}/tailor`,
+      { jobDescription },
+      { headers: this.getAuthHeaders() }
+    );
+  }
+
   private prepareDataForGeneration(originalData: any) {
     // Start with original data structure
     const preparedData = {
@@ -44,7 +44,12 @@ module.exports = {
     ALLOWED_MIME_TYPES: {
         PDF: 'application/pdf',
         DOCX: 'application/vnd.openxmlformats-officedocument.wordprocessingml.document',
-        TEXT: 'text/plain'
+        TEXT: 'text/plain',
+        JSON: 'application/json',
+        ZIP: 'application/zip',
+        ZIP_WINDOWS: 'application/x-zip-compressed', // What Windows browsers send for .zip
+        PNG: 'image/png',
+        JPEG: 'image/jpeg'
     },
 
     // ===== FILE EXTENSIONS =====
@@ -53,6 +58,7 @@ module.exports = {
         JS: '.js',
         HTML: '.html',
         JSON: '.json',
+        ZIP: '.zip',
         PNG: '.png',
         JPG: '.jpg',
         JPEG: '.jpeg'
@@ -65,7 +71,9 @@ module.exports = {
         HTML: 'text/html; charset=utf-8',
         JSON: 'application/json; charset=utf-8',
         PNG: 'image/png',
-        JPEG: 'image/jpeg'
+        JPEG: 'image/jpeg',
+        PDF: 'application/pdf',
+        DOCX: 'application/vnd.openxmlformats-officedocument.wordprocessingml.document'
     },
 
     // ===== GENERATED FILES =====
@@ -73,8 +81,333 @@ module.exports = {
         INDEX: 'index.html',
         STYLES: 'styles.css',
         SCRIPT: 'script.js',
-        DATA: 'data.js',
-        README: 'README.md'
+        DATA: 'data.js', // Legacy - sites generated before server-side rendering
+        README: 'README.md',
+        ROBOTS: 'robots.txt',
+        SITEMAP: 'sitemap.xml',
+        PROFILE_PHOTO: 'profile', // Extension follows the uploaded image type
+        PDF: 'cv.pdf' // Only added to the ZIP download on request
+    },
+
+    // ===== TEMPLATES =====
+    TEMPLATES: {
+        DEFAULT_ID: 'professional',
+        MANIFEST_FILE: 'manifest.json',
+        ID_PATTERN: /^[a-z0-9-]{1,50}$/
+    },
+
+    // ===== CV EXPORT (PDF / DOCX / JSON) =====
+    CV_EXPORT: {
+        PAGE_SIZES: ['A4', 'LETTER'],
+        DEFAULT_PAGE_SIZE: 'A4'
+    },
+
+    // ===== JSON RESUME (https://jsonresume.org) =====
+    JSON_RESUME: {
+        SCHEMA_URL: 'https://raw.githubusercontent.com/jsonresume/resume-schema/v1.0.0/schema.json',
+        VERSION: 'v1.0.0',
+        PROCESSOR_NAME: 'json-resume'
+    },
+
+    // ===== OCR (scanned PDFs and CV page images) =====
+    OCR: {
+        MIN_TEXT_LENGTH: 100,   // Less extracted PDF text than this looks like a scan
+        MAX_PAGES: 5,           // Pages rasterized per PDF
+        RENDER_SCALE: 2,        // 144 DPI - enough for body text without big memory spikes
+        MAX_PAGE_PIXELS: 16000000, // Canvas budget per page (64 MB); larger pages render at a lower scale
+        MIN_RENDER_SCALE: 1     // 72 DPI - pages that only fit the budget below this are skipped
+    },
+
+    // ===== PDF LAYOUT (reading order for multi-column CVs) =====
+    // Ratios are relative to the font size of the text involved; widths are in points
+    PDF_LAYOUT: {
+        LINE_TOLERANCE: 0.3,        // Baselines closer than this are on the same line
+        WORD_GAP: 0.15,             // A wider gap between text items is a space
+        SEGMENT_GAP: 1.2,           // A wider gap splits a line into separate segments
+        MIN_GUTTER_WIDTH: 8,        // White space needed between two columns
+        MAX_SPANNING_RATIO: 0.1,    // Share of segments that may cross a gutter (centred name, banners)
+        MIN_COLUMN_LINES: 3,        // Segments needed on each side of a gutter
+        COLUMN_FLOW_GAP: 2,         // Lines closer than this belong to one text flow
+        COLUMN_FLOW_RATIO: 0.6,     // Share of a column's lines that must be part of a flow
+        HEADING_SIZE_RATIO: 1.15,   // Text this much larger than the body reads as a heading
+        HEADING_MAX_WORDS: 5,
+        SECTION_HEADINGS: [
+            'about', 'about me', 'achievements', 'awards', 'certificates', 'certifications', 'contact',
+            'courses', 'education', 'employment', 'experience', 'interests', 'languages', 'links',
+            'objective', 'profile', 'projects', 'publications', 'references', 'skills', 'summary',
+            'volunteering'
+        ]
+    },
+
+    // ===== DOCUMENT ASSETS (links and photos inside uploaded CVs) =====
+    DOCUMENT_ASSETS: {
+        MAX_LINKS: 20,
+        PHOTO_MIN_SIZE: 96,         // Pixels on the short side - smaller images are icons and logos
+        PHOTO_MIN_ASPECT: 0.6,      // Width / height range of a head shot
+        PHOTO_MAX_ASPECT: 1.6,
+        PHOTO_MAX_SIZE: 400,        // Longest side of the photo handed to the wizard
+        PHOTO_JPEG_QUALITY: 85,
+        PDF_IMAGE_TIMEOUT: 2000,    // Milliseconds to wait for a PDF image that never finishes decoding
+        // Hosts whose links are never the candidate's own website
+        PLATFORM_HOSTS: [
+            'linkedin.com', 'github.com', 'gitlab.com', 'doi.org', 'arxiv.org', 'scholar.google.com',
+            'researchgate.net', 'orcid.org', 'twitter.com', 'x.com', 'facebook.com', 'youtube.com'
+        ]
+    },
+
+    // ===== RULE-BASED EXTRACTION (no LLM) =====
+    RULE_EXTRACTION: {
+        PROCESSOR_NAME: 'rules',
+        HEADING_MAX_WORDS: 5,
+        WRAPPED_LINE_MIN_LENGTH: 40,    // A lower-case line after a line this long continues it
+        MAX_SKILL_LENGTH: 40,           // Longer list items are sentences, not skills
+        HEADER_LINES: 8,                // Lines searched for the name and title before the first section
+        // Section headings by CV field, most specific first. Anything else is ignored.
+        SECTIONS: {
+            summary: ['summary', 'professional summary', 'profile', 'about', 'about me', 'objective', 'career objective'],
+            experience: ['experience', 'work experience', 'professional experience', 'employment', 'employment history', 'work history', 'career history'],
+            education: ['education', 'academic background', 'qualifications'],
+            skills: ['skills', 'technical skills', 'core competencies', 'competencies', 'expertise', 'technologies', 'tools'],
+            languages: ['languages'],
+            projects: ['projects', 'personal projects', 'side projects'],
+            certifications: ['certifications', 'certificates', 'licenses', 'courses', 'training'],
+            contact: ['contact', 'contact information', 'contact details', 'personal details', 'personal information'],
+            other: ['publications', 'awards', 'achievements', 'interests', 'hobbies', 'references', 'volunteering', 'links']
+        },
+        DEGREE_PATTERN: /\b(?:[BM]\.?\s?Sc?|[BM]\.?A|M\.?A|B\.?Eng|M\.?Eng|MBA|Ph\.?\s?D|LL\.?[BM]|Bachelor|Master|Doctor|Diploma|Associate|Degree)\b/i,
+        TITLE_KEYWORDS: [
+            'lead', 'manager', 'director', 'developer', 'engineer', 'analyst', 'specialist', 'consultant',
+            'designer', 'researcher', 'scientist', 'architect', 'administrator', 'intern', 'officer',
+            'assistant', 'head', 'teacher', 'nurse', 'chef', 'accountant', 'coordinator', 'volunteer'
+        ],
+        INSTITUTION_PATTERN: /\b(?:University|College|Institute|School|Academy|Technion|Polytechnic)\b/i,
+        SOFT_SKILLS: [
+            'communication', 'leadership', 'teamwork', 'team collaboration', 'collaboration', 'problem solving',
+            'mentoring', 'time management', 'adaptability', 'creativity', 'critical thinking', 'negotiation',
+            'public speaking', 'stakeholder management'
+        ]
+    },
+
+    // ===== LLM OUTPUT VALIDATION (schemas/structured-cv.schema.json) =====
+    STRUCTURED_CV_VALIDATION: {
+        MAX_REPAIR_ATTEMPTS: 2,             // Re-prompts with the validation errors before the output is rejected
+        MAX_REPORTED_ERRORS: 20,            // Errors quoted back to the model in one repair prompt
+        RESPONSE_SCHEMA_NAME: 'structured_cv',
+        // Gemini models without responseSchema support get the schema through the prompt only
+        GEMINI_MODELS_WITHOUT_SCHEMA: /gemini-1\.0|gemini-pro$/
+    },
+
+    // ===== FIELD CONFIDENCE AND SOURCE SPANS =====
+    FIELD_PROVENANCE: {
+        EXACT_MATCH: 1.0,                   // Value appears verbatim in the CV text
+        NORMALIZED_MATCH: 0.9,              // Appears ignoring case, spacing and punctuation
+        PARTIAL_MATCH_BASE: 0.3,            // Plus PARTIAL_MATCH_RANGE x the share of its words found close together
+        PARTIAL_MATCH_RANGE: 0.5,
+        MIN_PARTIAL_COVERAGE: 0.3,          // Fewer of its words than this and the value counts as not found
+        NOT_FOUND: 0.1,                     // Generated or inferred by the model
+        LOW_CONFIDENCE_THRESHOLD: 0.6,      // The wizard asks the user to check fields below this
+        WINDOW_FACTOR: 3,                   // A partial match spans at most this many times the value's length
+        MIN_WORD_LENGTH: 3,
+        SNIPPET_CONTEXT: 40,                // Characters of surrounding text shown with a match
+        MAX_SNIPPET_LENGTH: 300,
+        // Derived or non-text fields - nothing in the CV text to point at
+        SKIPPED_KEYS: ['currentTitle', 'profilePicture', 'processingMetadata', 'candidates', 'fieldProvenance', 'metadata', 'proficiency'],
+        STOP_WORDS: ['the', 'and', 'for', 'with', 'from', 'that', 'this', 'into', 'are', 'was', 'were', 'has', 'have', 'our', 'their']
+    },
+
+    // ===== LONG CVS (chunked extraction) =====
+    CV_CHUNKING: {
+        CHUNK_LENGTH: 20000,                // Characters of CV text per LLM call, shared context included
+        CONTEXT_LENGTH: 1500,               // Opening of the CV (name, contact, title) repeated in every chunk
+        MAX_DOCUMENT_LENGTH: 300000,        // About 80 pages; anything longer is truncated
+        // Entries that are the same when these fields match (case and punctuation ignored)
+        ENTRY_KEYS: {
+            experience: ['title', 'company'],
+            education: ['degree', 'institution'],
+            projects: ['name'],
+            certifications: ['name']
+        },
+        // ...unless both have this date and it differs - the same role held twice
+        ENTRY_DATES: {
+            experience: 'startDate',
+            education: 'graduationDate',
+            certifications: 'date'
+        }
+    },
+
+    // ===== PII REDACTION (before CV text is sent to a cloud LLM) =====
+    PII_REDACTION: {
+        DEFAULT_TYPES: ['email', 'phone', 'url', 'address'],
+        PRIVACY_SETTING: 'redact_pii',      // user_preferences.privacy_settings key that turns it on per user
+        // Placeholder label and pattern per type; a capture group limits the redaction to that part
+        TYPES: {
+            email: { label: 'EMAIL', pattern: /[A-Z0-9._%+-]+@[A-Z0-9.-]+\.[A-Z]{2,}/gi },
+            phone: { label: 'PHONE', pattern: /(?<![\w/])\+?\(?\d[\d \t().-]{6,}\d(?![\w/])/g },
+            url: { label: 'URL', pattern: /\b(?:https?:\/\/|www\.)[^\s,;|()<>]+|\b(?:linkedin\.com|github\.com)\/[^\s,;|()<>]+/gi },
+            address: {
+                label: 'ADDRESS',
+                pattern: /\b\d{1,5}(?:\s+[A-Z][\w'.-]*){1,4}\s+(?:Street|St|Avenue|Ave|Road|Rd|Boulevard|Blvd|Lane|Ln|Drive|Dr|Way|Court|Ct|Place|Pl|Square|Sq)\b\.?(?:,?\s+(?:Apt|Suite|Unit)\.?\s*\w+)?/g
+            },
+            birthDate: { label: 'BIRTH_DATE', pattern: /\b(?:date of birth|d\.o\.b\.?|dob|born)\s*:?\s*([^\n,;|]*\d{4})/gi }
+        },
+        MIN_PHONE_DIGITS: 9,                // Fewer digits is a year range or an ID, not a phone number
+        MAX_PHONE_DIGITS: 15,
+        // Added to the writing assistants' prompts when the text they send was redacted
+        PROMPT_INSTRUCTION: 'Some details were withheld and replaced with placeholders such as [EMAIL_1] or [PHONE_1] - copy them exactly, brackets included.'
+    },
+
+    // ===== EXTRACTION CACHE (re-uploads of the same CV) =====
+    EXTRACTION_CACHE: {
+        // Edits to the extraction prompts and the structured CV schema are picked up by a
+        // hash (ExtractionCache.getPromptFingerprint); bump this for other changes to what
+        // an extraction returns - Ollama's step prompts, normalization, a default model
+        PROMPT_VERSION: '3.1'
+    },
+
+    // ===== TOKEN ACCOUNTING (api_usage, GET /api/cv/usage) =====
+    TOKEN_ACCOUNTING: {
+        CHARS_PER_TOKEN: 4,                 // Estimate for providers that report no token counts
+        DEFAULT_USAGE_DAYS: 30,             // Days of history the usage endpoint returns
+        MAX_USAGE_DAYS: 365
+    },
+
+    // ===== WRITING ASSISTANTS (POST /api/cv/assist/*) =====
+    LLM_ASSISTANT: {
+        // Client defaults are older models; use the ones the CV processors use
+        MODELS: {
+            gemini: 'models/gemini-2.5-flash',
+            ollama: 'llama3.2'
+        }
+    },
+
+    // ===== SECTION REWRITES (POST /api/cv/assist/rewrite, cv-wizard "Suggest") =====
+    SECTION_REWRITE: {
+        SECTIONS: {
+            summary: 'professional summary for the top of a CV. Do not use personal pronouns',
+            aboutMe: '"About me" text for a personal website, written in the first person'
+        },
+        TONES: {
+            formal: 'formal and professional, without slang or exclamation marks',
+            friendly: 'warm and approachable, as if introducing yourself to a colleague',
+            concise: 'direct and to the point, with no filler words',
+            executive: 'confident and strategic, leading with leadership, scope and business impact'
+        },
+        LENGTHS: {
+            short: 'at most 40 words',
+            medium: '60 to 90 words',
+            long: '120 to 180 words'
+        },
+        DEFAULT_LENGTH: 'medium',
+        DEFAULT_ALTERNATIVES: 3,
+        MAX_ALTERNATIVES: 5,
+        MAX_TEXT_LENGTH: 3000
+    },
+
+    // ===== ACHIEVEMENT REVIEW (POST /api/cv/assist/achievements) =====
+    ACHIEVEMENT_COACH: {
+        SESSION_TYPE: 'achievement_review',
+        ANALYSIS_STEP: 'achievement_analysis',
+        ANSWERS_STEP: 'achievement_answers',     // Numbered: achievement_answers_1, _2, ...
+        ISSUES: {
+            NO_METRIC: 'no-metric',             // No number, percentage or amount
+            WEAK_VERB: 'weak-verb'              // Opens with a duty ("Responsible for") rather than an action
+        },
+        // English bullets only - other languages are flagged for want of these
+        ACTION_VERBS: [
+            'accelerated', 'achieved', 'automated', 'built', 'championed', 'closed', 'coached', 'created',
+            'cut', 'decreased', 'delivered', 'designed', 'developed', 'doubled', 'drove', 'eliminated',
+            'established', 'exceeded', 'expanded', 'founded', 'generated', 'grew', 'hired', 'implemented',
+            'improved', 'increased', 'initiated', 'introduced', 'launched', 'led', 'mentored', 'migrated',
+            'modernized', 'negotiated', 'optimized', 'orchestrated', 'overhauled', 'pioneered', 'rebuilt',
+            'reduced', 'redesigned', 'resolved', 'restructured', 'saved', 'scaled', 'secured', 'shipped',
+            'simplified', 'spearheaded', 'streamlined', 'taught', 'trained', 'tripled', 'won', 'wrote'
+        ],
+        // Past tenses that describe taking part rather than an outcome
+        WEAK_VERBS: ['assisted', 'contributed', 'handled', 'helped', 'involved', 'participated', 'supported', 'tasked', 'used', 'worked'],
+        WEAK_OPENING: /^(?:responsible for|in charge of|duties (?:included|include)|tasks (?:included|include)|involved in|worked on|helped (?:to|with)?|assisted (?:in|with)|participated in|tasked with)\b/i,
+        MEASURABLE_PATTERN: /\d|[%$€£¥]|\b(?:dozens?|hundreds?|thousands?|millions?|billions?|doubled|tripled|halved|twice|half)\b/i,
+        MAX_QUESTIONS: 3,                       // Per bullet
+        MAX_ENTRIES: 30,                        // Experience entries per review
+        MAX_ACHIEVEMENTS: 20,                   // Bullets per entry
+        MAX_ACHIEVEMENT_LENGTH: 1000,
+        MAX_ANSWER_LENGTH: 500
+    },
+
+    // ===== CV TAILORING (POST /api/cv/sites/:id/tailor) =====
+    CV_TAILORING: {
+        MIN_JOB_DESCRIPTION_LENGTH: 100,
+        MAX_JOB_DESCRIPTION_LENGTH: 15000,
+        MAX_KEYWORDS: 25,
+        MAX_KEYWORD_LENGTH: 60,
+        MAX_LABEL_LENGTH: 60,               // Job title and company in the variant's site name
+        PREVIEW_LENGTH: 300                 // Of the job description, kept in user_sites.tailoring
+    },
+
+    // ===== LLM PROVIDER FAILOVER =====
+    LLM_PROVIDER_CHAIN: {
+        PROVIDERS: ['gemini', 'ollama', 'openai', 'rules'],
+        FAILURE_THRESHOLD: 3,               // Consecutive failures that open a provider's circuit
+        OPEN_DURATION_MS: 5 * 60 * 1000,    // How long an open circuit skips the provider before trying it again
+        // Quota and timeout errors open the circuit at once - the next job would hit them too
+        TRIP_PATTERN: /429|quota|rate limit|exhausted|timeout|timed out/i
+    },
+
+    // ===== LINKEDIN DATA EXPORT ("Download your data" ZIP) =====
+    LINKEDIN_IMPORT: {
+        PROCESSOR_NAME: 'linkedin-export',
+        FILES: {
+            PROFILE: 'Profile.csv',
+            POSITIONS: 'Positions.csv',
+            EDUCATION: 'Education.csv',
+            SKILLS: 'Skills.csv',
+            CERTIFICATIONS: 'Certifications.csv',
+            PROJECTS: 'Projects.csv',
+            EMAILS: 'Email Addresses.csv',
+            PHONES: 'PhoneNumbers.csv',
+            LANGUAGES: 'Languages.csv'
+        },
+        // A small ZIP can unpack to gigabytes - archives over these limits are rejected
+        MAX_ENTRIES: 1000,
+        MAX_UNPACKED_SIZE: 100 * 1024 * 1024,  // All entries together, as declared in the archive
+        MAX_FILE_SIZE: 5 * 1024 * 1024         // Each CSV that is read, counted while unpacking
+    },
+
+    // ===== SKILLS (canonical names and aliases in constants/skills-taxonomy.js) =====
+    SKILLS: {
+        CATEGORIES: ['technical', 'soft', 'tools', 'domain'],
+        LEVELS: ['beginner', 'intermediate', 'advanced', 'expert'],
+        // Other words CVs use for a level, as in "Python (proficient)"
+        LEVEL_ALIASES: {
+            basic: 'beginner',
+            basics: 'beginner',
+            novice: 'beginner',
+            elementary: 'beginner',
+            junior: 'beginner',
+            familiar: 'beginner',
+            working: 'intermediate',
+            competent: 'intermediate',
+            good: 'intermediate',
+            proficient: 'advanced',
+            strong: 'advanced',
+            experienced: 'advanced',
+            senior: 'expert',
+            excellent: 'expert',
+            master: 'expert'
+        }
+    },
+
+    // ===== SITE THEMES =====
+    THEMES: {
+        DEFAULT_MODE: 'dark',
+        MODES: ['light', 'dark', 'auto'], // auto follows prefers-color-scheme
+        FONTS: ['inter', 'system', 'serif', 'mono'],
+        COLOR_PATTERN: /^#(?:[0-9a-fA-F]{3}|[0-9a-fA-F]{6})$/
+    },
+
+    // ===== SITE LANGUAGES (labels and text direction per language in constants/site-locales.js) =====
+    SITE_LANGUAGES: {
+        DEFAULT: 'en',
+        MAX_TRANSLATIONS: 3                 // Languages added to one site, one LLM request each
     },
 
     // ===== JOB STATUS =====
@@ -0,0 +1,407 @@
+// File: constants/site-locales.js
+// Languages a landing page can be generated in: the name shown in the language switcher,
+// the text direction and the template's own labels. Labels are inserted into the page
+// as they are, so they must not contain markup or double quotes.
+
+module.exports = {
+    en: {
+        name: 'English',
+        dir: 'ltr',
+        labels: {
+            PROFILE: 'Professional Profile',
+            CONTACT_ME: 'Contact Me',
+            ABOUT_ME: 'About Me',
+            YEARS_EXPERIENCE: 'Years Experience',
+            PROJECTS_COMPLETED: 'Projects Completed',
+            TECHNICAL_SKILLS: 'Technical Skills',
+            EXPERIENCE: 'Professional Experience',
+            SKILLS: 'Skills & Expertise',
+            SOFT_SKILLS: 'Core Competencies',
+            TOOLS: 'Tools',
+            DOMAIN_SKILLS: 'Domain Expertise',
+            LANGUAGES: 'Languages',
+            EDUCATION: 'Education',
+            PROJECTS: 'Featured Projects',
+            CERTIFICATIONS: 'Certifications',
+            CONTACT_TITLE: 'Let\'s Work Together',
+            CONTACT_TEXT: 'I\'m always interested in hearing about new opportunities and interesting projects.',
+            SEND_EMAIL: 'Send Email',
+            CALL_ME: 'Call Me',
+            RIGHTS: 'All rights reserved.',
+            KEY_ACHIEVEMENTS: 'Key Achievements:',
+            ACHIEVEMENTS: 'Achievements:',
+            GPA: 'GPA:',
+            TECHNOLOGIES: 'Technologies:',
+            VIEW_PROJECT: 'View Project →',
+            VIEW_CERTIFICATE: 'View Certificate',
+            LINKEDIN_PROFILE: 'LinkedIn Profile',
+            WEBSITE: 'Website',
+            PRESENT: 'Present',
+            LANGUAGE_MENU: 'Language',
+            LEVEL_BEGINNER: 'Beginner',
+            LEVEL_INTERMEDIATE: 'Intermediate',
+            LEVEL_ADVANCED: 'Advanced',
+            LEVEL_EXPERT: 'Expert'
+        }
+    },
+    de: {
+        name: 'Deutsch',
+        dir: 'ltr',
+        labels: {
+            PROFILE: 'Berufliches Profil',
+            CONTACT_ME: 'Kontakt',
+            ABOUT_ME: 'Über mich',
+            YEARS_EXPERIENCE: 'Jahre Erfahrung',
+            PROJECTS_COMPLETED: 'Abgeschlossene Projekte',
+            TECHNICAL_SKILLS: 'Technische Kenntnisse',
+            EXPERIENCE: 'Berufserfahrung',
+            SKILLS: 'Kenntnisse & Fähigkeiten',
+            SOFT_SKILLS: 'Kernkompetenzen',
+            TOOLS: 'Werkzeuge',
+            DOMAIN_SKILLS: 'Fachgebiete',
+            LANGUAGES: 'Sprachen',
+            EDUCATION: 'Ausbildung',
+            PROJECTS: 'Ausgewählte Projekte',
+            CERTIFICATIONS: 'Zertifizierungen',
+            CONTACT_TITLE: 'Lassen Sie uns zusammenarbeiten',
+            CONTACT_TEXT: 'Ich freue mich immer über neue Möglichkeiten und spannende Projekte.',
+            SEND_EMAIL: 'E-Mail senden',
+            CALL_ME: 'Anrufen',
+            RIGHTS: 'Alle Rechte vorbehalten.',
+            KEY_ACHIEVEMENTS: 'Wichtigste Erfolge:',
+            ACHIEVEMENTS: 'Erfolge:',
+            GPA: 'Note:',
+            TECHNOLOGIES: 'Technologien:',
+            VIEW_PROJECT: 'Projekt ansehen →',
+            VIEW_CERTIFICATE: 'Zertifikat ansehen',
+            LINKEDIN_PROFILE: 'LinkedIn-Profil',
+            WEBSITE: 'Website',
+            PRESENT: 'heute',
+            LANGUAGE_MENU: 'Sprache',
+            LEVEL_BEGINNER: 'Grundkenntnisse',
+            LEVEL_INTERMEDIATE: 'Fortgeschritten',
+            LEVEL_ADVANCED: 'Sehr gut',
+            LEVEL_EXPERT: 'Experte'
+        }
+    },
+    fr: {
+        name: 'Français',
+        dir: 'ltr',
+        labels: {
+            PROFILE: 'Profil professionnel',
+            CONTACT_ME: 'Me contacter',
+            ABOUT_ME: 'À propos de moi',
+            YEARS_EXPERIENCE: 'Années d\'expérience',
+            PROJECTS_COMPLETED: 'Projets réalisés',
+            TECHNICAL_SKILLS: 'Compétences techniques',
+            EXPERIENCE: 'Expérience professionnelle',
+            SKILLS: 'Compétences & expertise',
+            SOFT_SKILLS: 'Compétences clés',
+            TOOLS: 'Outils',
+            DOMAIN_SKILLS: 'Domaines d\'expertise',
+            LANGUAGES: 'Langues',
+            EDUCATION: 'Formation',
+            PROJECTS: 'Projets phares',
+            CERTIFICATIONS: 'Certifications',
+            CONTACT_TITLE: 'Travaillons ensemble',
+            CONTACT_TEXT: 'Je suis toujours à l\'écoute de nouvelles opportunités et de projets passionnants.',
+            SEND_EMAIL: 'Envoyer un e-mail',
+            CALL_ME: 'M\'appeler',
+            RIGHTS: 'Tous droits réservés.',
+            KEY_ACHIEVEMENTS: 'Réalisations clés :',
+            ACHIEVEMENTS: 'Réalisations :',
+            GPA: 'Moyenne :',
+            TECHNOLOGIES: 'Technologies :',
+            VIEW_PROJECT: 'Voir le projet →',
+            VIEW_CERTIFICATE: 'Voir le certificat',
+            LINKEDIN_PROFILE: 'Profil LinkedIn',
+            WEBSITE: 'Site web',
+            PRESENT: 'aujourd\'hui',
+            LANGUAGE_MENU: 'Langue',
+            LEVEL_BEGINNER: 'Débutant',
+            LEVEL_INTERMEDIATE: 'Intermédiaire',
+            LEVEL_ADVANCED: 'Avancé',
+            LEVEL_EXPERT: 'Expert'
+        }
+    },
+    es: {
+        name: 'Español',
+        dir: 'ltr',
+        labels: {
+            PROFILE: 'Perfil profesional',
+            CONTACT_ME: 'Contactar',
+            ABOUT_ME: 'Sobre mí',
+            YEARS_EXPERIENCE: 'Años de experiencia',
+            PROJECTS_COMPLETED: 'Proyectos completados',
+            TECHNICAL_SKILLS: 'Habilidades técnicas',
+            EXPERIENCE: 'Experiencia profesional',
+            SKILLS: 'Habilidades y experiencia',
+            SOFT_SKILLS: 'Competencias clave',
+            TOOLS: 'Herramientas',
+            DOMAIN_SKILLS: 'Áreas de especialización',
+            LANGUAGES: 'Idiomas',
+            EDUCATION: 'Formación',
+            PROJECTS: 'Proyectos destacados',
+            CERTIFICATIONS: 'Certificaciones',
+            CONTACT_TITLE: 'Trabajemos juntos',
+            CONTACT_TEXT: 'Siempre me interesa conocer nuevas oportunidades y proyectos interesantes.',
+            SEND_EMAIL: 'Enviar correo',
+            CALL_ME: 'Llamar',
+            RIGHTS: 'Todos los derechos reservados.',
+            KEY_ACHIEVEMENTS: 'Logros principales:',
+            ACHIEVEMENTS: 'Logros:',
+            GPA: 'Nota media:',
+            TECHNOLOGIES: 'Tecnologías:',
+            VIEW_PROJECT: 'Ver proyecto →',
+            VIEW_CERTIFICATE: 'Ver certificado',
+            LINKEDIN_PROFILE: 'Perfil de LinkedIn',
+            WEBSITE: 'Sitio web',
+            PRESENT: 'actualidad',
+            LANGUAGE_MENU: 'Idioma',
+            LEVEL_BEGINNER: 'Básico',
+            LEVEL_INTERMEDIATE: 'Intermedio',
+            LEVEL_ADVANCED: 'Avanzado',
+            LEVEL_EXPERT: 'Experto'
+        }
+    },
+    it: {
+        name: 'Italiano',
+        dir: 'ltr',
+        labels: {
+            PROFILE: 'Profilo professionale',
+            CONTACT_ME: 'Contattami',
+            ABOUT_ME: 'Chi sono',
+            YEARS_EXPERIENCE: 'Anni di esperienza',
+            PROJECTS_COMPLETED: 'Progetti completati',
+            TECHNICAL_SKILLS: 'Competenze tecniche',
+            EXPERIENCE: 'Esperienza professionale',
+            SKILLS: 'Competenze e specializzazioni',
+            SOFT_SKILLS: 'Competenze chiave',
+            TOOLS: 'Strumenti',
+            DOMAIN_SKILLS: 'Ambiti di competenza',
+            LANGUAGES: 'Lingue',
+            EDUCATION: 'Formazione',
+            PROJECTS: 'Progetti in evidenza',
+            CERTIFICATIONS: 'Certificazioni',
+            CONTACT_TITLE: 'Lavoriamo insieme',
+            CONTACT_TEXT: 'Sono sempre interessato a nuove opportunità e a progetti stimolanti.',
+            SEND_EMAIL: 'Invia email',
+            CALL_ME: 'Chiamami',
+            RIGHTS: 'Tutti i diritti riservati.',
+            KEY_ACHIEVEMENTS: 'Risultati principali:',
+            ACHIEVEMENTS: 'Risultati:',
+            GPA: 'Media:',
+            TECHNOLOGIES: 'Tecnologie:',
+            VIEW_PROJECT: 'Vedi progetto →',
+            VIEW_CERTIFICATE: 'Vedi certificato',
+            LINKEDIN_PROFILE: 'Profilo LinkedIn',
+            WEBSITE: 'Sito web',
+            PRESENT: 'oggi',
+            LANGUAGE_MENU: 'Lingua',
+            LEVEL_BEGINNER: 'Base',
+            LEVEL_INTERMEDIATE: 'Intermedio',
+            LEVEL_ADVANCED: 'Avanzato',
+            LEVEL_EXPERT: 'Esperto'
+        }
+    },
+    nl: {
+        name: 'Nederlands',
+        dir: 'ltr',
+        labels: {
+            PROFILE: 'Professioneel profiel',
+            CONTACT_ME: 'Neem contact op',
+            ABOUT_ME: 'Over mij',
+            YEARS_EXPERIENCE: 'Jaar ervaring',
+            PROJECTS_COMPLETED: 'Afgeronde projecten',
+            TECHNICAL_SKILLS: 'Technische vaardigheden',
+            EXPERIENCE: 'Werkervaring',
+            SKILLS: 'Vaardigheden & expertise',
+            SOFT_SKILLS: 'Kerncompetenties',
+            TOOLS: 'Tools',
+            DOMAIN_SKILLS: 'Vakgebieden',
+            LANGUAGES: 'Talen',
+            EDUCATION: 'Opleiding',
+            PROJECTS: 'Uitgelichte projecten',
+            CERTIFICATIONS: 'Certificeringen',
+            CONTACT_TITLE: 'Laten we samenwerken',
+            CONTACT_TEXT: 'Ik hoor graag over nieuwe kansen en interessante projecten.',
+            SEND_EMAIL: 'E-mail sturen',
+            CALL_ME: 'Bel mij',
+            RIGHTS: 'Alle rechten voorbehouden.',
+            KEY_ACHIEVEMENTS: 'Belangrijkste resultaten:',
+            ACHIEVEMENTS: 'Resultaten:',
+            GPA: 'Cijfer:',
+            TECHNOLOGIES: 'Technologieën:',
+            VIEW_PROJECT: 'Bekijk project →',
+            VIEW_CERTIFICATE: 'Bekijk certificaat',
+            LINKEDIN_PROFILE: 'LinkedIn-profiel',
+            WEBSITE: 'Website',
+            PRESENT: 'heden',
+            LANGUAGE_MENU: 'Taal',
+            LEVEL_BEGINNER: 'Beginner',
+            LEVEL_INTERMEDIATE: 'Gevorderd',
+            LEVEL_ADVANCED: 'Ervaren',
+            LEVEL_EXPERT: 'Expert'
+        }
+    },
+    pt: {
+        name: 'Português',
+        dir: 'ltr',
+        labels: {
+            PROFILE: 'Perfil profissional',
+            CONTACT_ME: 'Contacto',
+            ABOUT_ME: 'Sobre mim',
+            YEARS_EXPERIENCE: 'Anos de experiência',
+            PROJECTS_COMPLETED: 'Projetos concluídos',
+            TECHNICAL_SKILLS: 'Competências técnicas',
+            EXPERIENCE: 'Experiência profissional',
+            SKILLS: 'Competências e especialidades',
+            SOFT_SKILLS: 'Competências essenciais',
+            TOOLS: 'Ferramentas',
+            DOMAIN_SKILLS: 'Áreas de especialização',
+            LANGUAGES: 'Idiomas',
+            EDUCATION: 'Formação',
+            PROJECTS: 'Projetos em destaque',
+            CERTIFICATIONS: 'Certificações',
+            CONTACT_TITLE: 'Vamos trabalhar juntos',
+            CONTACT_TEXT: 'Tenho sempre interesse em novas oportunidades e projetos interessantes.',
+            SEND_EMAIL: 'Enviar e-mail',
+            CALL_ME: 'Ligar',
+            RIGHTS: 'Todos os direitos reservados.',
+            KEY_ACHIEVEMENTS: 'Principais conquistas:',
+            ACHIEVEMENTS: 'Conquistas:',
+            GPA: 'Média:',
+            TECHNOLOGIES: 'Tecnologias:',
+            VIEW_PROJECT: 'Ver projeto →',
+            VIEW_CERTIFICATE: 'Ver certificado',
+            LINKEDIN_PROFILE: 'Perfil no LinkedIn',
+            WEBSITE: 'Site',
+            PRESENT: 'atual',
+            LANGUAGE_MENU: 'Idioma',
+            LEVEL_BEGINNER: 'Básico',
+            LEVEL_INTERMEDIATE: 'Intermediário',
+            LEVEL_ADVANCED: 'Avançado',
+            LEVEL_EXPERT: 'Especialista'
+        }
+    },
+    pl: {
+        name: 'Polski',
+        dir: 'ltr',
+        labels: {
+            PROFILE: 'Profil zawodowy',
+            CONTACT_ME: 'Kontakt',
+            ABOUT_ME: 'O mnie',
+            YEARS_EXPERIENCE: 'Lata doświadczenia',
+            PROJECTS_COMPLETED: 'Ukończone projekty',
+            TECHNICAL_SKILLS: 'Umiejętności techniczne',
+            EXPERIENCE: 'Doświadczenie zawodowe',
+            SKILLS: 'Umiejętności i specjalizacje',
+            SOFT_SKILLS: 'Kluczowe kompetencje',
+            TOOLS: 'Narzędzia',
+            DOMAIN_SKILLS: 'Obszary specjalizacji',
+            LANGUAGES: 'Języki',
+            EDUCATION: 'Wykształcenie',
+            PROJECTS: 'Wybrane projekty',
+            CERTIFICATIONS: 'Certyfikaty',
+            CONTACT_TITLE: 'Pracujmy razem',
+            CONTACT_TEXT: 'Zawsze chętnie poznaję nowe możliwości i ciekawe projekty.',
+            SEND_EMAIL: 'Wyślij e-mail',
+            CALL_ME: 'Zadzwoń',
+            RIGHTS: 'Wszelkie prawa zastrzeżone.',
+            KEY_ACHIEVEMENTS: 'Najważniejsze osiągnięcia:',
+            ACHIEVEMENTS: 'Osiągnięcia:',
+            GPA: 'Średnia:',
+            TECHNOLOGIES: 'Technologie:',
+            VIEW_PROJECT: 'Zobacz projekt →',
+            VIEW_CERTIFICATE: 'Zobacz certyfikat',
+            LINKEDIN_PROFILE: 'Profil LinkedIn',
+            WEBSITE: 'Strona internetowa',
+            PRESENT: 'obecnie',
+            LANGUAGE_MENU: 'Język',
+            LEVEL_BEGINNER: 'Podstawowy',
+            LEVEL_INTERMEDIATE: 'Średniozaawansowany',
+            LEVEL_ADVANCED: 'Zaawansowany',
+            LEVEL_EXPERT: 'Ekspert'
+        }
+    },
+    he: {
+        name: 'עברית',
+        dir: 'rtl',
+        labels: {
+            PROFILE: 'פרופיל מקצועי',
+            CONTACT_ME: 'צור קשר',
+            ABOUT_ME: 'קצת עליי',
+            YEARS_EXPERIENCE: 'שנות ניסיון',
+            PROJECTS_COMPLETED: 'פרויקטים שהושלמו',
+            TECHNICAL_SKILLS: 'כישורים טכניים',
+            EXPERIENCE: 'ניסיון מקצועי',
+            SKILLS: 'כישורים ומומחיות',
+            SOFT_SKILLS: 'יכולות ליבה',
+            TOOLS: 'כלים',
+            DOMAIN_SKILLS: 'תחומי מומחיות',
+            LANGUAGES: 'שפות',
+            EDUCATION: 'השכלה',
+            PROJECTS: 'פרויקטים נבחרים',
+            CERTIFICATIONS: 'הסמכות',
+            CONTACT_TITLE: 'בואו נעבוד יחד',
+            CONTACT_TEXT: 'תמיד אשמח לשמוע על הזדמנויות חדשות ופרויקטים מעניינים.',
+            SEND_EMAIL: 'שליחת אימייל',
+            CALL_ME: 'התקשרו אליי',
+            RIGHTS: 'כל הזכויות שמורות.',
+            KEY_ACHIEVEMENTS: 'הישגים עיקריים:',
+            ACHIEVEMENTS: 'הישגים:',
+            GPA: 'ממוצע:',
+            TECHNOLOGIES: 'טכנולוגיות:',
+            VIEW_PROJECT: 'לצפייה בפרויקט ←',
+            VIEW_CERTIFICATE: 'לצפייה בתעודה',
+            LINKEDIN_PROFILE: 'פרופיל LinkedIn',
+            WEBSITE: 'אתר אינטרנט',
+            PRESENT: 'היום',
+            LANGUAGE_MENU: 'שפה',
+            LEVEL_BEGINNER: 'מתחיל',
+            LEVEL_INTERMEDIATE: 'בינוני',
+            LEVEL_ADVANCED: 'מתקדם',
+            LEVEL_EXPERT: 'מומחה'
+        }
+    },
+    ar: {
+        name: 'العربية',
+        dir: 'rtl',
+        labels: {
+            PROFILE: 'الملف المهني',
+            CONTACT_ME: 'تواصل معي',
+            ABOUT_ME: 'نبذة عني',
+            YEARS_EXPERIENCE: 'سنوات الخبرة',
+            PROJECTS_COMPLETED: 'مشاريع منجزة',
+            TECHNICAL_SKILLS: 'المهارات التقنية',
+            EXPERIENCE: 'الخبرة المهنية',
+            SKILLS: 'المهارات والخبرات',
+            SOFT_SKILLS: 'الكفاءات الأساسية',
+            TOOLS: 'الأدوات',
+            DOMAIN_SKILLS: 'مجالات الخبرة',
+            LANGUAGES: 'اللغات',
+            EDUCATION: 'التعليم',
+            PROJECTS: 'مشاريع مميزة',
+            CERTIFICATIONS: 'الشهادات',
+            CONTACT_TITLE: 'لنعمل معًا',
+            CONTACT_TEXT: 'يسعدني دائمًا التعرف على فرص جديدة ومشاريع مثيرة للاهتمام.',
+            SEND_EMAIL: 'إرسال بريد إلكتروني',
+            CALL_ME: 'اتصل بي',
+            RIGHTS: 'جميع الحقوق محفوظة.',
+            KEY_ACHIEVEMENTS: 'أبرز الإنجازات:',
+            ACHIEVEMENTS: 'الإنجازات:',
+            GPA: 'المعدل:',
+            TECHNOLOGIES: 'التقنيات:',
+            VIEW_PROJECT: 'عرض المشروع ←',
+            VIEW_CERTIFICATE: 'عرض الشهادة',
+            LINKEDIN_PROFILE: 'الملف الشخصي على LinkedIn',
+            WEBSITE: 'الموقع الإلكتروني',
+            PRESENT: 'حتى الآن',
+            LANGUAGE_MENU: 'اللغة',
+            LEVEL_BEGINNER: 'مبتدئ',
+            LEVEL_INTERMEDIATE: 'متوسط',
+            LEVEL_ADVANCED: 'متقدم',
+            LEVEL_EXPERT: 'خبير'
+        }
+    }
+};
@@ -0,0 +1,225 @@
+// File: constants/skills-taxonomy.js
+// Canonical skills by category, each with the other ways CVs write it. Aliases are
+// compared ignoring case, spaces, dots, hyphens and slashes, so "Node.js", "NodeJS" and
+// "node js" need only one entry; a trailing version ("Python 3", "Angular 17") is
+// dropped when only the name is known. See lib/skills-normalizer.js.
+
+module.exports = {
+    // Programming languages, frameworks, databases, platforms and techniques
+    technical: [
+        { name: 'JavaScript', aliases: ['JS', 'JavaScript ES6', 'ES6', 'ECMAScript', 'Vanilla JS', 'Vanilla JavaScript'] },
+        { name: 'TypeScript', aliases: ['TS'] },
+        { name: 'Python', aliases: ['Python3', 'Py'] },
+        { name: 'Java', aliases: ['Java SE', 'Java EE', 'J2EE', 'Core Java'] },
+        { name: 'C#', aliases: ['C Sharp', 'CSharp'] },
+        { name: 'C++', aliases: ['CPP', 'C plus plus'] },
+        { name: 'C', aliases: ['ANSI C'] },
+        { name: 'Go', aliases: ['Golang'] },
+        { name: 'Rust', aliases: [] },
+        { name: 'Ruby', aliases: [] },
+        { name: 'PHP', aliases: [] },
+        { name: 'Kotlin', aliases: [] },
+        { name: 'Swift', aliases: [] },
+        { name: 'Objective-C', aliases: ['ObjC'] },
+        { name: 'Scala', aliases: [] },
+        { name: 'R', aliases: ['R language', 'R programming'] },
+        { name: 'MATLAB', aliases: [] },
+        { name: 'Dart', aliases: [] },
+        { name: 'Elixir', aliases: [] },
+        { name: 'Haskell', aliases: [] },
+        { name: 'Perl', aliases: [] },
+        { name: 'Shell Scripting', aliases: ['Bash', 'Shell', 'Bash Scripting', 'Zsh'] },
+        { name: 'PowerShell', aliases: [] },
+        { name: 'SQL', aliases: ['Structured Query Language', 'T-SQL', 'PL/SQL'] },
+        { name: 'HTML', aliases: ['HTML5'] },
+        { name: 'CSS', aliases: ['CSS3'] },
+        { name: 'Sass', aliases: ['SCSS'] },
+        { name: 'Tailwind CSS', aliases: ['Tailwind', 'TailwindCSS'] },
+        { name: 'Bootstrap', aliases: [] },
+        { name: 'React', aliases: ['React.js', 'ReactJS'] },
+        { name: 'React Native', aliases: [] },
+        { name: 'Angular', aliases: ['Angular 2+', 'Angular2'] },
+        { name: 'AngularJS', aliases: ['Angular.js', 'Angular 1'] },
+        { name: 'Vue.js', aliases: ['Vue', 'VueJS'] },
+        { name: 'Svelte', aliases: [] },
+        { name: 'Next.js', aliases: ['Next', 'NextJS'] },
+        { name: 'Redux', aliases: [] },
+        { name: 'jQuery', aliases: [] },
+        { name: 'Node.js', aliases: ['Node', 'NodeJS'] },
+        { name: 'Express', aliases: ['Express.js', 'ExpressJS'] },
+        { name: 'NestJS', aliases: ['Nest', 'Nest.js'] },
+        { name: 'Django', aliases: [] },
+        { name: 'Flask', aliases: [] },
+        { name: 'FastAPI', aliases: [] },
+        { name: 'Spring', aliases: ['Spring Framework', 'Spring Boot', 'SpringBoot'] },
+        { name: 'Ruby on Rails', aliases: ['Rails', 'RoR'] },
+        { name: 'Laravel', aliases: [] },
+        { name: '.NET', aliases: ['dotnet', 'dot net', '.NET Core', 'ASP.NET', 'ASP.NET Core'] },
+        { name: 'Flutter', aliases: [] },
+        { name: 'GraphQL', aliases: [] },
+        { name: 'REST APIs', aliases: ['REST', 'RESTful', 'RESTful APIs', 'REST API', 'RESTful services'] },
+        { name: 'Microservices', aliases: ['Microservice Architecture', 'Micro-services'] },
+        { name: 'PostgreSQL', aliases: ['Postgres', 'PostgresSQL', 'psql'] },
+        { name: 'MySQL', aliases: [] },
+        { name: 'MariaDB', aliases: [] },
+        { name: 'SQLite', aliases: [] },
+        { name: 'Microsoft SQL Server', aliases: ['MSSQL', 'MS SQL', 'SQL Server'] },
+        { name: 'Oracle Database', aliases: ['Oracle', 'Oracle DB'] },
+        { name: 'MongoDB', aliases: ['Mongo'] },
+        { name: 'Redis', aliases: [] },
+        { name: 'Elasticsearch', aliases: ['Elastic Search', 'ELK'] },
+        { name: 'Cassandra', aliases: ['Apache Cassandra'] },
+        { name: 'DynamoDB', aliases: ['Amazon DynamoDB'] },
+        { name: 'Apache Kafka', aliases: ['Kafka'] },
+        { name: 'RabbitMQ', aliases: [] },
+        { name: 'Apache Spark', aliases: ['Spark', 'PySpark'] },
+        { name: 'Hadoop', aliases: ['Apache Hadoop'] },
+        { name: 'AWS', aliases: ['Amazon Web Services', 'Amazon AWS'] },
+        { name: 'Microsoft Azure', aliases: ['Azure'] },
+        { name: 'Google Cloud', aliases: ['GCP', 'Google Cloud Platform'] },
+        { name: 'Linux', aliases: ['Unix', 'Linux/Unix', 'Ubuntu'] },
+        { name: 'Machine Learning', aliases: ['ML'] },
+        { name: 'Deep Learning', aliases: ['DL'] },
+        { name: 'Natural Language Processing', aliases: ['NLP'] },
+        { name: 'Computer Vision', aliases: ['CV (Computer Vision)'] },
+        { name: 'TensorFlow', aliases: ['Tensor Flow'] },
+        { name: 'PyTorch', aliases: ['Torch'] },
+        { name: 'scikit-learn', aliases: ['sklearn', 'scikit learn'] },
+        { name: 'pandas', aliases: [] },
+        { name: 'NumPy', aliases: [] },
+        { name: 'CI/CD', aliases: ['CICD', 'Continuous Integration', 'Continuous Delivery', 'Continuous Deployment'] },
+        { name: 'Test Automation', aliases: ['Automated Testing', 'Automation Testing'] },
+        { name: 'Unit Testing', aliases: ['Unit Tests', 'TDD', 'Test-Driven Development'] },
+        { name: 'Cybersecurity', aliases: ['Cyber Security', 'Information Security', 'InfoSec', 'IT Security'] },
+        { name: 'Networking', aliases: ['Computer Networking', 'TCP/IP'] }
+    ],
+
+    // Software, services and products used to get the work done
+    tools: [
+        { name: 'Git', aliases: ['Git SCM'] },
+        { name: 'GitHub', aliases: [] },
+        { name: 'GitLab', aliases: [] },
+        { name: 'Bitbucket', aliases: [] },
+        { name: 'GitHub Actions', aliases: [] },
+        { name: 'GitLab CI', aliases: ['GitLab CI/CD'] },
+        { name: 'Jenkins', aliases: [] },
+        { name: 'CircleCI', aliases: ['Circle CI'] },
+        { name: 'Docker', aliases: ['Docker Compose'] },
+        { name: 'Kubernetes', aliases: ['K8s', 'K8'] },
+        { name: 'Helm', aliases: [] },
+        { name: 'Terraform', aliases: [] },
+        { name: 'Ansible', aliases: [] },
+        { name: 'Prometheus', aliases: [] },
+        { name: 'Grafana', aliases: [] },
+        { name: 'Datadog', aliases: ['Data Dog'] },
+        { name: 'Webpack', aliases: [] },
+        { name: 'Vite', aliases: [] },
+        { name: 'npm', aliases: [] },
+        { name: 'Postman', aliases: [] },
+        { name: 'Visual Studio Code', aliases: ['VS Code', 'VSCode'] },
+        { name: 'Visual Studio', aliases: [] },
+        { name: 'IntelliJ IDEA', aliases: ['IntelliJ'] },
+        { name: 'Jira', aliases: ['Atlassian Jira', 'JIRA Software'] },
+        { name: 'Confluence', aliases: ['Atlassian Confluence'] },
+        { name: 'Trello', aliases: [] },
+        { name: 'Asana', aliases: [] },
+        { name: 'Notion', aliases: [] },
+        { name: 'Slack', aliases: [] },
+        { name: 'Microsoft Teams', aliases: ['MS Teams', 'Teams'] },
+        { name: 'Figma', aliases: [] },
+        { name: 'Sketch', aliases: [] },
+        { name: 'Adobe XD', aliases: ['XD'] },
+        { name: 'Adobe Photoshop', aliases: ['Photoshop', 'PS'] },
+        { name: 'Adobe Illustrator', aliases: ['Illustrator', 'AI (Illustrator)'] },
+        { name: 'Adobe InDesign', aliases: ['InDesign'] },
+        { name: 'Adobe Premiere Pro', aliases: ['Premiere Pro', 'Premiere'] },
+        { name: 'Microsoft Excel', aliases: ['Excel', 'MS Excel', 'Advanced Excel'] },
+        { name: 'Microsoft Word', aliases: ['Word', 'MS Word'] },
+        { name: 'Microsoft PowerPoint', aliases: ['PowerPoint', 'MS PowerPoint'] },
+        { name: 'Microsoft Office', aliases: ['MS Office', 'Office 365', 'Microsoft 365', 'M365'] },
+        { name: 'Google Workspace', aliases: ['G Suite', 'GSuite', 'Google Docs', 'Google Sheets'] },
+        { name: 'Tableau', aliases: [] },
+        { name: 'Power BI', aliases: ['PowerBI', 'Microsoft Power BI'] },
+        { name: 'Looker', aliases: [] },
+        { name: 'Google Analytics', aliases: ['GA', 'GA4'] },
+        { name: 'Salesforce', aliases: ['SFDC', 'Salesforce CRM'] },
+        { name: 'HubSpot', aliases: [] },
+        { name: 'SAP', aliases: ['SAP ERP', 'SAP S/4HANA'] },
+        { name: 'QuickBooks', aliases: [] },
+        { name: 'AutoCAD', aliases: ['Auto CAD'] },
+        { name: 'SolidWorks', aliases: ['Solid Works'] },
+        { name: 'WordPress', aliases: ['WP'] },
+        { name: 'Shopify', aliases: [] }
+    ],
+
+    // Interpersonal and transferable skills
+    soft: [
+        { name: 'Communication', aliases: ['Communication Skills', 'Verbal Communication', 'Written Communication'] },
+        { name: 'Teamwork', aliases: ['Team Work', 'Team Player', 'Collaboration', 'Team Collaboration'] },
+        { name: 'Leadership', aliases: ['Team Leadership', 'Leading Teams', 'People Leadership'] },
+        { name: 'Problem Solving', aliases: ['Problem-Solving Skills', 'Problem Solving Skills', 'Troubleshooting'] },
+        { name: 'Critical Thinking', aliases: ['Analytical Thinking', 'Analytical Skills'] },
+        { name: 'Time Management', aliases: ['Prioritization', 'Prioritisation'] },
+        { name: 'Adaptability', aliases: ['Flexibility', 'Adaptable'] },
+        { name: 'Creativity', aliases: ['Creative Thinking'] },
+        { name: 'Attention to Detail', aliases: ['Detail-Oriented', 'Detail Oriented'] },
+        { name: 'Mentoring', aliases: ['Coaching', 'Mentorship'] },
+        { name: 'Public Speaking', aliases: ['Presentation Skills', 'Presenting', 'Presentations'] },
+        { name: 'Negotiation', aliases: ['Negotiating'] },
+        { name: 'Conflict Resolution', aliases: ['Conflict Management'] },
+        { name: 'Stakeholder Management', aliases: ['Stakeholder Communication', 'Stakeholder Engagement'] },
+        { name: 'Customer Service', aliases: ['Customer Support', 'Client Service'] },
+        { name: 'Decision Making', aliases: ['Decision-Making'] },
+        { name: 'Emotional Intelligence', aliases: ['EQ', 'Empathy'] },
+        { name: 'Self-Motivation', aliases: ['Self Motivated', 'Self-Starter', 'Proactive'] },
+        { name: 'Organization', aliases: ['Organisation', 'Organizational Skills', 'Organisational Skills'] },
+        { name: 'Multitasking', aliases: ['Multi-tasking'] },
+        { name: 'Interpersonal Skills', aliases: ['People Skills'] },
+        { name: 'Work Ethic', aliases: ['Reliability'] }
+    ],
+
+    // Fields of knowledge and ways of working
+    domain: [
+        { name: 'Agile', aliases: ['Agile Methodologies', 'Agile Methodology', 'Agile Development'] },
+        { name: 'Scrum', aliases: ['Scrum Methodology'] },
+        { name: 'Kanban', aliases: [] },
+        { name: 'Project Management', aliases: ['PM', 'Project Planning'] },
+        { name: 'Product Management', aliases: ['Product Ownership'] },
+        { name: 'Software Architecture', aliases: ['System Design', 'Systems Architecture', 'Solution Architecture'] },
+        { name: 'DevOps', aliases: [] },
+        { name: 'Data Analysis', aliases: ['Data Analytics', 'Analytics'] },
+        { name: 'Data Science', aliases: [] },
+        { name: 'Data Engineering', aliases: [] },
+        { name: 'Business Intelligence', aliases: ['BI'] },
+        { name: 'UX Design', aliases: ['User Experience', 'UX', 'User Experience Design'] },
+        { name: 'UI Design', aliases: ['User Interface Design', 'UI'] },
+        { name: 'User Research', aliases: ['UX Research'] },
+        { name: 'Graphic Design', aliases: [] },
+        { name: 'Digital Marketing', aliases: ['Online Marketing'] },
+        { name: 'SEO', aliases: ['Search Engine Optimization', 'Search Engine Optimisation'] },
+        { name: 'Content Marketing', aliases: ['Content Strategy'] },
+        { name: 'Social Media Marketing', aliases: ['Social Media', 'SMM'] },
+        { name: 'Sales', aliases: ['B2B Sales', 'Selling'] },
+        { name: 'Business Development', aliases: ['BizDev'] },
+        { name: 'Accounting', aliases: ['Bookkeeping'] },
+        { name: 'Financial Analysis', aliases: ['Financial Modeling', 'Financial Modelling'] },
+        { name: 'Budgeting', aliases: ['Budget Management'] },
+        { name: 'E-commerce', aliases: ['Ecommerce', 'eCommerce', 'Online Retail'] },
+        { name: 'FinTech', aliases: ['Financial Technology'] },
+        { name: 'Payments', aliases: ['Payment Systems', 'Payment Processing'] },
+        { name: 'Healthcare', aliases: ['Health Care'] },
+        { name: 'Supply Chain Management', aliases: ['Supply Chain', 'SCM', 'Logistics'] },
+        { name: 'Human Resources', aliases: ['HR', 'HR Management'] },
+        { name: 'Recruitment', aliases: ['Recruiting', 'Talent Acquisition'] },
+        { name: 'Quality Assurance', aliases: ['QA', 'Quality Control'] },
+        { name: 'Risk Management', aliases: ['Risk Assessment'] },
+        { name: 'Compliance', aliases: ['Regulatory Compliance'] },
+        { name: 'GDPR', aliases: ['Data Protection'] },
+        { name: 'Contract Law', aliases: ['Contracts'] },
+        { name: 'Legal Research', aliases: [] },
+        { name: 'Curriculum Design', aliases: ['Curriculum Development'] },
+        { name: 'Lean', aliases: ['Lean Management', 'Lean Manufacturing'] },
+        { name: 'Six Sigma', aliases: ['Lean Six Sigma'] },
+        { name: 'ITIL', aliases: [] }
+    ]
+};
@@ -4,10 +4,11 @@
 module.exports = {
     // File handling
     TEMPLATE_FILES: ['styles.css', 'script.js', 'README.md'],
-    GENERATED_FILES: ['index.html', 'styles.css', 'script.js', 'data.js', 'README.md'],
+    GENERATED_FILES: ['index.html', 'styles.css', 'script.js', 'README.md'],
 
     // Parsing thresholds
     MIN_JOB_LINE_LENGTH: 20,
+    MAX_DATE_LINE_WORDS: 3, // Beyond dates and a location, a date line is an entry header itself
     SUMMARY_EXCERPT_LENGTH: 150,
     SKILLS_KEYWORD_LIMIT: 10,
     MAX_YEARS_CAP: 50,
@@ -16,6 +17,9 @@ module.exports = {
     // Text patterns
     BULLET_CHARS: ['•', '-', '*'],
 
+    // Display format for dates ("Mar 2021")
+    MONTH_NAMES: ['Jan', 'Feb', 'Mar', 'Apr', 'May', 'Jun', 'Jul', 'Aug', 'Sep', 'Oct', 'Nov', 'Dec'],
+
     // Regular expressions
     PATTERNS: {
         DATE: /\d{1,2}\/\d{4}|\d{4}/,
@@ -3,6 +3,7 @@
 const { query } = require('./index');
 const encryptionService = require('../lib/utils/encryption');
 const InputSanitizer = require('../lib/utils/input-sanitizer');
+const { THEMES } = require('../constants');
 
 // ==========================================
 // USER SERVICES
@@ -128,48 +129,122 @@ const checkDailyApiUsage = async (userId, apiType) => {
     }
 };
 
-const checkApiLimits = async (userId, apiType) => {
+// A limit from the environment; 0 turns it off
+const envLimit = (name, fallback) => {
+    const value = parseInt(process.env[name], 10);
+    return Number.isNaN(value) ? fallback : value;
+};
+
+/**
+ * Daily limits per user for an LLM provider (api_usage.api_type); 0 means unlimited
+ * @returns {{daily_requests: number, daily_tokens: number}|null} null when none are defined
+ */
+const getApiLimits = (apiType) => {
     const limits = {
         'gemini': {
-            daily_requests: parseInt(process.env.GEMINI_DAILY_LIMIT) || 50,
-            monthly_tokens: parseInt(process.env.GEMINI_MONTHLY_TOKEN_LIMIT) || 100000
+            daily_requests: envLimit('GEMINI_DAILY_LIMIT', 50),
+            daily_tokens: envLimit('GEMINI_DAILY_TOKEN_LIMIT', 500000)
+        },
+        'openai': {
+            daily_requests: envLimit('OPENAI_DAILY_LIMIT', 0),
+            daily_tokens: envLimit('OPENAI_DAILY_TOKEN_LIMIT', 500000)
+        },
+        'ollama': {
+            daily_requests: envLimit('OLLAMA_DAILY_LIMIT', 0),
+            daily_tokens: envLimit('OLLAMA_DAILY_TOKEN_LIMIT', 0)
         }
     };
+    return limits[apiType] || null;
+};
+
+const checkApiLimits = async (userId, apiType) => {
+    const limit = getApiLimits(apiType);
     
-    if (!limits[apiType]) {
+    if (!limit) {
         return { allowed: true, reason: 'No limits defined' };
     }
     
     const usage = await checkDailyApiUsage(userId, apiType);
-    const limit = limits[apiType];
     
-    if (usage.request_count >= limit.daily_requests) {
+    if (limit.daily_requests && usage.request_count >= limit.daily_requests) {
         return { 
             allowed: false, 
             reason: `Daily limit of ${limit.daily_requests} requests exceeded. Used: ${usage.request_count}`,
             resetTime: 'tomorrow'
         };
     }
+
+    if (limit.daily_tokens && usage.token_count >= limit.daily_tokens) {
+        return {
+            allowed: false,
+            reason: `Daily limit of ${limit.daily_tokens} tokens exceeded. Used: ${usage.token_count}`,
+            resetTime: 'tomorrow'
+        };
+    }
     
     return { 
         allowed: true, 
-        remaining: limit.daily_requests - usage.request_count 
+        remaining: limit.daily_requests ? limit.daily_requests - usage.request_count : null,
+        remainingTokens: limit.daily_tokens ? limit.daily_tokens - usage.token_count : null
     };
 };
 
+/**
+ * A user's requests and tokens per provider and day, newest first
+ * @param {string} userId
+ * @param {number} days - How many days back, today included
+ */
+const getUserApiUsage = async (userId, days) => {
+    try {
+        const result = await query(`
+            SELECT api_type, to_char(usage_date, 'YYYY-MM-DD') AS usage_date, request_count, token_count
+            FROM api_usage
+            WHERE user_id = $1 AND usage_date > CURRENT_DATE - $2::int
+            ORDER BY usage_date DESC, api_type
+        `, [userId, days]);
+        return result.rows;
+    } catch (error) {
+        console.error('Error getting user API usage:', error);
+        throw error;
+    }
+};
+
+/**
+ * Requests, tokens and distinct users per provider and day across all users, newest first
+ * @param {number} days - How many days back, today included
+ */
+const getGlobalApiUsage = async (days) => {
+    try {
+        const result = await query(`
+            SELECT api_type, to_char(usage_date, 'YYYY-MM-DD') AS usage_date,
+                   SUM(request_count)::int AS request_count,
+                   SUM(token_count)::int AS token_count,
+                   COUNT(DISTINCT user_id)::int AS user_count
+            FROM api_usage
+            WHERE usage_date > CURRENT_DATE - $1::int
+            GROUP BY api_type, usage_date
+            ORDER BY usage_date DESC, api_type
+        `, [days]);
+        return result.rows;
+    } catch (error) {
+        console.error('Error getting global API usage:', error);
+        throw error;
+    }
+};
+
 // ==========================================
 // FILE UPLOAD SERVICES (replaces uploadedFiles Map)
 // ==========================================
 
 const saveFileUpload = async (fileData) => {
-    const { id, user_id, filename, original_filename, filepath, file_size, mime_type, extracted_text, structured_data } = fileData;
+    const { id, user_id, filename, original_filename, filepath, file_size, mime_type, file_hash, extracted_text, structured_data } = fileData;
 
     try {
         const result = await query(`
-            INSERT INTO file_uploads (id, user_id, filename, original_filename, filepath, file_size, mime_type, extracted_text, structured_data)
-            VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9)
+            INSERT INTO file_uploads (id, user_id, filename, original_filename, filepath, file_size, mime_type, file_hash, extracted_text, structured_data)
+            VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10)
             RETURNING *;
-        `, [id, user_id, filename, original_filename || filename, filepath, file_size, mime_type, extracted_text, JSON.stringify(structured_data)]);
+        `, [id, user_id, filename, original_filename || filename, filepath, file_size, mime_type, file_hash || null, extracted_text, JSON.stringify(structured_data)]);
 
         const file = result.rows[0];
         if (file.structured_data && typeof file.structured_data === 'string') {
@@ -226,7 +301,7 @@ const updateFileUpload = async (fileId, updates) => {
 // ==========================================
 
 const saveGeneratedSite = async (siteData) => {
-    const { id, user_id, name, structured_data, html_content, css_content, folder_path } = siteData;
+    const { id, user_id, name, structured_data, html_content, css_content, folder_path, template_id, theme, parent_site_id, tailoring } = siteData;
     
     try {
         // Generate repo_name from site name
@@ -236,10 +311,11 @@ const saveGeneratedSite = async (siteData) => {
             
         const result = await query(`
             INSERT INTO user_sites 
-            (id, user_id, site_name, repo_name, github_url, cv_data, html_content, css_content, folder_path, deployment_status)
-            VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, 'generated')
+            (id, user_id, site_name, repo_name, github_url, cv_data, html_content, css_content, folder_path, template_id, theme, parent_site_id, tailoring, deployment_status)
+            VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, COALESCE($10, 'professional'), $11, $12, $13, 'generated')
             RETURNING *;
-        `, [id, user_id, name, repo_name, '', JSON.stringify(structured_data), html_content, css_content, folder_path]);
+        `, [id, user_id, name, repo_name, '', JSON.stringify(structured_data), html_content, css_content, folder_path, template_id, JSON.stringify(theme || {}),
+            parent_site_id || null, tailoring ? JSON.stringify(tailoring) : null]);
         
         const site = result.rows[0];
         if (site.cv_data && typeof site.cv_data === 'string') {
@@ -319,6 +395,23 @@ const getUserSites = async (userId) => {
     }
 };
 
+// Sites tailored from a site, newest first (user_sites.parent_site_id)
+const getSiteVariants = async (parentSiteId) => {
+    try {
+        const result = await query(`
+            SELECT id, site_name, repo_name, pages_url, template_id, tailoring, deployment_status, created_at
+            FROM user_sites
+            WHERE parent_site_id = $1
+            ORDER BY created_at DESC
+        `, [parentSiteId]);
+
+        return result.rows;
+    } catch (error) {
+        console.error('Error getting site variants:', error);
+        throw error;
+    }
+};
+
 // ==========================================
 // LOGGING SERVICES
 // ==========================================
@@ -355,9 +448,9 @@ const createDefaultPreferences = async (userId) => {
     try {
         const result = await query(`
             INSERT INTO user_preferences (user_id, vercel_enabled, email_notifications, theme_preference)
-            VALUES ($1, FALSE, TRUE, 'professional')
+            VALUES ($1, FALSE, TRUE, $2)
             RETURNING *;
-        `, [userId]);
+        `, [userId, THEMES.DEFAULT_MODE]);
         return result.rows[0];
     } catch (error) {
         console.error('Error creating default preferences:', error);
@@ -411,6 +504,8 @@ const exportUserData = async (userId) => {
                 github_url: site.github_url,
                 pages_url: site.pages_url,
                 cv_data: site.cv_data,
+                parent_site_id: site.parent_site_id,
+                tailoring: site.tailoring,
                 deployment_status: site.deployment_status,
                 created_at: site.created_at
             })),
@@ -551,6 +646,9 @@ module.exports = {
     // API Usage Tracking (Free Tier Protection)
     trackApiUsage,
     checkApiLimits,
+    getApiLimits,
+    getUserApiUsage,
+    getGlobalApiUsage,
 
     // File upload services (replaces uploadedFiles Map)
     saveFileUpload,
@@ -562,6 +660,7 @@ module.exports = {
     getGeneratedSiteById,
     updateSiteDeployment,
     getUserSites,
+    getSiteVariants,
 
     // User preferences (existing functionality)
     getUserPreferences,
@@ -0,0 +1,240 @@
+// File: lib/achievement-coach.js - Stronger experience[].achievements
+// Flags bullets without a measurable outcome or an action verb, has the LLM propose a
+// rewrite and ask for the missing figures, and merges the user's answers back into the
+// experience entries. Every review and every round of answers is a step of a
+// cv_processing_sessions row, so what changed and why can be looked up afterwards.
+// Contact details are redacted from the prompts when the user asks for it.
+
+const LLMAssistant = require('./llm-assistant');
+const CVSessionService = require('./services/cv-session-service');
+const { ACHIEVEMENT_COACH } = require('../constants');
+
+const { ISSUES } = ACHIEVEMENT_COACH;
+
+class AchievementCoach extends LLMAssistant {
+    /**
+     * @param {Object} [options] - As for LLMAssistant, plus the session service to keep the history in
+     */
+    constructor(options = {}) {
+        super(options);
+        this.sessionService = options.sessionService || new CVSessionService();
+    }
+
+    /**
+     * Every achievement of every entry, with the issues found by the rules
+     * @param {Object[]} experience - Structured CV experience entries
+     * @returns {{id: string, experienceIndex: number, achievementIndex: number, role: string, text: string, issues: string[]}[]}
+     *   id is "experienceIndex.achievementIndex"
+     */
+    analyze(experience) {
+        return experience.flatMap((entry, experienceIndex) => (Array.isArray(entry.achievements) ? entry.achievements : [])
+            .map((achievement, achievementIndex) => {
+                const text = String(achievement || '').trim();
+                return {
+                    id: `${experienceIndex}.${achievementIndex}`,
+                    experienceIndex,
+                    achievementIndex,
+                    role: [entry.title, entry.company].filter(Boolean).join(' at '),
+                    text,
+                    issues: text ? this.findIssues(text) : []
+                };
+            })
+            .filter(bullet => bullet.text));
+    }
+
+    findIssues(text) {
+        const issues = [];
+        if (!ACHIEVEMENT_COACH.MEASURABLE_PATTERN.test(text)) {
+            issues.push(ISSUES.NO_METRIC);
+        }
+        if (!this.startsWithActionVerb(text)) {
+            issues.push(ISSUES.WEAK_VERB);
+        }
+        return issues;
+    }
+
+    /**
+     * A listed action verb, or another past tense ("Architected") that is not one of
+     * the weak ones; "Build" and "Reduce" count as the verbs they are the present of
+     */
+    startsWithActionVerb(text) {
+        if (ACHIEVEMENT_COACH.WEAK_OPENING.test(text)) {
+            return false;
+        }
+
+        const word = (text.match(/^[^A-Za-z]*([A-Za-z]+)/) || [])[1]?.toLowerCase() || '';
+        if (ACHIEVEMENT_COACH.WEAK_VERBS.includes(word)) {
+            return false;
+        }
+        return ACHIEVEMENT_COACH.ACTION_VERBS.includes(word) ||
+            ACHIEVEMENT_COACH.ACTION_VERBS.some(verb => verb === `${word}d` || verb === `${word}ed`) ||
+            (word.length > 4 && word.endsWith('ed'));
+    }
+
+    /**
+     * Review the achievements: the rules flag weak bullets, the LLM proposes a rewrite
+     * of each and asks what would quantify it. Starts the session the answers go to.
+     * @param {string} userId
+     * @param {Object[]} experience - Structured CV experience entries
+     * @returns {Promise<{sessionId: string, provider: string|null, bullets: Object[], summary: Object, tokenUsage: Object|null}>}
+     *   Weak bullets carry a suggestion (null if the model gave none) and questions [{id, text}]
+     * @throws {Error} with status 503, 429 or 502 as LLMAssistant - only when a bullet needs the LLM
+     */
+    async review(userId, experience) {
+        const bullets = this.analyze(experience);
+        const weak = bullets.filter(bullet => bullet.issues.length > 0);
+
+        let tokenUsage = null;
+        if (weak.length > 0) {
+            const redactor = await this.createRedactor(userId);
+            const response = await this.sendForJSON(userId, this.buildReviewPrompt(weak, redactor), 'Reviewing achievements');
+            const data = redactor ? redactor.restore(response.data) : response.data;
+            tokenUsage = response.tokenUsage;
+
+            const reviews = new Map((Array.isArray(data.bullets) ? data.bullets : [])
+                .map(review => [String(review.id), review]));
+            weak.forEach(bullet => {
+                const review = reviews.get(bullet.id) || {};
+                bullet.suggestion = this.cleanText(review.suggestion) || null;
+                bullet.questions = (Array.isArray(review.questions) ? review.questions : [])
+                    .map(question => this.cleanText(question))
+                    .filter(Boolean)
+                    .slice(0, ACHIEVEMENT_COACH.MAX_QUESTIONS)
+                    .map((question, index) => ({ id: `${bullet.id}-${index + 1}`, text: question }));
+            });
+        }
+
+        const summary = {
+            total: bullets.length,
+            weak: weak.length,
+            noMetric: weak.filter(bullet => bullet.issues.includes(ISSUES.NO_METRIC)).length,
+            weakVerb: weak.filter(bullet => bullet.issues.includes(ISSUES.WEAK_VERB)).length
+        };
+
+        const sessionId = await this.sessionService.createSession(userId, weak.map(bullet => bullet.text).join('\n').slice(0, 500), {
+            type: ACHIEVEMENT_COACH.SESSION_TYPE,
+            provider: this.provider
+        });
+        await this.sessionService.storeStepResult(sessionId, ACHIEVEMENT_COACH.ANALYSIS_STEP, { experience, bullets, summary },
+            bullets.length > 0 ? (bullets.length - weak.length) / bullets.length : 1, { provider: this.provider, tokenUsage });
+
+        return { sessionId, provider: this.provider, bullets, summary, tokenUsage };
+    }
+
+    /**
+     * Rewrite the bullets the user answered questions about, with the figures from
+     * the answers, in the session's latest copy of the experience entries
+     * @param {string} userId
+     * @param {string} sessionId - From review()
+     * @param {{questionId: string, answer: string}[]} answers
+     * @returns {Promise<{sessionId: string, experience: Object[], changes: {bulletId: string, before: string, after: string}[], tokenUsage: Object}>}
+     * @throws {Error} with status 404 for a session that is not the user's review or has
+     *   expired, 400 when no answer belongs to one of its questions, or as LLMAssistant
+     */
+    async applyAnswers(userId, sessionId, answers) {
+        const session = await this.findReview(userId, sessionId);
+        const analysis = session.steps[ACHIEVEMENT_COACH.ANALYSIS_STEP].data;
+        const experience = JSON.parse(JSON.stringify(session.steps[session.currentStep].data.experience));
+
+        const questions = new Map(analysis.bullets.flatMap(bullet => (bullet.questions || [])
+            .map(question => [question.id, { bullet, question: question.text }])));
+        const answered = answers
+            .filter(answer => questions.has(answer.questionId) && String(answer.answer || '').trim())
+            .map(answer => ({ ...questions.get(answer.questionId), questionId: answer.questionId, answer: answer.answer.trim() }));
+        if (answered.length === 0) {
+            throw this.createError('None of the answers belong to a question of this review', 400);
+        }
+
+        const groups = new Map();
+        answered.forEach(({ bullet, question, answer }) => {
+            if (!groups.has(bullet.id)) {
+                groups.set(bullet.id, {
+                    bullet,
+                    text: experience[bullet.experienceIndex]?.achievements?.[bullet.achievementIndex] ?? bullet.text,
+                    answers: []
+                });
+            }
+            groups.get(bullet.id).answers.push({ question, answer });
+        });
+
+        const redactor = await this.createRedactor(userId);
+        const { data, tokenUsage } = await this.sendForJSON(userId, this.buildAnswersPrompt([...groups.values()], redactor), 'Adding answers to achievements');
+        const bullets = redactor ? redactor.restore(data.bullets) : data.bullets;
+        const rewrites = new Map((Array.isArray(bullets) ? bullets : []).map(rewrite => [String(rewrite.id), this.cleanText(rewrite.text)]));
+
+        const changes = [];
+        groups.forEach(({ bullet, text }, bulletId) => {
+            const after = rewrites.get(bulletId);
+            if (after && after !== text && experience[bullet.experienceIndex]?.achievements) {
+                experience[bullet.experienceIndex].achievements[bullet.achievementIndex] = after;
+                changes.push({ bulletId, before: text, after });
+            }
+        });
+
+        const round = Object.keys(session.steps).filter(step => step.startsWith(`${ACHIEVEMENT_COACH.ANSWERS_STEP}_`)).length + 1;
+        await this.sessionService.storeStepResult(sessionId, `${ACHIEVEMENT_COACH.ANSWERS_STEP}_${round}`, {
+            answers: answered.map(({ bullet, questionId, question, answer }) => ({ bulletId: bullet.id, questionId, question, answer })),
+            changes,
+            experience
+        }, 1.0, { provider: this.provider, tokenUsage });
+
+        return { sessionId, experience, changes, tokenUsage };
+    }
+
+    /**
+     * The review's steps in the order they were taken
+     * @returns {Promise<{sessionId: string, createdAt: string, steps: {step: string, timestamp: string, data: Object, metadata: Object}[]}>}
+     * @throws {Error} with status 404 as applyAnswers
+     */
+    async getHistory(userId, sessionId) {
+        const session = await this.findReview(userId, sessionId);
+        const steps = Object.entries(session.steps)
+            .map(([step, { timestamp, data, metadata }]) => ({ step, timestamp, data, metadata }))
+            .sort((a, b) => a.timestamp.localeCompare(b.timestamp));
+
+        return { sessionId, createdAt: session.createdAt, steps };
+    }
+
+    async findReview(userId, sessionId) {
+        const session = await this.sessionService.getUserSession(sessionId, userId);
+        if (!session || session.processingMetadata.type !== ACHIEVEMENT_COACH.SESSION_TYPE ||
+            !session.steps[ACHIEVEMENT_COACH.ANALYSIS_STEP]) {
+            throw this.createError('Achievement review not found or expired', 404);
+        }
+        return session;
+    }
+
+    buildReviewPrompt(bullets, redactor = null) {
+        const entries = bullets.map(({ id, role, text, issues }) => ({ id, role, text, issues }));
+        return `Review these achievement bullets from a CV. Each one lacks a measurable outcome (${ISSUES.NO_METRIC}), opens with a duty rather than an action verb (${ISSUES.WEAK_VERB}), or both.
+
+For every bullet give:
+- "suggestion": a stronger version that opens with an action verb and states the result. Keep to the facts in the bullet; where a figure is missing, put a placeholder in square brackets such as [number of users] - never invent numbers.
+- "questions": up to ${ACHIEVEMENT_COACH.MAX_QUESTIONS} short questions to the candidate whose answers would supply the missing figures or scope, such as "How many users did this serve?"
+
+Write in the language of the bullet.${this.placeholderInstructions(redactor)}
+
+BULLETS:
+${JSON.stringify(redactor ? redactor.redact(entries) : entries, null, 2)}
+
+Answer with {"bullets": [{"id": "<id of the bullet>", "suggestion": "...", "questions": ["..."]}]}`;
+    }
+
+    buildAnswersPrompt(groups, redactor = null) {
+        const entries = groups.map(({ bullet, text, answers }) => ({ id: bullet.id, role: bullet.role, text, answers }));
+        return `Rewrite these achievement bullets from a CV with the candidate's answers to questions about them.
+
+Open with an action verb and state the outcome with the figures from the answers, in one sentence. Use only facts from the bullet and the answers, and leave no placeholders for missing figures in square brackets. Write in the language of the bullet.${this.placeholderInstructions(redactor)}
+
+BULLETS:
+${JSON.stringify(redactor ? redactor.redact(entries) : entries, null, 2)}
+
+Answer with {"bullets": [{"id": "<id of the bullet>", "text": "..."}]}`;
+    }
+
+    cleanText(value) {
+        return typeof value === 'string' ? value.replace(/\s+/g, ' ').trim() : '';
+    }
+}
+
+module.exports = AchievementCoach;
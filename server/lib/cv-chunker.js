@@ -0,0 +1,232 @@
+// File: lib/cv-chunker.js - Long CVs in several LLM calls
+// Splits CV text that is too long for one prompt at section headings, repeats the
+// opening of the CV in every chunk for context, and merges the partial results.
+
+const { CV_CHUNKING, RULE_EXTRACTION } = require('../constants');
+
+const escapeRegExp = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// Longest first, so "WORK EXPERIENCE" is matched rather than "EXPERIENCE"
+const HEADING_NAMES = Object.values(RULE_EXTRACTION.SECTIONS).flat().sort((a, b) => b.length - a.length);
+// Cleaned text is one line, so headings are found as upper-case words ("WORK EXPERIENCE")...
+const INLINE_HEADING = new RegExp(`(?<![A-Za-z])(?:${HEADING_NAMES.map(name => escapeRegExp(name.toUpperCase())).join('|')})(?![A-Za-z])`, 'g');
+// ...or, in text from a PDF block map, as lines of their own
+const LINE_HEADING = new RegExp(`^[ \\t]*(?:${HEADING_NAMES.map(escapeRegExp).join('|')})[ \\t]*:?[ \\t]*$`, 'gim');
+
+// Room left in every chunk for the "[Part 2 of 5 ...]" notes
+const NOTES_LENGTH = 200;
+
+class CVChunker {
+    constructor({ chunkLength = CV_CHUNKING.CHUNK_LENGTH, contextLength = CV_CHUNKING.CONTEXT_LENGTH } = {}) {
+        this.chunkLength = chunkLength;
+        this.contextLength = contextLength;
+    }
+
+    /**
+     * Split CV text into chunks of at most chunkLength characters
+     * @param {string} text - Cleaned CV text
+     * @returns {{index: number, count: number, text: string}[]} A single chunk holding
+     *   the text as it is when it fits
+     */
+    split(text) {
+        if (text.length <= this.chunkLength) {
+            return [{ index: 1, count: 1, text }];
+        }
+
+        const context = this.cutAtWhitespace(text, this.contextLength);
+        const bodyLength = this.chunkLength - context.length - NOTES_LENGTH;
+
+        const bodies = [];
+        let current = '';
+        this.findSections(text)
+            .flatMap(section => this.splitSection(section, bodyLength))
+            .forEach(piece => {
+                if (current && current.length + piece.length > bodyLength) {
+                    bodies.push(current);
+                    current = '';
+                }
+                current += piece;
+            });
+        if (current.trim()) {
+            bodies.push(current);
+        }
+
+        return bodies.map((body, position) => {
+            const index = position + 1;
+            const count = bodies.length;
+            const chunkText = index === 1
+                ? `[Part 1 of ${count} of a long CV]\n\n${body.trim()}`
+                : `[Part ${index} of ${count} of a long CV. Its opening is repeated first for context.]\n\n${context}\n\n[Part ${index} continues here]\n\n${body.trim()}`;
+            return { index, count, text: chunkText };
+        });
+    }
+
+    /**
+     * Sections in document order, each starting at its heading. Text before the
+     * first heading (name, contact details) is a section without a heading.
+     * @returns {{heading: string|null, text: string}[]}
+     */
+    findSections(text) {
+        const headings = new Map();
+        [INLINE_HEADING, LINE_HEADING].forEach(pattern => {
+            for (const match of text.matchAll(pattern)) {
+                if (!headings.has(match.index)) {
+                    headings.set(match.index, match[0].trim().replace(/:$/, ''));
+                }
+            }
+        });
+
+        const starts = [...headings.keys()].sort((a, b) => a - b);
+        const sections = [];
+        if (starts.length === 0 || starts[0] > 0) {
+            sections.push({ heading: null, text: text.slice(0, starts.length > 0 ? starts[0] : text.length) });
+        }
+        starts.forEach((start, index) => {
+            sections.push({ heading: headings.get(start), text: text.slice(start, starts[index + 1]) });
+        });
+        return sections;
+    }
+
+    /**
+     * A section longer than a chunk (a long publication list) is cut at paragraph,
+     * line, sentence or word boundaries; every later piece repeats the heading.
+     */
+    splitSection(section, maxLength) {
+        if (section.text.length <= maxLength) {
+            return [section.text];
+        }
+
+        const continued = section.heading ? `${section.heading} (continued)\n` : '';
+        const pieces = [];
+        let remaining = section.text;
+        while (remaining.length > 0) {
+            const limit = pieces.length === 0 ? maxLength : maxLength - continued.length;
+            const piece = remaining.length <= limit ? remaining : remaining.slice(0, this.findCut(remaining, limit));
+            pieces.push(pieces.length === 0 ? piece : continued + piece);
+            remaining = remaining.slice(piece.length);
+        }
+        return pieces;
+    }
+
+    findCut(text, limit) {
+        const window = text.slice(0, limit);
+        for (const separator of ['\n\n', '\n', '. ', ' ']) {
+            const cut = window.lastIndexOf(separator);
+            if (cut > limit / 2) {
+                return cut + separator.length;
+            }
+        }
+        return limit;
+    }
+
+    cutAtWhitespace(text, maxLength) {
+        if (text.length <= maxLength) {
+            return text.trim();
+        }
+        const cut = text.lastIndexOf(' ', maxLength);
+        return text.slice(0, cut > 0 ? cut : maxLength).trim();
+    }
+
+    /**
+     * Merge the results extracted from each chunk. The first non-empty value of a
+     * field wins, lists are joined without duplicates, and entries that appear in
+     * more than one chunk (CV_CHUNKING.ENTRY_KEYS) are combined.
+     * @param {Object[]} results - Structured CV data per chunk, in order
+     * @returns {Object} processingMetadata.chunks counts the chunks, schemaRepairs is summed
+     */
+    merge(results) {
+        const merged = results.reduce((combined, result) => this.mergeValue(null, combined, result), {});
+
+        merged.processingMetadata = {
+            ...merged.processingMetadata,
+            schemaRepairs: results.reduce((sum, result) => sum + (result.processingMetadata?.schemaRepairs || 0), 0),
+            chunks: results.length
+        };
+        return merged;
+    }
+
+    mergeValue(key, existing, incoming) {
+        if (existing === undefined || existing === null || existing === '') {
+            return this.copy(incoming);
+        }
+        if (incoming === undefined || incoming === null || incoming === '') {
+            return existing;
+        }
+
+        if (Array.isArray(existing) && Array.isArray(incoming)) {
+            return CV_CHUNKING.ENTRY_KEYS[key]
+                ? this.mergeEntries(key, existing, incoming)
+                : this.mergeLists(existing, incoming);
+        }
+        if (this.isObject(existing) && this.isObject(incoming)) {
+            const combined = { ...existing };
+            Object.entries(incoming).forEach(([field, value]) => {
+                combined[field] = this.mergeValue(field, combined[field], value);
+            });
+            return combined;
+        }
+        return existing;
+    }
+
+    mergeEntries(type, existing, incoming) {
+        const entries = existing.map(entry => ({ ...entry }));
+
+        incoming.forEach(entry => {
+            const index = entries.findIndex(candidate => this.isSameEntry(type, candidate, entry));
+            if (index === -1) {
+                entries.push(this.copy(entry));
+            } else {
+                entries[index] = this.mergeValue(null, entries[index], entry);
+            }
+        });
+        return entries;
+    }
+
+    isSameEntry(type, a, b) {
+        const keys = CV_CHUNKING.ENTRY_KEYS[type];
+        if (keys.every(key => !this.normalize(a[key]))) {
+            return false;
+        }
+        if (!keys.every(key => this.normalize(a[key]) === this.normalize(b[key]))) {
+            return false;
+        }
+
+        const dateKey = CV_CHUNKING.ENTRY_DATES[type];
+        return !dateKey || !a[dateKey] || !b[dateKey] || this.normalize(a[dateKey]) === this.normalize(b[dateKey]);
+    }
+
+    /**
+     * Join two lists; text items are compared ignoring case and punctuation
+     */
+    mergeLists(existing, incoming) {
+        const seen = new Set(existing.map(item => this.listKey(item)));
+        const combined = [...existing];
+
+        incoming.forEach(item => {
+            const key = this.listKey(item);
+            if (!seen.has(key)) {
+                seen.add(key);
+                combined.push(this.copy(item));
+            }
+        });
+        return combined;
+    }
+
+    listKey(item) {
+        return typeof item === 'string' ? this.normalize(item) : JSON.stringify(item);
+    }
+
+    normalize(value) {
+        return String(value || '').toLowerCase().replace(/[^\p{L}\p{N}+#]+/gu, ' ').trim();
+    }
+
+    isObject(value) {
+        return value !== null && typeof value === 'object' && !Array.isArray(value);
+    }
+
+    copy(value) {
+        return value === undefined ? value : JSON.parse(JSON.stringify(value));
+    }
+}
+
+module.exports = CVChunker;
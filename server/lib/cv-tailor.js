@@ -0,0 +1,183 @@
+// File: lib/cv-tailor.js - A copy of a CV aimed at one job description
+// The LLM names the role and its keywords, rewrites the summary and the descriptions
+// of relevant experience; skills and achievements are reordered here by the keywords,
+// and the gap report checks each keyword against the original CV rather than the rewrite.
+// Contact details in the CV text are redacted when the user asks for it.
+
+const LLMAssistant = require('./llm-assistant');
+const InputSanitizer = require('./utils/input-sanitizer');
+const { CV_TAILORING } = require('../constants');
+
+const escapeRegExp = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// Sections of the CV the gap report looks for keywords in
+const REPORT_SECTIONS = {
+    summary: cv => [cv.personalInfo?.summary, cv.personalInfo?.aboutMe, cv.personalInfo?.currentTitle],
+    experience: cv => (cv.experience || []).flatMap(entry => [entry.title, entry.description, ...(entry.achievements || [])]),
+    skills: cv => Object.values(cv.skills || {}).flat(),
+    education: cv => (cv.education || []).flatMap(entry => [entry.degree, ...(entry.achievements || [])]),
+    projects: cv => (cv.projects || []).flatMap(project => [project.name, project.description, ...(project.technologies || [])]),
+    certifications: cv => (cv.certifications || []).map(certification => certification.name)
+};
+
+class CVTailor extends LLMAssistant {
+    /**
+     * Tailor structured CV data to a job description
+     * @param {string} userId
+     * @param {Object} cvData - Structured CV data as saved (sanitized), with edited text already applied
+     * @param {string} jobDescription
+     * @returns {Promise<{cvData: Object, jobTitle: string, company: string, report: Object, tokenUsage: Object}>}
+     *   cvData is a copy; the original is left as it is. Only the rewritten summary and
+     *   descriptions are sanitized - sanitizing the rest again would escape it twice
+     * @throws {Error} with status 503, 429 or 502 as LLMAssistant
+     */
+    async tailor(userId, cvData, jobDescription) {
+        const redactor = await this.createRedactor(userId);
+        const response = await this.sendForJSON(userId, this.buildPrompt(cvData, jobDescription, redactor), 'Tailoring CV');
+        const { tokenUsage } = response;
+        const data = redactor ? redactor.restore(response.data) : response.data;
+
+        const keywords = this.cleanKeywords(data.keywords);
+        const tailored = JSON.parse(JSON.stringify(cvData));
+
+        const summary = InputSanitizer.sanitizeText(data.summary, 2000);
+        if (summary) {
+            tailored.personalInfo = { ...tailored.personalInfo, summary };
+        }
+
+        const descriptions = new Map((Array.isArray(data.experience) ? data.experience : [])
+            .filter(entry => Number.isInteger(entry?.index) && InputSanitizer.sanitizeText(entry.description, 2000))
+            .map(entry => [entry.index, InputSanitizer.sanitizeText(entry.description, 2000)]));
+        tailored.experience = (tailored.experience || []).map((entry, index) => ({
+            ...entry,
+            description: descriptions.get(index) || entry.description,
+            achievements: this.byRelevance(entry.achievements || [], achievement => this.countMentions(achievement, keywords))
+        }));
+
+        if (tailored.skills) {
+            ['technical', 'tools', 'soft', 'domain'].filter(group => Array.isArray(tailored.skills[group])).forEach(group => {
+                tailored.skills[group] = this.byRelevance(tailored.skills[group],
+                    skill => (this.mentions(jobDescription, skill) || keywords.some(keyword => this.mentions(skill, keyword)) ? 1 : 0));
+            });
+        }
+
+        return {
+            cvData: tailored,
+            jobTitle: this.cleanText(data.jobTitle).slice(0, CV_TAILORING.MAX_LABEL_LENGTH),
+            company: this.cleanText(data.company).slice(0, CV_TAILORING.MAX_LABEL_LENGTH),
+            report: this.buildKeywordReport(keywords, cvData),
+            tokenUsage
+        };
+    }
+
+    /**
+     * Which of the job's keywords the CV already has, and where
+     * @param {string[]} keywords
+     * @param {Object} cvData - The CV before tailoring
+     * @returns {{keywords: {keyword: string, found: boolean, sections: string[]}[], matched: string[], missing: string[], coverage: number}}
+     *   coverage is the share of keywords found, 0-1
+     */
+    buildKeywordReport(keywords, cvData) {
+        const sectionTexts = Object.entries(REPORT_SECTIONS)
+            .map(([section, texts]) => [section, texts(cvData).filter(text => typeof text === 'string').join('\n')]);
+
+        const entries = keywords.map(keyword => {
+            const sections = sectionTexts.filter(([, text]) => this.mentions(text, keyword)).map(([section]) => section);
+            return { keyword, found: sections.length > 0, sections };
+        });
+        const matched = entries.filter(entry => entry.found).map(entry => entry.keyword);
+
+        return {
+            keywords: entries,
+            matched,
+            missing: entries.filter(entry => !entry.found).map(entry => entry.keyword),
+            coverage: keywords.length > 0 ? Math.round((matched.length / keywords.length) * 100) / 100 : 1
+        };
+    }
+
+    buildPrompt(cvData, jobDescription, redactor = null) {
+        // No contact details - the model only needs the professional content
+        const cv = {
+            currentTitle: cvData.personalInfo?.currentTitle || '',
+            summary: cvData.personalInfo?.summary || '',
+            experience: (cvData.experience || []).map((entry, index) => ({
+                index,
+                title: entry.title,
+                company: entry.company,
+                startDate: entry.startDate,
+                endDate: entry.endDate,
+                description: entry.description,
+                achievements: entry.achievements
+            })),
+            skills: cvData.skills,
+            education: (cvData.education || []).map(entry => ({ degree: entry.degree, institution: entry.institution })),
+            projects: (cvData.projects || []).map(project => ({ name: project.name, technologies: project.technologies })),
+            certifications: (cvData.certifications || []).map(certification => certification.name)
+        };
+
+        return `Tailor this CV to the job description below.
+
+Give:
+- "jobTitle": the title of the advertised role
+- "company": the hiring company, or "" if it is not named
+- "keywords": up to ${CV_TAILORING.MAX_KEYWORDS} skills, tools, qualifications and domain terms the job asks for, most important first, each of 1 to 4 words as written in the job description
+- "summary": a professional summary of 50 to 90 words aimed at this role, in the language of the CV
+- "experience": for each experience entry relevant to the role, {"index": <its index>, "description": "..."} with its description rewritten in 1 or 2 sentences to bring out the work that matters for this role
+
+Use only facts from the CV - never add skills, employers, numbers or qualifications it does not have.${this.placeholderInstructions(redactor)}
+
+CV:
+${JSON.stringify(redactor ? redactor.redact(cv) : cv, null, 2)}
+
+JOB DESCRIPTION:
+${jobDescription}
+
+Answer with {"jobTitle": "...", "company": "...", "keywords": ["..."], "summary": "...", "experience": [{"index": 0, "description": "..."}]}`;
+    }
+
+    cleanKeywords(keywords) {
+        const seen = new Set();
+        return (Array.isArray(keywords) ? keywords : [])
+            .map(keyword => this.cleanText(keyword))
+            .filter(keyword => keyword && keyword.length <= CV_TAILORING.MAX_KEYWORD_LENGTH)
+            .filter(keyword => {
+                const key = keyword.toLowerCase();
+                if (seen.has(key)) {
+                    return false;
+                }
+                seen.add(key);
+                return true;
+            })
+            .slice(0, CV_TAILORING.MAX_KEYWORDS);
+    }
+
+    /**
+     * Highest score first; equal scores keep their order
+     */
+    byRelevance(items, score) {
+        return items
+            .map((item, index) => ({ item, index, score: score(item) }))
+            .sort((a, b) => b.score - a.score || a.index - b.index)
+            .map(({ item }) => item);
+    }
+
+    countMentions(text, keywords) {
+        return keywords.filter(keyword => this.mentions(text, keyword)).length;
+    }
+
+    /**
+     * Whether the text has the term as a whole word, ignoring case ("Node.js", "C++")
+     */
+    mentions(text, term) {
+        if (typeof text !== 'string' || typeof term !== 'string' || !term.trim()) {
+            return false;
+        }
+        return new RegExp(`(?<![\\p{L}\\p{N}])${escapeRegExp(term.trim())}(?![\\p{L}\\p{N}+#])`, 'iu').test(text);
+    }
+
+    cleanText(value) {
+        return typeof value === 'string' ? value.replace(/\s+/g, ' ').trim() : '';
+    }
+}
+
+module.exports = CVTailor;
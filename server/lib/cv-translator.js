@@ -0,0 +1,100 @@
+// File: lib/cv-translator.js - Translations of a CV for the language versions of a site
+// Only the text segments are sent (see TranslationSegments), one request per language,
+// so names, companies, dates and links cannot change; contact details in the text are
+// redacted when the user asks for it, and the answers are sanitized like the CV itself
+// and stored as segments.
+
+const LLMAssistant = require('./llm-assistant');
+const SectionRenderer = require('./section-renderer');
+const TranslationSegments = require('./utils/translation-segments');
+const InputSanitizer = require('./utils/input-sanitizer');
+const SITE_LOCALES = require('../constants/site-locales');
+
+class CVTranslator extends LLMAssistant {
+    constructor(options = {}) {
+        super(options);
+        this.sectionRenderer = new SectionRenderer();
+    }
+
+    /**
+     * Translate a CV into other languages
+     * @param {string} userId
+     * @param {Object} cvData - Final CV data (see TemplateProcessor.buildFinalDataStructure)
+     * @param {string} sourceLanguage - Language the CV is written in
+     * @param {string[]} targetLanguages - Codes from constants/site-locales.js
+     * @returns {Promise<{translations: Object, tokenUsage: Object}>}
+     *   translations is language => segments, tokenUsage the sum over all requests
+     * @throws {Error} with status 503, 429 or 502 as LLMAssistant
+     */
+    async translate(userId, cvData, sourceLanguage, targetLanguages) {
+        const segments = Object.fromEntries(Object.entries(TranslationSegments.collect(cvData))
+            .map(([key, text]) => [key, this.sectionRenderer.decodeEntities(text)]));
+
+        // A summary or about-me text may hold an email address or phone number
+        const redactor = await this.createRedactor(userId);
+        const promptSegments = redactor ? redactor.redact(segments) : segments;
+
+        const translations = {};
+        const tokenUsage = { requests: 0, promptTokens: 0, completionTokens: 0, totalTokens: 0, estimated: false };
+
+        for (const language of targetLanguages) {
+            const response = await this.sendForJSON(userId,
+                this.buildPrompt(promptSegments, sourceLanguage, language, redactor),
+                `Translating CV into ${SITE_LOCALES[language].name}`);
+
+            ['requests', 'promptTokens', 'completionTokens', 'totalTokens'].forEach(key => {
+                tokenUsage[key] += response.tokenUsage[key];
+            });
+            tokenUsage.estimated = tokenUsage.estimated || response.tokenUsage.estimated;
+
+            const answered = redactor ? redactor.restore(response.data.segments) : response.data.segments;
+            const translated = this.cleanSegments(cvData, answered);
+            if (Object.keys(segments).length > 0 && Object.keys(translated).length === 0) {
+                throw this.createError(`The model returned no translation into ${SITE_LOCALES[language].name} - please try again`, 502);
+            }
+            translations[language] = translated;
+        }
+
+        return { translations, tokenUsage };
+    }
+
+    buildPrompt(segments, sourceLanguage, targetLanguage, redactor = null) {
+        const languageName = code => `${SITE_LOCALES[code]?.name || code} (${code})`;
+
+        return `Translate these segments of a CV from ${languageName(sourceLanguage)} into ${languageName(targetLanguage)}.
+
+Each value is one piece of the CV - a job title, a degree, a skill, a summary or an achievement. Translate it the way a CV written in that language would put it.
+Keep names of people, companies, schools, products and technologies, and all numbers, dates and links exactly as they are.
+Keep every key as it is and translate only the values.${this.placeholderInstructions(redactor)}
+
+SEGMENTS:
+${JSON.stringify(segments, null, 2)}
+
+Answer with {"segments": {"<key>": "<translation>"}}`;
+    }
+
+    /**
+     * The model's translations as they are stored: only for the CV's own segments,
+     * sanitized like the CV, and only where the text changed
+     * @param {Object} cvData - Final CV data
+     * @param {*} segments - From the model
+     * @returns {Object} - Path => translated text
+     */
+    cleanSegments(cvData, segments) {
+        const answered = Object.fromEntries(Object.entries(segments && typeof segments === 'object' ? segments : {})
+            .map(([key, text]) => [key, this.cleanText(text)])
+            .filter(([, text]) => text));
+
+        const original = TranslationSegments.collect(cvData);
+        const sanitized = TranslationSegments.collect(InputSanitizer.sanitizeCVData(TranslationSegments.apply(cvData, answered)));
+
+        return Object.fromEntries(Object.entries(sanitized)
+            .filter(([key, text]) => Object.prototype.hasOwnProperty.call(answered, key) && text !== original[key]));
+    }
+
+    cleanText(value) {
+        return typeof value === 'string' ? value.replace(/\s+/g, ' ').trim() : '';
+    }
+}
+
+module.exports = CVTranslator;
@@ -0,0 +1,306 @@
+// File: lib/document-assets-extractor.js - Hyperlinks and photos inside uploaded CVs
+// Text extraction drops link targets and images, so they are read separately
+// (DOCX relationships, PDF link annotations and image objects) and handed to
+// the wizard as candidates for the user to confirm.
+
+const JSZip = require('jszip');
+const path = require('path');
+const { createCanvas, loadImage, ImageData } = require('@napi-rs/canvas');
+const PdfJsUtils = require('./utils/pdfjs-utils');
+const { ALLOWED_MIME_TYPES, DOCUMENT_ASSETS } = require('../constants');
+
+const RELATIONSHIP_TYPES = {
+    HYPERLINK: '/relationships/hyperlink',
+    IMAGE: '/relationships/image'
+};
+
+// pdf.js ImageKind values for decoded image data
+const PDF_IMAGE_KIND = {
+    RGB_24BPP: 2,
+    RGBA_32BPP: 3
+};
+
+class DocumentAssetsExtractor {
+    decodeXml(text) {
+        return (text || '')
+            .replace(/&lt;/g, '<')
+            .replace(/&gt;/g, '>')
+            .replace(/&quot;/g, '"')
+            .replace(/&apos;/g, '\'')
+            .replace(/&amp;/g, '&');
+    }
+
+    /**
+     * Normalize an http(s) link, or return '' for anything else (mailto:, tel:, relative)
+     * @param {string} url
+     * @returns {string}
+     */
+    normalizeUrl(url) {
+        try {
+            const parsed = new URL((url || '').trim());
+            if (!['http:', 'https:'].includes(parsed.protocol)) return '';
+
+            return parsed.pathname === '/' && !parsed.search && !parsed.hash
+                ? parsed.origin
+                : parsed.href;
+        } catch {
+            return '';
+        }
+    }
+
+    /**
+     * Suggest which personalInfo field a link belongs to
+     * @param {string} url - Normalized URL
+     * @returns {'linkedin'|'github'|'website'|null}
+     */
+    suggestField(url) {
+        const { hostname, pathname } = new URL(url);
+        const host = hostname.replace(/^www\./, '');
+        const onHost = domain => host === domain || host.endsWith(`.${domain}`);
+
+        if (onHost('linkedin.com')) {
+            return /^\/in\//.test(pathname) ? 'linkedin' : null;
+        }
+        if (host === 'github.com') {
+            // A profile, not a repository
+            return /^\/[^/]+\/?$/.test(pathname) ? 'github' : null;
+        }
+        if (DOCUMENT_ASSETS.PLATFORM_HOSTS.some(onHost)) {
+            return null;
+        }
+        return 'website';
+    }
+
+    /**
+     * Deduplicate links and suggest a field for the first link of each kind
+     * @param {Object[]} links - { url, text } in document order
+     * @returns {Object[]} { url, text, field }
+     */
+    classifyLinks(links) {
+        const seen = new Set();
+        const usedFields = new Set();
+        const candidates = [];
+
+        for (const link of links) {
+            const url = this.normalizeUrl(link.url);
+            if (!url || seen.has(url)) continue;
+            seen.add(url);
+
+            let field = this.suggestField(url);
+            if (usedFields.has(field)) field = null;
+            if (field) usedFields.add(field);
+
+            candidates.push({ url, text: (link.text || '').replace(/\s+/g, ' ').trim(), field });
+        }
+
+        return candidates.slice(0, DOCUMENT_ASSETS.MAX_LINKS);
+    }
+
+    /**
+     * Head shots are roughly square and bigger than icons and logos
+     */
+    isPhotoSize(width, height) {
+        const aspect = width / height;
+        return Math.min(width, height) >= DOCUMENT_ASSETS.PHOTO_MIN_SIZE &&
+            aspect >= DOCUMENT_ASSETS.PHOTO_MIN_ASPECT &&
+            aspect <= DOCUMENT_ASSETS.PHOTO_MAX_ASPECT;
+    }
+
+    /**
+     * Scale an image down to the wizard's photo size as a JPEG data URI
+     * @param {Image|Canvas} source
+     * @returns {string}
+     */
+    toPhotoDataUri(source) {
+        const scale = Math.min(1, DOCUMENT_ASSETS.PHOTO_MAX_SIZE / Math.max(source.width, source.height));
+        const canvas = createCanvas(Math.round(source.width * scale), Math.round(source.height * scale));
+        canvas.getContext('2d').drawImage(source, 0, 0, canvas.width, canvas.height);
+
+        const jpeg = canvas.toBuffer('image/jpeg', DOCUMENT_ASSETS.PHOTO_JPEG_QUALITY);
+        return `data:image/jpeg;base64,${jpeg.toString('base64')}`;
+    }
+
+    /**
+     * Read the hyperlinks and the first photo-sized image of a DOCX file
+     * @param {Buffer} buffer
+     * @returns {Promise<{links: Object[], profilePicture: string}>}
+     */
+    async extractFromDocx(buffer) {
+        const zip = await JSZip.loadAsync(buffer);
+        const documentXml = await zip.file('word/document.xml')?.async('string') || '';
+        const relsXml = await zip.file('word/_rels/document.xml.rels')?.async('string') || '';
+
+        const relationships = new Map();
+        for (const [tag] of relsXml.matchAll(/<Relationship\b[^>]*>/g)) {
+            const attribute = name => this.decodeXml((tag.match(new RegExp(`\\b${name}="([^"]*)"`)) || [])[1]);
+            relationships.set(attribute('Id'), { type: attribute('Type'), target: attribute('Target') });
+        }
+
+        const runText = xml => [...xml.matchAll(/<w:t\b[^>]*>([^<]*)<\/w:t>/g)].map(match => this.decodeXml(match[1])).join('');
+        const links = [];
+
+        // <w:hyperlink r:id="..."> points at an external relationship
+        for (const [, attributes, content] of documentXml.matchAll(/<w:hyperlink\b([^>]*)>([\s\S]*?)<\/w:hyperlink>/g)) {
+            const id = (attributes.match(/\br:id="([^"]*)"/) || [])[1];
+            const relationship = relationships.get(id);
+            if (relationship && relationship.type.endsWith(RELATIONSHIP_TYPES.HYPERLINK)) {
+                links.push({ url: relationship.target, text: runText(content) });
+            }
+        }
+
+        // Word also writes links as HYPERLINK field codes
+        for (const [, url] of documentXml.matchAll(/<w:instrText\b[^>]*>\s*HYPERLINK\s+"([^"]+)"[^<]*<\/w:instrText>/g)) {
+            links.push({ url: this.decodeXml(url), text: '' });
+        }
+
+        let profilePicture = '';
+        for (const [, id] of documentXml.matchAll(/\br:embed="([^"]*)"/g)) {
+            const relationship = relationships.get(id);
+            if (!relationship || !relationship.type.endsWith(RELATIONSHIP_TYPES.IMAGE)) continue;
+
+            const file = zip.file(path.posix.join('word', relationship.target));
+            if (!file) continue;
+
+            try {
+                const image = await loadImage(await file.async('nodebuffer'));
+                if (this.isPhotoSize(image.width, image.height)) {
+                    profilePicture = this.toPhotoDataUri(image);
+                    break;
+                }
+            } catch (imageError) {
+                // EMF/WMF drawings and other formats the canvas can't decode
+                continue;
+            }
+        }
+
+        return { links: this.classifyLinks(links), profilePicture };
+    }
+
+    /**
+     * Draw a decoded pdf.js image onto a canvas
+     * @returns {Canvas|null}
+     */
+    pdfImageToCanvas(image) {
+        const { width, height, kind, data } = image;
+        let rgba;
+
+        if (kind === PDF_IMAGE_KIND.RGBA_32BPP) {
+            rgba = new Uint8ClampedArray(data.buffer, data.byteOffset, width * height * 4);
+        } else if (kind === PDF_IMAGE_KIND.RGB_24BPP) {
+            rgba = new Uint8ClampedArray(width * height * 4);
+            for (let source = 0, target = 0; target < rgba.length; source += 3, target += 4) {
+                rgba[target] = data[source];
+                rgba[target + 1] = data[source + 1];
+                rgba[target + 2] = data[source + 2];
+                rgba[target + 3] = 255;
+            }
+        } else {
+            return null; // 1-bit masks and line art
+        }
+
+        const canvas = createCanvas(width, height);
+        canvas.getContext('2d').putImageData(new ImageData(rgba, width, height), 0, 0);
+        return canvas;
+    }
+
+    /**
+     * A decoded PDF image object; pdf.js only calls back once an image has decoded,
+     * so a broken or unsupported image gives null after DOCUMENT_ASSETS.PDF_IMAGE_TIMEOUT
+     * @returns {Promise<Object|null>}
+     */
+    getPdfImage(objects, id) {
+        let timer;
+        return Promise.race([
+            new Promise(resolve => objects.get(id, resolve)),
+            new Promise(resolve => {
+                timer = setTimeout(() => resolve(null), DOCUMENT_ASSETS.PDF_IMAGE_TIMEOUT);
+            })
+        ]).finally(() => clearTimeout(timer));
+    }
+
+    /**
+     * Find the first photo-sized image drawn on a PDF page
+     * @returns {Promise<string>} JPEG data URI or ''
+     */
+    async findPdfPhoto(page, pdfJs) {
+        const operators = await page.getOperatorList();
+
+        for (let i = 0; i < operators.fnArray.length; i++) {
+            if (operators.fnArray[i] !== pdfJs.OPS.paintImageXObject) continue;
+
+            const id = operators.argsArray[i][0];
+            const objects = id.startsWith('g_') ? page.commonObjs : page.objs;
+            const image = await this.getPdfImage(objects, id);
+            if (!image || !image.data || !this.isPhotoSize(image.width, image.height)) continue;
+
+            const canvas = this.pdfImageToCanvas(image);
+            if (canvas) {
+                return this.toPhotoDataUri(canvas);
+            }
+        }
+
+        return '';
+    }
+
+    /**
+     * Read the link annotations of every page and a photo from the first page
+     * @param {Buffer} buffer
+     * @returns {Promise<{links: Object[], profilePicture: string}>}
+     */
+    async extractFromPdf(buffer) {
+        const pdfJs = await PdfJsUtils.load();
+        const pdf = await PdfJsUtils.openDocument(buffer);
+
+        try {
+            const links = [];
+            let profilePicture = '';
+
+            for (let pageNumber = 1; pageNumber <= pdf.numPages; pageNumber++) {
+                const page = await pdf.getPage(pageNumber);
+                const annotations = (await page.getAnnotations()).filter(annotation => annotation.subtype === 'Link' && annotation.url);
+
+                if (annotations.length > 0) {
+                    const { items } = await page.getTextContent();
+                    for (const annotation of annotations) {
+                        // The link text is whatever is drawn inside the annotation rectangle
+                        const [x1, y1, x2, y2] = annotation.rect;
+                        const text = items.filter(item => {
+                            const [, , , , x, y] = item.transform;
+                            const centre = x + item.width / 2;
+                            return centre >= x1 && centre <= x2 && y >= y1 - 2 && y <= y2;
+                        }).map(item => item.str).join(' ');
+                        links.push({ url: annotation.url, text });
+                    }
+                }
+
+                if (pageNumber === 1) {
+                    profilePicture = await this.findPdfPhoto(page, pdfJs);
+                }
+                page.cleanup();
+            }
+
+            return { links: this.classifyLinks(links), profilePicture };
+        } finally {
+            await pdf.destroy();
+        }
+    }
+
+    /**
+     * Link and photo candidates for an uploaded CV
+     * @param {Buffer} buffer
+     * @param {string} mimeType
+     * @returns {Promise<{links: Object[], profilePicture: string}|null>} null for formats without assets
+     */
+    async extract(buffer, mimeType) {
+        switch (mimeType) {
+            case ALLOWED_MIME_TYPES.PDF:
+                return this.extractFromPdf(buffer);
+            case ALLOWED_MIME_TYPES.DOCX:
+                return this.extractFromDocx(buffer);
+            default:
+                return null;
+        }
+    }
+}
+
+module.exports = DocumentAssetsExtractor;
@@ -0,0 +1,255 @@
+// File: lib/docx-renderer.js - Word (DOCX) export of the final CV data
+// Uses real Word headings and bullet lists so recruiters can edit the file
+// and our own DOCX extraction can read it back.
+
+const {
+    Document,
+    Packer,
+    Paragraph,
+    TextRun,
+    ExternalHyperlink,
+    HeadingLevel,
+    BorderStyle
+} = require('docx');
+const SectionRenderer = require('./section-renderer');
+const DateParserUtils = require('./utils/date-parser-utils');
+const { CV_EXPORT } = require('../constants');
+
+// Page sizes in twentieths of a point
+const PAGE_SIZES = {
+    A4: { width: 11906, height: 16838 },
+    LETTER: { width: 12240, height: 15840 }
+};
+
+const PAGE_MARGIN = 1080; // 0.75in
+const MUTED_COLOR = '444444';
+
+class DocxRenderer {
+    constructor(sectionRenderer = new SectionRenderer()) {
+        this.sectionRenderer = sectionRenderer;
+    }
+
+    /**
+     * Plain text for Word: decode sanitizer entities and drop control
+     * characters that are not allowed in XML.
+     * @param {*} value
+     * @returns {string}
+     */
+    text(value) {
+        return this.sectionRenderer.decodeEntities(value)
+            .replace(/[\x00-\x08\x0B\x0C\x0E-\x1F]/g, '')
+            .trim();
+    }
+
+    joinParts(parts, separator = ' | ') {
+        return parts.map(part => this.text(part)).filter(Boolean).join(separator);
+    }
+
+    dateRange(start, end) {
+        return DateParserUtils.formatDateRange(this.text(start), this.text(end));
+    }
+
+    heading(title) {
+        return new Paragraph({
+            text: title,
+            heading: HeadingLevel.HEADING_1,
+            spacing: { before: 240, after: 80 },
+            border: { bottom: { style: BorderStyle.SINGLE, size: 4, color: '999999', space: 1 } }
+        });
+    }
+
+    entryTitle(title) {
+        return new Paragraph({
+            text: title,
+            heading: HeadingLevel.HEADING_2,
+            spacing: { before: 160, after: 20 },
+            keepNext: true
+        });
+    }
+
+    details(value) {
+        const content = this.text(value);
+        if (!content) return [];
+
+        return [new Paragraph({
+            children: [new TextRun({ text: content, italics: true, color: MUTED_COLOR })],
+            keepNext: true
+        })];
+    }
+
+    paragraph(value) {
+        const content = this.text(value);
+        return content ? [new Paragraph({ text: content, spacing: { after: 60 } })] : [];
+    }
+
+    bullets(items) {
+        return (items || [])
+            .map(item => this.text(item))
+            .filter(Boolean)
+            .map(item => new Paragraph({ text: item, bullet: { level: 0 } }));
+    }
+
+    link(url) {
+        const href = this.text(this.sectionRenderer.safeUrl(url));
+        if (!href) return [];
+
+        return [new Paragraph({
+            children: [new ExternalHyperlink({
+                link: href,
+                children: [new TextRun({ text: href, style: 'Hyperlink' })]
+            })]
+        })];
+    }
+
+    renderHeader(personal) {
+        const children = [
+            new Paragraph({ text: this.text(personal.name), heading: HeadingLevel.TITLE })
+        ];
+
+        const currentTitle = this.text(personal.currentTitle);
+        if (currentTitle) {
+            children.push(new Paragraph({
+                children: [new TextRun({ text: currentTitle, size: 26, color: MUTED_COLOR })]
+            }));
+        }
+
+        children.push(...this.paragraph(this.joinParts([personal.email, personal.phone, personal.location])));
+
+        if (personal.summary) {
+            children.push(this.heading('Summary'), ...this.paragraph(personal.summary));
+        }
+
+        return children;
+    }
+
+    renderExperience(experience) {
+        const jobs = (experience || []).filter(exp => this.sectionRenderer.isRenderableExperience(exp));
+        if (jobs.length === 0) return [];
+
+        return [
+            this.heading('Experience'),
+            ...jobs.flatMap(exp => [
+                this.entryTitle(this.joinParts([exp.title, exp.company], ' - ')),
+                ...this.details(this.joinParts([exp.location, this.dateRange(exp.startDate, exp.endDate)])),
+                ...this.paragraph(exp.description),
+                ...this.bullets(exp.achievements)
+            ])
+        ];
+    }
+
+    renderSkills(skills = {}) {
+        const groups = [
+            ['Technical', skills.technical],
+            ['Tools', skills.tools],
+            ['Core Competencies', skills.soft],
+            ['Domain Expertise', skills.domain],
+            ['Languages', skills.languages]
+        ].map(([label, items]) => [label, (items || []).map(item => this.text(this.sectionRenderer.formatSkill(item, skills.proficiency))).filter(Boolean)])
+            .filter(([, items]) => items.length > 0);
+
+        if (groups.length === 0) return [];
+
+        return [
+            this.heading('Skills'),
+            ...groups.map(([label, items]) => new Paragraph({
+                children: [
+                    new TextRun({ text: `${label}: `, bold: true }),
+                    new TextRun(items.join(', '))
+                ]
+            }))
+        ];
+    }
+
+    renderEducation(education) {
+        if (!education || education.length === 0) return [];
+
+        return [
+            this.heading('Education'),
+            ...education.flatMap(edu => [
+                this.entryTitle(this.joinParts([edu.degree, edu.institution], ' - ')),
+                ...this.details(this.joinParts([
+                    edu.location,
+                    DateParserUtils.formatDate(this.text(edu.graduationDate)),
+                    edu.gpa ? `GPA: ${this.text(edu.gpa)}` : ''
+                ])),
+                ...this.bullets(edu.achievements)
+            ])
+        ];
+    }
+
+    renderProjects(projects) {
+        if (!projects || projects.length === 0) return [];
+
+        return [
+            this.heading('Projects'),
+            ...projects.flatMap(project => {
+                const technologies = (project.technologies || []).map(item => this.text(item)).filter(Boolean);
+
+                return [
+                    this.entryTitle(this.text(project.name)),
+                    ...this.paragraph(project.description),
+                    ...(technologies.length > 0 ? this.paragraph(`Technologies: ${technologies.join(', ')}`) : []),
+                    ...this.link(project.url)
+                ];
+            })
+        ];
+    }
+
+    renderCertifications(certifications) {
+        if (!certifications || certifications.length === 0) return [];
+
+        return [
+            this.heading('Certifications'),
+            ...certifications.flatMap(cert => [
+                this.entryTitle(this.text(cert.name)),
+                ...this.details(this.joinParts([cert.issuer, DateParserUtils.formatDate(this.text(cert.date))])),
+                ...this.link(cert.url)
+            ])
+        ];
+    }
+
+    /**
+     * Render the CV as a Word document
+     * @param {Object} cvData - Output of TemplateProcessor.buildFinalDataStructure
+     * @param {Object} [options]
+     * @param {string} [options.pageSize] - One of CV_EXPORT.PAGE_SIZES
+     * @returns {Promise<Buffer>}
+     */
+    async render(cvData, { pageSize = CV_EXPORT.DEFAULT_PAGE_SIZE } = {}) {
+        const personal = cvData.personalInfo || {};
+        const size = PAGE_SIZES[pageSize] || PAGE_SIZES[CV_EXPORT.DEFAULT_PAGE_SIZE];
+
+        const document = new Document({
+            creator: this.text(personal.name),
+            title: `${this.text(personal.name)} - CV`,
+            subject: this.text(personal.currentTitle),
+            keywords: [...(cvData.skills?.technical || []), ...(cvData.skills?.tools || [])].map(skill => this.text(skill)).join(', '),
+            styles: {
+                default: {
+                    document: { run: { font: 'Calibri', size: 21 } }
+                }
+            },
+            sections: [{
+                properties: {
+                    page: {
+                        size,
+                        margin: { top: PAGE_MARGIN, right: PAGE_MARGIN, bottom: PAGE_MARGIN, left: PAGE_MARGIN }
+                    }
+                },
+                // Same order as the landing page
+                children: [
+                    ...this.renderHeader(personal),
+                    ...this.renderExperience(cvData.experience),
+                    ...this.renderSkills(cvData.skills),
+                    ...this.renderEducation(cvData.education),
+                    ...this.renderProjects(cvData.projects),
+                    ...this.renderCertifications(cvData.certifications)
+                ]
+            }]
+        });
+
+        return Packer.toBuffer(document);
+    }
+}
+
+module.exports = DocxRenderer;
@@ -0,0 +1,133 @@
+// File: lib/extraction-cache.js - Reuse of earlier extractions of the same CV
+// Uploads are hashed (file_uploads.file_hash); when a user uploads a file they already
+// had extracted with the current prompt, schema and providers, the stored result is
+// reused instead of queueing another LLM call.
+
+const { createHash } = require('crypto');
+const { EXTRACTION_CACHE } = require('../constants');
+const { getProviderChain } = require('./intelligent-cv-processor');
+const IntelligentCVProcessorBase = require('./intelligent-cv-processor-base');
+const STRUCTURED_CV_SCHEMA = require('./schemas/structured-cv.schema.json');
+
+// Providers whose model is picked by the environment rather than in code
+const PROVIDER_MODELS = {
+    openai: () => process.env.OPENAI_MODEL,
+    ollama: () => process.env.OLLAMA_MODEL
+};
+
+class ExtractionCache {
+    /**
+     * @param {{query: Function}} db - Database client (the queue manager's)
+     */
+    constructor(db) {
+        this.db = db;
+    }
+
+    /**
+     * SHA-256 of the uploaded file, as stored in file_uploads.file_hash
+     * @param {Buffer} content
+     * @returns {string} 64 hex characters
+     */
+    static hashContent(content) {
+        return createHash('sha256').update(content).digest('hex');
+    }
+
+    /**
+     * Hash of the extraction and repair prompt templates and the structured CV schema,
+     * so editing any of them invalidates earlier results without a version bump
+     * @returns {string} 12 hex characters
+     */
+    static getPromptFingerprint() {
+        const prompts = IntelligentCVProcessorBase.prototype;
+        return createHash('sha256')
+            .update(prompts.buildComprehensivePrompt('{{CV_TEXT}}'))
+            .update(prompts.buildComprehensivePrompt('{{CV_TEXT}}', { redacted: true }))
+            .update(prompts.buildRepairPrompt('{{RESPONSE}}', ['{{ERROR}}']))
+            .update(JSON.stringify(STRUCTURED_CV_SCHEMA))
+            .digest('hex')
+            .slice(0, 12);
+    }
+
+    /**
+     * What a cached result must have been extracted with to be reused: the prompt
+     * version and fingerprint and the configured providers, e.g.
+     * "prompt-3.1-0f3a9c81d2e4|gemini>rules"
+     * @returns {string}
+     */
+    static getVersion() {
+        const providers = getProviderChain().map(provider => {
+            const model = PROVIDER_MODELS[provider] && PROVIDER_MODELS[provider]();
+            return model ? `${provider}:${model}` : provider;
+        });
+        return `prompt-${EXTRACTION_CACHE.PROMPT_VERSION}-${ExtractionCache.getPromptFingerprint()}|${providers.join('>')}`;
+    }
+
+    /**
+     * The latest extraction of the same file by the same user with the current version
+     * @param {string} userId
+     * @param {string} fileHash
+     * @returns {Promise<{fileId: string, extractedText: string, structuredData: Object}|null>}
+     *   null on a miss, or when the lookup fails - the CV is then extracted as usual
+     */
+    async find(userId, fileHash) {
+        if (!fileHash) {
+            return null;
+        }
+
+        try {
+            const result = await this.db.query(`
+                SELECT id, extracted_text, structured_data
+                FROM file_uploads
+                WHERE user_id = $1 AND file_hash = $2
+                  AND structured_data->'processingMetadata'->>'extractionVersion' = $3
+                ORDER BY created_at DESC
+                LIMIT 1
+            `, [userId, fileHash, ExtractionCache.getVersion()]);
+
+            if (result.rows.length === 0) {
+                return null;
+            }
+
+            const row = result.rows[0];
+            const structuredData = typeof row.structured_data === 'string' ? JSON.parse(row.structured_data) : row.structured_data;
+            structuredData.processingMetadata = { ...structuredData.processingMetadata, reusedFrom: row.id };
+
+            return { fileId: row.id, extractedText: row.extracted_text, structuredData };
+        } catch (error) {
+            console.warn('Extraction cache lookup failed, extracting again:', error.message);
+            return null;
+        }
+    }
+
+    /**
+     * Keep a finished extraction with its upload, tagged with the current version.
+     * Results served by a fallback provider are stored untagged - the next upload
+     * should get another chance at the preferred one.
+     * @param {string} fileId
+     * @param {Object} structuredData - Processor result; processingMetadata is updated in place
+     * @returns {Promise<boolean>} Whether the result can be reused
+     */
+    async store(fileId, structuredData) {
+        const cacheable = !structuredData.processingMetadata?.fallbackFrom;
+        if (cacheable) {
+            structuredData.processingMetadata = {
+                ...structuredData.processingMetadata,
+                extractionVersion: ExtractionCache.getVersion()
+            };
+        }
+
+        try {
+            await this.db.query(`
+                UPDATE file_uploads
+                SET structured_data = $1, updated_at = CURRENT_TIMESTAMP
+                WHERE id = $2
+            `, [JSON.stringify(structuredData), fileId]);
+            return cacheable;
+        } catch (error) {
+            console.warn(`Failed to store the extraction of file ${fileId}:`, error.message);
+            return false;
+        }
+    }
+}
+
+module.exports = ExtractionCache;
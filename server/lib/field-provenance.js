@@ -0,0 +1,196 @@
+// File: lib/field-provenance.js - Where each extracted field came from
+// Looks every extracted value up in the CV text the processor read. A value found
+// verbatim is certain; one found only in part, or not at all, was reworded or
+// inferred by the model and is worth a second look in the wizard.
+
+const DateParserUtils = require('./utils/date-parser-utils');
+const SkillsNormalizer = require('./skills-normalizer');
+const { FIELD_PROVENANCE } = require('../constants');
+
+const WORD_CHARACTER = /[\p{L}\p{N}]/u;
+
+const skillsNormalizer = new SkillsNormalizer();
+
+class FieldProvenance {
+    /**
+     * @param {string} sourceText - The text the fields were extracted from; spans index into it
+     */
+    constructor(sourceText = '') {
+        this.sourceText = sourceText;
+        ({ text: this.normalizedText, offsets: this.offsets } = this.normalize(sourceText));
+    }
+
+    /**
+     * Lower-case words separated by single spaces, with the source index of every character
+     * @returns {{text: string, offsets: number[]}}
+     */
+    normalize(text) {
+        let normalized = '';
+        const offsets = [];
+
+        for (let index = 0; index < text.length; index++) {
+            const character = text[index];
+            if (WORD_CHARACTER.test(character)) {
+                normalized += character.toLowerCase();
+                offsets.push(index);
+            } else if (normalized.length > 0 && !normalized.endsWith(' ')) {
+                normalized += ' ';
+                offsets.push(index);
+            }
+        }
+
+        return { text: normalized.trimEnd(), offsets };
+    }
+
+    /**
+     * Confidence of every text field and the span of the source it came from
+     * @param {Object} data - Structured CV data, or one step's part of it
+     * @returns {{fields: Object<string, Object>, confidence: number, lowConfidenceFields: number}}
+     *   fields by path ("experience[0].company"), overall confidence as the mean
+     */
+    annotate(data) {
+        const fields = {};
+        this.collectFields(data, '', fields);
+
+        const scores = Object.values(fields).map(field => field.confidence);
+        const confidence = scores.length > 0
+            ? Math.round(scores.reduce((sum, score) => sum + score, 0) / scores.length * 100) / 100
+            : 1.0;
+
+        return {
+            fields,
+            confidence,
+            lowConfidenceFields: scores.filter(score => score < FIELD_PROVENANCE.LOW_CONFIDENCE_THRESHOLD).length
+        };
+    }
+
+    collectFields(value, path, fields) {
+        if (typeof value === 'string') {
+            if (value.trim()) {
+                fields[path] = this.locate(value);
+            }
+        } else if (Array.isArray(value)) {
+            value.forEach((item, index) => this.collectFields(item, `${path}[${index}]`, fields));
+        } else if (value && typeof value === 'object') {
+            Object.keys(value)
+                .filter(key => !FIELD_PROVENANCE.SKIPPED_KEYS.includes(key))
+                .forEach(key => this.collectFields(value[key], path ? `${path}.${key}` : key, fields));
+        }
+    }
+
+    /**
+     * Find a value in the source text
+     * @param {string} value
+     * @returns {{confidence: number, start: number|null, end: number|null, snippet: string, before: string, after: string}}
+     */
+    locate(value) {
+        const exact = this.sourceText.indexOf(value);
+        if (exact !== -1) {
+            return this.match(FIELD_PROVENANCE.EXACT_MATCH, exact, exact + value.length);
+        }
+
+        for (const variant of [value, ...this.dateVariants(value), ...skillsNormalizer.getAliases(value)]) {
+            const span = this.findNormalized(variant);
+            if (span) {
+                return this.match(FIELD_PROVENANCE.NORMALIZED_MATCH, span.start, span.end);
+            }
+        }
+
+        return this.findPartial(value) || {
+            confidence: FIELD_PROVENANCE.NOT_FOUND,
+            start: null,
+            end: null,
+            snippet: '',
+            before: '',
+            after: ''
+        };
+    }
+
+    /**
+     * The ways a CV may write a date the model normalized: "2021-03" -> "Mar 2021", "03/2021", "3/2021"
+     */
+    dateVariants(value) {
+        const match = DateParserUtils.toIsoDate(value).match(/^(\d{4})-(\d{2})$/);
+        if (!match) return [];
+
+        const [iso, year, month] = match;
+        return [DateParserUtils.formatDate(iso), `${month}/${year}`, `${parseInt(month, 10)}/${year}`];
+    }
+
+    findNormalized(value) {
+        const needle = this.normalize(value).text;
+        if (!needle) return null;
+
+        let index = this.normalizedText.indexOf(needle);
+        while (index !== -1) {
+            const end = index + needle.length;
+            // Whole words only - "Java" is not found in "JavaScript"
+            if ((index === 0 || this.normalizedText[index - 1] === ' ') &&
+                (end === this.normalizedText.length || this.normalizedText[end] === ' ')) {
+                return { start: this.offsets[index], end: this.offsets[end - 1] + 1 };
+            }
+            index = this.normalizedText.indexOf(needle, index + 1);
+        }
+        return null;
+    }
+
+    /**
+     * The part of the source where most of the value's words appear close together
+     */
+    findPartial(value) {
+        const needle = this.normalize(value).text;
+        const words = [...new Set(needle.split(' '))]
+            .filter(word => word.length >= FIELD_PROVENANCE.MIN_WORD_LENGTH && !FIELD_PROVENANCE.STOP_WORDS.includes(word));
+        if (words.length === 0) return null;
+
+        // Every occurrence of every word (as a word start, so "manag" finds "managed")
+        const occurrences = [];
+        words.forEach(word => {
+            let index = this.normalizedText.indexOf(word);
+            while (index !== -1) {
+                if (index === 0 || this.normalizedText[index - 1] === ' ') {
+                    occurrences.push({ word, start: index, end: index + word.length });
+                }
+                index = this.normalizedText.indexOf(word, index + 1);
+            }
+        });
+        occurrences.sort((a, b) => a.start - b.start);
+
+        // Sliding window over the occurrences, counting distinct words
+        const windowLength = Math.max(needle.length * FIELD_PROVENANCE.WINDOW_FACTOR, FIELD_PROVENANCE.SNIPPET_CONTEXT);
+        const counts = new Map();
+        let best = null;
+        let first = 0;
+        occurrences.forEach((occurrence, last) => {
+            counts.set(occurrence.word, (counts.get(occurrence.word) || 0) + 1);
+            while (occurrence.end - occurrences[first].start > windowLength) {
+                const dropped = occurrences[first++].word;
+                counts.set(dropped, counts.get(dropped) - 1);
+                if (counts.get(dropped) === 0) counts.delete(dropped);
+            }
+            if (!best || counts.size > best.found) {
+                best = { found: counts.size, start: occurrences[first].start, end: occurrences[last].end };
+            }
+        });
+
+        const coverage = best ? best.found / words.length : 0;
+        if (coverage < FIELD_PROVENANCE.MIN_PARTIAL_COVERAGE) return null;
+
+        const confidence = FIELD_PROVENANCE.PARTIAL_MATCH_BASE + FIELD_PROVENANCE.PARTIAL_MATCH_RANGE * coverage;
+        return this.match(Math.round(confidence * 100) / 100, this.offsets[best.start], this.offsets[best.end - 1] + 1);
+    }
+
+    match(confidence, start, end) {
+        const context = FIELD_PROVENANCE.SNIPPET_CONTEXT;
+        return {
+            confidence,
+            start,
+            end,
+            snippet: this.sourceText.slice(start, Math.min(end, start + FIELD_PROVENANCE.MAX_SNIPPET_LENGTH)),
+            before: this.sourceText.slice(Math.max(0, start - context), start),
+            after: this.sourceText.slice(end, end + context)
+        };
+    }
+}
+
+module.exports = FieldProvenance;
@@ -236,16 +236,23 @@ class HealthMonitor {
     
     async checkExternalAPIs() {
         const apiChecks = [];
+        const { getProviderChain } = require('./intelligent-cv-processor');
+        const llmProviders = getProviderChain();
         
         // Check Gemini API if configured
-        if (process.env.GEMINI_API_KEY && process.env.LLM_CLIENT_TYPE === 'gemini') {
+        if (process.env.GEMINI_API_KEY && llmProviders.includes('gemini')) {
             apiChecks.push(this.checkGeminiAPI());
         }
         
         // Check Ollama if configured
-        if (process.env.LLM_CLIENT_TYPE === 'ollama') {
+        if (llmProviders.includes('ollama')) {
             apiChecks.push(this.checkOllamaAPI());
         }
+
+        // Check OpenAI-compatible server if configured
+        if (llmProviders.includes('openai')) {
+            apiChecks.push(this.checkOpenAICompatibleAPI());
+        }
         
         // Check GitHub API if configured
         if (process.env.GITHUB_CLIENT_ID) {
@@ -284,10 +291,22 @@ class HealthMonitor {
             }
         });
         
+        // Providers skipped by failover after repeated errors, quota or timeouts
+        const CircuitBreaker = require('./utils/circuit-breaker');
+        const circuits = CircuitBreaker.getAll();
+        const openCircuits = Object.keys(circuits).filter(name => circuits[name].state === CircuitBreaker.STATES.OPEN);
+        if (openCircuits.length > 0) {
+            messages.push(`circuit open: ${openCircuits.join(', ')}`);
+            if (overallStatus === 'healthy') {
+                overallStatus = 'warning';
+            }
+        }
+        
         return {
             status: overallStatus,
             message: messages.join(', '),
             details,
+            circuits,
             timestamp: new Date().toISOString()
         };
     }
@@ -353,6 +372,39 @@ class HealthMonitor {
             };
         }
     }
+
+    async checkOpenAICompatibleAPI() {
+        try {
+            const baseUrl = (process.env.OPENAI_BASE_URL || 'http://localhost:8080/v1').replace(/\/+$/, '');
+            const headers = process.env.OPENAI_API_KEY ? { Authorization: `Bearer ${process.env.OPENAI_API_KEY}` } : {};
+            const start = Date.now();
+            const response = await fetch(`${baseUrl}/models`, { headers });
+            const duration = Date.now() - start;
+
+            if (response.ok) {
+                const data = await response.json();
+                return {
+                    api: 'openai-compatible',
+                    status: 'healthy',
+                    response_time_ms: duration,
+                    message: `OpenAI-compatible API accessible (${data.data?.length || 0} models)`
+                };
+            } else {
+                return {
+                    api: 'openai-compatible',
+                    status: 'unhealthy',
+                    response_time_ms: duration,
+                    message: `OpenAI-compatible API error: ${response.status}`
+                };
+            }
+        } catch (error) {
+            return {
+                api: 'openai-compatible',
+                status: 'unhealthy',
+                message: `OpenAI-compatible API unreachable: ${error.message}`
+            };
+        }
+    }
     
     async checkGitHubAPI() {
         try {
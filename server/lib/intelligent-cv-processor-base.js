@@ -1,16 +1,33 @@
 // Base class for Intelligent CV Processors
-// Contains common logic shared between Gemini and Ollama implementations
+// Contains common logic shared between the Gemini, Ollama and OpenAI-compatible implementations
 
 const CVSessionService = require('./services/cv-session-service');
+const CVChunker = require('./cv-chunker');
+const DocumentAssetsExtractor = require('./document-assets-extractor');
+const FieldProvenance = require('./field-provenance');
+const OcrExtractor = require('./ocr-extractor');
+const PdfLayoutExtractor = require('./pdf-layout-extractor');
+const SkillsNormalizer = require('./skills-normalizer');
+const StructuredCVValidator = require('./structured-cv-validator');
 const TextCleaner = require('./utils/text-cleaner');
 const fs = require('fs');
 const pdfParse = require('pdf-parse');
 const mammoth = require('mammoth');
+const { checkApiLimits, trackApiUsage } = require('../database/services');
+const { ALLOWED_MIME_TYPES, OCR, STRUCTURED_CV_VALIDATION } = require('../constants');
 
 class IntelligentCVProcessorBase {
     constructor() {
         // Initialize session service
         this.sessionService = new CVSessionService();
+        this.ocrExtractor = new OcrExtractor();
+        this.layoutExtractor = new PdfLayoutExtractor();
+        this.assetsExtractor = new DocumentAssetsExtractor();
+        this.cvValidator = new StructuredCVValidator();
+        this.chunker = new CVChunker();
+        this.skillsNormalizer = new SkillsNormalizer();
+        // api_usage.api_type the LLM is accounted under; set by LLM processors
+        this.apiType = null;
     }
 
     /**
@@ -20,12 +37,25 @@ class IntelligentCVProcessorBase {
      * @returns {string} Extracted text
      */
     async extractTextFromFile(filePath, mimeType) {
+        const { text } = await this.extractDocument(filePath, mimeType);
+        return text;
+    }
+
+    /**
+     * Extract text from uploaded file, with the PDF block map and the link and
+     * photo candidates when there are any
+     * @param {string} filePath - Path to uploaded file
+     * @param {string} mimeType - MIME type of file
+     * @returns {Promise<{text: string, blocks: Object[]|null, candidates: Object|null}>}
+     */
+    async extractDocument(filePath, mimeType) {
         try {
             let extractedText = '';
+            let blocks = null;
 
             switch (mimeType) {
                 case 'application/pdf':
-                    extractedText = await this.extractFromPDF(filePath);
+                    ({ text: extractedText, blocks } = await this.extractFromPDF(filePath));
                     break;
                 case 'application/msword':
                     throw new Error('Legacy DOC format is not supported. Please save your document as DOCX format and upload again.');
@@ -35,15 +65,20 @@ class IntelligentCVProcessorBase {
                 case 'text/plain':
                     extractedText = fs.readFileSync(filePath, 'utf8');
                     break;
+                case ALLOWED_MIME_TYPES.PNG:
+                case ALLOWED_MIME_TYPES.JPEG:
+                    extractedText = await this.ocrExtractor.extractFromImage(fs.readFileSync(filePath));
+                    break;
                 default:
-                    throw new Error(`Unsupported file type: ${mimeType}. Only PDF, DOCX, and TXT files are supported.`);
+                    throw new Error(`Unsupported file type: ${mimeType}. Only PDF, DOCX, TXT, PNG and JPG files are supported.`);
             }
 
             if (!extractedText || extractedText.trim().length === 0) {
                 throw new Error('No text could be extracted from the file. The file may be empty or corrupted.');
             }
 
-            return extractedText.trim();
+            const candidates = await this.extractCandidates(filePath, mimeType);
+            return { text: extractedText.trim(), blocks, candidates };
 
         } catch (error) {
             console.error('Text extraction failed:', error.message);
@@ -66,18 +101,55 @@ class IntelligentCVProcessorBase {
     }
 
     /**
-     * Extract text from PDF file
+     * Extract text from PDF file in reading order, falling back to OCR for scanned PDFs
+     * @returns {Promise<{text: string, blocks: Object[]|null}>}
      */
     async extractFromPDF(filePath) {
         try {
             const dataBuffer = fs.readFileSync(filePath);
-            const data = await pdfParse(dataBuffer);
-            return data.text;
+            let layout;
+
+            try {
+                layout = await this.layoutExtractor.extract(dataBuffer);
+            } catch (layoutError) {
+                // Plain pdf-parse text still beats failing the upload
+                console.warn('PDF layout extraction failed, using plain text:', layoutError.message);
+                const data = await pdfParse(dataBuffer);
+                layout = { text: data.text || '', blocks: null };
+            }
+
+            const text = layout.text;
+            if (text.trim().length >= OCR.MIN_TEXT_LENGTH) {
+                return layout;
+            }
+
+            // Little or no text layer - most likely a scan
+            console.log(`PDF has only ${text.trim().length} characters of text, running OCR...`);
+            const ocrText = await this.ocrExtractor.extractFromPdf(dataBuffer);
+            return ocrText.trim().length > text.trim().length ? { text: ocrText, blocks: null } : layout;
         } catch (error) {
             throw new Error(`PDF extraction failed: ${error.message}`);
         }
     }
 
+    /**
+     * Hyperlinks and an embedded photo for the wizard to confirm. These are a
+     * bonus - failing to read them never fails the upload.
+     * @returns {Promise<{links: Object[], profilePicture: string}|null>}
+     */
+    async extractCandidates(filePath, mimeType) {
+        try {
+            const candidates = await this.assetsExtractor.extract(fs.readFileSync(filePath), mimeType);
+            if (candidates) {
+                console.log(`Document candidates: ${candidates.links.length} links, ${candidates.profilePicture ? 'a' : 'no'} photo`);
+            }
+            return candidates;
+        } catch (error) {
+            console.warn('Link and photo extraction failed:', error.message);
+            return null;
+        }
+    }
+
     /**
      * Extract text from Word document
      */
@@ -104,12 +176,18 @@ class IntelligentCVProcessorBase {
      * Main entry point for CV processing
      * @param {string} cvText - Extracted CV text
      * @param {string} userId - User ID for session management
+     * @param {Object} [options]
+     * @param {Object[]} [options.blocks] - PDF block map from extraction
+     * @param {Object} [options.candidates] - Links and photo found in the document
      * @returns {Object} Structured CV data
      */
-    async processCV(cvText, userId) {
+    async processCV(cvText, userId, { blocks, candidates } = {}) {
         try {
+            await this.enforceApiLimits(userId);
+            this.getTokenUsage()?.reset();
+
             // Clean the text first
-            const cleanedText = TextCleaner.prepareForAI(cvText);
+            const cleanedText = TextCleaner.prepareForAI(cvText, { blocks });
             
             // Create a processing session for this CV
             const sessionId = await this.sessionService.createSession(userId, {
@@ -119,18 +197,36 @@ class IntelligentCVProcessorBase {
             });
             
             try {
-                // Process with memory-enhanced multi-step approach
-                const result = await this.processWithMemory(cleanedText, sessionId);
+                // Process with memory-enhanced multi-step approach, chunk by chunk for long CVs.
+                // Later chunks see what earlier ones stored in the session.
+                const chunks = this.chunker.split(cleanedText);
+                const results = [];
+                for (const chunk of chunks) {
+                    results.push(await this.processWithMemory(chunk.text, sessionId));
+                }
+                const result = chunks.length === 1 ? results[0] : this.chunker.merge(results);
+                await this.trackTokenUsage(userId, result);
+                this.normalizeSkills(result);
+                const confidence = this.addProvenance(result, cleanedText);
                 
                 // Mark session as completed  
-                await this.sessionService.storeStepResult(sessionId, 'final_result', result, 1.0, {
+                await this.sessionService.storeStepResult(sessionId, 'final_result', result, confidence, {
                     status: 'completed',
-                    processing_time: Date.now() - Date.now()
+                    processing_time: Date.now() - Date.now(),
+                    lowConfidenceFields: result.processingMetadata.lowConfidenceFields
                 });
+
+                // Links and photo found in the document, confirmed by the user in the wizard
+                if (candidates) {
+                    result.candidates = candidates;
+                }
                 
                 return result;
                 
             } catch (processingError) {
+                // Tokens spent on a failed attempt count towards the limits too
+                await this.trackTokenUsage(userId);
+
                 // Mark session as failed
                 await this.sessionService.storeStepResult(sessionId, 'error', { 
                     error: processingError.message 
@@ -153,19 +249,21 @@ class IntelligentCVProcessorBase {
      */
     async processWithMemory(cvText, sessionId) {
         try {
+            const provenance = new FieldProvenance(cvText);
+
             // Step 1: Extract basic personal information
             const basicInfo = await this.extractBasicInfo(cvText);
-            await this.sessionService.storeStepResult(sessionId, 'basic_info', basicInfo);
+            await this.sessionService.storeStepResult(sessionId, 'basic_info', basicInfo, provenance.annotate(basicInfo).confidence);
             
             // Step 2: Extract professional experience with context
             const context = await this.sessionService.getSessionContext(sessionId);
             const professionalInfo = await this.extractProfessional(cvText, context);
-            await this.sessionService.storeStepResult(sessionId, 'professional', professionalInfo);
+            await this.sessionService.storeStepResult(sessionId, 'professional', professionalInfo, provenance.annotate(professionalInfo).confidence);
             
             // Step 3: Extract additional details with full context
             const updatedContext = await this.sessionService.getSessionContext(sessionId);
             const additionalInfo = await this.extractAdditional(cvText, updatedContext);
-            await this.sessionService.storeStepResult(sessionId, 'additional', additionalInfo);
+            await this.sessionService.storeStepResult(sessionId, 'additional', additionalInfo, provenance.annotate(additionalInfo).confidence);
             
             // Step 4: Assemble final result
             const finalContext = await this.sessionService.getSessionContext(sessionId);
@@ -201,6 +299,104 @@ class IntelligentCVProcessorBase {
         }
     }
 
+    /**
+     * Token counter of the LLM behind this processor
+     * @returns {TokenUsage|null} null for processors without an LLM
+     */
+    getTokenUsage() {
+        return null;
+    }
+
+    /**
+     * Refuse a CV when the user has used up today's requests or tokens for this
+     * processor's provider (api_usage)
+     * @param {string} userId
+     * @throws {Error} with userLimitExceeded set - failover skips to the next provider
+     *   without counting it as a provider failure
+     */
+    async enforceApiLimits(userId) {
+        if (!this.apiType) {
+            return;
+        }
+
+        const limitCheck = await checkApiLimits(userId, this.apiType);
+        if (!limitCheck.allowed) {
+            const error = new Error(`API limit exceeded: ${limitCheck.reason}. Resets: ${limitCheck.resetTime}`);
+            error.userLimitExceeded = true;
+            throw error;
+        }
+        console.log(`API usage check passed for ${this.apiType}. Remaining: ${limitCheck.remaining ?? 'unlimited'} requests, ${limitCheck.remainingTokens ?? 'unlimited'} tokens`);
+    }
+
+    /**
+     * Account the tokens counted since the last call: in the user's daily api_usage
+     * and, for a finished extraction, in processingMetadata.tokenUsage
+     * @param {string} userId
+     * @param {Object} [result] - Structured CV data; omitted when the extraction failed
+     */
+    async trackTokenUsage(userId, result = null) {
+        const usage = this.getTokenUsage();
+        if (!this.apiType || !usage || usage.requests === 0) {
+            return;
+        }
+
+        const tokenUsage = usage.toJSON();
+        usage.reset();
+        if (result) {
+            result.processingMetadata = { ...result.processingMetadata, tokenUsage };
+        }
+
+        try {
+            await trackApiUsage(userId, this.apiType, tokenUsage.requests, tokenUsage.totalTokens);
+            console.log(`API usage tracked: ${tokenUsage.requests} call(s), ${tokenUsage.totalTokens} tokens`);
+        } catch (trackError) {
+            console.warn('Failed to track API usage:', trackError.message);
+        }
+    }
+
+    /**
+     * Merge variants of the same skill and sort skills into their taxonomy categories
+     * (see SkillsNormalizer), before provenance so spans are found for the final names
+     * @param {Object} result - Structured CV data; its skills are replaced
+     */
+    normalizeSkills(result) {
+        result.skills = this.skillsNormalizer.normalize(result.skills);
+    }
+
+    /**
+     * Attach per-field confidence and source spans to an extraction result.
+     * Spans index into sourceText, the text the processor actually read.
+     * @param {Object} result - Structured CV data; gets fieldProvenance, and
+     *   confidence and lowConfidenceFields in processingMetadata
+     * @param {string} sourceText - Cleaned CV text the result was extracted from
+     * @returns {number} Overall confidence (0-1)
+     */
+    addProvenance(result, sourceText) {
+        const { fields, confidence, lowConfidenceFields } = new FieldProvenance(sourceText).annotate(result);
+
+        result.fieldProvenance = fields;
+        result.processingMetadata = {
+            ...result.processingMetadata,
+            confidence,
+            lowConfidenceFields
+        };
+        return confidence;
+    }
+
+    /**
+     * Persist a single-pass extraction, with its provenance, in the processing session.
+     * The extraction already succeeded, so a failed write only logs a warning.
+     */
+    async storeExtractionStep(sessionId, result) {
+        try {
+            await this.sessionService.storeStepResult(sessionId, 'extraction', result, result.processingMetadata.confidence, {
+                lowConfidenceFields: result.processingMetadata.lowConfidenceFields
+            });
+        } catch (error) {
+            console.warn('Failed to store extraction step:', error.message);
+        }
+    }
+
     /**
      * Retry mechanism with exponential backoff
      */
@@ -239,6 +435,346 @@ class IntelligentCVProcessorBase {
         }
     }
 
+    /**
+     * Build comprehensive single-pass extraction prompt, shared by the
+     * single-pass processors (Gemini, OpenAI-compatible)
+     */
+    buildComprehensivePrompt(cvText, { redacted = false } = {}) {
+        const placeholderInstructions = redacted ? `
+7. PLACEHOLDERS
+   - Some details were withheld and replaced with placeholders such as [EMAIL_1], [PHONE_1] or [URL_1]
+   - Copy a placeholder exactly, brackets included, into the field its value belongs to
+` : '';
+
+        return `
+You are an expert CV/resume analyzer. Extract ALL information from this CV into structured JSON.
+
+=== CRITICAL INSTRUCTIONS ===
+
+1. READ THE ENTIRE DOCUMENT
+   - Don't stop after first section
+   - Check headers, footers, sidebars for contact info
+   - Look for information in ALL parts of the document
+
+2. IDENTIFY THE PROFESSION
+   - Determine their field/industry from job titles and experience
+   - Could be ANY profession: software, teaching, culinary, legal, healthcare, sales, trades, etc.
+   - Don't limit to predefined categories
+
+3. EXTRACT EVERYTHING RELEVANT TO THEIR DOMAIN
+   - Skills = whatever expertise matters in THEIR field
+   - Tools/technologies = whatever they use in THEIR work
+   - Achievements = metrics and results that matter in THEIR industry
+
+4. BE THOROUGH
+   - Capture ALL work experience entries
+   - Extract ALL skills mentioned anywhere (job descriptions, summaries, skill sections)
+   - Get ALL education entries
+   - Find ALL certifications, projects, achievements
+   - If you see a bullet point, extract it
+   - If you see a date or metric, include it
+
+5. HANDLE MISSING DATA
+   - If information isn't present, use empty string "" or empty array []
+   - Don't make up information
+   - Don't skip fields - include them even if empty
+
+6. DATE FORMATS
+   - Write dates as "YYYY", "YYYY-MM", "MM/YYYY" or "Mon YYYY" (e.g. "2020", "2020-01", "Jan 2020")
+   - Use "Present" for current positions
+   - Use "" when there is no date
+${placeholderInstructions}
+=== JSON STRUCTURE ===
+
+{
+  "personalInfo": {
+    "name": "Full name from CV",
+    "email": "Email address",
+    "phone": "Phone number",
+    "location": "City, State/Country",
+    "summary": "Professional summary (2-3 sentences from CV or synthesize from experience)",
+    "aboutMe": "Detailed paragraph (3-4 sentences, expand on summary or extract from About Me section)"
+  },
+  "experience": [
+    {
+      "title": "Job title/position",
+      "company": "Company or organization name",
+      "location": "City, State",
+      "startDate": "Start date (YYYY-MM or YYYY or as written)",
+      "endDate": "End date or Present",
+      "description": "Brief description of role and responsibilities",
+      "achievements": [
+        "Specific achievement with metrics if available",
+        "Another achievement or responsibility"
+      ]
+    }
+  ],
+  "skills": {
+    "technical": [
+      "Domain-specific professional skills",
+      "For developers: programming languages, frameworks",
+      "For chefs: cooking techniques, cuisines, knife skills",
+      "For teachers: pedagogical methods, curriculum development",
+      "For lawyers: legal research, case analysis, practice areas",
+      "Extract whatever is relevant to THIS person's profession",
+      "Python (Expert) - add a level in brackets only when the CV states one"
+    ],
+    "tools": [
+      "Software and equipment used: Git, Jira, Figma, Excel, AutoCAD"
+    ],
+    "soft": [
+      "Leadership",
+      "Communication",
+      "Team collaboration",
+      "Problem solving",
+      "Other interpersonal/transferable skills"
+    ],
+    "domain": [
+      "Fields of knowledge and ways of working: Agile, SEO, accounting, healthcare"
+    ],
+    "languages": [
+      "English (Native)",
+      "Spanish (Fluent)",
+      "Any spoken/written languages with proficiency level if mentioned"
+    ]
+  },
+  "education": [
+    {
+      "degree": "Degree name with field (e.g., BS in Computer Science, JD, Culinary Arts Diploma)",
+      "institution": "School/university name",
+      "location": "City, State",
+      "graduationDate": "YYYY or YYYY-MM",
+      "gpa": "GPA if mentioned (e.g., 3.8 or 3.8/4.0)",
+      "achievements": [
+        "Dean's List",
+        "Magna Cum Laude",
+        "Relevant honors or achievements"
+      ]
+    }
+  ],
+  "projects": [
+    {
+      "name": "Project name",
+      "description": "What the project was about",
+      "technologies": [
+        "Tools, methods, or technologies used",
+        "For developers: React, Node.js",
+        "For chefs: French techniques, molecular gastronomy",
+        "For teachers: project-based learning, Bloom's taxonomy"
+      ],
+      "url": "Project link if available, otherwise empty string"
+    }
+  ],
+  "certifications": [
+    {
+      "name": "Certification name",
+      "issuer": "Issuing organization",
+      "date": "YYYY or YYYY-MM when obtained",
+      "url": "Credential URL or verification link if available"
+    }
+  ]
+}
+
+=== EXAMPLES OF PROFESSION-SPECIFIC EXTRACTION ===
+
+Software Developer:
+- technical skills: ["JavaScript", "React", "Node.js", "AWS"]
+- technologies in projects: ["Docker", "PostgreSQL", "CI/CD"]
+
+Chef:
+- technical skills: ["French cuisine", "Pastry", "Knife skills", "Menu development"]
+- technologies in projects: ["Sous vide", "Molecular gastronomy", "Farm-to-table"]
+
+Teacher:
+- technical skills: ["Curriculum design", "Differentiated instruction", "Assessment strategies"]
+- technologies in projects: ["Google Classroom", "Project-based learning", "STEAM integration"]
+
+Lawyer:
+- technical skills: ["Contract law", "Legal research", "Case analysis", "Litigation"]
+- technologies in projects: ["Westlaw", "LexisNexis", "Case management software"]
+
+=== CV TEXT TO ANALYZE ===
+
+${cvText}
+
+=== FINAL REMINDERS ===
+- Extract EVERYTHING you find
+- Read the FULL document
+- Return ONLY valid JSON
+- Don't skip any sections
+- Include all bullet points and achievements
+- If unsure about a field, include the data anyway
+
+Return the complete JSON now:
+`;
+    }
+
+    /**
+     * Run the single-pass prompt and validate the response against the structured
+     * CV schema. Invalid or malformed output is sent back to the model with the
+     * errors, up to MAX_REPAIR_ATTEMPTS times, so it never reaches the wizard.
+     * A CV too long for one prompt is extracted in chunks and the results merged.
+     * @param {string} cvText - Cleaned CV text
+     * @param {function(string): Promise<string>} generate - Sends a prompt, returns the model's text
+     * @param {Object} [options]
+     * @param {PiiRedactor} [options.redactor] - Redactor cvText went through; its values are
+     *   restored before validation and kept out of repair prompts
+     * @returns {Promise<Object>} Normalized data; processingMetadata.schemaRepairs counts the repair
+     *   passes, processingMetadata.chunks the prompts a long CV was split into
+     */
+    async extractValidatedData(cvText, generate, { redactor } = {}) {
+        const chunks = this.chunker.split(cvText);
+        if (chunks.length === 1) {
+            return this.extractValidatedChunk(cvText, generate, { redactor });
+        }
+
+        console.log(`Long CV (${cvText.length} characters): extracting ${chunks.length} chunks`);
+        const results = [];
+        for (const chunk of chunks) {
+            // One at a time - a burst of calls for one CV would run into rate limits
+            results.push(await this.extractValidatedChunk(chunk.text, generate, { redactor }));
+        }
+        return this.chunker.merge(results);
+    }
+
+    /**
+     * Extract and validate one prompt's worth of CV text (see extractValidatedData)
+     */
+    async extractValidatedChunk(cvText, generate, { redactor } = {}) {
+        let text = await generate(this.buildComprehensivePrompt(cvText, { redacted: !!redactor }));
+
+        for (let repairs = 0; ; repairs++) {
+            let data = null;
+            let errors;
+            try {
+                data = this.parseAIJsonResponse(text);
+                if (redactor) {
+                    data = redactor.restore(data);
+                }
+                errors = this.cvValidator.validate(data);
+            } catch (error) {
+                errors = [error.message];
+            }
+
+            if (errors.length === 0) {
+                const result = this.normalizeExtractedData(data);
+                result.processingMetadata = { schemaRepairs: repairs };
+                return result;
+            }
+
+            if (repairs >= STRUCTURED_CV_VALIDATION.MAX_REPAIR_ATTEMPTS) {
+                throw new Error(`Response failed schema validation after ${repairs} repair attempts: ${errors.join('; ')}`);
+            }
+
+            console.warn(`Response failed schema validation (${errors.length} errors), asking for a repair...`);
+            const repairPrompt = this.buildRepairPrompt(text, errors);
+            text = await generate(redactor ? redactor.mask(repairPrompt) : repairPrompt);
+        }
+    }
+
+    /**
+     * Prompt that sends an invalid response back with the validation errors
+     */
+    buildRepairPrompt(response, errors) {
+        return `
+The JSON you returned for a CV extraction does not match the required structure.
+
+=== ERRORS ===
+
+${errors.map(error => `- ${error}`).join('\n')}
+
+=== YOUR RESPONSE ===
+
+${response}
+
+=== INSTRUCTIONS ===
+- Fix every error listed above and keep all other data unchanged
+- Missing lists are empty arrays [], missing text fields are empty strings ""
+- Dates are "YYYY", "YYYY-MM", "MM/YYYY", "Mon YYYY", "Present" or ""
+- Top-level keys: personalInfo, experience, education, skills, projects, certifications
+- Return ONLY the complete corrected JSON
+`;
+    }
+
+    /**
+     * Normalize extracted data to match schema
+     */
+    normalizeExtractedData(data) {
+        // Extract current title from first experience entry
+        const currentTitle = data.experience && data.experience.length > 0
+            ? data.experience[0].title
+            : 'Professional';
+
+        return {
+            personalInfo: {
+                name: this.cleanValue(data.personalInfo?.name) || '',
+                email: this.cleanValue(data.personalInfo?.email) || '',
+                phone: this.cleanValue(data.personalInfo?.phone) || '',
+                location: this.cleanValue(data.personalInfo?.location) || '',
+                currentTitle: currentTitle, // Required by template
+                profilePicture: '', // Not extracted from CV text
+                summary: this.cleanValue(data.personalInfo?.summary) || '',
+                aboutMe: this.cleanValue(data.personalInfo?.aboutMe) || ''
+            },
+            experience: Array.isArray(data.experience) ? data.experience : [],
+            education: Array.isArray(data.education) ? data.education : [],
+            skills: {
+                technical: Array.isArray(data.skills?.technical) ? data.skills.technical : [],
+                soft: Array.isArray(data.skills?.soft) ? data.skills.soft : [],
+                tools: Array.isArray(data.skills?.tools) ? data.skills.tools : [],
+                domain: Array.isArray(data.skills?.domain) ? data.skills.domain : [],
+                languages: Array.isArray(data.skills?.languages) ? data.skills.languages : []
+            },
+            projects: Array.isArray(data.projects) ? data.projects : [],
+            certifications: Array.isArray(data.certifications) ? data.certifications : []
+        };
+    }
+
+    /**
+     * Parse JSON with error handling and sanitization
+     */
+    parseAIJsonResponse(text) {
+        const jsonMatch = text.match(/\{[\s\S]*\}/);
+        if (!jsonMatch) {
+            throw new Error('No JSON found in response');
+        }
+
+        const jsonString = jsonMatch[0];
+
+        // Try to parse as-is first
+        try {
+            return JSON.parse(jsonString);
+        } catch (error) {
+            // If that fails, try with sanitization
+            console.log('JSON parsing failed, attempting sanitization...');
+            const sanitized = jsonString
+                .replace(/\\(?!["\\/bfnrt]|u[0-9a-fA-F]{4})/g, '')
+                .replace(/,(\s*[}\]])/g, '$1')
+                .replace(/[\x00-\x1F\x7F]/g, ' ');
+
+            try {
+                return JSON.parse(sanitized);
+            } catch (error2) {
+                console.error('JSON parsing failed after sanitization');
+                console.error('First 500 chars:', jsonString.substring(0, 500));
+                throw new Error(`JSON parsing failed: ${error2.message}`);
+            }
+        }
+    }
+
+    /**
+     * Clean extracted values
+     */
+    cleanValue(value) {
+        if (!value || typeof value !== 'string') return '';
+
+        return value
+            .trim()
+            .replace(/^["']|["']$/g, '')
+            .replace(/\s+/g, ' ')
+            .trim();
+    }
+
     // Abstract methods that must be implemented by subclasses
     async extractBasicInfo(cvText) {
         throw new Error('extractBasicInfo must be implemented by subclass');
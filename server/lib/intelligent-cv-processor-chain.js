@@ -0,0 +1,118 @@
+// File: lib/intelligent-cv-processor-chain.js - Ordered provider failover
+// Tries each configured provider in turn (e.g. gemini → ollama → rules). A provider
+// whose circuit is open is skipped; failures, 429s and timeouts open it.
+
+const IntelligentCVProcessorBase = require('./intelligent-cv-processor-base');
+const CircuitBreaker = require('./utils/circuit-breaker');
+
+class IntelligentCVProcessorChain extends IntelligentCVProcessorBase {
+    /**
+     * @param {Array<string|Object>} providers - Provider types (created on first use)
+     *   or processor instances, in the order they are tried
+     * @param {Object} config - Passed to processors created from a type
+     */
+    constructor(providers, config = {}) {
+        super();
+
+        if (!providers || providers.length === 0) {
+            throw new Error('A provider chain needs at least one provider');
+        }
+
+        this.providers = providers;
+        this.config = config;
+        this.processors = new Map();
+    }
+
+    getProcessorName() {
+        return `chain-${this.providers.map(provider => this._providerName(provider)).join('-')}`;
+    }
+
+    _providerName(provider) {
+        return typeof provider === 'string' ? provider : provider.getProcessorName();
+    }
+
+    /**
+     * Processor for a chain entry. Types are created on first use so a provider
+     * that is never reached needs no configuration.
+     */
+    _processorFor(provider) {
+        if (typeof provider !== 'string') {
+            return provider;
+        }
+
+        if (!this.processors.has(provider)) {
+            const { createProcessorForType } = require('./intelligent-cv-processor');
+            this.processors.set(provider, createProcessorForType(provider, this.config));
+        }
+        return this.processors.get(provider);
+    }
+
+    /**
+     * Process with the first provider that succeeds. The result records which
+     * provider served it (processingMetadata.processor) and which failed first.
+     * @returns {Promise<Object>} Structured CV data
+     */
+    async processCV(cvText, userId, options = {}) {
+        const failures = [];
+        let lastError = null;
+
+        for (const provider of this.providers) {
+            const name = this._providerName(provider);
+            const breaker = CircuitBreaker.forProvider(name);
+
+            if (!breaker.allowRequest()) {
+                console.warn(`Skipping ${name}: circuit open`);
+                failures.push({ processor: name, error: 'circuit open' });
+                lastError = new Error(`${name} is unavailable (circuit open after: ${breaker.lastError?.message})`);
+                continue;
+            }
+
+            try {
+                const processor = this._processorFor(provider);
+                const result = await processor.processCV(cvText, userId, options);
+                breaker.recordSuccess();
+
+                result.processingMetadata = {
+                    ...result.processingMetadata,
+                    processor: processor.getProcessorName()
+                };
+                if (failures.length > 0) {
+                    result.processingMetadata.fallbackFrom = failures[0].processor;
+                    result.processingMetadata.failedProviders = failures;
+                }
+                return result;
+
+            } catch (error) {
+                // A user over their daily limit says nothing about the provider's health
+                if (error.userLimitExceeded) {
+                    breaker.releaseTrial();
+                } else {
+                    breaker.recordFailure(error);
+                }
+                console.warn(`${name} failed (${error.message}), trying the next provider`);
+                failures.push({ processor: name, error: error.message });
+                lastError = error;
+            }
+        }
+
+        throw lastError;
+    }
+
+    /**
+     * Connected if any provider in the chain is
+     */
+    async testConnection() {
+        for (const provider of this.providers) {
+            try {
+                if (await this._processorFor(provider).testConnection()) {
+                    return true;
+                }
+            } catch (error) {
+                console.error(`${this._providerName(provider)} connection test failed:`, error.message);
+            }
+        }
+        return false;
+    }
+}
+
+module.exports = IntelligentCVProcessorChain;
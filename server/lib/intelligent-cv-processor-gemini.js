@@ -4,12 +4,11 @@
 
 const { GoogleGenerativeAI } = require('@google/generative-ai');
 const IntelligentCVProcessorBase = require('./intelligent-cv-processor-base');
-const { trackApiUsage, checkApiLimits } = require('../database/services');
-const fs = require('fs');
-const pdfParse = require('pdf-parse');
-const mammoth = require('mammoth');
+const PiiRedactor = require('./utils/pii-redactor');
 const TextCleaner = require('./utils/text-cleaner');
+const TokenUsage = require('./utils/token-usage');
 const CVSessionService = require('./services/cv-session-service');
+const { STRUCTURED_CV_VALIDATION } = require('../constants');
 
 class IntelligentCVProcessorGemini extends IntelligentCVProcessorBase {
     constructor(config = {}) {
@@ -24,6 +23,8 @@ class IntelligentCVProcessorGemini extends IntelligentCVProcessorBase {
 
         this.genAI = new GoogleGenerativeAI(process.env.GEMINI_API_KEY);
         this.sessionService = new CVSessionService();
+        this.apiType = 'gemini';
+        this.tokenUsage = new TokenUsage();
 
         // Define model fallback chain
         this.modelChain = [
@@ -44,15 +45,22 @@ class IntelligentCVProcessorGemini extends IntelligentCVProcessorBase {
      */
     initializeModel(modelName) {
         console.log(`Configuring Gemini model: ${modelName}`);
+        const generationConfig = {
+            temperature: 0.1, // Low temperature for consistent extraction
+            topP: 0.8,
+            topK: 40,
+            maxOutputTokens: 8192,
+            responseMimeType: "application/json" // Force JSON output
+        };
+
+        // Native structured output - the model can only produce the CV schema
+        if (!STRUCTURED_CV_VALIDATION.GEMINI_MODELS_WITHOUT_SCHEMA.test(modelName)) {
+            generationConfig.responseSchema = this.cvValidator.toResponseSchema();
+        }
+
         this.model = this.genAI.getGenerativeModel({
             model: modelName,
-            generationConfig: {
-                temperature: 0.1, // Low temperature for consistent extraction
-                topP: 0.8,
-                topK: 40,
-                maxOutputTokens: 8192,
-                responseMimeType: "application/json" // Force JSON output
-            }
+            generationConfig
         });
         this.currentModelName = modelName;
     }
@@ -63,7 +71,13 @@ class IntelligentCVProcessorGemini extends IntelligentCVProcessorBase {
     async generateContentSafe(prompt) {
         try {
             return await this.retryWithBackoff(async () => {
-                return await this.model.generateContent(prompt);
+                const result = await this.model.generateContent(prompt);
+                const usage = result.response.usageMetadata;
+                this.tokenUsage.add(prompt, usage ? '' : result.response.text(), {
+                    promptTokens: usage?.promptTokenCount,
+                    completionTokens: usage?.candidatesTokenCount
+                });
+                return result;
             });
         } catch (error) {
             // Check if error is related to model availability (404 Not Found)
@@ -128,82 +142,27 @@ class IntelligentCVProcessorGemini extends IntelligentCVProcessorBase {
         return `gemini-intelligent-v3-${this.currentModelName}`;
     }
 
-    /**
-     * Extract text from uploaded file
-     */
-    async extractTextFromFile(filePath, mimeType) {
-        try {
-            console.log(`Extracting text from: ${filePath}`);
-            console.log(`File type: ${mimeType}`);
-
-            let extractedText = '';
-
-            switch (mimeType) {
-                case 'application/pdf':
-                    extractedText = await this.extractFromPDF(filePath);
-                    break;
-                case 'application/msword':
-                case 'application/vnd.openxmlformats-officedocument.wordprocessingml.document':
-                    extractedText = await this.extractFromWord(filePath);
-                    break;
-                case 'text/plain':
-                     extractedText = fs.readFileSync(filePath, 'utf8');
-                     break;
-                default:
-                    throw new Error('Unsupported file type: ' + mimeType);
-            }
-
-            console.log(`Text extraction successful: ${extractedText.length} characters`);
-            return extractedText;
-
-        } catch (error) {
-            console.error('Text extraction error:', error);
-            throw new Error('Failed to extract text from file: ' + error.message);
-        }
-    }
-
-    /**
-     * Extract text from PDF file
-     */
-    async extractFromPDF(filePath) {
-        console.log('Extracting from PDF...');
-        const dataBuffer = fs.readFileSync(filePath);
-        const data = await pdfParse(dataBuffer);
-        return data.text;
-    }
-
-    /**
-     * Extract text from Word document
-     */
-    async extractFromWord(filePath) {
-        console.log('Extracting from Word document...');
-        const result = await mammoth.extractRawText({ path: filePath });
-        return result.value;
+    getTokenUsage() {
+        return this.tokenUsage;
     }
 
     /**
      * Main CV processing method - Single-pass extraction
      */
-    async processCV(cvText, userId) {
+    async processCV(cvText, userId, { blocks, candidates } = {}) {
         console.log('Starting Single-Pass CV Processing with Gemini V3.0...');
         console.log(`Processing ${cvText.length} characters for user: ${userId}`);
 
         // Check API limits
-        try {
-            const limitCheck = await checkApiLimits(userId, 'gemini');
-            if (!limitCheck.allowed) {
-                throw new Error(`API limit exceeded: ${limitCheck.reason}. Resets: ${limitCheck.resetTime}`);
-            }
-            console.log(`API usage check passed. Remaining: ${limitCheck.remaining} requests`);
-        } catch (error) {
-            console.warn('API limit check failed, proceeding with caution:', error.message);
-        }
+        await this.enforceApiLimits(userId);
+        this.tokenUsage.reset();
 
         // Clean the text
-        const cleanedText = TextCleaner.prepareForAI(cvText);
+        const cleanedText = TextCleaner.prepareForAI(cvText, { blocks });
         console.log(`Text cleaned: ${cleanedText.length} characters`);
 
-        // Create simple tracking session (optional)
+        // Create simple tracking session. It is left to expire (server.js sweeps expired
+        // sessions) so the stored extraction and its provenance outlive the job.
         const sessionId = await this.sessionService.createSession(
             userId,
             cleanedText.substring(0, 500),
@@ -217,20 +176,20 @@ class IntelligentCVProcessorGemini extends IntelligentCVProcessorBase {
         console.log(`Created processing session: ${sessionId}`);
 
         try {
+            // Contact details stay on the server when the deployment or the user asks for it
+            const redactor = await PiiRedactor.forUser(userId, this.apiType);
+            const promptText = redactor ? redactor.redact(cleanedText) : cleanedText;
+
             // Single-pass comprehensive extraction
             console.log('Executing single-pass extraction (1 API call)...');
-            const result = await this.extractAllData(cleanedText);
+            const result = await this.extractAllData(promptText, { redactor });
 
-            // Track API usage (1 call instead of 3)
-            try {
-                await trackApiUsage(userId, 'gemini', 1, cleanedText.length);
-                console.log('API usage tracked: 1 call');
-            } catch (trackError) {
-                console.warn('Failed to track API usage:', trackError.message);
-            }
+            // Track API usage: one call per chunk, plus any schema repairs, with the tokens Gemini reported
+            await this.trackTokenUsage(userId, result);
 
             // Add processing metadata
             result.processingMetadata = {
+                ...result.processingMetadata,
                 intelligentProcessor: true,
                 llmProvider: 'gemini',
                 modelUsed: this.currentModelName,
@@ -238,195 +197,42 @@ class IntelligentCVProcessorGemini extends IntelligentCVProcessorBase {
                 processingTime: new Date().toISOString(),
                 sessionId: sessionId
             };
+            if (redactor) {
+                result.processingMetadata.piiRedacted = redactor.getSummary();
+            }
+
+            // Per-field confidence and source spans, kept with the session for review
+            this.normalizeSkills(result);
+            this.addProvenance(result, cleanedText);
+            await this.storeExtractionStep(sessionId, result);
+
+            // Links and photo found in the document, confirmed by the user in the wizard
+            if (candidates) {
+                result.candidates = candidates;
+            }
 
             console.log(`CV processing completed for: ${result.personalInfo?.name}`);
             return result;
 
         } catch (error) {
             console.error(`CV processing failed for session ${sessionId}:`, error);
+            await this.trackTokenUsage(userId);
             throw error;
-
-        } finally {
-            // Clean up session
-            setTimeout(async () => {
-                await this.sessionService.cleanupSession(sessionId);
-            }, 5000);
         }
     }
 
     /**
-     * Build comprehensive single-pass extraction prompt
+     * Single-pass comprehensive data extraction, validated against the CV schema
+     * @param {string} cvText - Cleaned CV text, redacted when options.redactor is given
+     * @param {Object} [options]
+     * @param {PiiRedactor} [options.redactor] - Puts the redacted values back into the result
      */
-    buildComprehensivePrompt(cvText) {
-        return `
-You are an expert CV/resume analyzer. Extract ALL information from this CV into structured JSON.
-
-=== CRITICAL INSTRUCTIONS ===
-
-1. READ THE ENTIRE DOCUMENT
-   - Don't stop after first section
-   - Check headers, footers, sidebars for contact info
-   - Look for information in ALL parts of the document
-
-2. IDENTIFY THE PROFESSION
-   - Determine their field/industry from job titles and experience
-   - Could be ANY profession: software, teaching, culinary, legal, healthcare, sales, trades, etc.
-   - Don't limit to predefined categories
-
-3. EXTRACT EVERYTHING RELEVANT TO THEIR DOMAIN
-   - Skills = whatever expertise matters in THEIR field
-   - Tools/technologies = whatever they use in THEIR work
-   - Achievements = metrics and results that matter in THEIR industry
-
-4. BE THOROUGH
-   - Capture ALL work experience entries
-   - Extract ALL skills mentioned anywhere (job descriptions, summaries, skill sections)
-   - Get ALL education entries
-   - Find ALL certifications, projects, achievements
-   - If you see a bullet point, extract it
-   - If you see a date or metric, include it
-
-5. HANDLE MISSING DATA
-   - If information isn't present, use empty string "" or empty array []
-   - Don't make up information
-   - Don't skip fields - include them even if empty
-
-6. DATE FORMATS
-   - Extract dates as written: "2020-01", "2020", "Jan 2020", etc.
-   - Use "Present" for current positions
-   - Don't normalize or convert formats
-
-=== JSON STRUCTURE ===
-
-{
-  "personalInfo": {
-    "name": "Full name from CV",
-    "email": "Email address",
-    "phone": "Phone number",
-    "location": "City, State/Country",
-    "summary": "Professional summary (2-3 sentences from CV or synthesize from experience)",
-    "aboutMe": "Detailed paragraph (3-4 sentences, expand on summary or extract from About Me section)"
-  },
-  "experience": [
-    {
-      "title": "Job title/position",
-      "company": "Company or organization name",
-      "location": "City, State",
-      "startDate": "Start date (YYYY-MM or YYYY or as written)",
-      "endDate": "End date or Present",
-      "description": "Brief description of role and responsibilities",
-      "achievements": [
-        "Specific achievement with metrics if available",
-        "Another achievement or responsibility"
-      ]
-    }
-  ],
-  "skills": {
-    "technical": [
-      "Domain-specific professional skills",
-      "For developers: programming languages, frameworks",
-      "For chefs: cooking techniques, cuisines, knife skills",
-      "For teachers: pedagogical methods, curriculum development",
-      "For lawyers: legal research, case analysis, practice areas",
-      "Extract whatever is relevant to THIS person's profession"
-    ],
-    "soft": [
-      "Leadership",
-      "Communication",
-      "Team collaboration",
-      "Problem solving",
-      "Other interpersonal/transferable skills"
-    ],
-    "languages": [
-      "English (Native)",
-      "Spanish (Fluent)",
-      "Any spoken/written languages with proficiency level if mentioned"
-    ]
-  },
-  "education": [
-    {
-      "degree": "Degree name with field (e.g., BS in Computer Science, JD, Culinary Arts Diploma)",
-      "institution": "School/university name",
-      "location": "City, State",
-      "graduationDate": "YYYY or YYYY-MM",
-      "gpa": "GPA if mentioned (e.g., 3.8 or 3.8/4.0)",
-      "achievements": [
-        "Dean's List",
-        "Magna Cum Laude",
-        "Relevant honors or achievements"
-      ]
-    }
-  ],
-  "projects": [
-    {
-      "name": "Project name",
-      "description": "What the project was about",
-      "technologies": [
-        "Tools, methods, or technologies used",
-        "For developers: React, Node.js",
-        "For chefs: French techniques, molecular gastronomy",
-        "For teachers: project-based learning, Bloom's taxonomy"
-      ],
-      "url": "Project link if available, otherwise empty string"
-    }
-  ],
-  "certifications": [
-    {
-      "name": "Certification name",
-      "issuer": "Issuing organization",
-      "date": "YYYY or YYYY-MM when obtained",
-      "url": "Credential URL or verification link if available"
-    }
-  ]
-}
-
-=== EXAMPLES OF PROFESSION-SPECIFIC EXTRACTION ===
-
-Software Developer:
-- technical skills: ["JavaScript", "React", "Node.js", "AWS"]
-- technologies in projects: ["Docker", "PostgreSQL", "CI/CD"]
-
-Chef:
-- technical skills: ["French cuisine", "Pastry", "Knife skills", "Menu development"]
-- technologies in projects: ["Sous vide", "Molecular gastronomy", "Farm-to-table"]
-
-Teacher:
-- technical skills: ["Curriculum design", "Differentiated instruction", "Assessment strategies"]
-- technologies in projects: ["Google Classroom", "Project-based learning", "STEAM integration"]
-
-Lawyer:
-- technical skills: ["Contract law", "Legal research", "Case analysis", "Litigation"]
-- technologies in projects: ["Westlaw", "LexisNexis", "Case management software"]
-
-=== CV TEXT TO ANALYZE ===
-
-${cvText}
-
-=== FINAL REMINDERS ===
-- Extract EVERYTHING you find
-- Read the FULL document
-- Return ONLY valid JSON
-- Don't skip any sections
-- Include all bullet points and achievements
-- If unsure about a field, include the data anyway
-
-Return the complete JSON now:
-`;
-    }
-
-    /**
-     * Single-pass comprehensive data extraction
-     */
-    async extractAllData(cvText) {
-        const prompt = this.buildComprehensivePrompt(cvText);
-
+    async extractAllData(cvText, { redactor } = {}) {
         try {
-            const result = await this.generateContentSafe(prompt);
-            const response = result.response;
-            const text = response.text();
-
-            const parsed = this.parseAIJsonResponse(text);
-            return this.normalizeExtractedData(parsed);
+            return await this.extractValidatedData(cvText, async (prompt) => {
+                const result = await this.generateContentSafe(prompt);
+                return result.response.text();
+            }, { redactor });
 
         } catch (error) {
             console.error('Single-pass extraction failed:', error);
@@ -434,83 +240,6 @@ Return the complete JSON now:
         }
     }
 
-    /**
-     * Normalize extracted data to match schema
-     */
-    normalizeExtractedData(data) {
-        // Extract current title from first experience entry
-        const currentTitle = data.experience && data.experience.length > 0
-            ? data.experience[0].title
-            : 'Professional';
-
-        return {
-            personalInfo: {
-                name: this.cleanValue(data.personalInfo?.name) || '',
-                email: this.cleanValue(data.personalInfo?.email) || '',
-                phone: this.cleanValue(data.personalInfo?.phone) || '',
-                location: this.cleanValue(data.personalInfo?.location) || '',
-                currentTitle: currentTitle, // Required by template
-                profilePicture: '', // Not extracted from CV text
-                summary: this.cleanValue(data.personalInfo?.summary) || '',
-                aboutMe: this.cleanValue(data.personalInfo?.aboutMe) || ''
-            },
-            experience: Array.isArray(data.experience) ? data.experience : [],
-            education: Array.isArray(data.education) ? data.education : [],
-            skills: {
-                technical: Array.isArray(data.skills?.technical) ? data.skills.technical : [],
-                soft: Array.isArray(data.skills?.soft) ? data.skills.soft : [],
-                languages: Array.isArray(data.skills?.languages) ? data.skills.languages : []
-            },
-            projects: Array.isArray(data.projects) ? data.projects : [],
-            certifications: Array.isArray(data.certifications) ? data.certifications : []
-        };
-    }
-
-    /**
-     * Parse JSON with error handling and sanitization
-     */
-    parseAIJsonResponse(text) {
-        const jsonMatch = text.match(/\{[\s\S]*\}/);
-        if (!jsonMatch) {
-            throw new Error('No JSON found in response');
-        }
-
-        const jsonString = jsonMatch[0];
-
-        // Try to parse as-is first
-        try {
-            return JSON.parse(jsonString);
-        } catch (error) {
-            // If that fails, try with sanitization
-            console.log('JSON parsing failed, attempting sanitization...');
-            const sanitized = jsonString
-                .replace(/\\(?!["\\/bfnrt]|u[0-9a-fA-F]{4})/g, '')
-                .replace(/,(\s*[}\]])/g, '$1')
-                .replace(/[\x00-\x1F\x7F]/g, ' ');
-
-            try {
-                return JSON.parse(sanitized);
-            } catch (error2) {
-                console.error('JSON parsing failed after sanitization');
-                console.error('First 500 chars:', jsonString.substring(0, 500));
-                throw new Error(`JSON parsing failed: ${error2.message}`);
-            }
-        }
-    }
-
-    /**
-     * Clean extracted values
-     */
-    cleanValue(value) {
-        if (!value || typeof value !== 'string') return '';
-
-        return value
-            .trim()
-            .replace(/^["']|["']$/g, '')
-            .replace(/\s+/g, ' ')
-            .trim();
-    }
-
     /**
      * Test Gemini connection
      */
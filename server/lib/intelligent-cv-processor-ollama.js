@@ -15,6 +15,7 @@ class IntelligentCVProcessorOllama extends IntelligentCVProcessorBase {
             temperature: 0.1, // Low temperature for consistent extraction
             timeout: 60000 // 60 second timeout
         });
+        this.apiType = 'ollama';
     }
 
     /**
@@ -24,6 +25,10 @@ class IntelligentCVProcessorOllama extends IntelligentCVProcessorBase {
         return 'ollama-intelligent';
     }
 
+    getTokenUsage() {
+        return this.ollamaClient.usage;
+    }
+
     /**
      * Clean and extract JSON from Ollama response
      */
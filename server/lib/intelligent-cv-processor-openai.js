@@ -0,0 +1,139 @@
+// Intelligent CV Processor for OpenAI-compatible servers
+// Single-pass extraction (same prompt as Gemini) against llama.cpp server,
+// vLLM, LM Studio or any other chat-completions endpoint
+
+const OpenAICompatibleClient = require('./utils/openai-compatible-client');
+const IntelligentCVProcessorBase = require('./intelligent-cv-processor-base');
+const PiiRedactor = require('./utils/pii-redactor');
+const TextCleaner = require('./utils/text-cleaner');
+const { STRUCTURED_CV_VALIDATION } = require('../constants');
+
+class IntelligentCVProcessorOpenAI extends IntelligentCVProcessorBase {
+    constructor(config = {}) {
+        super();
+
+        this.client = new OpenAICompatibleClient({
+            baseUrl: config.baseUrl || process.env.OPENAI_BASE_URL,
+            apiKey: config.apiKey || process.env.OPENAI_API_KEY,
+            model: config.model || process.env.OPENAI_MODEL,
+            temperature: 0.1, // Low temperature for consistent extraction
+            timeout: 120000, // Local inference of a whole CV takes a while
+            maxRetries: 2
+        });
+        this.apiType = 'openai';
+    }
+
+    /**
+     * Get processor name for metadata
+     */
+    getProcessorName() {
+        return `openai-compatible-${this.client.model}`;
+    }
+
+    getTokenUsage() {
+        return this.client.usage;
+    }
+
+    /**
+     * Main CV processing method - Single-pass extraction
+     */
+    async processCV(cvText, userId, { blocks, candidates } = {}) {
+        console.log(`Starting single-pass CV processing with ${this.client.baseUrl}...`);
+
+        await this.enforceApiLimits(userId);
+        this.client.usage.reset();
+
+        const cleanedText = TextCleaner.prepareForAI(cvText, { blocks });
+
+        // Left to expire rather than deleted, so the stored extraction and its provenance outlive the job
+        const sessionId = await this.sessionService.createSession(
+            userId,
+            cleanedText.substring(0, 500),
+            {
+                cv_length: cleanedText.length,
+                processing_start: new Date().toISOString(),
+                processor_version: `single_pass_${this.getProcessorName()}`
+            }
+        );
+
+        try {
+            // Contact details stay on the server when the deployment or the user asks for it
+            const redactor = await PiiRedactor.forUser(userId, this.apiType);
+            const promptText = redactor ? redactor.redact(cleanedText) : cleanedText;
+
+            const result = await this.extractAllData(promptText, { redactor });
+            await this.trackTokenUsage(userId, result);
+
+            result.processingMetadata = {
+                ...result.processingMetadata,
+                intelligentProcessor: true,
+                llmProvider: 'openai-compatible',
+                modelUsed: this.client.model,
+                processingVersion: '3.0-single-pass',
+                processingTime: new Date().toISOString(),
+                sessionId: sessionId
+            };
+            if (redactor) {
+                result.processingMetadata.piiRedacted = redactor.getSummary();
+            }
+
+            // Per-field confidence and source spans, kept with the session for review
+            this.normalizeSkills(result);
+            this.addProvenance(result, cleanedText);
+            await this.storeExtractionStep(sessionId, result);
+
+            // Links and photo found in the document, confirmed by the user in the wizard
+            if (candidates) {
+                result.candidates = candidates;
+            }
+
+            console.log(`CV processing completed for: ${result.personalInfo?.name}`);
+            return result;
+
+        } catch (error) {
+            console.error(`CV processing failed for session ${sessionId}:`, error.message);
+            await this.trackTokenUsage(userId);
+            throw error;
+        }
+    }
+
+    /**
+     * Single-pass comprehensive data extraction, constrained to the CV schema
+     * where the server supports json_schema and validated either way
+     * @param {string} cvText - Cleaned CV text, redacted when options.redactor is given
+     * @param {Object} [options]
+     * @param {PiiRedactor} [options.redactor] - Puts the redacted values back into the result
+     */
+    async extractAllData(cvText, { redactor } = {}) {
+        const jsonSchema = {
+            name: STRUCTURED_CV_VALIDATION.RESPONSE_SCHEMA_NAME,
+            schema: this.cvValidator.toResponseSchema()
+        };
+
+        try {
+            return await this.extractValidatedData(cvText, prompt => this.client.generateText(prompt, {
+                jsonSchema,
+                description: 'CV extraction'
+            }), { redactor });
+
+        } catch (error) {
+            console.error('Single-pass extraction failed:', error.message);
+            throw new Error('Failed to extract CV data: ' + error.message);
+        }
+    }
+
+    /**
+     * Test connection to the server
+     */
+    async testConnection() {
+        try {
+            await this.client.testConnection();
+            return true;
+        } catch (error) {
+            console.error('OpenAI-compatible connection test failed:', error.message);
+            return false;
+        }
+    }
+}
+
+module.exports = IntelligentCVProcessorOpenAI;
@@ -0,0 +1,496 @@
+// File: lib/intelligent-cv-processor-rules.js - CV extraction without an LLM
+// Finds sections by their headings and reads contact details, jobs and dates
+// heuristically. Less thorough than a model, but it needs no external service,
+// so it backs LLM_CLIENT_TYPE=rules and takes over when the configured LLM fails.
+
+const IntelligentCVProcessorBase = require('./intelligent-cv-processor-base');
+const TextCleaner = require('./utils/text-cleaner');
+const TextParserUtils = require('./utils/text-parser-utils');
+const DateParserUtils = require('./utils/date-parser-utils');
+const CONSTANTS = require('../constants/template-processor-constants');
+const { RULE_EXTRACTION } = require('../constants');
+
+// "Title, Company", "Company | Title", "Title at Company", "Title - Company"
+const ENTRY_SEPARATOR = /\s*(?:,|\||\s@\s|\sat\s|\s-\s)\s*/i;
+const LIST_SEPARATOR = /\s*(?:[,;|•·]|\s\/\s)\s*/;
+const URL_PATTERN = /\b(?:https?:\/\/|www\.)[^\s,;|()<>]+|\b(?:linkedin\.com|github\.com)\/[^\s,;|()<>]+/gi;
+const YEAR_PATTERN = /\b(?:19|20)\d{2}\b/g;
+const LINK_LABELS = /^(?:linkedin|github|portfolio|website|email|phone|mobile)$/i;
+
+class IntelligentCVProcessorRules extends IntelligentCVProcessorBase {
+    getProcessorName() {
+        return RULE_EXTRACTION.PROCESSOR_NAME;
+    }
+
+    /**
+     * Rule-based processing - no session, no API call
+     * @param {string} cvText - Extracted CV text
+     * @param {string} userId - User ID
+     * @param {Object} [options]
+     * @param {Object[]} [options.blocks] - PDF block map, used for its headings
+     * @param {Object} [options.candidates] - Links and photo found in the document
+     * @returns {Promise<Object>} Structured CV data
+     */
+    async processCV(cvText, userId, { blocks, candidates } = {}) {
+        console.log(`Starting rule-based CV processing for user: ${userId}`);
+
+        const result = this.extractAllData(cvText, { blocks });
+        result.processingMetadata = {
+            intelligentProcessor: false,
+            llmProvider: RULE_EXTRACTION.PROCESSOR_NAME,
+            processingTime: new Date().toISOString()
+        };
+        this.normalizeSkills(result);
+        this.addProvenance(result, cvText);
+
+        // Links and photo found in the document, confirmed by the user in the wizard
+        if (candidates) {
+            result.candidates = candidates;
+        }
+
+        console.log(`Rule-based processing completed for: ${result.personalInfo.name || 'unknown name'}`);
+        return result;
+    }
+
+    /**
+     * Always available - there is nothing to connect to
+     */
+    async testConnection() {
+        return true;
+    }
+
+    /**
+     * Extract structured CV data from text
+     * @param {string} cvText
+     * @param {Object} [options]
+     * @param {Object[]} [options.blocks] - PDF block map; its headings count as section headings
+     * @returns {Object} Structured CV data, same shape the LLM processors return
+     */
+    extractAllData(cvText, { blocks } = {}) {
+        const groups = blocks && blocks.length > 0
+            ? blocks.map(block => ({ column: block.column, heading: block.heading, lines: this.prepareLines([block.heading, block.text].filter(Boolean).join('\n')) }))
+            : [{ column: null, heading: null, lines: this.prepareLines(cvText) }];
+        const lines = groups.flatMap(group => group.lines);
+        const { header, sections } = this.splitSections(groups);
+        const linesOf = key => sections.filter(section => section.keys[0] === key).flatMap(section => section.lines);
+
+        const experience = [];
+        const education = [];
+        for (const section of sections.filter(({ keys }) => keys[0] === 'experience')) {
+            for (const entry of TextParserUtils.splitBySections(section.lines, TextParserUtils.findEntryBoundaries(section.lines))) {
+                // "Experience and Education" headings mix both kinds of entries
+                if (section.keys.includes('education') && this.isEducationEntry(entry)) {
+                    education.push(this.parseEducation(entry));
+                } else {
+                    experience.push(this.parseExperience(entry));
+                }
+            }
+        }
+        education.push(...this.splitEducation(linesOf('education')).map(entry => this.parseEducation(entry)));
+
+        const personalInfo = this.extractPersonalInfo(lines, header, linesOf('contact'));
+        const summary = linesOf('summary').join(' ');
+        const skills = this.parseSkills(linesOf('skills'));
+
+        return {
+            personalInfo: {
+                ...personalInfo,
+                currentTitle: personalInfo.currentTitle || experience[0]?.title || 'Professional',
+                profilePicture: '', // Not extracted from CV text
+                summary,
+                aboutMe: summary
+            },
+            experience: experience.filter(job => job.title || job.company),
+            education: education.filter(entry => entry.degree || entry.institution),
+            skills: {
+                ...skills,
+                languages: this.parseLanguages(linesOf('languages'))
+            },
+            projects: this.parseProjects(linesOf('projects')),
+            certifications: this.parseCertifications(linesOf('certifications'))
+        };
+    }
+
+    /**
+     * Clean the text line by line, keeping the line structure the rules rely on,
+     * and join prose lines that were wrapped by the PDF layout
+     */
+    prepareLines(cvText) {
+        const lines = [];
+
+        for (const rawLine of (cvText || '').split(/\r\n|\r|\n|\f/)) {
+            // normalizeText drops en and em dashes, which separate dates and titles
+            const line = TextCleaner.normalizeText(rawLine.replace(/[–—]/g, '-'));
+            if (!line) continue;
+
+            // A wrapped line starts with a plain lower-case word, not a URL or a handle
+            const previous = lines[lines.length - 1];
+            const isWrapped = previous && /^[a-z][a-z'-]*(?:[\s,]|$)/.test(line) &&
+                previous.length >= RULE_EXTRACTION.WRAPPED_LINE_MIN_LENGTH && !/[.:]$/.test(previous) && !previous.includes('|');
+            if (isWrapped) {
+                lines[lines.length - 1] = `${previous} ${line}`;
+            } else {
+                lines.push(line);
+            }
+        }
+
+        return TextCleaner.removeCommonHeaders(lines.join('\n')).split('\n').filter(Boolean);
+    }
+
+    /**
+     * The CV fields a heading line stands for
+     * @param {string} line
+     * @param {Set<string>} layoutHeadings - Lines the PDF layout marked as headings
+     * @returns {string[]|null} Section keys, e.g. ['experience', 'education']
+     */
+    matchSection(line, layoutHeadings) {
+        const normalized = line.replace(/:$/, '').toLowerCase().replace(/[^a-z&\s]/g, ' ').replace(/\s+/g, ' ').trim();
+        const words = normalized.split(' ');
+        if (!normalized || /\d/.test(line) || words.length > RULE_EXTRACTION.HEADING_MAX_WORDS) {
+            return null;
+        }
+
+        const sections = Object.entries(RULE_EXTRACTION.SECTIONS);
+        const exact = sections.find(([, names]) => names.includes(normalized));
+        if (exact) {
+            return [exact[0]];
+        }
+
+        // Longer headings only count when they look like headings
+        const looksLikeHeading = line === line.toUpperCase() || line.endsWith(':') || layoutHeadings.has(line);
+        if (!looksLikeHeading) {
+            return null;
+        }
+
+        const keys = sections.filter(([, names]) => names.some(name => ` ${normalized} `.includes(` ${name} `))).map(([key]) => key);
+        return keys.length > 0 ? keys : null;
+    }
+
+    /**
+     * Split lines at section headings
+     * @param {Object[]} groups - { column, heading, lines }: one per PDF layout block,
+     *   or a single group for plain text
+     * @returns {{header: string[], sections: Object[]}} Lines before the first heading,
+     *   and sections of { keys, heading, lines }
+     */
+    splitSections(groups) {
+        const layoutHeadings = new Set(groups.map(group => group.heading).filter(Boolean));
+        const header = [];
+        const sections = [];
+
+        for (const group of groups) {
+            // An untitled sidebar block below the header holds contact details, not
+            // the rest of the section before it
+            if (!group.heading && group.column === 'sidebar' && sections.length > 0) {
+                sections.push({ keys: ['contact'], heading: null, lines: [] });
+            }
+            this.addToSections(group.lines, layoutHeadings, header, sections);
+        }
+
+        return { header, sections };
+    }
+
+    addToSections(lines, layoutHeadings, header, sections) {
+        for (const line of lines) {
+            const keys = this.matchSection(line, layoutHeadings);
+            if (keys) {
+                sections.push({ keys, heading: line, lines: [] });
+            } else if (sections.length > 0) {
+                sections[sections.length - 1].lines.push(line);
+            } else {
+                header.push(line);
+            }
+        }
+    }
+
+    hasTitleKeyword(text) {
+        const words = (text || '').toLowerCase().split(/[^a-z]+/);
+        return RULE_EXTRACTION.TITLE_KEYWORDS.some(keyword => words.includes(keyword));
+    }
+
+    /**
+     * "Haifa, Israel", "San Francisco, CA"
+     */
+    looksLikeLocation(text) {
+        return /^[A-Z][A-Za-z .'-]+(?:,\s*[A-Z][A-Za-z .'-]+){1,2}$/.test(text || '') &&
+            text.split(/\s+/).length <= RULE_EXTRACTION.HEADING_MAX_WORDS &&
+            !this.hasTitleKeyword(text);
+    }
+
+    /**
+     * Split "Title, Company" style text into its parts
+     */
+    splitEntryText(text) {
+        return (text || '').split(ENTRY_SEPARATOR)
+            .map(part => part.replace(/^[\s|,-]+|[\s|,-]+$/g, ''))
+            .filter(Boolean);
+    }
+
+    /**
+     * Dates as ISO where they can be read, otherwise as written
+     */
+    formatDate(value) {
+        return DateParserUtils.toIsoDate(value) || value || '';
+    }
+
+    /**
+     * @param {string[]} entry - Lines of one job, starting at its header
+     */
+    parseExperience(entry) {
+        const datedIndex = entry.findIndex(line => DateParserUtils.findDateSpan(line));
+        const span = datedIndex === -1 ? null : DateParserUtils.findDateSpan(entry[datedIndex]);
+        const headerLines = entry.slice(0, Math.max(datedIndex, 0) + 1);
+        const body = entry.slice(headerLines.length);
+
+        // The date line may hold the location ("San Francisco, CA | 03/2021 - Present")
+        const withoutDates = headerLines.map(line => span && line === entry[datedIndex]
+            ? line.slice(0, span.index) + line.slice(span.index + span.length)
+            : line);
+        let location = '';
+        if (withoutDates.length > 1) {
+            const dateLineText = this.splitEntryText(withoutDates.pop()).join(', ');
+            location = this.looksLikeLocation(dateLineText) ? dateLineText : '';
+        }
+
+        let [title = '', company = '', ...rest] = this.splitEntryText(withoutDates.join(' | '));
+        if (this.hasTitleKeyword(company) && !this.hasTitleKeyword(title)) {
+            [title, company] = [company, title];
+        }
+        if (!location && this.looksLikeLocation(rest.join(', '))) {
+            location = rest.join(', ');
+        }
+
+        return {
+            title,
+            company,
+            location,
+            startDate: span ? this.formatDate(span.startDate) : '',
+            endDate: span ? this.formatDate(span.endDate) : '',
+            description: body.filter(line => !TextParserUtils.isBulletPoint(line)).join(' '),
+            achievements: TextParserUtils.extractAchievements(body)
+        };
+    }
+
+    isEducationEntry(entry) {
+        return RULE_EXTRACTION.DEGREE_PATTERN.test(entry[0]) || RULE_EXTRACTION.INSTITUTION_PATTERN.test(entry[0]);
+    }
+
+    /**
+     * Group education lines into entries. An entry starts at a degree or school
+     * line; a school and a degree on consecutive lines belong together.
+     * @returns {string[][]}
+     */
+    splitEducation(lines) {
+        const entries = [];
+        let current = null;
+
+        for (const line of lines) {
+            const isDegree = !TextParserUtils.isBulletPoint(line) && RULE_EXTRACTION.DEGREE_PATTERN.test(line);
+            const isInstitution = !TextParserUtils.isBulletPoint(line) && RULE_EXTRACTION.INSTITUTION_PATTERN.test(line);
+
+            const completes = current && current.details === 0 &&
+                ((isDegree && !current.hasDegree) || (isInstitution && !current.hasInstitution));
+
+            if ((isDegree || isInstitution) && !completes) {
+                current = { lines: [line], hasDegree: isDegree, hasInstitution: isInstitution, details: 0 };
+                entries.push(current);
+            } else if (completes) {
+                current.lines.push(line);
+                current.hasDegree = current.hasDegree || isDegree;
+                current.hasInstitution = current.hasInstitution || isInstitution;
+            } else if (current) {
+                current.lines.push(line);
+                current.details++;
+            } else {
+                current = { lines: [line], hasDegree: false, hasInstitution: false, details: 0 };
+                entries.push(current);
+            }
+        }
+
+        return entries.map(entry => entry.lines);
+    }
+
+    /**
+     * @param {string[]} entry - Lines of one degree
+     */
+    parseEducation(entry) {
+        const headerLines = entry.filter(line => !TextParserUtils.isBulletPoint(line) &&
+            (RULE_EXTRACTION.DEGREE_PATTERN.test(line) || RULE_EXTRACTION.INSTITUTION_PATTERN.test(line)));
+        const details = entry.filter(line => !headerLines.includes(line));
+        const headerText = headerLines.join(' | ') || entry[0] || '';
+
+        const span = DateParserUtils.findDateSpan(headerText);
+        const years = headerText.match(YEAR_PATTERN) || [];
+        const graduationDate = span ? span.endDate : (years[years.length - 1] || '');
+
+        const parts = this.splitEntryText((span
+            ? headerText.slice(0, span.index) + headerText.slice(span.index + span.length)
+            : headerText).replace(YEAR_PATTERN, ''));
+        const degree = parts.find(part => RULE_EXTRACTION.DEGREE_PATTERN.test(part)) ||
+            parts.find(part => !RULE_EXTRACTION.INSTITUTION_PATTERN.test(part)) || '';
+        const institution = parts.find(part => part !== degree && RULE_EXTRACTION.INSTITUTION_PATTERN.test(part)) ||
+            parts.find(part => part !== degree) || '';
+
+        const gpaLine = details.find(line => /\bGPA\b/i.test(line));
+        const gpa = gpaLine ? (gpaLine.match(/GPA[:\s]*([\d.]+(?:\s*\/\s*[\d.]+)?)/i) || [])[1] || '' : '';
+
+        return {
+            degree,
+            institution,
+            location: '',
+            graduationDate: this.formatDate(graduationDate),
+            gpa: gpa.replace(/\s+/g, ''),
+            achievements: details.filter(line => line !== gpaLine)
+                .map(line => line.replace(CONSTANTS.PATTERNS.BULLET_PREFIX, ''))
+        };
+    }
+
+    /**
+     * Split list lines ("Go, Rust, Python", "Tools: Jira | Figma") into items
+     */
+    splitList(lines) {
+        const items = lines.flatMap(line => line
+            .replace(CONSTANTS.PATTERNS.BULLET_PREFIX, '')
+            .replace(/^[^:,]{1,30}:\s*/, '') // "Languages: ..." group labels
+            .split(LIST_SEPARATOR))
+            .map(item => item.replace(/[.\s]+$/, '').trim())
+            .filter(item => item && item.length <= RULE_EXTRACTION.MAX_SKILL_LENGTH);
+
+        const seen = new Set();
+        return items.filter(item => !seen.has(item.toLowerCase()) && seen.add(item.toLowerCase()));
+    }
+
+    parseSkills(lines) {
+        const isSoft = skill => RULE_EXTRACTION.SOFT_SKILLS.includes(skill.toLowerCase());
+        const items = this.splitList(lines);
+
+        return {
+            technical: items.filter(skill => !isSoft(skill)),
+            soft: items.filter(isSoft)
+        };
+    }
+
+    /**
+     * "English - Native", "English: Native" and "English (Native)" all become "English (Native)"
+     */
+    parseLanguages(lines) {
+        return lines
+            .map(line => line.replace(CONSTANTS.PATTERNS.BULLET_PREFIX, ''))
+            .flatMap(line => line.split(/\s*[,;|]\s*/))
+            .map(item => {
+                const match = item.match(/^([A-Za-z][A-Za-z ]*?)\s*(?:[-:]\s*|\(\s*)([^()]+?)\)?$/);
+                return match ? `${match[1]} (${match[2]})` : item.trim();
+            })
+            .filter(Boolean);
+    }
+
+    /**
+     * A project starts at each plain line: "Name - description (Tech, Tech) url"
+     */
+    parseProjects(lines) {
+        const projects = [];
+
+        for (const line of lines) {
+            const current = projects[projects.length - 1];
+            if (TextParserUtils.isBulletPoint(line) && current) {
+                current.description = [current.description, line.replace(CONSTANTS.PATTERNS.BULLET_PREFIX, '')].filter(Boolean).join(' ');
+                continue;
+            }
+
+            const url = (line.match(URL_PATTERN) || [])[0] || '';
+            let text = line.replace(URL_PATTERN, '').trim();
+
+            let technologies = [];
+            const techMatch = text.match(/\(([^()]+)\)$/);
+            if (techMatch) {
+                technologies = this.splitList([techMatch[1]]);
+                text = text.slice(0, techMatch.index).trim();
+            }
+
+            const separator = text.match(/\s-\s|:\s/);
+            projects.push({
+                name: separator ? text.slice(0, separator.index).trim() : text,
+                description: separator ? text.slice(separator.index + separator[0].length).trim() : '',
+                technologies,
+                url: url ? this.normalizeUrl(url) : ''
+            });
+        }
+
+        return projects;
+    }
+
+    /**
+     * One certification per line: "Name, Issuer, 2022" or "Name | Issuer | 2022"
+     */
+    parseCertifications(lines) {
+        return lines.filter(line => !TextParserUtils.isBulletPoint(line)).map(line => {
+            const url = (line.match(URL_PATTERN) || [])[0] || '';
+            const years = line.match(YEAR_PATTERN) || [];
+            const parts = line.replace(URL_PATTERN, '').split(/\s*[,|]\s*/)
+                .map(part => part.trim())
+                .filter(part => part && !/^(?:19|20)\d{2}$/.test(part));
+
+            return {
+                name: parts[0] || '',
+                issuer: parts[1] || '',
+                date: years[years.length - 1] || '',
+                url: url ? this.normalizeUrl(url) : ''
+            };
+        }).filter(cert => cert.name);
+    }
+
+    normalizeUrl(url) {
+        const trimmed = url.replace(/[.)]+$/, '');
+        return /^https?:\/\//i.test(trimmed) ? trimmed : `https://${trimmed}`;
+    }
+
+    /**
+     * Name, title, contact details and profile links, mostly from the lines
+     * above the first section
+     */
+    extractPersonalInfo(lines, header, contactLines) {
+        const topLines = header.length > 0 ? header.slice(0, RULE_EXTRACTION.HEADER_LINES) : lines.slice(0, RULE_EXTRACTION.HEADER_LINES);
+        const personalLines = [...topLines, ...contactLines];
+        const items = personalLines.flatMap(line => line.split(/\s*[|•·]\s*/)).filter(Boolean);
+
+        const personalText = personalLines.join('\n');
+        const contactInfo = TextCleaner.extractContactInfo(personalText);
+        const fullContactInfo = contactInfo.emails.length && contactInfo.phones.length
+            ? contactInfo
+            : TextCleaner.extractContactInfo(lines.join('\n'));
+
+        const isContactItem = item => /@|\d{3}|https?:|www\.|\.com\//i.test(item) || LINK_LABELS.test(item);
+        const name = TextCleaner.extractNameCandidates(topLines.join('\n'))[0] ||
+            items.find(item => !isContactItem(item) && !/\d/.test(item) && item.split(/\s+/).length <= 4) || '';
+        const afterName = items.slice(items.indexOf(name) + 1);
+        const location = contactInfo.locations[0] || items.find(item => this.looksLikeLocation(item)) || '';
+        const title = afterName.find(item => !isContactItem(item) && item !== location && !this.looksLikeLocation(item) &&
+            /[A-Za-z]/.test(item) && item.split(/\s+/).length <= 8) || '';
+
+        return {
+            name,
+            email: contactInfo.emails[0] || fullContactInfo.emails[0] || '',
+            phone: (contactInfo.phones[0] || fullContactInfo.phones[0] || '').trim(),
+            location,
+            currentTitle: title,
+            ...this.extractProfileLinks(lines.join('\n'))
+        };
+    }
+
+    /**
+     * LinkedIn, GitHub and website URLs written out in the text
+     */
+    extractProfileLinks(text) {
+        const links = this.assetsExtractor.classifyLinks((text.match(URL_PATTERN) || [])
+            .map(url => ({ url: this.normalizeUrl(url), text: '' })));
+        const linkFor = field => (links.find(link => link.field === field) || {}).url || '';
+
+        return {
+            linkedin: linkFor('linkedin'),
+            github: linkFor('github'),
+            website: linkFor('website')
+        };
+    }
+}
+
+module.exports = IntelligentCVProcessorRules;
@@ -1,23 +1,71 @@
 // Intelligent CV Processor Factory
-// Automatically selects between Gemini and Ollama based on environment
+// Automatically selects between Gemini, Ollama, OpenAI-compatible servers and rule-based extraction based on environment,
+// or an ordered failover chain of them (LLM_PROVIDER_CHAIN)
 
 const IntelligentCVProcessorGemini = require('./intelligent-cv-processor-gemini');
 const IntelligentCVProcessorOllama = require('./intelligent-cv-processor-ollama');
+const IntelligentCVProcessorOpenAI = require('./intelligent-cv-processor-openai');
+const IntelligentCVProcessorRules = require('./intelligent-cv-processor-rules');
+const IntelligentCVProcessorChain = require('./intelligent-cv-processor-chain');
+const { LLM_PROVIDER_CHAIN } = require('../constants');
+
+/**
+ * Providers to try in order: LLM_PROVIDER_CHAIN (e.g. "gemini,ollama,rules"),
+ * or LLM_CLIENT_TYPE followed by rule-based extraction unless LLM_FALLBACK=none
+ * @returns {string[]}
+ */
+function getProviderChain() {
+    if (process.env.LLM_PROVIDER_CHAIN) {
+        const providers = process.env.LLM_PROVIDER_CHAIN.split(',')
+            .map(provider => provider.trim().toLowerCase())
+            .filter(Boolean);
+
+        const unknown = providers.filter(provider => !LLM_PROVIDER_CHAIN.PROVIDERS.includes(provider));
+        if (unknown.length > 0) {
+            throw new Error(`Unsupported provider in LLM_PROVIDER_CHAIN: ${unknown.join(', ')}. Supported providers: ${LLM_PROVIDER_CHAIN.PROVIDERS.join(', ')}`);
+        }
+        return [...new Set(providers)];
+    }
+
+    const llmType = (process.env.LLM_CLIENT_TYPE || 'gemini').toLowerCase();
+    return llmType === 'rules' || process.env.LLM_FALLBACK === 'none' ? [llmType] : [llmType, 'rules'];
+}
 
 /**
  * Factory function to create the appropriate CV processor
  * @param {Object} config - Configuration options
- * @returns {IntelligentCVProcessorGemini|IntelligentCVProcessorOllama}
+ * @returns {IntelligentCVProcessorGemini|IntelligentCVProcessorOllama|IntelligentCVProcessorOpenAI|IntelligentCVProcessorRules|IntelligentCVProcessorChain}
  */
 function createIntelligentCVProcessor(config = {}) {
-    const llmType = process.env.LLM_CLIENT_TYPE || 'gemini';
-    
+    if (process.env.LLM_PROVIDER_CHAIN) {
+        const providers = getProviderChain();
+        console.log(`Creating CV Processor chain: ${providers.join(' → ')}`);
+        return new IntelligentCVProcessorChain(providers, config);
+    }
+
+    return createProcessorForType(process.env.LLM_CLIENT_TYPE || 'gemini', config);
+}
+
+/**
+ * Create the processor for one provider type
+ * @param {string} llmType - gemini, ollama, openai or rules
+ * @param {Object} config - Configuration options
+ */
+function createProcessorForType(llmType, config = {}) {
     console.log(`Creating CV Processor with LLM type: ${llmType}`);
     
     switch (llmType.toLowerCase()) {
         case 'ollama':
             console.log('Using Ollama CV Processor');
             return new IntelligentCVProcessorOllama(config);
+
+        case 'openai':
+            console.log('Using OpenAI-compatible CV Processor');
+            return new IntelligentCVProcessorOpenAI(config);
+
+        case 'rules':
+            console.log('Using rule-based CV Processor (no LLM)');
+            return new IntelligentCVProcessorRules(config);
         
         case 'gemini':
         default:
@@ -45,5 +93,10 @@ class IntelligentCVProcessor {
 // Export both factory function and legacy class
 module.exports = IntelligentCVProcessor;
 module.exports.createIntelligentCVProcessor = createIntelligentCVProcessor;
+module.exports.createProcessorForType = createProcessorForType;
+module.exports.getProviderChain = getProviderChain;
 module.exports.IntelligentCVProcessorGemini = IntelligentCVProcessorGemini;
-module.exports.IntelligentCVProcessorOllama = IntelligentCVProcessorOllama;
\ No newline at end of file
+module.exports.IntelligentCVProcessorOllama = IntelligentCVProcessorOllama;
+module.exports.IntelligentCVProcessorOpenAI = IntelligentCVProcessorOpenAI;
+module.exports.IntelligentCVProcessorRules = IntelligentCVProcessorRules;
+module.exports.IntelligentCVProcessorChain = IntelligentCVProcessorChain;
\ No newline at end of file
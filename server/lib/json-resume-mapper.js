@@ -0,0 +1,306 @@
+// File: lib/json-resume-mapper.js - Mapping between our CV data and JSON Resume
+// JSON Resume (https://jsonresume.org/schema) is the interchange format: a
+// resume.json upload skips the LLM, and any generated site can be exported.
+
+const validator = require('validator');
+const { validate: validateSchema } = require('@jsonresume/schema');
+const SectionRenderer = require('./section-renderer');
+const DateParserUtils = require('./utils/date-parser-utils');
+const CONSTANTS = require('../constants/template-processor-constants');
+const { JSON_RESUME } = require('../constants');
+
+// Skill groups whose name looks like one of these are soft skills on import
+const SOFT_SKILL_GROUP = /soft|interpersonal|personal|competenc|leadership/i;
+
+// personalInfo link fields that are basics.profiles in JSON Resume
+const PROFILE_NETWORKS = [
+    { field: 'linkedin', network: 'LinkedIn' },
+    { field: 'github', network: 'GitHub' }
+];
+
+class JsonResumeMapper {
+    constructor(sectionRenderer = new SectionRenderer()) {
+        this.sectionRenderer = sectionRenderer;
+    }
+
+    /**
+     * Plain text: stored CV data is HTML-entity encoded by InputSanitizer
+     * @param {*} value
+     * @returns {string}
+     */
+    text(value) {
+        return this.sectionRenderer.decodeEntities(value).trim();
+    }
+
+    list(items) {
+        return (Array.isArray(items) ? items : []).map(item => this.text(item)).filter(Boolean);
+    }
+
+    url(value) {
+        return this.text(this.sectionRenderer.safeUrl(this.text(value)));
+    }
+
+    /**
+     * Drop empty strings, empty arrays and empty objects so the output only
+     * contains fields we actually know.
+     */
+    compact(object) {
+        return Object.fromEntries(Object.entries(object).filter(([, value]) => {
+            if (Array.isArray(value)) return value.length > 0;
+            if (value && typeof value === 'object') return Object.keys(value).length > 0;
+            return value !== undefined && value !== null && value !== '';
+        }));
+    }
+
+    /**
+     * "English (Native)" -> { language: 'English', fluency: 'Native' }
+     */
+    parseLanguage(value) {
+        const match = value.match(/^(.+?)\s*\((.+)\)$/);
+        return match ? { language: match[1], fluency: match[2] } : { language: value };
+    }
+
+    /**
+     * "Tel Aviv, Israel" -> { city: 'Tel Aviv', region: 'Israel' }
+     */
+    parseLocation(value) {
+        const [city, ...rest] = this.text(value).split(',').map(part => part.trim()).filter(Boolean);
+        return this.compact({ city, region: rest.join(', ') });
+    }
+
+    // ==========================================
+    // EXPORT: our CV data -> JSON Resume
+    // ==========================================
+
+    /**
+     * Build a JSON Resume document. Fields without a JSON Resume equivalent
+     * (aboutMe, education location, embedded profile pictures) are left out.
+     * @param {Object} cvData - Output of TemplateProcessor.buildFinalDataStructure
+     * @returns {Object} - JSON Resume v1.0.0 document
+     */
+    toJsonResume(cvData) {
+        const personal = cvData.personalInfo || {};
+        const skills = cvData.skills || {};
+        const education = cvData.education || [];
+        const email = this.text(personal.email);
+
+        return this.compact({
+            $schema: JSON_RESUME.SCHEMA_URL,
+            basics: this.compact({
+                name: this.text(personal.name),
+                label: this.text(personal.currentTitle),
+                image: /^https?:\/\//i.test(personal.profilePicture || '') ? this.url(personal.profilePicture) : '',
+                email: validator.isEmail(email) ? email : '',
+                phone: this.text(personal.phone),
+                url: this.url(personal.website),
+                summary: this.text(personal.summary),
+                location: this.parseLocation(personal.location),
+                profiles: PROFILE_NETWORKS
+                    .map(({ field, network }) => this.compact({ network, url: this.url(personal[field]) }))
+                    .filter(profile => profile.url)
+            }),
+            work: (cvData.experience || [])
+                .filter(exp => this.sectionRenderer.isRenderableExperience(exp))
+                .map(exp => this.compact({
+                    name: this.text(exp.company),
+                    position: this.text(exp.title),
+                    location: this.text(exp.location),
+                    startDate: DateParserUtils.toIsoDate(this.text(exp.startDate)),
+                    endDate: DateParserUtils.toIsoDate(this.text(exp.endDate)),
+                    summary: this.text(exp.description),
+                    highlights: this.list(exp.achievements)
+                })),
+            education: education.map(edu => this.compact({
+                institution: this.text(edu.institution),
+                studyType: this.text(edu.degree),
+                endDate: DateParserUtils.toIsoDate(this.text(edu.graduationDate)),
+                score: this.text(edu.gpa)
+            })),
+            // Education achievements ("Dean's list") are awards given by the institution
+            awards: education.flatMap(edu => this.list(edu.achievements).map(title => this.compact({
+                title,
+                awarder: this.text(edu.institution),
+                date: DateParserUtils.toIsoDate(this.text(edu.graduationDate))
+            }))),
+            certificates: (cvData.certifications || []).map(cert => this.compact({
+                name: this.text(cert.name),
+                issuer: this.text(cert.issuer),
+                date: DateParserUtils.toIsoDate(this.text(cert.date)),
+                url: this.url(cert.url)
+            })),
+            skills: [
+                { name: 'Technical', keywords: this.list(skills.technical) },
+                { name: 'Tools', keywords: this.list(skills.tools) },
+                { name: 'Soft Skills', keywords: this.list(skills.soft) },
+                { name: 'Domain Expertise', keywords: this.list(skills.domain) }
+            ].filter(group => group.keywords.length > 0),
+            languages: this.list(skills.languages).map(language => this.parseLanguage(language)),
+            projects: (cvData.projects || []).map(project => this.compact({
+                name: this.text(project.name),
+                description: this.text(project.description),
+                keywords: this.list(project.technologies),
+                url: this.url(project.url)
+            })),
+            meta: {
+                version: JSON_RESUME.VERSION,
+                lastModified: new Date().toISOString()
+            }
+        });
+    }
+
+    // ==========================================
+    // IMPORT: JSON Resume -> our CV data
+    // ==========================================
+
+    /**
+     * ISO dates become the YYYY-MM / YYYY form our templates use
+     */
+    fromIsoDate(value) {
+        const match = this.text(value).match(/^(\d{4})(-\d{2})?/);
+        return match ? match[0] : '';
+    }
+
+    toExperience(entry, company) {
+        const startDate = this.fromIsoDate(entry.startDate);
+        const endDate = this.fromIsoDate(entry.endDate);
+
+        return {
+            title: this.text(entry.position),
+            company: this.text(company),
+            location: this.text(entry.location),
+            startDate,
+            // JSON Resume leaves endDate out for current positions
+            endDate: endDate || (startDate ? CONSTANTS.DEFAULTS.END_DATE : ''),
+            description: this.text(entry.summary || entry.description),
+            achievements: this.list(entry.highlights)
+        };
+    }
+
+    fromSkills(groups) {
+        const skills = { technical: [], soft: [] };
+
+        for (const group of Array.isArray(groups) ? groups : []) {
+            const keywords = this.list(group?.keywords);
+            const items = keywords.length > 0 ? keywords : this.list([group?.name]);
+            const target = SOFT_SKILL_GROUP.test(group?.name || '') ? skills.soft : skills.technical;
+
+            for (const item of items) {
+                if (!target.includes(item)) target.push(item);
+            }
+        }
+
+        return skills;
+    }
+
+    /**
+     * Convert a (validated) JSON Resume document into the same shape the LLM
+     * processors return. Volunteer work is listed as experience and awards
+     * given by a school become education achievements; publications,
+     * interests, references and other awards have no place in our templates.
+     * @param {Object} resume - JSON Resume document
+     * @returns {Object} Structured CV data
+     */
+    fromJsonResume(resume) {
+        const basics = resume.basics || {};
+        const location = basics.location || {};
+        const awards = Array.isArray(resume.awards) ? resume.awards : [];
+
+        const experience = [
+            ...(Array.isArray(resume.work) ? resume.work : []).map(work => this.toExperience(work, work.name)),
+            ...(Array.isArray(resume.volunteer) ? resume.volunteer : []).map(volunteer => this.toExperience(volunteer, volunteer.organization))
+        ];
+
+        const education = (Array.isArray(resume.education) ? resume.education : []).map(edu => {
+            const studyType = this.text(edu.studyType);
+            const area = this.text(edu.area);
+            const institution = this.text(edu.institution);
+
+            return {
+                degree: studyType && area ? `${studyType} in ${area}` : (studyType || area),
+                institution,
+                location: '',
+                graduationDate: this.fromIsoDate(edu.endDate),
+                gpa: this.text(edu.score),
+                achievements: this.list(awards
+                    .filter(award => institution && this.text(award.awarder) === institution)
+                    .map(award => award.title))
+            };
+        });
+
+        const summary = this.text(basics.summary);
+        const profiles = Array.isArray(basics.profiles) ? basics.profiles : [];
+        const profileUrl = network => this.url(profiles
+            .find(profile => this.text(profile?.network).toLowerCase() === network.toLowerCase())?.url);
+
+        return {
+            personalInfo: {
+                name: this.text(basics.name),
+                email: this.text(basics.email),
+                phone: this.text(basics.phone),
+                location: [location.city, location.region, location.countryCode]
+                    .map(part => this.text(part)).filter(Boolean).join(', '),
+                currentTitle: this.text(basics.label) || experience[0]?.title || 'Professional',
+                profilePicture: '', // Uploaded separately, like for parsed CVs
+                summary,
+                aboutMe: summary,
+                ...Object.fromEntries(PROFILE_NETWORKS.map(({ field, network }) => [field, profileUrl(network)])),
+                website: this.url(basics.url)
+            },
+            experience,
+            education,
+            skills: {
+                ...this.fromSkills(resume.skills),
+                languages: (Array.isArray(resume.languages) ? resume.languages : [])
+                    .filter(entry => this.text(entry?.language))
+                    .map(entry => entry.fluency
+                        ? `${this.text(entry.language)} (${this.text(entry.fluency)})`
+                        : this.text(entry.language))
+            },
+            projects: (Array.isArray(resume.projects) ? resume.projects : []).map(project => ({
+                name: this.text(project.name),
+                description: [this.text(project.description), ...this.list(project.highlights)].filter(Boolean).join(' '),
+                technologies: this.list(project.keywords),
+                url: this.text(project.url)
+            })),
+            certifications: (Array.isArray(resume.certificates) ? resume.certificates : []).map(cert => ({
+                name: this.text(cert.name),
+                issuer: this.text(cert.issuer),
+                date: this.fromIsoDate(cert.date),
+                url: this.text(cert.url)
+            })),
+            processingMetadata: {
+                intelligentProcessor: false,
+                llmProvider: JSON_RESUME.PROCESSOR_NAME,
+                processingVersion: JSON_RESUME.VERSION,
+                processingTime: new Date().toISOString()
+            }
+        };
+    }
+
+    /**
+     * Validate against the official JSON Resume schema. The schema itself has
+     * no required fields, so a name is required on top to reject arbitrary JSON.
+     * @param {*} resume
+     * @returns {{valid: boolean, errors: string[]}}
+     */
+    validate(resume) {
+        if (!resume || typeof resume !== 'object' || Array.isArray(resume)) {
+            return { valid: false, errors: ['JSON Resume must be a JSON object'] };
+        }
+
+        const errors = [];
+        validateSchema(resume, (schemaErrors) => {
+            for (const error of schemaErrors || []) {
+                errors.push(error.stack.replace(/^instance\.?/, '') || error.message);
+            }
+        });
+
+        if (!this.text(resume.basics?.name)) {
+            errors.push('basics.name is required');
+        }
+
+        return { valid: errors.length === 0, errors };
+    }
+}
+
+module.exports = JsonResumeMapper;
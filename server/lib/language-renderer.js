@@ -0,0 +1,102 @@
+// File: lib/language-renderer.js - Language versions of generated landing pages
+// The CV's own language is index.html and every translation a page of its own (de.html),
+// with the template labels in that language, hreflang tags pointing to each other and a
+// language switcher in the header. Hebrew and Arabic pages are laid out right to left.
+
+const SectionRenderer = require('./section-renderer');
+const SITE_LOCALES = require('../constants/site-locales');
+const { SITE_LANGUAGES, GENERATED_FILES } = require('../constants');
+
+class LanguageRenderer {
+    constructor(sectionRenderer = new SectionRenderer()) {
+        this.sectionRenderer = sectionRenderer;
+    }
+
+    escapeHtml(text) {
+        return this.sectionRenderer.escapeHtml(text);
+    }
+
+    /**
+     * @param {string} language
+     * @returns {string} - The language, or the default one when there is no locale for it
+     */
+    normalizeLanguage(language) {
+        return Object.prototype.hasOwnProperty.call(SITE_LOCALES, language) ? language : SITE_LANGUAGES.DEFAULT;
+    }
+
+    /**
+     * The pages of a site: its own language first, then each translation once
+     * @param {string} [language] - Language the CV is written in
+     * @param {string[]} [translations] - Languages it was translated into
+     * @returns {{language: string, fileName: string}[]}
+     */
+    getPages(language, translations = []) {
+        const primary = this.normalizeLanguage(language);
+        const others = [...new Set(translations)]
+            .filter(code => code !== primary && Object.prototype.hasOwnProperty.call(SITE_LOCALES, code));
+
+        return [
+            { language: primary, fileName: GENERATED_FILES.INDEX },
+            ...others.map(code => ({ language: code, fileName: `${code}.html` }))
+        ];
+    }
+
+    /**
+     * Published URL of a page
+     * @param {Object} page - From getPages
+     * @param {string|null} siteUrl - Normalized site URL
+     * @returns {string|null} - null until the site is published
+     */
+    getPageUrl(page, siteUrl) {
+        if (!siteUrl) return null;
+        return page.fileName === GENERATED_FILES.INDEX ? siteUrl : new URL(page.fileName, siteUrl).toString();
+    }
+
+    /**
+     * Placeholders for one page: language, text direction, alternate links, the
+     * switcher and the template labels (LABEL_*)
+     * @param {Object} page - The page being rendered
+     * @param {Object[]} pages - Every page of the site
+     * @param {string|null} siteUrl - Normalized site URL
+     * @returns {Object}
+     */
+    renderPlaceholders(page, pages, siteUrl = null) {
+        const locale = SITE_LOCALES[page.language];
+        const labels = Object.fromEntries(Object.entries(locale.labels).map(([key, text]) => [`LABEL_${key}`, text]));
+
+        return {
+            LANG: page.language,
+            TEXT_DIRECTION: locale.dir === 'rtl' ? ' dir="rtl"' : '',
+            HREFLANG_LINKS: this.renderHreflangLinks(pages, siteUrl),
+            LANGUAGE_SWITCHER: this.renderSwitcher(page, pages),
+            ...labels
+        };
+    }
+
+    /**
+     * rel="alternate" links to every language version, the first as x-default.
+     * Relative until the site is published - search engines need the absolute URLs.
+     */
+    renderHreflangLinks(pages, siteUrl) {
+        if (pages.length < 2) return '';
+
+        const href = page => this.escapeHtml(this.getPageUrl(page, siteUrl) || page.fileName);
+        return [
+            ...pages.map(page => `<link rel="alternate" hreflang="${page.language}" href="${href(page)}">`),
+            `<link rel="alternate" hreflang="x-default" href="${href(pages[0])}">`
+        ].map(tag => `\n    ${tag}`).join('');
+    }
+
+    renderSwitcher(current, pages) {
+        if (pages.length < 2) return '';
+
+        const links = pages.map(page => `
+                        <a href="${page.fileName}" hreflang="${page.language}" lang="${page.language}"${page.language === current.language ? ' aria-current="page"' : ''}>${SITE_LOCALES[page.language].name}</a>`);
+
+        return `
+                    <div class="language-switcher" role="navigation" aria-label="${SITE_LOCALES[current.language].labels.LANGUAGE_MENU}">${links.join('')}
+                    </div>`;
+    }
+}
+
+module.exports = LanguageRenderer;
@@ -0,0 +1,210 @@
+// File: lib/linkedin-importer.js - LinkedIn "Download your data" ZIP import
+// Reads the CSV files of the export into the same structure the LLM
+// processors return, so the queue and wizard flow work unchanged.
+
+const JSZip = require('jszip');
+const path = require('path');
+const CsvParserUtils = require('./utils/csv-parser-utils');
+const DateParserUtils = require('./utils/date-parser-utils');
+const TextParserUtils = require('./utils/text-parser-utils');
+const CONSTANTS = require('../constants/template-processor-constants');
+const { LINKEDIN_IMPORT } = require('../constants');
+
+const { FILES } = LINKEDIN_IMPORT;
+
+class LinkedInImporter {
+    /**
+     * Find an export file by name, wherever it sits in the archive
+     * @param {JSZip} zip
+     * @param {string} fileName - e.g. 'Profile.csv'
+     * @returns {JSZip.JSZipObject|null}
+     */
+    findFile(zip, fileName) {
+        const target = fileName.toLowerCase();
+        return Object.values(zip.files).find(entry =>
+            !entry.dir && path.posix.basename(entry.name).toLowerCase() === target) || null;
+    }
+
+    async readRecords(zip, fileName, headerColumn) {
+        const entry = this.findFile(zip, fileName);
+        if (!entry) return [];
+
+        return CsvParserUtils.parseRecords(await this.readEntry(entry), headerColumn);
+    }
+
+    /**
+     * Reject archives with too many entries or a declared unpacked size over the limit
+     * @param {JSZip} zip
+     * @throws {Error} if the archive is over LINKEDIN_IMPORT.MAX_ENTRIES or MAX_UNPACKED_SIZE
+     */
+    checkArchiveSize(zip) {
+        const entries = Object.values(zip.files);
+        if (entries.length > LINKEDIN_IMPORT.MAX_ENTRIES) {
+            throw new Error(`LinkedIn export too large: more than ${LINKEDIN_IMPORT.MAX_ENTRIES} files`);
+        }
+
+        const unpackedSize = entries.reduce((total, entry) => total + ((entry._data && entry._data.uncompressedSize) || 0), 0);
+        if (unpackedSize > LINKEDIN_IMPORT.MAX_UNPACKED_SIZE) {
+            throw new Error(`LinkedIn export too large: unpacks to more than ${LINKEDIN_IMPORT.MAX_UNPACKED_SIZE / 1024 / 1024} MB`);
+        }
+    }
+
+    /**
+     * Unpack an entry as text, stopping at LINKEDIN_IMPORT.MAX_FILE_SIZE - the sizes
+     * an archive declares are not checked by JSZip and may be false
+     * @param {JSZip.JSZipObject} entry
+     * @returns {Promise<string>}
+     */
+    readEntry(entry) {
+        return new Promise((resolve, reject) => {
+            const chunks = [];
+            let size = 0;
+            const stream = entry.internalStream('nodebuffer');
+
+            stream
+                .on('data', chunk => {
+                    size += chunk.length;
+                    if (size > LINKEDIN_IMPORT.MAX_FILE_SIZE) {
+                        stream.pause();
+                        reject(new Error(`LinkedIn export too large: ${entry.name} is over ${LINKEDIN_IMPORT.MAX_FILE_SIZE / 1024 / 1024} MB`));
+                        return;
+                    }
+                    chunks.push(chunk);
+                })
+                .on('error', reject)
+                .on('end', () => resolve(Buffer.concat(chunks).toString('utf8')))
+                .resume();
+        });
+    }
+
+    /**
+     * LinkedIn writes dates as "Mar 2019" or "2019"; anything else is kept as written
+     */
+    formatDate(value) {
+        return DateParserUtils.toIsoDate(value) || value || '';
+    }
+
+    /**
+     * Bullet lines in a description become achievements, the rest stays prose
+     */
+    splitDescription(text) {
+        const lines = TextParserUtils.splitLines(text || '');
+
+        return {
+            description: lines.filter(line => !TextParserUtils.isBulletPoint(line)).join(' '),
+            achievements: TextParserUtils.extractAchievements(lines)
+        };
+    }
+
+    mapPosition(position) {
+        const { description, achievements } = this.splitDescription(position['Description']);
+        const startDate = this.formatDate(position['Started On']);
+
+        return {
+            title: position['Title'],
+            company: position['Company Name'],
+            location: position['Location'] || '',
+            startDate,
+            // An open position has no "Finished On"
+            endDate: this.formatDate(position['Finished On']) || (startDate ? CONSTANTS.DEFAULTS.END_DATE : ''),
+            description,
+            achievements
+        };
+    }
+
+    mapEducation(education) {
+        return {
+            degree: education['Degree Name'] || '',
+            institution: education['School Name'],
+            location: '',
+            graduationDate: this.formatDate(education['End Date']),
+            gpa: '',
+            achievements: TextParserUtils.splitLines(education['Activities'] || '')
+                .map(line => line.replace(CONSTANTS.PATTERNS.BULLET_PREFIX, ''))
+        };
+    }
+
+    /**
+     * Convert the CSV contents of an export into structured CV data
+     * @param {Object} records - Parsed rows per export file
+     * @returns {Object} Structured CV data
+     */
+    toStructuredData({ profile, positions, education, skills, certifications, projects, emails, phones, languages }) {
+        const experience = positions.filter(position => position['Title'] || position['Company Name'])
+            .map(position => this.mapPosition(position));
+
+        const name = [profile['First Name'], profile['Last Name']].filter(Boolean).join(' ');
+        const summary = profile['Summary'] || profile['Headline'] || '';
+        const email = emails.find(entry => entry['Primary'] === 'Yes') || emails[0];
+
+        return {
+            personalInfo: {
+                name,
+                email: email?.['Email Address'] || '',
+                phone: phones[0]?.['Number'] || '',
+                location: profile['Geo Location'] || '',
+                currentTitle: profile['Headline'] || experience[0]?.title || 'Professional',
+                profilePicture: '', // Not part of the CSV export
+                summary,
+                aboutMe: summary
+            },
+            experience,
+            education: education.filter(entry => entry['School Name']).map(entry => this.mapEducation(entry)),
+            skills: {
+                technical: skills.map(skill => skill['Name']).filter(Boolean),
+                soft: [],
+                languages: languages.filter(language => language['Name']).map(language => language['Proficiency']
+                    ? `${language['Name']} (${language['Proficiency']})`
+                    : language['Name'])
+            },
+            projects: projects.filter(project => project['Title']).map(project => ({
+                name: project['Title'],
+                description: project['Description'] || '',
+                technologies: [],
+                url: project['Url'] || ''
+            })),
+            certifications: certifications.filter(cert => cert['Name']).map(cert => ({
+                name: cert['Name'],
+                issuer: cert['Authority'] || '',
+                date: this.formatDate(cert['Started On']),
+                url: cert['Url'] || ''
+            })),
+            processingMetadata: {
+                intelligentProcessor: false,
+                llmProvider: LINKEDIN_IMPORT.PROCESSOR_NAME,
+                processingTime: new Date().toISOString()
+            }
+        };
+    }
+
+    /**
+     * Import a LinkedIn data export
+     * @param {Buffer} buffer - The uploaded ZIP
+     * @returns {Promise<Object>} Structured CV data
+     * @throws {Error} if the archive is not a LinkedIn export or unpacks too large
+     */
+    async importArchive(buffer) {
+        const zip = await JSZip.loadAsync(buffer);
+        this.checkArchiveSize(zip);
+
+        const [profile] = await this.readRecords(zip, FILES.PROFILE, 'First Name');
+        if (!profile) {
+            throw new Error(`Not a LinkedIn data export: ${FILES.PROFILE} is missing`);
+        }
+
+        const [positions, education, skills, certifications, projects, emails, phones, languages] = await Promise.all([
+            this.readRecords(zip, FILES.POSITIONS, 'Company Name'),
+            this.readRecords(zip, FILES.EDUCATION, 'School Name'),
+            this.readRecords(zip, FILES.SKILLS, 'Name'),
+            this.readRecords(zip, FILES.CERTIFICATIONS, 'Name'),
+            this.readRecords(zip, FILES.PROJECTS, 'Title'),
+            this.readRecords(zip, FILES.EMAILS, 'Email Address'),
+            this.readRecords(zip, FILES.PHONES, 'Number'),
+            this.readRecords(zip, FILES.LANGUAGES, 'Name')
+        ]);
+
+        return this.toStructuredData({ profile, positions, education, skills, certifications, projects, emails, phones, languages });
+    }
+}
+
+module.exports = LinkedInImporter;
@@ -0,0 +1,135 @@
+// File: lib/llm-assistant.js - Base class for the wizard's writing assistants
+// Sends the assistant endpoints' prompts to the first LLM in the provider chain and
+// counts every request against the user's daily limits for that provider (api_usage).
+// Contact details in the text are redacted for the users who ask for it (PiiRedactor.forUser).
+
+const LLMClientBase = require('./utils/llm-client-base');
+const PiiRedactor = require('./utils/pii-redactor');
+const { getProviderChain } = require('./intelligent-cv-processor');
+const { checkApiLimits, trackApiUsage } = require('../database/services');
+const { LLM_ASSISTANT, PII_REDACTION } = require('../constants');
+
+class LLMAssistant {
+    /**
+     * @param {Object} [options]
+     * @param {string|null} [options.provider] - LLM provider; defaults to the first one in the chain
+     * @param {LLMClientBase} [options.client] - Client to use instead of creating one
+     */
+    constructor({ provider = LLMAssistant.getProvider(), client = null } = {}) {
+        this.provider = provider;
+        this.client = client;
+    }
+
+    /**
+     * The first LLM provider in the chain - the rules processor cannot write text
+     * @returns {string|null} null when only rules are configured
+     */
+    static getProvider() {
+        return getProviderChain().find(provider => provider !== 'rules') || null;
+    }
+
+    getClient() {
+        if (!this.client) {
+            const model = LLM_ASSISTANT.MODELS[this.provider];
+            const envModel = this.provider === 'ollama' ? process.env.OLLAMA_MODEL : null;
+            this.client = LLMClientBase.createClient(this.provider, model ? { model: envModel || model } : {});
+        }
+        return this.client;
+    }
+
+    /**
+     * Refuse before sending anything when there is no LLM or the user is over today's limits
+     * @throws {Error} with status 503 without an LLM provider, or 429 (userLimitExceeded)
+     */
+    async enforceApiLimits(userId) {
+        if (!this.provider) {
+            throw this.createError('Writing assistance needs an LLM provider - only rule-based extraction is configured', 503);
+        }
+
+        const limitCheck = await checkApiLimits(userId, this.provider);
+        if (!limitCheck.allowed) {
+            const error = this.createError(`API limit exceeded: ${limitCheck.reason}. Resets: ${limitCheck.resetTime}`, 429);
+            error.userLimitExceeded = true;
+            throw error;
+        }
+    }
+
+    /**
+     * Redactor for the text this request sends, or null (see PiiRedactor.forUser)
+     * @param {string} userId
+     * @returns {Promise<PiiRedactor|null>}
+     */
+    createRedactor(userId) {
+        return PiiRedactor.forUser(userId, this.provider);
+    }
+
+    /**
+     * The line telling the model to keep placeholders, when the prompt's text was redacted
+     * @param {PiiRedactor|null} redactor
+     * @returns {string}
+     */
+    placeholderInstructions(redactor) {
+        return redactor ? `\n${PII_REDACTION.PROMPT_INSTRUCTION}` : '';
+    }
+
+    /**
+     * Send one prompt within the user's limits; the tokens are tracked even when it fails
+     * @param {string} userId
+     * @param {Function} request - (client) => Promise<string>
+     * @returns {Promise<{text: string, tokenUsage: Object}>}
+     */
+    async send(userId, request) {
+        await this.enforceApiLimits(userId);
+
+        const client = this.getClient();
+        client.usage.reset();
+        try {
+            const text = await request(client);
+            return { text, tokenUsage: client.usage.toJSON() };
+        } finally {
+            await this.trackUsage(userId, client.usage);
+        }
+    }
+
+    /**
+     * Send a prompt that asks for a JSON object and parse the answer
+     * @returns {Promise<{data: Object, tokenUsage: Object}>}
+     * @throws {Error} with status 502 when the answer holds no valid JSON object
+     */
+    async sendForJSON(userId, prompt, description) {
+        const { text, tokenUsage } = await this.send(userId, client => client.generateText(`${prompt}
+
+Return ONLY a valid JSON object - no markdown, no explanations.`, { description }));
+
+        const match = text.match(/\{[\s\S]*\}/);
+        if (match) {
+            for (const candidate of [match[0], match[0].replace(/,(\s*[}\]])/g, '$1').replace(/[\x00-\x1F\x7F]/g, ' ')]) {
+                try {
+                    return { data: JSON.parse(candidate), tokenUsage };
+                } catch (error) {
+                    // Retried once without trailing commas and control characters
+                }
+            }
+        }
+        throw this.createError('The model returned an answer that could not be read - please try again', 502);
+    }
+
+    async trackUsage(userId, usage) {
+        if (usage.requests === 0) {
+            return;
+        }
+        try {
+            await trackApiUsage(userId, this.provider, usage.requests, usage.totalTokens);
+        } catch (error) {
+            console.warn('Failed to track API usage:', error.message);
+        }
+    }
+
+    createError(message, status) {
+        const error = new Error(message);
+        error.status = status;
+        return error;
+    }
+}
+
+module.exports = LLMAssistant;
@@ -0,0 +1,111 @@
+// File: lib/ocr-extractor.js - Local OCR for scanned PDFs and CV page images
+// Pages are rasterized with pdf.js and read with Tesseract (WebAssembly) using
+// the bundled English model, so CV content never leaves the server.
+
+const { createWorker } = require('tesseract.js');
+const englishModel = require('@tesseract.js-data/eng');
+const PdfJsUtils = require('./utils/pdfjs-utils');
+const { OCR } = require('../constants');
+
+class OcrExtractor {
+    /**
+     * Render PDF pages to PNG images. A page's declared size is untrusted, so its scale is
+     * lowered to keep the canvas within OCR.MAX_PAGE_PIXELS, and a page too large to fit
+     * at OCR.MIN_RENDER_SCALE is skipped.
+     * @param {Buffer} pdfBuffer
+     * @param {Object} [options]
+     * @param {number} [options.maxPages]
+     * @param {number} [options.scale]
+     * @returns {Promise<Buffer[]>}
+     */
+    async rasterizePdf(pdfBuffer, { maxPages = OCR.MAX_PAGES, scale = OCR.RENDER_SCALE } = {}) {
+        const pdf = await PdfJsUtils.openDocument(pdfBuffer);
+
+        try {
+            const images = [];
+            const pageCount = Math.min(pdf.numPages, maxPages);
+
+            for (let pageNumber = 1; pageNumber <= pageCount; pageNumber++) {
+                const page = await pdf.getPage(pageNumber);
+                const pageScale = this.getPageScale(page.getViewport({ scale: 1 }), scale);
+                if (pageScale === null) {
+                    console.warn(`OCR skipped page ${pageNumber}: too large to render`);
+                    page.cleanup();
+                    continue;
+                }
+
+                const viewport = page.getViewport({ scale: pageScale });
+                const { canvas, context } = pdf.canvasFactory.create(viewport.width, viewport.height);
+
+                await page.render({ canvasContext: context, canvas, viewport }).promise;
+                images.push(canvas.toBuffer('image/png'));
+                page.cleanup();
+            }
+
+            if (pdf.numPages > maxPages) {
+                console.warn(`OCR limited to the first ${maxPages} of ${pdf.numPages} pages`);
+            }
+
+            return images;
+        } finally {
+            await pdf.destroy();
+        }
+    }
+
+    /**
+     * @param {Object} size - The page's viewport at scale 1 (points)
+     * @param {number} scale - Requested scale
+     * @returns {number|null} - The scale that keeps the page within the pixel budget,
+     *   null when that is below OCR.MIN_RENDER_SCALE
+     */
+    getPageScale(size, scale) {
+        const fitting = Math.min(scale, Math.sqrt(OCR.MAX_PAGE_PIXELS / (size.width * size.height)));
+        return fitting >= OCR.MIN_RENDER_SCALE ? fitting : null;
+    }
+
+    /**
+     * Recognize text in page images, in order
+     * @param {Buffer[]} images - PNG or JPEG buffers
+     * @returns {Promise<string>}
+     */
+    async recognize(images) {
+        const worker = await createWorker(englishModel.code, 1, {
+            langPath: englishModel.langPath,
+            gzip: englishModel.gzip,
+            cacheMethod: 'none'
+        });
+
+        try {
+            const pages = [];
+            for (const image of images) {
+                const { data } = await worker.recognize(image);
+                console.log(`OCR page ${pages.length + 1}: ${data.text.length} characters (confidence ${Math.round(data.confidence)}%)`);
+                pages.push(data.text.trim());
+            }
+            return pages.filter(Boolean).join('\n\n');
+        } finally {
+            await worker.terminate();
+        }
+    }
+
+    /**
+     * OCR a scanned or image-only PDF
+     * @param {Buffer} pdfBuffer
+     * @returns {Promise<string>}
+     */
+    async extractFromPdf(pdfBuffer) {
+        const images = await this.rasterizePdf(pdfBuffer);
+        return this.recognize(images);
+    }
+
+    /**
+     * OCR a photo or scan of a CV page
+     * @param {Buffer} imageBuffer - PNG or JPEG
+     * @returns {Promise<string>}
+     */
+    async extractFromImage(imageBuffer) {
+        return this.recognize([imageBuffer]);
+    }
+}
+
+module.exports = OcrExtractor;
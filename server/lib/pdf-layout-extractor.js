@@ -0,0 +1,319 @@
+// File: lib/pdf-layout-extractor.js - Reading-order text extraction for PDFs
+// Uses the positions of pdf.js text items to find columns and section headings,
+// so a sidebar comes out as its own blocks instead of interleaved line by line.
+
+const PdfJsUtils = require('./utils/pdfjs-utils');
+const { PDF_LAYOUT } = require('../constants');
+
+class PdfLayoutExtractor {
+    /**
+     * Read the text items of a page with top-down coordinates
+     * @returns {Promise<Object[]>} { text, x0, x1, baseline, fontSize }
+     */
+    async readItems(page, pdfJs) {
+        const viewport = page.getViewport({ scale: 1 });
+        const content = await page.getTextContent();
+
+        return content.items.filter(item => item.str && item.str.trim()).map(item => {
+            const [, , c, d, x, baseline] = pdfJs.Util.transform(viewport.transform, item.transform);
+            return {
+                text: item.str,
+                x0: x,
+                x1: x + item.width,
+                baseline,
+                fontSize: Math.hypot(c, d) || item.height
+            };
+        });
+    }
+
+    /**
+     * Join text items into segments: runs of text on one baseline without a
+     * wide gap. A column gutter or a tab stop starts a new segment.
+     */
+    buildSegments(items) {
+        const rows = [];
+        for (const item of [...items].sort((a, b) => a.baseline - b.baseline || a.x0 - b.x0)) {
+            const row = rows[rows.length - 1];
+            if (row && Math.abs(item.baseline - row.baseline) <= row.fontSize * PDF_LAYOUT.LINE_TOLERANCE) {
+                row.items.push(item);
+            } else {
+                rows.push({ baseline: item.baseline, fontSize: item.fontSize, items: [item] });
+            }
+        }
+
+        const segments = [];
+        for (const row of rows) {
+            let segment = null;
+            for (const item of row.items.sort((a, b) => a.x0 - b.x0)) {
+                const gap = segment ? item.x0 - segment.x1 : Infinity;
+                const fontSize = Math.max(item.fontSize, segment ? segment.fontSize : 0);
+
+                if (gap > fontSize * PDF_LAYOUT.SEGMENT_GAP) {
+                    segment = { ...item, baseline: row.baseline };
+                    segments.push(segment);
+                    continue;
+                }
+
+                const needsSpace = gap > fontSize * PDF_LAYOUT.WORD_GAP && !/\s$/.test(segment.text) && !/^\s/.test(item.text);
+                segment.text += (needsSpace ? ' ' : '') + item.text;
+                segment.x1 = Math.max(segment.x1, item.x1);
+                segment.fontSize = fontSize;
+            }
+        }
+
+        return segments.map(segment => ({ ...segment, text: segment.text.replace(/\s+/g, ' ').trim() }));
+    }
+
+    /**
+     * A column is a flow of lines; a sparse run of dates beside single-column
+     * text is not, and must stay on the rows it belongs to
+     */
+    isColumn(segments) {
+        if (segments.length < PDF_LAYOUT.MIN_COLUMN_LINES) return false;
+
+        const sorted = [...segments].sort((a, b) => a.baseline - b.baseline);
+        const inFlow = sorted.filter((segment, i) => [sorted[i - 1], sorted[i + 1]].some(neighbour =>
+            neighbour && Math.abs(neighbour.baseline - segment.baseline) <= segment.fontSize * PDF_LAYOUT.COLUMN_FLOW_GAP));
+
+        return inFlow.length / sorted.length >= PDF_LAYOUT.COLUMN_FLOW_RATIO;
+    }
+
+    /**
+     * Find the vertical gutter between two columns
+     * @returns {number|null} x position of the gutter centre
+     */
+    findGutter(segments) {
+        if (segments.length < PDF_LAYOUT.MIN_COLUMN_LINES * 2) return null;
+
+        const left = Math.floor(Math.min(...segments.map(segment => segment.x0)));
+        const right = Math.ceil(Math.max(...segments.map(segment => segment.x1)));
+        const allowed = Math.floor(segments.length * PDF_LAYOUT.MAX_SPANNING_RATIO);
+
+        // Runs of x positions that (almost) no segment crosses
+        const runs = [];
+        let run = null;
+        for (let x = left + 1; x < right; x++) {
+            const crossing = segments.filter(segment => segment.x0 < x && segment.x1 > x).length;
+            if (crossing <= allowed) {
+                if (!run) runs.push(run = { start: x, end: x });
+                run.end = x;
+            } else {
+                run = null;
+            }
+        }
+
+        let best = null;
+        for (const { start, end } of runs) {
+            const width = end - start;
+            const centre = (start + end) / 2;
+            if (width < PDF_LAYOUT.MIN_GUTTER_WIDTH || (best && width <= best.width)) continue;
+
+            const leftSide = segments.filter(segment => segment.x1 <= centre);
+            const rightSide = segments.filter(segment => segment.x0 >= centre);
+            if (this.isColumn(leftSide) && this.isColumn(rightSide)) {
+                best = { width, centre };
+            }
+        }
+
+        return best ? best.centre : null;
+    }
+
+    /**
+     * Put the segments of a page in reading order. Segments crossing the gutter
+     * split the page into bands; each band is read left column, then right.
+     * @returns {Object[]} Groups of { column: 'full'|'main'|'sidebar', segments }
+     */
+    orderSegments(segments) {
+        const sorted = [...segments].sort((a, b) => a.baseline - b.baseline || a.x0 - b.x0);
+        const gutter = this.findGutter(segments);
+        if (gutter === null) {
+            return [{ column: 'full', segments: sorted }];
+        }
+
+        // The side with less text is the sidebar
+        const textLength = side => side.reduce((total, segment) => total + segment.text.length, 0);
+        const leftIsSidebar = textLength(sorted.filter(segment => segment.x1 <= gutter)) <
+            textLength(sorted.filter(segment => segment.x0 >= gutter));
+        const leftColumn = leftIsSidebar ? 'sidebar' : 'main';
+        const rightColumn = leftIsSidebar ? 'main' : 'sidebar';
+
+        const groups = [];
+        const pushFullWidth = segment => {
+            const previous = groups[groups.length - 1];
+            if (previous && previous.column === 'full') {
+                previous.segments.push(segment);
+            } else {
+                groups.push({ column: 'full', segments: [segment] });
+            }
+        };
+
+        let band = [];
+        const flushBand = () => {
+            let leftSegments = band.filter(segment => segment.x1 <= gutter);
+            let rightSegments = band.filter(segment => segment.x1 > gutter);
+
+            // Lines above the point where both columns run side by side are a header
+            if (leftSegments.length && rightSegments.length) {
+                const columnsTop = Math.max(leftSegments[0].baseline, rightSegments[0].baseline);
+                const isHeader = segment => segment.baseline < columnsTop - segment.fontSize * PDF_LAYOUT.LINE_TOLERANCE;
+                band.filter(isHeader).forEach(pushFullWidth);
+                leftSegments = leftSegments.filter(segment => !isHeader(segment));
+                rightSegments = rightSegments.filter(segment => !isHeader(segment));
+            }
+
+            if (leftSegments.length) groups.push({ column: leftColumn, segments: leftSegments });
+            if (rightSegments.length) groups.push({ column: rightColumn, segments: rightSegments });
+            band = [];
+        };
+
+        for (const segment of sorted) {
+            if (segment.x0 < gutter && segment.x1 > gutter) {
+                flushBand();
+                pushFullWidth(segment);
+            } else {
+                band.push(segment);
+            }
+        }
+        flushBand();
+
+        return groups;
+    }
+
+    /**
+     * Merge segments that share a baseline within one column into lines
+     */
+    buildLines(segments) {
+        const lines = [];
+        for (const segment of segments) {
+            const line = lines[lines.length - 1];
+            if (line && Math.abs(segment.baseline - line.baseline) <= line.fontSize * PDF_LAYOUT.LINE_TOLERANCE) {
+                line.segments.push(segment);
+                line.fontSize = Math.max(line.fontSize, segment.fontSize);
+            } else {
+                lines.push({ baseline: segment.baseline, fontSize: segment.fontSize, segments: [segment] });
+            }
+        }
+
+        return lines.map(line => {
+            const parts = line.segments.sort((a, b) => a.x0 - b.x0);
+            return {
+                text: parts.map(segment => segment.text).join(' '),
+                fontSize: line.fontSize,
+                x0: parts[0].x0,
+                x1: Math.max(...parts.map(segment => segment.x1)),
+                top: line.baseline - line.fontSize,
+                bottom: line.baseline
+            };
+        });
+    }
+
+    /**
+     * Body text size: the font size most characters are set in
+     */
+    getBodyFontSize(segments) {
+        const characters = new Map();
+        for (const segment of segments) {
+            const size = Math.round(segment.fontSize * 10) / 10;
+            characters.set(size, (characters.get(size) || 0) + segment.text.length);
+        }
+
+        let bodySize = 0;
+        let most = -1;
+        for (const [size, count] of characters) {
+            if (count > most) {
+                bodySize = size;
+                most = count;
+            }
+        }
+        return bodySize;
+    }
+
+    /**
+     * Known section names, or short lines set larger than the body text
+     */
+    isHeading(line, bodyFontSize) {
+        const text = line.text.replace(/:$/, '').trim();
+        const words = text.split(/\s+/);
+        if (!/[A-Za-z]/.test(text) || words.length > PDF_LAYOUT.HEADING_MAX_WORDS || /[.,;]$/.test(text)) {
+            return false;
+        }
+
+        const normalized = text.toLowerCase().replace(/[^a-z&\s]/g, '').replace(/\s+/g, ' ').trim();
+        const isSectionName = PDF_LAYOUT.SECTION_HEADINGS.some(name =>
+            normalized === name || normalized.startsWith(`${name} `) || normalized.endsWith(` ${name}`));
+
+        return isSectionName || line.fontSize >= bodyFontSize * PDF_LAYOUT.HEADING_SIZE_RATIO;
+    }
+
+    /**
+     * Split the lines of one column into blocks, each starting at a heading
+     */
+    buildBlocks(lines, { page, column, bodyFontSize }) {
+        const blocks = [];
+        let block = null;
+
+        for (const line of lines) {
+            if (this.isHeading(line, bodyFontSize)) {
+                block = { page, column, heading: line.text, lines: [], boxes: [line] };
+                blocks.push(block);
+                continue;
+            }
+
+            if (!block) {
+                block = { page, column, heading: null, lines: [], boxes: [] };
+                blocks.push(block);
+            }
+            block.lines.push(line.text);
+            block.boxes.push(line);
+        }
+
+        return blocks.map(({ lines: blockLines, boxes, ...rest }) => {
+            const x0 = Math.min(...boxes.map(box => box.x0));
+            const top = Math.min(...boxes.map(box => box.top));
+            return {
+                ...rest,
+                text: blockLines.join('\n'),
+                bbox: {
+                    x: Math.round(x0),
+                    y: Math.round(top),
+                    width: Math.round(Math.max(...boxes.map(box => box.x1)) - x0),
+                    height: Math.round(Math.max(...boxes.map(box => box.bottom)) - top)
+                }
+            };
+        });
+    }
+
+    /**
+     * Extract PDF text in reading order with a block map
+     * @param {Buffer} pdfBuffer
+     * @returns {Promise<{text: string, blocks: Object[]}>} Linear text, and
+     *   blocks of { page, column, heading, text, bbox } in the same order
+     */
+    async extract(pdfBuffer) {
+        const pdfJs = await PdfJsUtils.load();
+        const pdf = await PdfJsUtils.openDocument(pdfBuffer);
+
+        try {
+            const pages = [];
+            for (let pageNumber = 1; pageNumber <= pdf.numPages; pageNumber++) {
+                const page = await pdf.getPage(pageNumber);
+                pages.push(this.buildSegments(await this.readItems(page, pdfJs)));
+                page.cleanup();
+            }
+
+            const bodyFontSize = this.getBodyFontSize(pages.flat());
+            const blocks = pages.flatMap((segments, index) => this.orderSegments(segments).flatMap(group =>
+                this.buildBlocks(this.buildLines(group.segments), { page: index + 1, column: group.column, bodyFontSize })));
+
+            const text = blocks.map(block => [block.heading, block.text].filter(Boolean).join('\n')).join('\n\n');
+            const columns = new Set(blocks.map(block => block.column));
+            console.log(`PDF layout: ${pages.length} page(s), ${blocks.length} blocks${columns.has('sidebar') ? ', sidebar detected' : ''}`);
+
+            return { text, blocks };
+        } finally {
+            await pdf.destroy();
+        }
+    }
+}
+
+module.exports = PdfLayoutExtractor;
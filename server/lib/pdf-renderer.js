@@ -0,0 +1,270 @@
+// File: lib/pdf-renderer.js - Printable PDF export of the final CV data
+// Single-column layout with real text, standard fonts and plain section
+// headings so applicant tracking systems can parse it.
+
+const PDFDocument = require('pdfkit');
+const SectionRenderer = require('./section-renderer');
+const DateParserUtils = require('./utils/date-parser-utils');
+const { CV_EXPORT } = require('../constants');
+
+const FONTS = {
+    regular: 'Helvetica',
+    bold: 'Helvetica-Bold',
+    italic: 'Helvetica-Oblique'
+};
+
+const COLORS = {
+    text: '#111111',
+    muted: '#444444',
+    rule: '#999999'
+};
+
+const MARGIN = 54; // 0.75in
+const BULLET_INDENT = 12;
+
+class PdfRenderer {
+    constructor(sectionRenderer = new SectionRenderer()) {
+        this.sectionRenderer = sectionRenderer;
+    }
+
+    /**
+     * Plain text for the PDF: decode sanitizer entities and drop characters
+     * the built-in (WinAnsi) fonts cannot draw.
+     * @param {*} value
+     * @returns {string}
+     */
+    text(value) {
+        return this.sectionRenderer.decodeEntities(value)
+            .replace(/[\u2018\u2019]/g, '\'')
+            .replace(/[\u201C\u201D]/g, '"')
+            .replace(/[\u2013\u2014]/g, '-')
+            .replace(/[^\t\n\r\x20-\x7E\u00A0-\u00FF\u2022\u20AC]/g, '')
+            .trim();
+    }
+
+    formatDate(value) {
+        return DateParserUtils.formatDate(this.text(value));
+    }
+
+    dateRange(start, end) {
+        return DateParserUtils.formatDateRange(this.text(start), this.text(end));
+    }
+
+    joinParts(parts, separator = ' | ') {
+        return parts.map(part => this.text(part)).filter(Boolean).join(separator);
+    }
+
+    /**
+     * Start a new page if the next block would not fit, so headings are never
+     * left alone at the bottom of a page.
+     */
+    ensureSpace(doc, height) {
+        if (doc.y + height > doc.page.height - doc.page.margins.bottom) {
+            doc.addPage();
+        }
+    }
+
+    heading(doc, title) {
+        doc.moveDown(0.8);
+        this.ensureSpace(doc, 60);
+
+        doc.font(FONTS.bold).fontSize(12).fillColor(COLORS.text).text(title.toUpperCase());
+
+        const y = doc.y + 2;
+        doc.moveTo(doc.page.margins.left, y)
+            .lineTo(doc.page.width - doc.page.margins.right, y)
+            .lineWidth(0.5)
+            .strokeColor(COLORS.rule)
+            .stroke();
+        doc.y = y + 6;
+    }
+
+    paragraph(doc, value, options = {}) {
+        const content = this.text(value);
+        if (!content) return;
+
+        doc.font(options.font || FONTS.regular)
+            .fontSize(options.size || 10)
+            .fillColor(options.color || COLORS.text)
+            .text(content, { lineGap: 2, ...options.text });
+    }
+
+    bullets(doc, items) {
+        const left = doc.page.margins.left;
+        const width = doc.page.width - left - doc.page.margins.right - BULLET_INDENT;
+
+        for (const item of (items || []).map(value => this.text(value)).filter(Boolean)) {
+            doc.font(FONTS.regular).fontSize(10).fillColor(COLORS.text);
+            this.ensureSpace(doc, doc.heightOfString(item, { width, lineGap: 2 }));
+
+            const y = doc.y;
+            doc.text('• ', left, y, { lineBreak: false });
+            doc.text(item, left + BULLET_INDENT, y, { width, lineGap: 2 });
+            doc.x = left;
+        }
+    }
+
+    /**
+     * An entry header: bold title line, then a muted details line.
+     */
+    entryHeader(doc, title, details) {
+        doc.moveDown(0.4);
+        this.ensureSpace(doc, 40);
+        this.paragraph(doc, title, { font: FONTS.bold, size: 11 });
+        this.paragraph(doc, details, { font: FONTS.italic, size: 9.5, color: COLORS.muted });
+    }
+
+    renderHeader(doc, personal) {
+        this.paragraph(doc, personal.name, { font: FONTS.bold, size: 20 });
+        this.paragraph(doc, personal.currentTitle, { size: 12, color: COLORS.muted });
+        doc.moveDown(0.2);
+        this.paragraph(doc, this.joinParts([personal.email, personal.phone, personal.location]), { size: 10 });
+
+        if (personal.summary) {
+            this.heading(doc, 'Summary');
+            this.paragraph(doc, personal.summary);
+        }
+    }
+
+    renderExperience(doc, experience) {
+        const jobs = (experience || []).filter(exp => this.sectionRenderer.isRenderableExperience(exp));
+        if (jobs.length === 0) return;
+
+        this.heading(doc, 'Experience');
+        for (const exp of jobs) {
+            this.entryHeader(
+                doc,
+                this.joinParts([exp.title, exp.company], ' - '),
+                this.joinParts([exp.location, this.dateRange(exp.startDate, exp.endDate)])
+            );
+            this.paragraph(doc, exp.description);
+            this.bullets(doc, exp.achievements);
+        }
+    }
+
+    renderSkills(doc, skills = {}) {
+        const groups = [
+            ['Technical', skills.technical],
+            ['Tools', skills.tools],
+            ['Core Competencies', skills.soft],
+            ['Domain Expertise', skills.domain],
+            ['Languages', skills.languages]
+        ].map(([label, items]) => [label, (items || []).map(item => this.text(this.sectionRenderer.formatSkill(item, skills.proficiency))).filter(Boolean)])
+            .filter(([, items]) => items.length > 0);
+
+        if (groups.length === 0) return;
+
+        this.heading(doc, 'Skills');
+        for (const [label, items] of groups) {
+            doc.font(FONTS.bold).fontSize(10).fillColor(COLORS.text)
+                .text(`${label}: `, { continued: true, lineGap: 2 })
+                .font(FONTS.regular)
+                .text(items.join(', '), { lineGap: 2 });
+        }
+    }
+
+    renderEducation(doc, education) {
+        if (!education || education.length === 0) return;
+
+        this.heading(doc, 'Education');
+        for (const edu of education) {
+            this.entryHeader(
+                doc,
+                this.joinParts([edu.degree, edu.institution], ' - '),
+                this.joinParts([edu.location, this.formatDate(edu.graduationDate), edu.gpa ? `GPA: ${this.text(edu.gpa)}` : ''])
+            );
+            this.bullets(doc, edu.achievements);
+        }
+    }
+
+    renderProjects(doc, projects) {
+        if (!projects || projects.length === 0) return;
+
+        this.heading(doc, 'Projects');
+        for (const project of projects) {
+            const technologies = (project.technologies || []).map(item => this.text(item)).filter(Boolean);
+
+            this.entryHeader(doc, project.name, this.sectionRenderer.safeUrl(project.url));
+            this.paragraph(doc, project.description);
+            if (technologies.length > 0) {
+                this.paragraph(doc, `Technologies: ${technologies.join(', ')}`, { size: 9.5 });
+            }
+        }
+    }
+
+    renderCertifications(doc, certifications) {
+        if (!certifications || certifications.length === 0) return;
+
+        this.heading(doc, 'Certifications');
+        for (const cert of certifications) {
+            this.entryHeader(
+                doc,
+                cert.name,
+                this.joinParts([cert.issuer, this.formatDate(cert.date), this.sectionRenderer.safeUrl(cert.url)])
+            );
+        }
+    }
+
+    addPageNumbers(doc) {
+        const range = doc.bufferedPageRange();
+
+        for (let i = range.start; i < range.start + range.count; i++) {
+            doc.switchToPage(i);
+            // Writing inside the bottom margin would otherwise trigger a new page
+            const bottom = doc.page.margins.bottom;
+            doc.page.margins.bottom = 0;
+            doc.font(FONTS.regular).fontSize(8).fillColor(COLORS.muted)
+                .text(`Page ${i + 1} of ${range.count}`, doc.page.margins.left, doc.page.height - bottom / 2, {
+                    width: doc.page.width - doc.page.margins.left - doc.page.margins.right,
+                    align: 'center',
+                    lineBreak: false
+                });
+            doc.page.margins.bottom = bottom;
+        }
+    }
+
+    /**
+     * Render the CV as a PDF
+     * @param {Object} cvData - Output of TemplateProcessor.buildFinalDataStructure
+     * @param {Object} [options]
+     * @param {string} [options.pageSize] - One of CV_EXPORT.PAGE_SIZES
+     * @returns {Promise<Buffer>}
+     */
+    render(cvData, { pageSize = CV_EXPORT.DEFAULT_PAGE_SIZE } = {}) {
+        return new Promise((resolve, reject) => {
+            const personal = cvData.personalInfo || {};
+            const doc = new PDFDocument({
+                size: CV_EXPORT.PAGE_SIZES.includes(pageSize) ? pageSize : CV_EXPORT.DEFAULT_PAGE_SIZE,
+                margin: MARGIN,
+                bufferPages: true,
+                info: {
+                    Title: `${this.text(personal.name)} - CV`,
+                    Author: this.text(personal.name),
+                    Subject: this.text(personal.currentTitle),
+                    Keywords: [...(cvData.skills?.technical || []), ...(cvData.skills?.tools || [])].map(skill => this.text(skill)).join(', ')
+                }
+            });
+
+            const chunks = [];
+            doc.on('data', chunk => chunks.push(chunk));
+            doc.on('end', () => resolve(Buffer.concat(chunks)));
+            doc.on('error', reject);
+
+            try {
+                // Same order as the landing page
+                this.renderHeader(doc, personal);
+                this.renderExperience(doc, cvData.experience);
+                this.renderSkills(doc, cvData.skills);
+                this.renderEducation(doc, cvData.education);
+                this.renderProjects(doc, cvData.projects);
+                this.renderCertifications(doc, cvData.certifications);
+                this.addPageNumbers(doc);
+                doc.end();
+            } catch (error) {
+                reject(error);
+            }
+        });
+    }
+}
+
+module.exports = PdfRenderer;
@@ -0,0 +1,385 @@
+// File: lib/section-renderer.js - Server-side HTML rendering of landing page sections
+// Produces the static markup that script.js used to build in the browser, so
+// published pages are complete for crawlers, link previews and no-JS readers.
+
+const DateParserUtils = require('./utils/date-parser-utils');
+const SITE_LOCALES = require('../constants/site-locales');
+const CONSTANTS = require('../constants/template-processor-constants');
+const { SITE_LANGUAGES, SKILLS } = require('../constants');
+
+// Words that mark a line as an achievement rather than a job title
+const ACHIEVEMENT_VERBS = ['improved', 'increased', 'reduced', 'developed', 'led', 'managed', 'created'];
+
+// Profile links in the quick contact bar, in display order; labelKey names a translated label
+const PROFILE_LINKS = [
+    { field: 'linkedin', labelKey: 'LINKEDIN_PROFILE', icon: '<svg class="w-5 h-5" fill="currentColor" viewBox="0 0 24 24"><path d="M20.447 20.452h-3.554v-5.569c0-1.328-.027-3.037-1.852-3.037-1.853 0-2.136 1.445-2.136 2.939v5.667H9.351V9h3.414v1.561h.046c.477-.9 1.637-1.85 3.37-1.85 3.601 0 4.267 2.37 4.267 5.455v6.286zM5.337 7.433c-1.144 0-2.063-.926-2.063-2.065 0-1.138.92-2.063 2.063-2.063 1.14 0 2.064.925 2.064 2.063 0 1.139-.925 2.065-2.064 2.065zm1.782 13.019H3.555V9h3.564v11.452zM22.225 0H1.771C.792 0 0 .774 0 1.729v20.542C0 23.227.792 24 1.771 24h20.451C23.2 24 24 23.227 24 22.271V1.729C24 .774 23.2 0 22.222 0h.003z" /></svg>' },
+    { field: 'github', label: 'GitHub', icon: '<svg class="w-5 h-5" fill="currentColor" viewBox="0 0 24 24"><path d="M12 .297c-6.63 0-12 5.373-12 12 0 5.303 3.438 9.8 8.205 11.385.6.113.82-.258.82-.577 0-.285-.01-1.04-.015-2.04-3.338.724-4.042-1.61-4.042-1.61-.546-1.385-1.335-1.755-1.335-1.755-1.087-.744.084-.729.084-.729 1.205.084 1.838 1.236 1.838 1.236 1.07 1.835 2.809 1.305 3.495.998.108-.776.417-1.305.76-1.605-2.665-.3-5.466-1.332-5.466-5.93 0-1.31.465-2.38 1.235-3.22-.135-.303-.54-1.523.105-3.176 0 0 1.005-.322 3.3.23.96-.267 1.98-.399 3-.405 1.02.006 2.04.138 3 .405 2.28-1.552 3.285-1.23 3.285-1.23.645 1.653.24 2.873.12 3.176.765.84 1.23 1.91 1.23 3.22 0 4.61-2.805 5.625-5.475 5.92.42.36.81 1.096.81 2.22 0 1.606-.015 2.896-.015 3.286 0 .315.21.69.825.57C20.565 22.092 24 17.592 24 12.297c0-6.627-5.373-12-12-12" /></svg>' },
+    { field: 'website', labelKey: 'WEBSITE', icon: '<svg class="w-5 h-5" fill="none" stroke="currentColor" viewBox="0 0 24 24"><path stroke-linecap="round" stroke-linejoin="round" stroke-width="2" d="M21 12a9 9 0 01-9 9m9-9a9 9 0 00-9-9m9 9H3m9 9v-9m0-9v9" /></svg>' }
+];
+
+class SectionRenderer {
+    /**
+     * Escape text for HTML body and attribute context.
+     * Existing entities are left alone because InputSanitizer.sanitizeHtml
+     * already encodes names, titles and skills before they reach us.
+     * @param {*} text
+     * @returns {string}
+     */
+    escapeHtml(text) {
+        if (text === null || text === undefined || text === '') return '';
+
+        return text.toString()
+            .replace(/&(?!(?:[a-zA-Z]+|#\d+|#x[0-9a-fA-F]+);)/g, '&amp;')
+            .replace(/</g, '&lt;')
+            .replace(/>/g, '&gt;')
+            .replace(/"/g, '&quot;')
+            .replace(/'/g, '&#x27;');
+    }
+
+    /**
+     * Decode the entities InputSanitizer.sanitizeHtml adds, for plain-text output (JSON-LD, PDF)
+     * @param {string} text
+     * @returns {string}
+     */
+    decodeEntities(text) {
+        if (!text) return '';
+
+        return text.toString()
+            .replace(/&lt;/g, '<')
+            .replace(/&gt;/g, '>')
+            .replace(/&quot;/g, '"')
+            .replace(/&#x27;|&#39;/g, '\'')
+            .replace(/&#x2F;/gi, '/')
+            .replace(/&#x5C;/gi, '\\')
+            .replace(/&#96;/g, '`')
+            .replace(/&amp;/g, '&');
+    }
+
+    /**
+     * Only allow http(s) links in generated markup
+     * @param {string} url
+     * @returns {string} - Escaped URL or empty string
+     */
+    safeUrl(url) {
+        if (!url || typeof url !== 'string') return '';
+
+        const trimmed = url.trim();
+        if (/^https?:\/\//i.test(trimmed)) {
+            return this.escapeHtml(trimmed);
+        }
+        // Bare domains ("github.com/me") are accepted by InputSanitizer.sanitizeUrl
+        if (/^[a-z0-9][a-z0-9.-]*\.[a-z]{2,}(\/\S*)?$/i.test(trimmed)) {
+            return this.escapeHtml(`https://${trimmed}`);
+        }
+        return '';
+    }
+
+    /**
+     * Only allow base64 image data URIs or http(s) images for the avatar
+     * @param {string} src
+     * @returns {string}
+     */
+    safeImageSrc(src) {
+        if (!src || typeof src !== 'string') return '';
+
+        if (/^data:image\/(png|jpe?g|gif|webp);base64,[A-Za-z0-9+/=\s]+$/i.test(src)) {
+            return src.replace(/\s/g, '');
+        }
+        return /^https?:\/\//i.test(src) ? this.escapeHtml(src) : '';
+    }
+
+    /**
+     * The template labels in a site language (see constants/site-locales.js)
+     * @param {string} [language]
+     * @returns {Object} - Label name => text; English for unknown languages
+     */
+    getLabels(language = SITE_LANGUAGES.DEFAULT) {
+        return (SITE_LOCALES[language] || SITE_LOCALES[SITE_LANGUAGES.DEFAULT]).labels;
+    }
+
+    /**
+     * Format YYYY-MM, MM/YYYY or YYYY for display ("Mar 2021", "März 2021")
+     * @param {string} dateStr
+     * @param {string} [language] - Site language
+     * @returns {string}
+     */
+    formatDate(dateStr, language = SITE_LANGUAGES.DEFAULT) {
+        const formatted = DateParserUtils.formatDate(dateStr, language === SITE_LANGUAGES.DEFAULT ? null : language);
+        return formatted === CONSTANTS.DEFAULTS.END_DATE ? this.getLabels(language).PRESENT : formatted;
+    }
+
+    getInitials(name) {
+        return (name || '')
+            .split(/\s+/)
+            .filter(Boolean)
+            .map(part => part[0])
+            .join('')
+            .toUpperCase();
+    }
+
+    /**
+     * Filter out stray achievement lines the extractor sometimes returns as jobs
+     * @param {Object} exp - Experience entry
+     * @returns {boolean}
+     */
+    isRenderableExperience(exp) {
+        const title = (exp.title || '').trim();
+        const company = (exp.company || '').trim();
+        const titleLower = title.toLowerCase();
+        const companyLower = company.toLowerCase();
+
+        if (titleLower.includes('achievement') ||
+            titleLower.includes('accomplishment') ||
+            companyLower.includes('achievement')) {
+            return false;
+        }
+
+        if (/^[•\-*]/.test(title)) {
+            return false;
+        }
+
+        if (title.length < 50 &&
+            ACHIEVEMENT_VERBS.some(verb => titleLower.includes(verb)) &&
+            !titleLower.includes(' at ') && !titleLower.includes(' - ')) {
+            return false;
+        }
+
+        return title.length >= 3 && company.length >= 3;
+    }
+
+    renderList(items, className = 'list-disc list-inside text-gray-300 space-y-1') {
+        return `<ul class="${className}">
+${items.map(item => `                            <li>${this.escapeHtml(item)}</li>`).join('\n')}
+                        </ul>`;
+    }
+
+    renderTags(items, className = 'skill-tag') {
+        return (items || [])
+            .filter(Boolean)
+            .map(item => `<span class="${className}">${this.escapeHtml(item)}</span>`)
+            .join('\n                        ');
+    }
+
+    /**
+     * @param {string} skill
+     * @param {Object} [proficiency] - Skill name => level, from SkillsNormalizer
+     * @returns {string|null} - One of SKILLS.LEVELS
+     */
+    getSkillLevel(skill, proficiency) {
+        return SKILLS.LEVELS.find(level => level === proficiency?.[skill]) || null;
+    }
+
+    /**
+     * A skill with its level as the exports write it: "Python (Expert)"
+     */
+    formatSkill(skill, proficiency, language = SITE_LANGUAGES.DEFAULT) {
+        const level = this.getSkillLevel(skill, proficiency);
+        return level ? `${skill} (${this.getLabels(language)[`LEVEL_${level.toUpperCase()}`]})` : skill;
+    }
+
+    /**
+     * Skill tags, with the level of each skill that has one ("Python Expert")
+     * @param {string[]} items
+     * @param {Object} [proficiency] - Skill name => one of SKILLS.LEVELS
+     * @param {string} [language] - Site language of the level labels
+     */
+    renderSkillTags(items, proficiency = {}, language = SITE_LANGUAGES.DEFAULT) {
+        const labels = this.getLabels(language);
+
+        return (items || [])
+            .filter(Boolean)
+            .map(item => {
+                const level = this.getSkillLevel(item, proficiency);
+                return level
+                    ? `<span class="skill-tag" data-level="${level}">${this.escapeHtml(item)} <small class="skill-level">${labels[`LEVEL_${level.toUpperCase()}`]}</small></span>`
+                    : `<span class="skill-tag">${this.escapeHtml(item)}</span>`;
+            })
+            .join('\n                        ');
+    }
+
+    /**
+     * Cards for tools and domain skills, next to the technical and soft skills - only
+     * for CVs that have them, so other pages keep their two cards
+     */
+    renderSkillGroups(skills, language = SITE_LANGUAGES.DEFAULT) {
+        const labels = this.getLabels(language);
+
+        return [['tools', labels.TOOLS], ['domain', labels.DOMAIN_SKILLS]]
+            .map(([category, label]) => [category, label, this.renderSkillTags(skills[category], skills.proficiency, language)])
+            .filter(([, , html]) => html)
+            .map(([category, label, html]) => `
+
+                <div>
+                    <h3 class="text-xl font-semibold mb-6 text-white">${label}</h3>
+                    <div id="${category}-skills" class="flex flex-wrap gap-3">
+                        ${html}
+                    </div>
+                </div>`).join('');
+    }
+
+    renderAvatar(personalInfo) {
+        const src = this.safeImageSrc(personalInfo.profilePicture);
+
+        if (src) {
+            return `<div id="hero-avatar" class="hero-avatar w-48 h-48 rounded-full overflow-hidden border-4 border-white/20">
+                        <img src="${src}" alt="${this.escapeHtml(personalInfo.name)}" class="w-full h-full object-cover">
+                    </div>`;
+        }
+
+        return `<div id="hero-avatar"
+                        class="hero-avatar w-48 h-48 rounded-full bg-white/10 flex items-center justify-center text-6xl font-bold text-white backdrop-blur-sm overflow-hidden">
+                        <span id="hero-initials">${this.escapeHtml(this.getInitials(personalInfo.name))}</span>
+                    </div>`;
+    }
+
+    renderProfileLinks(personalInfo, language = SITE_LANGUAGES.DEFAULT) {
+        const labels = this.getLabels(language);
+
+        return PROFILE_LINKS
+            .map(({ field, label, labelKey, icon }) => ({ field, label: labelKey ? labels[labelKey] : label, icon, url: this.safeUrl((personalInfo || {})[field]) }))
+            .filter(link => link.url)
+            .map(({ field, label, icon, url }) => `
+                <a id="quick-${field}" href="${url}" target="_blank" rel="noopener noreferrer"
+                    class="flex items-center space-x-2 text-gray-400 hover:text-blue-400 transition-colors">
+                    ${icon}
+                    <span>${label}</span>
+                </a>`)
+            .join('');
+    }
+
+    renderExperience(experience, language = SITE_LANGUAGES.DEFAULT) {
+        const labels = this.getLabels(language);
+
+        return (experience || [])
+            .filter(exp => this.isRenderableExperience(exp))
+            .map(exp => {
+                const achievements = (exp.achievements || []).filter(Boolean);
+
+                return `
+                <div class="experience-card">
+                    <div class="flex flex-col lg:flex-row lg:justify-between lg:items-start mb-4">
+                        <div class="flex-1">
+                            <h3 class="text-xl font-semibold text-white mb-1">${this.escapeHtml(exp.title)}</h3>
+                            <p class="text-lg text-blue-400 font-medium mb-1">${this.escapeHtml(exp.company)}</p>${exp.location ? `
+                            <p class="text-gray-300">${this.escapeHtml(exp.location)}</p>` : ''}
+                        </div>
+                        <div class="text-gray-400 text-right mt-2 lg:mt-0 lg:ml-4 flex-shrink-0">
+                            <p class="font-medium text-sm lg:text-base whitespace-nowrap">${this.escapeHtml(this.formatDate(exp.startDate, language))} - ${this.escapeHtml(this.formatDate(exp.endDate, language))}</p>
+                        </div>
+                    </div>${exp.description ? `
+                    <p class="text-gray-300 mb-4 leading-relaxed">${this.escapeHtml(exp.description)}</p>` : ''}${achievements.length > 0 ? `
+                    <div>
+                        <h4 class="font-medium text-white mb-2">${labels.KEY_ACHIEVEMENTS}</h4>
+                        ${this.renderList(achievements)}
+                    </div>` : ''}
+                </div>`;
+            })
+            .join('');
+    }
+
+    renderEducation(education, language = SITE_LANGUAGES.DEFAULT) {
+        const labels = this.getLabels(language);
+
+        return (education || []).map(edu => {
+            const achievements = (edu.achievements || []).filter(Boolean);
+
+            return `
+                <div class="education-card">
+                    <div class="flex flex-col lg:flex-row lg:justify-between lg:items-start mb-4">
+                        <div class="flex-1">
+                            <h3 class="text-xl font-semibold text-white mb-1">${this.escapeHtml(edu.degree)}</h3>
+                            <p class="text-lg text-blue-400 font-medium mb-1">${this.escapeHtml(edu.institution)}</p>${edu.location ? `
+                            <p class="text-gray-300">${this.escapeHtml(edu.location)}</p>` : ''}${edu.gpa ? `
+                            <p class="text-gray-300">${labels.GPA} ${this.escapeHtml(edu.gpa)}</p>` : ''}
+                        </div>
+                        <div class="text-gray-400 text-right mt-2 lg:mt-0 lg:ml-4 flex-shrink-0">
+                            <p class="font-medium text-sm lg:text-base whitespace-nowrap">${this.escapeHtml(this.formatDate(edu.graduationDate, language))}</p>
+                        </div>
+                    </div>${achievements.length > 0 ? `
+                    <div>
+                        <h4 class="font-medium text-white mb-2">${labels.ACHIEVEMENTS}</h4>
+                        ${this.renderList(achievements)}
+                    </div>` : ''}
+                </div>`;
+        }).join('');
+    }
+
+    renderProjects(projects, language = SITE_LANGUAGES.DEFAULT) {
+        const labels = this.getLabels(language);
+
+        return (projects || []).map(project => {
+            const technologies = (project.technologies || []).filter(Boolean);
+            const url = this.safeUrl(project.url);
+
+            return `
+                <div class="project-card">
+                    <h3 class="text-xl font-semibold text-white mb-3">${this.escapeHtml(project.name)}</h3>${project.description ? `
+                    <p class="text-gray-300 mb-4">${this.escapeHtml(project.description)}</p>` : ''}${technologies.length > 0 ? `
+                    <div class="mb-4">
+                        <h4 class="text-sm font-medium text-white mb-2">${labels.TECHNOLOGIES}</h4>
+                        <div class="flex flex-wrap gap-2">
+                        ${this.renderTags(technologies, 'skill-tag text-xs')}
+                        </div>
+                    </div>` : ''}${url ? `
+                    <a href="${url}" target="_blank" rel="noopener noreferrer" class="text-blue-400 hover:text-blue-300 font-medium text-sm">${labels.VIEW_PROJECT}</a>` : ''}
+                </div>`;
+        }).join('');
+    }
+
+    renderCertifications(certifications, language = SITE_LANGUAGES.DEFAULT) {
+        const labels = this.getLabels(language);
+
+        return (certifications || []).map(cert => {
+            const url = this.safeUrl(cert.url);
+
+            return `
+                <div class="certification-card">
+                    <h3 class="text-lg font-semibold text-white mb-2">${this.escapeHtml(cert.name)}</h3>${cert.issuer ? `
+                    <p class="text-blue-400 font-medium mb-2">${this.escapeHtml(cert.issuer)}</p>` : ''}${cert.date ? `
+                    <p class="text-gray-300 text-sm mb-3">${this.escapeHtml(this.formatDate(cert.date, language))}</p>` : ''}${url ? `
+                    <a href="${url}" target="_blank" rel="noopener noreferrer" class="text-blue-400 hover:text-blue-300 font-medium text-sm">${labels.VIEW_CERTIFICATE}</a>` : ''}
+                </div>`;
+        }).join('');
+    }
+
+    /**
+     * Render every section of the landing page from final CV data
+     * @param {Object} cvData - Output of TemplateProcessor.buildFinalDataStructure
+     * @param {string} [language] - Site language of the labels and dates
+     * @returns {Object} - Placeholder name => rendered HTML
+     */
+    renderSections(cvData, language = SITE_LANGUAGES.DEFAULT) {
+        const skills = cvData.skills || {};
+        const experienceHtml = this.renderExperience(cvData.experience, language);
+        const educationHtml = this.renderEducation(cvData.education, language);
+        const projectsHtml = this.renderProjects(cvData.projects, language);
+        const certificationsHtml = this.renderCertifications(cvData.certifications, language);
+        const technicalHtml = this.renderSkillTags(skills.technical, skills.proficiency, language);
+        const softHtml = this.renderSkillTags(skills.soft, skills.proficiency, language);
+        const skillGroupsHtml = this.renderSkillGroups(skills, language);
+        const languagesHtml = this.renderTags(skills.languages);
+
+        const hidden = html => (html.trim() ? '' : ' hidden');
+
+        return {
+            HERO_AVATAR: this.renderAvatar(cvData.personalInfo),
+            PROFILE_LINKS: this.renderProfileLinks(cvData.personalInfo, language),
+            EXPERIENCE_ITEMS: experienceHtml,
+            EXPERIENCE_HIDDEN: hidden(experienceHtml),
+            TECHNICAL_SKILLS: technicalHtml,
+            SOFT_SKILLS: softHtml,
+            SKILL_GROUPS: skillGroupsHtml,
+            SKILLS_HIDDEN: hidden(technicalHtml + softHtml + skillGroupsHtml),
+            LANGUAGES: languagesHtml,
+            LANGUAGES_HIDDEN: hidden(languagesHtml),
+            EDUCATION_ITEMS: educationHtml,
+            EDUCATION_HIDDEN: hidden(educationHtml),
+            PROJECT_ITEMS: projectsHtml,
+            PROJECTS_HIDDEN: hidden(projectsHtml),
+            CERTIFICATION_ITEMS: certificationsHtml,
+            CERTIFICATIONS_HIDDEN: hidden(certificationsHtml)
+        };
+    }
+}
+
+module.exports = SectionRenderer;
@@ -0,0 +1,95 @@
+// File: lib/section-rewriter.js - Rewrite suggestions for the summary and about me text
+// Rewrites a section the user wrote in a chosen tone and length with the first LLM in
+// the provider chain, and returns several alternatives for the wizard to offer. Contact
+// details in the text are redacted when the user asks for it and put back in the answers.
+
+const LLMAssistant = require('./llm-assistant');
+const { SECTION_REWRITE } = require('../constants');
+
+// Models may be numbered, quoted or labelled ("Option 2:") despite the instructions
+const ALTERNATIVE_LABEL = /^\s*(?:(?:option|alternative|version)\s*\d+\s*[:.)-]?|\d+\s*[.)]|[-*•])\s*/i;
+const NUMBERED_LINE = /^\s*\d+\s*[.)]\s+/m;
+
+class SectionRewriter extends LLMAssistant {
+    /**
+     * Suggest rewrites of a section, counted against the user's daily limits for the provider
+     * @param {string} userId
+     * @param {Object} request
+     * @param {string} request.section - A key of SECTION_REWRITE.SECTIONS
+     * @param {string} request.text - The user's current text
+     * @param {string} request.tone - A key of SECTION_REWRITE.TONES
+     * @param {string} [request.length] - A key of SECTION_REWRITE.LENGTHS
+     * @param {number} [request.count] - How many alternatives to ask for
+     * @returns {Promise<{provider: string, alternatives: string[], tokenUsage: Object}>}
+     * @throws {Error} with status 503 without an LLM provider, 429 over the daily
+     *   limits (userLimitExceeded) and 502 when the model returns nothing usable
+     */
+    async rewrite(userId, {
+        section,
+        text,
+        tone,
+        length = SECTION_REWRITE.DEFAULT_LENGTH,
+        count = SECTION_REWRITE.DEFAULT_ALTERNATIVES
+    }) {
+        const redactor = await this.createRedactor(userId);
+        const promptText = redactor ? redactor.redact(text) : text;
+        const { text: response, tokenUsage } = await this.send(userId, client => client.generateSimpleText(
+            this.buildPrompt({ section, text: promptText, tone, length, count }, redactor), `Rewriting ${section}`));
+
+        const alternatives = this.parseAlternatives(redactor ? redactor.restore(response) : response, text, count);
+        if (alternatives.length === 0) {
+            throw this.createError('The model returned no usable suggestions - please try again', 502);
+        }
+
+        return { provider: this.provider, alternatives, tokenUsage };
+    }
+
+    buildPrompt({ section, text, tone, length, count }, redactor = null) {
+        return `Rewrite the following ${SECTION_REWRITE.SECTIONS[section]}.
+
+Write ${count} different alternatives.
+Tone: ${tone} - ${SECTION_REWRITE.TONES[tone]}
+Length of each alternative: ${SECTION_REWRITE.LENGTHS[length]}
+Keep to the facts in the original - do not invent employers, numbers, skills or achievements.
+Write the alternatives in the language of the original.
+Separate the alternatives with a line containing only ---${this.placeholderInstructions(redactor)}
+
+ORIGINAL TEXT:
+${text}`;
+    }
+
+    /**
+     * Split the model's answer into alternatives, without labels, quotes, empty
+     * entries, repeats or a copy of the original
+     * @returns {string[]} At most count alternatives
+     */
+    parseAlternatives(response, original, count) {
+        let parts = response.split(/^\s*-{3,}\s*$/m);
+        if (parts.length === 1 && (response.match(new RegExp(NUMBERED_LINE.source, 'gm')) || []).length > 1) {
+            parts = response.split(new RegExp(`(?=${NUMBERED_LINE.source})`, 'm'));
+        }
+
+        const seen = new Set([this.normalize(original)]);
+        return parts
+            .map(part => part.trim()
+                .replace(ALTERNATIVE_LABEL, '')
+                .replace(/^\*\*|\*\*$/g, '')
+                .replace(/^["“'](.*)["”']$/s, '$1')
+                .trim())
+            .filter(part => {
+                const key = this.normalize(part);
+                if (!key || seen.has(key)) {
+                    return false;
+                }
+                seen.add(key);
+                return true;
+            })
+            .slice(0, count);
+    }
+
+    normalize(text) {
+        return String(text || '').toLowerCase().replace(/\s+/g, ' ').trim();
+    }
+}
+
+module.exports = SectionRewriter;
@@ -0,0 +1,169 @@
+// File: lib/seo-renderer.js - SEO and social metadata for generated landing pages
+// Builds canonical/OpenGraph/Twitter tags, schema.org Person JSON-LD,
+// robots.txt and sitemap.xml from the final CV data.
+
+const SectionRenderer = require('./section-renderer');
+
+class SeoRenderer {
+    constructor(sectionRenderer = new SectionRenderer()) {
+        this.sectionRenderer = sectionRenderer;
+    }
+
+    escapeHtml(text) {
+        return this.sectionRenderer.escapeHtml(text);
+    }
+
+    decodeEntities(text) {
+        return this.sectionRenderer.decodeEntities(text);
+    }
+
+    /**
+     * Normalize a published site URL (http/https only, trailing slash)
+     * @param {string} siteUrl
+     * @returns {string|null}
+     */
+    normalizeSiteUrl(siteUrl) {
+        if (!siteUrl || typeof siteUrl !== 'string') return null;
+
+        try {
+            const url = new URL(siteUrl.trim());
+            if (url.protocol !== 'http:' && url.protocol !== 'https:') return null;
+            url.hash = '';
+            url.search = '';
+            if (!url.pathname.endsWith('/')) url.pathname += '/';
+            return url.toString();
+        } catch (error) {
+            return null;
+        }
+    }
+
+    /**
+     * Build the schema.org Person object
+     * @param {Object} cvData - Final CV data
+     * @param {string|null} siteUrl - Normalized site URL
+     * @param {string|null} imageUrl - Absolute profile image URL
+     * @returns {Object}
+     */
+    buildPersonSchema(cvData, siteUrl, imageUrl) {
+        const personal = cvData.personalInfo || {};
+        const text = value => this.decodeEntities(value).trim();
+
+        const person = {
+            '@context': 'https://schema.org',
+            '@type': 'Person',
+            name: text(personal.name)
+        };
+
+        const currentJob = (cvData.experience || []).find(exp => exp.title && exp.company);
+        const jobTitle = text(personal.currentTitle) || (currentJob ? text(currentJob.title) : '');
+
+        if (jobTitle) person.jobTitle = jobTitle;
+        if (personal.summary) person.description = text(personal.summary);
+        if (siteUrl) person.url = siteUrl;
+        if (imageUrl) person.image = imageUrl;
+        if (personal.email) person.email = `mailto:${text(personal.email)}`;
+        if (personal.phone) person.telephone = text(personal.phone);
+
+        if (personal.location) {
+            person.address = {
+                '@type': 'PostalAddress',
+                addressLocality: text(personal.location)
+            };
+        }
+
+        if (currentJob) {
+            person.worksFor = {
+                '@type': 'Organization',
+                name: text(currentJob.company)
+            };
+        }
+
+        const schools = (cvData.education || [])
+            .filter(edu => edu.institution)
+            .map(edu => ({
+                '@type': 'EducationalOrganization',
+                name: text(edu.institution)
+            }));
+        if (schools.length > 0) person.alumniOf = schools;
+
+        const skills = cvData.skills || {};
+        const knowsAbout = [...(skills.technical || []), ...(skills.tools || []), ...(skills.domain || [])].map(text).filter(Boolean);
+        if (knowsAbout.length > 0) person.knowsAbout = knowsAbout;
+
+        const knowsLanguage = (skills.languages || []).map(text).filter(Boolean);
+        if (knowsLanguage.length > 0) person.knowsLanguage = knowsLanguage;
+
+        return person;
+    }
+
+    /**
+     * Render the JSON-LD script tag (escaped so CV text cannot close the script)
+     */
+    renderJsonLd(cvData, siteUrl, imageUrl) {
+        const json = JSON.stringify(this.buildPersonSchema(cvData, siteUrl, imageUrl), null, 2)
+            .replace(/</g, '\\u003c')
+            .replace(/>/g, '\\u003e')
+            .replace(/&/g, '\\u0026');
+
+        return `<script type="application/ld+json">
+${json}
+    </script>`;
+    }
+
+    /**
+     * Head tags that depend on the published URL plus the JSON-LD block
+     * @param {Object} cvData - Final CV data
+     * @param {Object} seo - { siteUrl, imageFile }
+     * @returns {Object} - Placeholder replacements
+     */
+    renderPlaceholders(cvData, { siteUrl = null, imageFile = null } = {}) {
+        const imageUrl = siteUrl && imageFile ? new URL(imageFile, siteUrl).toString() : null;
+        const tags = [];
+
+        if (siteUrl) {
+            tags.push(`<link rel="canonical" href="${this.escapeHtml(siteUrl)}">`);
+            tags.push(`<meta property="og:url" content="${this.escapeHtml(siteUrl)}">`);
+        }
+
+        if (imageUrl) {
+            tags.push(`<meta property="og:image" content="${this.escapeHtml(imageUrl)}">`);
+            tags.push(`<meta name="twitter:image" content="${this.escapeHtml(imageUrl)}">`);
+        }
+
+        tags.push(this.renderJsonLd(cvData, siteUrl, imageUrl));
+
+        return {
+            SEO_META: tags.join('\n    ')
+        };
+    }
+
+    renderRobots(siteUrl) {
+        const lines = ['User-agent: *', 'Allow: /'];
+        if (siteUrl) {
+            lines.push('', `Sitemap: ${new URL('sitemap.xml', siteUrl).toString()}`);
+        }
+        return lines.join('\n') + '\n';
+    }
+
+    /**
+     * @param {string} siteUrl - Normalized site URL
+     * @param {Date} [lastModified]
+     * @param {string[]} [languageUrls] - Other language versions of the page, listed after it
+     */
+    renderSitemap(siteUrl, lastModified = new Date(), languageUrls = []) {
+        const entries = [siteUrl, ...languageUrls].map(url => `  <url>
+    <loc>${this.escapeHtml(url)}</loc>
+    <lastmod>${lastModified.toISOString().split('T')[0]}</lastmod>
+    <changefreq>monthly</changefreq>
+    <priority>1.0</priority>
+  </url>`);
+
+        return `<?xml version="1.0" encoding="UTF-8"?>
+<urlset xmlns="http://www.sitemaps.org/schemas/sitemap/0.9">
+${entries.join('\n')}
+</urlset>
+`;
+    }
+}
+
+module.exports = SeoRenderer;
@@ -107,6 +107,42 @@ class CVSessionService {
         }
     }
 
+    /**
+     * A user's own session with all its steps, for sessions kept as a history
+     * (the achievement review) rather than as context for the next LLM call
+     * @param {string} sessionId - Session ID
+     * @param {string} userId - User ID the session must belong to
+     * @returns {object|null} null when the session is not the user's or has expired
+     */
+    async getUserSession(sessionId, userId) {
+        try {
+            const result = await query(`
+                SELECT id, session_data, step_count, current_step, processing_metadata, created_at, updated_at
+                FROM cv_processing_sessions
+                WHERE id = $1 AND user_id = $2 AND expires_at > CURRENT_TIMESTAMP
+            `, [sessionId, userId]);
+
+            if (result.rows.length === 0) {
+                return null;
+            }
+
+            const session = result.rows[0];
+            return {
+                sessionId: session.id,
+                steps: session.session_data || {},
+                stepCount: session.step_count,
+                currentStep: session.current_step,
+                processingMetadata: session.processing_metadata || {},
+                createdAt: session.created_at,
+                updatedAt: session.updated_at
+            };
+
+        } catch (error) {
+            console.error(`Error getting session ${sessionId}:`, error);
+            throw new Error('Failed to get session: ' + error.message);
+        }
+    }
+
     /**
      * Extract known facts from previous processing steps
      * @param {object} sessionData - All previous step data
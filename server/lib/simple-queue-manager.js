@@ -2,6 +2,9 @@
 // Simple queue manager for CV processing with database persistence and error mapping
 
 const { randomUUID } = require('crypto');
+const ExtractionCache = require('./extraction-cache');
+const IntelligentCVProcessorChain = require('./intelligent-cv-processor-chain');
+const IntelligentCVProcessorRules = require('./intelligent-cv-processor-rules');
 
 class SimpleQueueManager {
     constructor(dbServices, fileCache = null) {
@@ -53,6 +56,35 @@ class SimpleQueueManager {
         }
     }
 
+    /**
+     * Record a job whose structured data is already known (e.g. a JSON Resume
+     * upload), so clients can poll it like any other job without queueing it
+     */
+    async addCompletedJob(userId, fileId, structuredData) {
+        try {
+            const result = await this.db.query(`
+                INSERT INTO processing_jobs (user_id, file_id, status, position, structured_data,
+                                             started_at, completed_at, estimated_wait_minutes)
+                VALUES ($1, $2, 'completed', 0, $3, CURRENT_TIMESTAMP, CURRENT_TIMESTAMP, 0)
+                RETURNING id, created_at
+            `, [userId, fileId, JSON.stringify(structuredData)]);
+
+            const job = result.rows[0];
+            console.log(`Job ${job.id} recorded as completed without queueing`);
+
+            return {
+                jobId: job.id,
+                position: 0,
+                estimatedWaitMinutes: 0,
+                queuedAt: job.created_at
+            };
+
+        } catch (error) {
+            console.error('Error recording completed job:', error);
+            throw error;
+        }
+    }
+
     /**
      * Get job status by ID
      */
@@ -61,7 +93,7 @@ class SimpleQueueManager {
             const result = await this.db.query(`
                 SELECT id, user_id, status, position, structured_data, error_message,
                        estimated_wait_minutes, created_at, started_at, completed_at,
-                       processing_time_seconds
+                       processing_time_seconds, processor, prompt_tokens, completion_tokens
                 FROM processing_jobs 
                 WHERE id = $1
             `, [jobId]);
@@ -231,18 +263,28 @@ class SimpleQueueManager {
                 }
 
                 const startTime = Date.now();
-                const structuredData = await processor.processCV(fileInfo.extractedText || '', job.user_id);
+                // The block map and candidates only live in the cache; text hydrated from the DB is processed alone
+                const structuredData = await this.processWithFallback(processor, fileInfo.extractedText || '', job.user_id, {
+                    blocks: fileInfo.layoutBlocks,
+                    candidates: fileInfo.documentCandidates
+                });
                 const processingTime = Math.floor((Date.now() - startTime) / 1000);
 
-                // Mark job as completed
+                // Keep the result with the upload so a re-upload of the same CV can reuse it
+                await new ExtractionCache(this.db).store(job.file_id, structuredData);
+
+                // Mark job as completed, with the tokens the serving provider spent on it
+                const tokenUsage = structuredData.processingMetadata?.tokenUsage;
                 await this.db.query(`
                     UPDATE processing_jobs 
                     SET status = 'completed', completed_at = CURRENT_TIMESTAMP,
-                        structured_data = $1, processing_time_seconds = $2
-                    WHERE id = $3
-                `, [JSON.stringify(structuredData), processingTime, job.id]);
+                        structured_data = $1, processing_time_seconds = $2, processor = $3,
+                        prompt_tokens = $4, completion_tokens = $5
+                    WHERE id = $6
+                `, [JSON.stringify(structuredData), processingTime, structuredData.processingMetadata?.processor || null,
+                    tokenUsage?.promptTokens || 0, tokenUsage?.completionTokens || 0, job.id]);
 
-                console.log(`Job ${job.id} completed successfully in ${processingTime}s`);
+                console.log(`Job ${job.id} completed successfully in ${processingTime}s by ${structuredData.processingMetadata?.processor}`);
 
             } catch (error) {
                 console.error(`Job ${job.id} failed:`, error);
@@ -279,6 +321,21 @@ class SimpleQueueManager {
         }
     }
 
+    /**
+     * Run the configured processor behind its circuit breaker. A single processor
+     * (LLM_CLIENT_TYPE) that fails - quota, outage, unusable output - is followed
+     * by rule-based extraction unless LLM_FALLBACK=none; a LLM_PROVIDER_CHAIN
+     * processor already fails over through its own providers.
+     */
+    async processWithFallback(processor, cvText, userId, options) {
+        if (processor instanceof IntelligentCVProcessorChain) {
+            return processor.processCV(cvText, userId, options);
+        }
+
+        const fallback = processor instanceof IntelligentCVProcessorRules || process.env.LLM_FALLBACK === 'none' ? [] : ['rules'];
+        return new IntelligentCVProcessorChain([processor, ...fallback]).processCV(cvText, userId, options);
+    }
+
     /**
      * Update queue positions for all queued jobs
      */
@@ -0,0 +1,160 @@
+// File: lib/skills-normalizer.js - Skills merged and sorted against a canonical taxonomy
+// Models and CV authors write the same skill many ways ("JS", "Javascript", "JavaScript
+// ES6"). Skills found in constants/skills-taxonomy.js get their canonical name and
+// category, anything else stays where it was listed; duplicates are dropped and a
+// level written next to a skill ("Python (expert)") is kept as its proficiency.
+
+const SKILLS_TAXONOMY = require('../constants/skills-taxonomy');
+const { SKILLS } = require('../constants');
+
+const VERSION_SUFFIX = /\s+(?:v?\d+(?:\.(?:\d+|x))*\+?|es\d+)$/i;
+const LEVEL_SUFFIX = /^(.+?)\s*(?:\(([^()]+)\)|[-–—:]\s*([\p{L} ]+))$/u;
+const LIST_MARKERS = /^[\s•·*\-–—]+|[\s.,;]+$/g;
+const LIST_SEPARATOR = /[,;\n]/;
+
+class SkillsNormalizer {
+    /**
+     * @param {Object} [taxonomy] - Category => [{name, aliases}], as constants/skills-taxonomy.js
+     */
+    constructor(taxonomy = SKILLS_TAXONOMY) {
+        this.index = new Map();
+
+        SKILLS.CATEGORIES.forEach(category => {
+            (taxonomy[category] || []).forEach(entry => {
+                [entry.name, ...(entry.aliases || [])].forEach(alias => {
+                    const key = this.key(alias);
+                    if (key && !this.index.has(key)) {
+                        this.index.set(key, { name: entry.name, category, aliases: entry.aliases || [] });
+                    }
+                });
+            });
+        });
+    }
+
+    /**
+     * Comparison key: lower case without spaces, dots, hyphens, underscores and slashes
+     */
+    key(text) {
+        return String(text).normalize('NFKC').toLowerCase().replace(/[\s._\-/]+/g, '');
+    }
+
+    /**
+     * @param {string} name
+     * @returns {{name: string, category: string}|null} - The taxonomy entry, also for a
+     *   versioned name ("Python 3") when only the bare name is known
+     */
+    lookup(name) {
+        const found = this.index.get(this.key(name));
+        if (found) return found;
+
+        return VERSION_SUFFIX.test(name) ? this.index.get(this.key(name.replace(VERSION_SUFFIX, ''))) || null : null;
+    }
+
+    /**
+     * The other ways a CV may write a skill the normalizer renamed
+     * @param {string} name - A canonical skill name
+     * @returns {string[]} - Its aliases, none for other text
+     */
+    getAliases(name) {
+        const found = this.index.get(this.key(name));
+        return found && found.name === name ? found.aliases : [];
+    }
+
+    /**
+     * @param {string} word - "Expert", "proficient", ...
+     * @returns {string|null} - One of SKILLS.LEVELS
+     */
+    parseLevel(word) {
+        const level = typeof word === 'string' ? word.trim().toLowerCase() : '';
+        if (SKILLS.LEVELS.includes(level)) return level;
+        return Object.prototype.hasOwnProperty.call(SKILLS.LEVEL_ALIASES, level) ? SKILLS.LEVEL_ALIASES[level] : null;
+    }
+
+    /**
+     * One listed skill without list markers, and the level written after it
+     * @param {string} raw - "• Python (expert)", "Docker - advanced", "SQL"
+     * @returns {{name: string, level: string|null}}
+     */
+    parseSkill(raw) {
+        const text = this.cleanItem(raw);
+        const match = text.match(LEVEL_SUFFIX);
+        const level = match ? this.parseLevel(match[2] || match[3]) : null;
+
+        return level ? { name: match[1].trim(), level } : { name: text, level: null };
+    }
+
+    cleanItem(raw) {
+        return typeof raw === 'string' ? raw.replace(/\s+/g, ' ').replace(LIST_MARKERS, '').trim() : '';
+    }
+
+    /**
+     * A list of skills as an array of strings; a string is split on commas and lines
+     */
+    toList(value) {
+        if (Array.isArray(value)) return value.filter(item => typeof item === 'string');
+        return typeof value === 'string' ? value.split(LIST_SEPARATOR) : [];
+    }
+
+    /**
+     * Skills with canonical names, in their taxonomy category, each listed once
+     * @param {Object|string[]} skills - {technical, soft, tools, domain, languages, proficiency};
+     *   a plain array counts as technical skills
+     * @returns {{technical: string[], soft: string[], tools: string[], domain: string[],
+     *   languages: string[], proficiency: Object<string, string>}} - proficiency by skill name
+     */
+    normalize(skills) {
+        const source = Array.isArray(skills) ? { technical: skills } : (skills && typeof skills === 'object' ? skills : {});
+        const result = { technical: [], soft: [], tools: [], domain: [], languages: [], proficiency: {} };
+        const names = new Map();
+        const levels = this.collectLevels(source.proficiency);
+
+        SKILLS.CATEGORIES.forEach(listed => {
+            this.toList(source[listed]).forEach(raw => {
+                const { name, level } = this.parseSkill(raw);
+                if (!name) return;
+
+                const known = this.lookup(name);
+                const key = this.key(known ? known.name : name);
+                if (!names.has(key)) {
+                    names.set(key, known ? known.name : name);
+                    result[known ? known.category : listed].push(names.get(key));
+                }
+
+                const skillLevel = level || levels.get(key);
+                if (skillLevel && !result.proficiency[names.get(key)]) {
+                    result.proficiency[names.get(key)] = skillLevel;
+                }
+            });
+        });
+
+        const languages = new Set();
+        this.toList(source.languages).map(raw => this.cleanItem(raw)).forEach(language => {
+            if (language && !languages.has(this.key(language))) {
+                languages.add(this.key(language));
+                result.languages.push(language);
+            }
+        });
+
+        return result;
+    }
+
+    /**
+     * Levels given separately ({"JS": "expert"}), by the key of the skill's canonical name
+     * @returns {Map<string, string>}
+     */
+    collectLevels(proficiency) {
+        const levels = new Map();
+        if (!proficiency || typeof proficiency !== 'object' || Array.isArray(proficiency)) return levels;
+
+        Object.entries(proficiency).forEach(([name, word]) => {
+            const level = this.parseLevel(word);
+            const known = this.lookup(this.cleanItem(name));
+            if (level) {
+                levels.set(this.key(known ? known.name : this.cleanItem(name)), level);
+            }
+        });
+        return levels;
+    }
+}
+
+module.exports = SkillsNormalizer;
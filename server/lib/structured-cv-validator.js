@@ -0,0 +1,86 @@
+// File: lib/structured-cv-validator.js - JSON Schema for LLM extraction output
+// Checks what a model returns against schemas/structured-cv.schema.json before it
+// reaches the wizard, and derives the response schema for native structured output.
+
+const { Validator } = require('jsonschema');
+const STRUCTURED_CV_SCHEMA = require('./schemas/structured-cv.schema.json');
+const { STRUCTURED_CV_VALIDATION } = require('../constants');
+
+// Keywords both response-schema dialects (Gemini responseSchema, OpenAI json_schema) accept
+const RESPONSE_SCHEMA_KEYWORDS = ['type', 'description', 'enum'];
+
+class StructuredCVValidator {
+    constructor(schema = STRUCTURED_CV_SCHEMA) {
+        this.schema = schema;
+        this.validator = new Validator();
+    }
+
+    getSchema() {
+        return this.schema;
+    }
+
+    /**
+     * Validate structured CV data
+     * @param {Object} data - Parsed model output
+     * @returns {string[]} Readable errors with the path of each field, empty when valid
+     */
+    validate(data) {
+        const { errors } = this.validator.validate(data, this.schema, { nestedErrors: false });
+        return errors
+            .slice(0, STRUCTURED_CV_VALIDATION.MAX_REPORTED_ERRORS)
+            .map(error => this.formatError(error));
+    }
+
+    formatError(error) {
+        const path = error.property.replace(/^instance\.?/, '');
+
+        if (error.name === 'required') {
+            return `${path ? `${path}.` : ''}${error.argument} is missing`;
+        }
+        if (error.name === 'pattern' && error.schema.description) {
+            return `${path} must be ${error.schema.description}, got ${JSON.stringify(error.instance)}`;
+        }
+        return `${path || 'The response'} ${error.message}`;
+    }
+
+    /**
+     * The schema in the subset native structured output understands: references
+     * inlined, no patterns or lengths, every property required so an empty field
+     * comes back as "" or [] instead of being left out
+     * @returns {Object}
+     */
+    toResponseSchema(node = this.schema) {
+        if (node.$ref) {
+            return this.toResponseSchema(this.resolveReference(node.$ref));
+        }
+
+        const converted = {};
+        RESPONSE_SCHEMA_KEYWORDS
+            .filter(keyword => node[keyword] !== undefined)
+            .forEach(keyword => {
+                converted[keyword] = node[keyword];
+            });
+
+        if (node.properties) {
+            converted.properties = {};
+            Object.entries(node.properties).forEach(([name, property]) => {
+                converted.properties[name] = this.toResponseSchema(property);
+            });
+            converted.required = Object.keys(node.properties);
+        }
+        if (node.items) {
+            converted.items = this.toResponseSchema(node.items);
+        }
+
+        return converted;
+    }
+
+    resolveReference(reference) {
+        return reference
+            .replace(/^#\//, '')
+            .split('/')
+            .reduce((node, key) => node[key], this.schema);
+    }
+}
+
+module.exports = StructuredCVValidator;
@@ -1,17 +1,75 @@
 // File: lib/template-processor.js
 const fs = require('fs');
 const path = require('path');
+const templateRegistry = require('./template-registry');
+const SectionRenderer = require('./section-renderer');
+const SeoRenderer = require('./seo-renderer');
+const ThemeRenderer = require('./theme-renderer');
+const PdfRenderer = require('./pdf-renderer');
+const DocxRenderer = require('./docx-renderer');
+const JsonResumeMapper = require('./json-resume-mapper');
+const LanguageRenderer = require('./language-renderer');
+const SkillsNormalizer = require('./skills-normalizer');
+const TranslationSegments = require('./utils/translation-segments');
+const SITE_LOCALES = require('../constants/site-locales');
+const { GENERATED_FILES } = require('../constants');
+
+// Image types that can be published as a standalone profile photo (for og:image)
+const PROFILE_PHOTO_EXTENSIONS = {
+    'image/png': '.png',
+    'image/jpeg': '.jpg',
+    'image/jpg': '.jpg',
+    'image/webp': '.webp',
+    'image/gif': '.gif'
+};
+
+// Headings in the wizard's skills text (convertSkillsToText in cv-processing.service.ts)
+// and the list of skills each one starts
+const SKILL_TEXT_HEADINGS = {
+    'technical skills': 'technical',
+    'tools': 'tools',
+    'professional skills': 'soft',
+    'soft skills': 'soft',
+    'core competencies': 'soft',
+    'domain expertise': 'domain',
+    'languages': 'languages'
+};
 
 class TemplateProcessor {
     constructor() {
-        this.templateDir = path.join(__dirname, '../templates/professional');
+        this.templateDir = path.join(__dirname, '../templates', templateRegistry.getDefaultTemplateId());
+        this.sectionRenderer = new SectionRenderer();
+        this.seoRenderer = new SeoRenderer(this.sectionRenderer);
+        this.themeRenderer = new ThemeRenderer();
+        this.pdfRenderer = new PdfRenderer(this.sectionRenderer);
+        this.docxRenderer = new DocxRenderer(this.sectionRenderer);
+        this.jsonResumeMapper = new JsonResumeMapper(this.sectionRenderer);
+        this.languageRenderer = new LanguageRenderer(this.sectionRenderer);
+        this.skillsNormalizer = new SkillsNormalizer();
     }
 
-    async generateLandingPage(cvData, outputDir) {
+    /**
+     * Generate a complete static landing page
+     * @param {Object} cvData - Sanitized CV data (may include edited text sections, its
+     *   language and translations into other languages)
+     * @param {string} outputDir - Directory to write the site to
+     * @param {string} [templateId] - Registered template id (defaults to professional)
+     * @param {Object} [options]
+     * @param {string} [options.siteUrl] - Published URL, used for canonical/OpenGraph/sitemap
+     * @param {Object|string} [options.theme] - { mode, accentColor, backgroundColor, font } or a mode
+     */
+    async generateLandingPage(cvData, outputDir, templateId, options = {}) {
         try {
             console.log('Generating landing page for:', cvData.personalInfo.name);
             console.log('Has edited content?', !!cvData._hasEditedContent);
 
+            const siteUrl = this.seoRenderer.normalizeSiteUrl(options.siteUrl);
+            const theme = this.themeRenderer.normalizeTheme(options.theme);
+
+            // Resolve the template folder from the registry (falls back to default)
+            const template = templateRegistry.resolveTemplate(templateId);
+            console.log('Using template:', template.id);
+
             // Validate CV data has required content
             this.validateCVData(cvData);
 
@@ -21,20 +79,40 @@ class TemplateProcessor {
             }
 
             // Copy template files
-            await this.copyTemplateFiles(outputDir);
+            await this.copyTemplateFiles(outputDir, template.directory);
+
+            // Write the selected color theme into the copied stylesheet
+            this.applyTheme(outputDir, theme);
 
-            // Generate data.js with EDITED CV data (this is the key fix!)
-            await this.generateDataFileWithEditedContent(cvData, outputDir);
+            // Build the final CV data using edited content where available
+            const finalCvData = this.buildFinalDataStructure(cvData);
+
+            // Publish the profile photo as a file so it can be used as og:image
+            const imageFile = this.writeProfilePhoto(finalCvData.personalInfo, outputDir);
+
+            // Render every section into static HTML - index.html in the CV's own language,
+            // <code>.html for each translation
+            const translations = cvData.translations || {};
+            const pages = this.languageRenderer.getPages(cvData.language, Object.keys(translations));
+            for (const page of pages) {
+                const pageCvData = page === pages[0] ? finalCvData : TranslationSegments.apply(finalCvData, translations[page.language]);
+                const pageUrl = this.languageRenderer.getPageUrl(page, siteUrl);
+                await this.processHTMLTemplate(pageCvData, outputDir, template.directory, { siteUrl: pageUrl, imageFile }, theme, { page, pages, siteUrl });
+            }
 
-            // Process HTML template with edited data
-            await this.processHTMLTemplate(cvData, outputDir);
+            // robots.txt always, sitemap.xml once the public URL is known
+            this.writeSeoFiles(outputDir, siteUrl, pages);
 
             console.log('Landing page generated successfully with edited content in:', outputDir);
 
             return {
                 success: true,
                 outputDir: outputDir,
-                files: ['index.html', 'styles.css', 'script.js', 'data.js', 'README.md']
+                templateId: template.id,
+                siteUrl: siteUrl,
+                theme: theme,
+                languages: pages.map(page => page.language),
+                files: this.getSiteFiles(outputDir)
             };
 
         } catch (error) {
@@ -43,6 +121,49 @@ class TemplateProcessor {
         }
     }
 
+    /**
+     * Render the CV as a printable PDF from the same final data as the site
+     * @param {Object} cvData - Stored CV data (may include edited text sections)
+     * @param {Object} [options] - { pageSize } (see CV_EXPORT.PAGE_SIZES)
+     * @returns {Promise<Buffer>}
+     */
+    async generatePdf(cvData, options = {}) {
+        this.validateCVData(cvData);
+
+        const finalCvData = this.buildFinalDataStructure(cvData);
+        return this.pdfRenderer.render(finalCvData, options);
+    }
+
+    /**
+     * Render the CV as a Word document from the same final data as the site
+     * @param {Object} cvData - Stored CV data (may include edited text sections)
+     * @param {Object} [options] - { pageSize } (see CV_EXPORT.PAGE_SIZES)
+     * @returns {Promise<Buffer>}
+     */
+    async generateDocx(cvData, options = {}) {
+        this.validateCVData(cvData);
+
+        const finalCvData = this.buildFinalDataStructure(cvData);
+        return this.docxRenderer.render(finalCvData, options);
+    }
+
+    /**
+     * Export the CV as a JSON Resume document from the same final data as the site
+     * @param {Object} cvData - Stored CV data (may include edited text sections)
+     * @returns {Object} - JSON Resume document, validated against the schema
+     */
+    generateJsonResume(cvData) {
+        this.validateCVData(cvData);
+
+        const resume = this.jsonResumeMapper.toJsonResume(this.buildFinalDataStructure(cvData));
+        const { valid, errors } = this.jsonResumeMapper.validate(resume);
+        if (!valid) {
+            throw new Error(`Generated JSON Resume is invalid: ${errors.join('; ')}`);
+        }
+
+        return resume;
+    }
+
     validateCVData(cvData) {
         if (!cvData.personalInfo?.name) {
             throw new Error('CV data missing personal name');
@@ -56,7 +177,7 @@ class TemplateProcessor {
         console.log('Includes edited content:', !!cvData._hasEditedContent);
     }
 
-    async copyTemplateFiles(outputDir) {
+    async copyTemplateFiles(outputDir, templateDir = this.templateDir) {
         const filesToCopy = [
             'styles.css',
             'script.js',
@@ -64,7 +185,7 @@ class TemplateProcessor {
         ];
 
         for (const file of filesToCopy) {
-            const sourcePath = path.join(this.templateDir, file);
+            const sourcePath = path.join(templateDir, file);
             const destPath = path.join(outputDir, file);
 
             if (fs.existsSync(sourcePath)) {
@@ -76,23 +197,6 @@ class TemplateProcessor {
         }
     }
 
-    async generateDataFileWithEditedContent(cvData, outputDir) {
-        console.log('Generating data.js with edited content...');
-
-        // Build the final CV data structure using edited content where available
-        const finalCvData = this.buildFinalDataStructure(cvData);
-
-        const dataContent = `// Generated CV Data for ${cvData.personalInfo.name}
-// Generated on: ${new Date().toISOString()}
-// Contains user-edited content
-const cvData = ${JSON.stringify(finalCvData, null, 2)};
-`;
-
-        const dataPath = path.join(outputDir, 'data.js');
-        fs.writeFileSync(dataPath, dataContent, 'utf8');
-        console.log('Generated data.js with edited content');
-    }
-
     buildFinalDataStructure(cvData) {
         console.log('Building final data structure with edited content...');
 
@@ -106,7 +210,10 @@ const cvData = ${JSON.stringify(finalCvData, null, 2)};
                 currentTitle: cvData.personalInfo.currentTitle,
                 profilePicture: cvData.personalInfo.profilePicture,
                 summary: cvData.personalInfo.summary,
-                aboutMe: cvData.personalInfo.aboutMe
+                aboutMe: cvData.personalInfo.aboutMe,
+                linkedin: cvData.personalInfo.linkedin,
+                github: cvData.personalInfo.github,
+                website: cvData.personalInfo.website
             },
             // Default to original structured data
             experience: cvData.experience || [],
@@ -308,25 +415,27 @@ const cvData = ${JSON.stringify(finalCvData, null, 2)};
         return experiences;
     }
 
+    /**
+     * Skills from the wizard's edited text, normalized like extracted skills
+     * @param {string} skillsText - "Technical Skills: JS, Python (Expert) Languages: English";
+     *   headings are found anywhere since sanitizing the text joins its lines
+     * @returns {Object} - See SkillsNormalizer.normalize; text without headings counts as technical skills
+     */
     convertTextToSkills(skillsText) {
-        const skills = { technical: [], soft: [], languages: [] };
-        const sections = skillsText.split('\n\n');
-
-        sections.forEach(section => {
-            const lines = section.split('\n');
-            const header = lines[0]?.toLowerCase() || '';
-            const skillsList = lines.slice(1).join(' ').split(',').map(s => s.trim()).filter(s => s);
-
-            if (header.includes('technical')) {
-                skills.technical = skillsList;
-            } else if (header.includes('professional') || header.includes('soft')) {
-                skills.soft = skillsList;
-            } else if (header.includes('language')) {
-                skills.languages = skillsList;
-            }
+        const heading = new RegExp(`(?:^|\\s)(${Object.keys(SKILL_TEXT_HEADINGS).join('|')})\\s*:`, 'gi');
+        const matches = [...skillsText.matchAll(heading)];
+        if (matches.length === 0) {
+            return this.skillsNormalizer.normalize({ technical: skillsText });
+        }
+
+        const lists = {};
+        matches.forEach((match, index) => {
+            const list = SKILL_TEXT_HEADINGS[match[1].toLowerCase()];
+            const end = index + 1 < matches.length ? matches[index + 1].index : skillsText.length;
+            lists[list] = [...(lists[list] || []), ...skillsText.slice(match.index + match[0].length, end).split(/[,\n]/)];
         });
 
-        return skills;
+        return this.skillsNormalizer.normalize(lists);
     }
 
     convertTextToEducation(educationText) {
@@ -391,54 +500,55 @@ const cvData = ${JSON.stringify(finalCvData, null, 2)};
         }).filter(entry => entry !== null);
     }
 
-    async processHTMLTemplate(cvData, outputDir) {
+    /**
+     * Render one page of the site with all sections filled in on the server
+     * @param {Object} cvData - Final CV data (see buildFinalDataStructure), translated for the page
+     * @param {string} outputDir - Directory to write the page to
+     * @param {string} templateDir - Template directory containing index.html
+     * @param {Object} [seo] - { siteUrl, imageFile } for canonical and social tags; siteUrl is the page's own URL
+     * @param {Object} [theme] - Normalized theme (see ThemeRenderer.normalizeTheme)
+     * @param {Object} [languages] - { page, pages, siteUrl } (see LanguageRenderer.getPages);
+     *   defaults to a single index.html in the default language
+     */
+    async processHTMLTemplate(cvData, outputDir, templateDir = this.templateDir, seo = {}, theme = this.themeRenderer.normalizeTheme(), languages = {}) {
         console.log('Processing HTML template with edited data...');
 
-        const templatePath = path.join(this.templateDir, 'index.html');
-        const outputPath = path.join(outputDir, 'index.html');
+        const { page = this.languageRenderer.getPages()[0], pages = [page], siteUrl = null } = languages;
+        const templatePath = path.join(templateDir, 'index.html');
+        const outputPath = path.join(outputDir, page.fileName);
 
         if (!fs.existsSync(templatePath)) {
             throw new Error('HTML template not found');
         }
 
-        let htmlContent = fs.readFileSync(templatePath, 'utf8');
-
-        // Replace placeholders with real CV data (using edited content)
-        const replacements = this.createReplacements(cvData);
-
-        for (const [placeholder, value] of Object.entries(replacements)) {
-            const regex = new RegExp(`{{${placeholder}}}`, 'g');
-            htmlContent = htmlContent.replace(regex, value);
-        }
-
-        // Handle profile picture if present
-        if (cvData.personalInfo.profilePicture) {
-            console.log('Including profile picture in landing page');
+        const templateHtml = fs.readFileSync(templatePath, 'utf8');
 
-            htmlContent = htmlContent.replace(
-                /<div id="hero-avatar"[^>]*class="[^"]*"[^>]*>[\s\S]*?<\/div>/,
-                `<div id="hero-avatar" class="hero-avatar w-48 h-48 rounded-full overflow-hidden border-4 border-white/20">
-                    <img src="${cvData.personalInfo.profilePicture}" alt="${cvData.personalInfo.name}" class="w-full h-full object-cover">
-                </div>`
-            );
-        }
+        // Scalar placeholders plus the server-rendered section markup
+        const replacements = {
+            ...this.createReplacements(cvData, page.language),
+            ...this.sectionRenderer.renderSections(cvData, page.language),
+            ...this.seoRenderer.renderPlaceholders(cvData, seo),
+            ...this.themeRenderer.renderPlaceholders(theme),
+            ...this.languageRenderer.renderPlaceholders(page, pages, siteUrl)
+        };
 
-        // Update page title with real name
-        htmlContent = htmlContent.replace(
-            /<title>.*?<\/title>/,
-            `<title>${cvData.personalInfo.name} - Professional Profile</title>`
+        // Single pass so CV text containing "{{...}}" or "$&" is never re-expanded
+        const htmlContent = templateHtml.replace(/{{([A-Z_]+)}}/g, (match, placeholder) =>
+            Object.prototype.hasOwnProperty.call(replacements, placeholder) ? replacements[placeholder] : match
         );
 
         // Write processed HTML
         fs.writeFileSync(outputPath, htmlContent, 'utf8');
-        console.log('Generated index.html with edited data');
+        console.log(`Generated ${page.fileName} with edited data`);
     }
 
-    createReplacements(cvData) {
+    createReplacements(cvData, language) {
         console.log('Creating replacements with edited content...');
 
         const personal = cvData.personalInfo;
-        const currentJob = { title: personal.currentTitle || 'Professional' };
+        const currentJob = {
+            title: personal.currentTitle || cvData.experience?.[0]?.title || 'Professional'
+        };
 
         // Get initials from real name
         const initials = personal.name
@@ -450,21 +560,24 @@ const cvData = ${JSON.stringify(finalCvData, null, 2)};
         // Create summary excerpt for meta description
         const summaryExcerpt = personal.summary
             ? personal.summary.substring(0, 150) + (personal.summary.length > 150 ? '...' : '')
-            : `${personal.name} - Professional Profile`;
+            : `${personal.name} - ${this.sectionRenderer.getLabels(language).PROFILE}`;
 
         // Create skills keywords for SEO from real skills
+        const skills = cvData.skills || {};
         const allSkills = [
-            ...(cvData.skills.technical || []),
-            ...(cvData.skills.soft || [])
+            ...(skills.technical || []),
+            ...(skills.tools || []),
+            ...(skills.soft || []),
+            ...(skills.domain || [])
         ];
         const skillsKeywords = allSkills.length > 0
             ? allSkills.slice(0, 10).join(', ')
             : `${personal.currentTitle}, Professional, ${personal.location}`.replace(/,\s*,/g, ',').replace(/^,|,$/g, '');
 
-        // Calculate real years of experience if we have experience data
-        const yearsExperience = cvData.experience && cvData.experience.length > 0
-            ? this.calculateYearsExperience(cvData.experience)
-            : 3; // Default for cases without experience data
+        // Highlight counters - a counter the CV has nothing for is hidden, not made up
+        const yearsExperience = this.calculateYearsExperience(cvData.experience);
+        const projectsCount = (cvData.projects?.length || 0) + (cvData.experience?.length || 0);
+        const technicalSkillsCount = (skills.technical?.length || 0) + (skills.tools?.length || 0);
 
 
         console.log(`Creating replacements for ${personal.name}:`);
@@ -482,11 +595,16 @@ const cvData = ${JSON.stringify(finalCvData, null, 2)};
             SUMMARY: this.escapeHtml(personal.summary),
             ABOUT_ME: this.escapeHtml(personal.aboutMe || personal.summary),
             CURRENT_TITLE: this.escapeHtml(currentJob.title),
-            INITIALS: initials,
+            INITIALS: this.escapeHtml(initials),
             SUMMARY_EXCERPT: this.escapeHtml(summaryExcerpt),
             SKILLS_KEYWORDS: this.escapeHtml(skillsKeywords),
             YEARS_EXPERIENCE: yearsExperience.toString(),
-            SITE_URL: process.env.SITE_URL || process.env.FRONTEND_URL || 'https://your-profile.vercel.app'
+            YEARS_EXPERIENCE_HIDDEN: yearsExperience > 0 ? '' : ' hidden',
+            PROJECTS_COUNT: projectsCount.toString(),
+            PROJECTS_COUNT_HIDDEN: projectsCount > 0 ? '' : ' hidden',
+            SKILLS_COUNT: technicalSkillsCount.toString(),
+            SKILLS_COUNT_HIDDEN: technicalSkillsCount > 0 ? '' : ' hidden',
+            HIGHLIGHTS_HIDDEN: yearsExperience + projectsCount + technicalSkillsCount > 0 ? '' : ' hidden'
         };
     }
 
@@ -575,14 +693,74 @@ const cvData = ${JSON.stringify(finalCvData, null, 2)};
     }
 
     escapeHtml(text) {
-        if (!text) return '';
-
-        return text.toString()
-            .replace(/&/g, '&amp;')
-            .replace(/</g, '&lt;')
-            .replace(/>/g, '&gt;')
-            .replace(/"/g, '&quot;')
-            .replace(/'/g, '&#x27;');
+        return this.sectionRenderer.escapeHtml(text);
+    }
+
+    /**
+     * Write a base64 profile picture to disk
+     * @param {Object} personalInfo - Final personal info
+     * @param {string} outputDir - Site directory
+     * @returns {string|null} - File name of the written photo
+     */
+    writeProfilePhoto(personalInfo, outputDir) {
+        const match = (personalInfo?.profilePicture || '').match(/^data:(image\/[a-z]+);base64,([A-Za-z0-9+/=\s]+)$/i);
+        if (!match) return null;
+
+        const extension = PROFILE_PHOTO_EXTENSIONS[match[1].toLowerCase()];
+        if (!extension) return null;
+
+        const fileName = GENERATED_FILES.PROFILE_PHOTO + extension;
+        fs.writeFileSync(path.join(outputDir, fileName), Buffer.from(match[2], 'base64'));
+        console.log(`Wrote ${fileName}`);
+        return fileName;
+    }
+
+    /**
+     * Append the theme's custom properties to the copied styles.css
+     * @param {string} outputDir - Site directory
+     * @param {Object} theme - Normalized theme
+     */
+    applyTheme(outputDir, theme) {
+        const stylesPath = path.join(outputDir, GENERATED_FILES.STYLES);
+        if (!fs.existsSync(stylesPath)) return;
+
+        const styles = fs.readFileSync(stylesPath, 'utf8');
+        const eol = styles.includes('\r\n') ? '\r\n' : '\n';
+        fs.writeFileSync(stylesPath, styles + this.themeRenderer.renderCss(theme).replace(/\n/g, eol), 'utf8');
+        console.log('Applied theme:', theme.mode);
+    }
+
+    writeSeoFiles(outputDir, siteUrl, pages = []) {
+        fs.writeFileSync(path.join(outputDir, GENERATED_FILES.ROBOTS), this.seoRenderer.renderRobots(siteUrl), 'utf8');
+
+        if (siteUrl) {
+            const languageUrls = pages.slice(1).map(page => this.languageRenderer.getPageUrl(page, siteUrl));
+            fs.writeFileSync(path.join(outputDir, GENERATED_FILES.SITEMAP), this.seoRenderer.renderSitemap(siteUrl, new Date(), languageUrls), 'utf8');
+            console.log('Generated robots.txt and sitemap.xml for', siteUrl);
+        } else {
+            console.log('Generated robots.txt (sitemap.xml is written once the site is published)');
+        }
+    }
+
+    /**
+     * Files of a generated site that should be downloaded or published
+     * @param {string} outputDir - Site directory
+     * @returns {string[]} - File names present in outputDir
+     */
+    getSiteFiles(outputDir) {
+        const candidates = [
+            GENERATED_FILES.INDEX,
+            ...Object.keys(SITE_LOCALES).map(code => `${code}.html`),
+            GENERATED_FILES.STYLES,
+            GENERATED_FILES.SCRIPT,
+            GENERATED_FILES.DATA,
+            GENERATED_FILES.README,
+            GENERATED_FILES.ROBOTS,
+            GENERATED_FILES.SITEMAP,
+            ...new Set(Object.values(PROFILE_PHOTO_EXTENSIONS).map(ext => GENERATED_FILES.PROFILE_PHOTO + ext))
+        ];
+
+        return candidates.filter(file => fs.existsSync(path.join(outputDir, file)));
     }
 
     async generatePreview(cvData) {
@@ -0,0 +1,167 @@
+// File: lib/template-registry.js - Manifest-driven registry of landing page templates
+const fs = require('fs');
+const path = require('path');
+const { TEMPLATES } = require('../constants');
+
+class TemplateRegistry {
+    constructor(templatesRoot = path.join(__dirname, '../templates')) {
+        this.templatesRoot = templatesRoot;
+        this.templates = null;
+    }
+
+    /**
+     * Scan the templates directory and load every valid manifest.
+     * Invalid templates are skipped with a warning so one broken folder
+     * cannot take down generation for the others.
+     * @returns {Map<string, Object>} - Templates keyed by id
+     */
+    load() {
+        const templates = new Map();
+
+        if (!fs.existsSync(this.templatesRoot)) {
+            console.warn('Templates directory not found:', this.templatesRoot);
+            this.templates = templates;
+            return templates;
+        }
+
+        const entries = fs.readdirSync(this.templatesRoot, { withFileTypes: true });
+
+        for (const entry of entries) {
+            if (!entry.isDirectory()) continue;
+
+            const templateDir = path.join(this.templatesRoot, entry.name);
+            const manifestPath = path.join(templateDir, TEMPLATES.MANIFEST_FILE);
+
+            if (!fs.existsSync(manifestPath)) {
+                continue;
+            }
+
+            try {
+                const manifest = JSON.parse(fs.readFileSync(manifestPath, 'utf8'));
+                this.validateManifest(manifest, entry.name, templateDir);
+
+                templates.set(manifest.id, {
+                    ...manifest,
+                    directory: templateDir
+                });
+            } catch (error) {
+                console.warn(`Skipping template "${entry.name}":`, error.message);
+            }
+        }
+
+        this.templates = templates;
+        return templates;
+    }
+
+    /**
+     * Validate a manifest against the folder it lives in
+     * @param {Object} manifest - Parsed manifest.json
+     * @param {string} folderName - Name of the template folder
+     * @param {string} templateDir - Absolute template directory
+     */
+    validateManifest(manifest, folderName, templateDir) {
+        if (!manifest || typeof manifest !== 'object') {
+            throw new Error('Manifest must be a JSON object');
+        }
+
+        if (typeof manifest.id !== 'string' || !TEMPLATES.ID_PATTERN.test(manifest.id)) {
+            throw new Error('Manifest id must be lowercase letters, numbers or dashes');
+        }
+
+        if (manifest.id !== folderName) {
+            throw new Error(`Manifest id "${manifest.id}" does not match folder name`);
+        }
+
+        if (typeof manifest.name !== 'string' || !manifest.name.trim()) {
+            throw new Error('Manifest name is required');
+        }
+
+        if (!Array.isArray(manifest.sections) || manifest.sections.length === 0) {
+            throw new Error('Manifest must list supported sections');
+        }
+
+        if (!Array.isArray(manifest.requiredFiles) || manifest.requiredFiles.length === 0) {
+            throw new Error('Manifest must list required files');
+        }
+
+        const filesToCheck = [...manifest.requiredFiles];
+        if (manifest.preview) {
+            filesToCheck.push(manifest.preview);
+        }
+
+        for (const file of filesToCheck) {
+            if (typeof file !== 'string' || path.basename(file) !== file) {
+                throw new Error(`Invalid file reference "${file}"`);
+            }
+            if (!fs.existsSync(path.join(templateDir, file))) {
+                throw new Error(`Missing required file "${file}"`);
+            }
+        }
+    }
+
+    getTemplates() {
+        return this.templates || this.load();
+    }
+
+    /**
+     * Public listing of templates, without server paths
+     * @returns {Array<Object>}
+     */
+    listTemplates() {
+        return Array.from(this.getTemplates().values()).map(template => ({
+            id: template.id,
+            name: template.name,
+            description: template.description || '',
+            version: template.version || '1.0.0',
+            sections: template.sections,
+            hasPreview: !!template.preview,
+            isDefault: template.id === TEMPLATES.DEFAULT_ID
+        }));
+    }
+
+    hasTemplate(templateId) {
+        return typeof templateId === 'string' && this.getTemplates().has(templateId);
+    }
+
+    getTemplate(templateId) {
+        return this.getTemplates().get(templateId) || null;
+    }
+
+    getDefaultTemplateId() {
+        return TEMPLATES.DEFAULT_ID;
+    }
+
+    /**
+     * Resolve a template id to a registered template, falling back to the default
+     * @param {string} templateId - Requested template id
+     * @returns {Object} - Template manifest with directory
+     */
+    resolveTemplate(templateId) {
+        const template = this.getTemplate(templateId) || this.getTemplate(TEMPLATES.DEFAULT_ID);
+
+        if (!template) {
+            throw new Error('No landing page templates are available');
+        }
+
+        return template;
+    }
+
+    /**
+     * Absolute path to a template's preview thumbnail, or null
+     * @param {string} templateId - Template id
+     * @returns {string|null}
+     */
+    getPreviewPath(templateId) {
+        const template = this.getTemplate(templateId);
+        if (!template || !template.preview) {
+            return null;
+        }
+        return path.join(template.directory, template.preview);
+    }
+}
+
+// Create singleton instance
+const templateRegistry = new TemplateRegistry();
+
+module.exports = templateRegistry;
+module.exports.TemplateRegistry = TemplateRegistry;
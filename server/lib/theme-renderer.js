@@ -0,0 +1,208 @@
+// File: lib/theme-renderer.js - Color themes for generated landing pages
+// Turns a theme selection ({ mode, accentColor, backgroundColor, font }) into
+// CSS custom properties that are appended to the generated styles.css.
+
+const { THEMES } = require('../constants');
+
+const FONT_STACKS = {
+    inter: '\'Inter\', \'SF Pro Display\', -apple-system, BlinkMacSystemFont, "Segoe UI", Roboto, sans-serif',
+    system: 'system-ui, -apple-system, BlinkMacSystemFont, "Segoe UI", Roboto, "Helvetica Neue", Arial, sans-serif',
+    serif: 'Georgia, Cambria, "Times New Roman", Times, serif',
+    mono: '"SFMono-Regular", Menlo, Consolas, "Liberation Mono", monospace'
+};
+
+// The template stylesheet ships the dark palette, so only light needs overrides
+const LIGHT_PALETTE = {
+    'color-scheme': 'light',
+    '--color-bg-1-rgb': '248, 250, 252',
+    '--color-bg-2-rgb': '241, 245, 249',
+    '--color-bg-3-rgb': '226, 232, 240',
+    '--color-bg-4-rgb': '203, 213, 225',
+    '--color-surface-rgb': '255, 255, 255',
+    '--color-surface-alt-rgb': '241, 245, 249',
+    '--color-border-rgb': '148, 163, 184',
+    '--color-border': '#cbd5e1',
+    '--color-text': '#0f172a',
+    '--color-text-secondary': '#1e293b',
+    '--color-text-muted': '#334155',
+    '--color-text-subtle': '#64748b',
+    '--color-accent-text': 'var(--color-accent-dark)',
+    '--color-accent-text-hover': 'var(--color-accent-darker)',
+    '--color-accent-text-soft': 'var(--color-accent-darkest)',
+    '--color-accent-text-softer': 'var(--color-text-secondary)'
+};
+
+const WHITE = [255, 255, 255];
+const BLACK = [0, 0, 0];
+
+class ThemeRenderer {
+    /**
+     * Validate a theme selection, dropping anything that is not allowed.
+     * Accepts a bare mode string (user_preferences.theme_preference) or an object.
+     * @param {Object|string} theme
+     * @returns {Object} - { mode, accentColor?, backgroundColor?, font? }
+     */
+    normalizeTheme(theme) {
+        const input = typeof theme === 'string' ? { mode: theme } : (theme || {});
+        const normalized = {
+            mode: THEMES.MODES.includes(input.mode) ? input.mode : THEMES.DEFAULT_MODE
+        };
+
+        const accentColor = this.normalizeColor(input.accentColor);
+        if (accentColor) normalized.accentColor = accentColor;
+
+        const backgroundColor = this.normalizeColor(input.backgroundColor);
+        if (backgroundColor) normalized.backgroundColor = backgroundColor;
+
+        if (THEMES.FONTS.includes(input.font)) normalized.font = input.font;
+
+        return normalized;
+    }
+
+    /**
+     * The theme a site is generated with: the selection's fields win, a missing mode
+     * falls back to the user's saved theme_preference and only then to THEMES.DEFAULT_MODE
+     * @param {Object|undefined} theme - Selection from the request
+     * @param {string|null} [themePreference] - user_preferences.theme_preference
+     * @returns {Object} - Normalized theme
+     */
+    resolveTheme(theme, themePreference = null) {
+        const selection = theme && typeof theme === 'object' ? theme : {};
+        return this.normalizeTheme({
+            ...selection,
+            mode: THEMES.MODES.includes(selection.mode) ? selection.mode : themePreference
+        });
+    }
+
+    /**
+     * @param {string} color - #rgb or #rrggbb
+     * @returns {string|null} - Lowercase #rrggbb
+     */
+    normalizeColor(color) {
+        if (typeof color !== 'string' || !THEMES.COLOR_PATTERN.test(color.trim())) return null;
+
+        const hex = color.trim().slice(1).toLowerCase();
+        return '#' + (hex.length === 3 ? hex.split('').map(c => c + c).join('') : hex);
+    }
+
+    hexToRgb(hex) {
+        return [1, 3, 5].map(i => parseInt(hex.slice(i, i + 2), 16));
+    }
+
+    rgbToHex(rgb) {
+        return '#' + rgb.map(c => c.toString(16).padStart(2, '0')).join('');
+    }
+
+    mix(rgb, target, amount) {
+        return rgb.map((c, i) => Math.round(c + (target[i] - c) * amount));
+    }
+
+    // WCAG relative luminance
+    luminance(rgb) {
+        const [r, g, b] = rgb.map(c => {
+            const value = c / 255;
+            return value <= 0.03928 ? value / 12.92 : Math.pow((value + 0.055) / 1.055, 2.4);
+        });
+        return 0.2126 * r + 0.7152 * g + 0.0722 * b;
+    }
+
+    /**
+     * Scheme the page is actually rendered in. A custom background decides it,
+     * otherwise the mode does ('auto' leaves it to the visitor's system).
+     * @param {Object} theme - Normalized theme
+     * @returns {string} - 'light' | 'dark' | 'auto'
+     */
+    resolveScheme(theme) {
+        if (theme.backgroundColor) {
+            return this.luminance(this.hexToRgb(theme.backgroundColor)) > 0.18 ? 'light' : 'dark';
+        }
+        return theme.mode;
+    }
+
+    /**
+     * Placeholders for the <html> class and the color-scheme meta tag
+     * @param {Object} theme - Normalized theme
+     * @returns {Object}
+     */
+    renderPlaceholders(theme) {
+        const scheme = this.resolveScheme(theme);
+
+        return {
+            THEME_CLASS: `theme-${scheme}`,
+            COLOR_SCHEME: scheme === 'auto' ? 'light dark' : scheme
+        };
+    }
+
+    accentVariables(accentColor) {
+        const rgb = this.hexToRgb(accentColor);
+        const darker = this.mix(rgb, BLACK, 0.3);
+
+        return {
+            '--color-accent-rgb': rgb.join(', '),
+            '--color-accent-strong-rgb': darker.join(', '),
+            '--color-accent': accentColor,
+            '--color-accent-light': this.rgbToHex(this.mix(rgb, WHITE, 0.25)),
+            '--color-accent-lighter': this.rgbToHex(this.mix(rgb, WHITE, 0.45)),
+            '--color-accent-pale': this.rgbToHex(this.mix(rgb, WHITE, 0.7)),
+            '--color-accent-palest': this.rgbToHex(this.mix(rgb, WHITE, 0.85)),
+            '--color-accent-dark': this.rgbToHex(this.mix(rgb, BLACK, 0.15)),
+            '--color-accent-darker': this.rgbToHex(darker),
+            '--color-accent-darkest': this.rgbToHex(this.mix(rgb, BLACK, 0.45)),
+            '--color-on-accent': this.luminance(rgb) > 0.3 ? '#0f172a' : '#ffffff'
+        };
+    }
+
+    backgroundVariables(backgroundColor, scheme) {
+        const rgb = this.hexToRgb(backgroundColor);
+        // Later gradient stops move towards the text color for some depth
+        const toward = scheme === 'light' ? BLACK : WHITE;
+
+        return {
+            '--color-bg-1-rgb': rgb.join(', '),
+            '--color-bg-2-rgb': this.mix(rgb, toward, 0.06).join(', '),
+            '--color-bg-3-rgb': this.mix(rgb, toward, 0.12).join(', '),
+            '--color-bg-4-rgb': this.mix(rgb, toward, 0.18).join(', '),
+            '--color-surface-rgb': rgb.join(', '),
+            '--color-surface-alt-rgb': this.mix(rgb, toward, 0.06).join(', ')
+        };
+    }
+
+    renderBlock(selector, variables, indent = '') {
+        const lines = Object.entries(variables).map(([name, value]) => `${indent}  ${name}: ${value};`);
+        return `${indent}${selector} {\n${lines.join('\n')}\n${indent}}`;
+    }
+
+    /**
+     * CSS appended to the template stylesheet
+     * @param {Object} theme - Normalized theme
+     * @returns {string}
+     */
+    renderCss(theme) {
+        const scheme = this.resolveScheme(theme);
+        const blocks = [];
+
+        if (scheme === 'light') {
+            blocks.push(this.renderBlock(':root', LIGHT_PALETTE));
+        } else if (scheme === 'auto') {
+            blocks.push(this.renderBlock(':root', { 'color-scheme': 'light dark' }));
+            blocks.push(`@media (prefers-color-scheme: light) {\n${this.renderBlock(':root', LIGHT_PALETTE, '  ')}\n}`);
+        }
+
+        const custom = {};
+        if (theme.backgroundColor) Object.assign(custom, this.backgroundVariables(theme.backgroundColor, scheme));
+        if (theme.accentColor) Object.assign(custom, this.accentVariables(theme.accentColor));
+        if (theme.font) custom['--font-family'] = FONT_STACKS[theme.font];
+        if (Object.keys(custom).length > 0) blocks.push(this.renderBlock(':root', custom));
+
+        const description = [
+            theme.mode,
+            theme.accentColor && `accent ${theme.accentColor}`,
+            theme.backgroundColor && `background ${theme.backgroundColor}`,
+            theme.font && `font ${theme.font}`
+        ].filter(Boolean).join(', ');
+
+        return `\n/* Generated theme: ${description} */\n${blocks.join('\n\n')}\n`;
+    }
+}
+
+module.exports = ThemeRenderer;
@@ -0,0 +1,102 @@
+// File: lib/usage-report.js - LLM requests and tokens for GET /api/cv/usage
+// Every user sees their own api_usage per provider and day with today's limits; the
+// totals across all users are only for the administrators listed in ADMIN_USER_IDS.
+
+const { getApiLimits, getUserApiUsage, getGlobalApiUsage } = require('../database/services');
+const { LLM_PROVIDER_CHAIN } = require('../constants');
+
+class UsageReport {
+    /**
+     * Whether a user is one of the administrators (ADMIN_USER_IDS, comma-separated)
+     * @param {string} userId
+     * @returns {boolean}
+     */
+    static isAdmin(userId) {
+        const adminIds = (process.env.ADMIN_USER_IDS || '').split(',').map(id => id.trim()).filter(Boolean);
+        return adminIds.includes(String(userId));
+    }
+
+    /**
+     * The usage endpoint's answer for a user
+     * @param {string} userId
+     * @param {number} days - How many days back, today included
+     * @returns {Promise<{days: number, user: Object, global?: Object}>}
+     *   global holds the totals across all users, for administrators only
+     */
+    async build(userId, days) {
+        const isAdmin = UsageReport.isAdmin(userId);
+        const [userUsage, globalUsage] = await Promise.all([
+            getUserApiUsage(userId, days),
+            isAdmin ? getGlobalApiUsage(days) : null
+        ]);
+
+        const report = {
+            days,
+            user: {
+                today: this.todayWithLimits(userUsage),
+                totals: this.totalUsage(userUsage),
+                daily: this.formatUsage(userUsage)
+            }
+        };
+        if (isAdmin) {
+            report.global = {
+                totals: this.totalUsage(globalUsage),
+                daily: this.formatUsage(globalUsage)
+            };
+        }
+        return report;
+    }
+
+    /**
+     * Today's requests and tokens for every provider with a daily limit
+     * @param {Object[]} rows - From getUserApiUsage
+     */
+    todayWithLimits(rows) {
+        // Dates come back as YYYY-MM-DD; api_usage rows are dated in server time
+        const today = new Date().toLocaleDateString('en-CA');
+        return LLM_PROVIDER_CHAIN.PROVIDERS
+            .filter(apiType => getApiLimits(apiType))
+            .map(apiType => {
+                const { daily_requests: dailyRequests, daily_tokens: dailyTokens } = getApiLimits(apiType);
+                const used = rows.find(row => row.api_type === apiType && row.usage_date === today);
+                return {
+                    apiType,
+                    requests: used ? used.request_count : 0,
+                    tokens: used ? used.token_count : 0,
+                    // null where the limit is off
+                    dailyRequests: dailyRequests || null,
+                    dailyTokens: dailyTokens || null
+                };
+            });
+    }
+
+    /**
+     * api_usage rows as the usage endpoint returns them
+     * @param {Object[]} rows - From getUserApiUsage or getGlobalApiUsage
+     */
+    formatUsage(rows) {
+        return rows.map(row => ({
+            apiType: row.api_type,
+            date: row.usage_date,
+            requests: row.request_count,
+            tokens: row.token_count,
+            ...(row.user_count !== undefined && { users: row.user_count })
+        }));
+    }
+
+    /**
+     * Requests and tokens per provider over all rows
+     * @returns {Object<string, {requests: number, tokens: number}>}
+     */
+    totalUsage(rows) {
+        return rows.reduce((totals, row) => {
+            const total = totals[row.api_type] || { requests: 0, tokens: 0 };
+            total.requests += row.request_count;
+            total.tokens += row.token_count;
+            totals[row.api_type] = total;
+            return totals;
+        }, {});
+    }
+}
+
+module.exports = UsageReport;
@@ -0,0 +1,132 @@
+// File: lib/utils/circuit-breaker.js
+// Per-provider circuit breaker - an LLM that keeps failing (quota, outage, timeouts)
+// is skipped for a while instead of making every job wait for its retries
+const { LLM_PROVIDER_CHAIN } = require('../../constants');
+
+const STATES = {
+    CLOSED: 'closed',
+    OPEN: 'open',
+    HALF_OPEN: 'half-open'
+};
+
+// One breaker per provider for the whole process, shared by every job
+const breakers = new Map();
+
+class CircuitBreaker {
+    constructor(name, options = {}) {
+        this.name = name;
+        this.failureThreshold = options.failureThreshold || LLM_PROVIDER_CHAIN.FAILURE_THRESHOLD;
+        this.openDurationMs = options.openDurationMs || LLM_PROVIDER_CHAIN.OPEN_DURATION_MS;
+
+        this.state = STATES.CLOSED;
+        this.failures = 0;
+        this.openedAt = null;
+        this.lastError = null;
+        this.trialInFlight = false;
+    }
+
+    /**
+     * Breaker for a provider, created on first use
+     * @param {string} name - Provider name
+     * @returns {CircuitBreaker}
+     */
+    static forProvider(name) {
+        if (!breakers.has(name)) {
+            breakers.set(name, new CircuitBreaker(name));
+        }
+        return breakers.get(name);
+    }
+
+    /**
+     * State of every breaker, for health reporting
+     * @returns {Object<string, {state: string, failures: number, lastError: string|null}>}
+     */
+    static getAll() {
+        const status = {};
+        breakers.forEach((breaker, name) => {
+            status[name] = {
+                state: breaker.getState(),
+                failures: breaker.failures,
+                lastError: breaker.lastError ? breaker.lastError.message : null
+            };
+        });
+        return status;
+    }
+
+    /**
+     * Forget every breaker (configuration reloads and tests)
+     */
+    static resetAll() {
+        breakers.clear();
+    }
+
+    /**
+     * Current state; an open circuit turns half-open once its time is up
+     */
+    getState() {
+        if (this.state === STATES.OPEN && Date.now() - this.openedAt >= this.openDurationMs) {
+            this.state = STATES.HALF_OPEN;
+        }
+        return this.state;
+    }
+
+    /**
+     * Whether the provider may be called - closed, or half-open for one trial request.
+     * The trial lasts until its outcome is recorded (or released); other requests
+     * are refused meanwhile.
+     */
+    allowRequest() {
+        const state = this.getState();
+        if (state !== STATES.HALF_OPEN) {
+            return state === STATES.CLOSED;
+        }
+        if (this.trialInFlight) {
+            return false;
+        }
+        this.trialInFlight = true;
+        return true;
+    }
+
+    /**
+     * End a trial request whose outcome says nothing about the provider's health
+     */
+    releaseTrial() {
+        this.trialInFlight = false;
+    }
+
+    recordSuccess() {
+        if (this.state !== STATES.CLOSED) {
+            console.log(`Circuit for ${this.name} closed`);
+        }
+        this.state = STATES.CLOSED;
+        this.failures = 0;
+        this.openedAt = null;
+        this.lastError = null;
+        this.trialInFlight = false;
+    }
+
+    /**
+     * Count a failure. Quota and timeout errors, a failed trial request, or
+     * too many failures in a row open the circuit.
+     */
+    recordFailure(error) {
+        this.failures++;
+        this.lastError = error;
+
+        this.trialInFlight = false;
+
+        const trips = this.state === STATES.HALF_OPEN ||
+            this.failures >= this.failureThreshold ||
+            LLM_PROVIDER_CHAIN.TRIP_PATTERN.test(error.message);
+
+        if (trips) {
+            this.state = STATES.OPEN;
+            this.openedAt = Date.now();
+            console.warn(`Circuit for ${this.name} opened for ${Math.round(this.openDurationMs / 1000)}s after: ${error.message}`);
+        }
+    }
+}
+
+CircuitBreaker.STATES = STATES;
+
+module.exports = CircuitBreaker;
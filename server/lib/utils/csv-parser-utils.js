@@ -0,0 +1,71 @@
+// File: lib/utils/csv-parser-utils.js
+// Minimal RFC 4180 CSV parsing for data exports (quoted fields, embedded newlines)
+
+class CsvParserUtils {
+    /**
+     * Parse CSV text into rows of fields
+     * @param {string} text
+     * @returns {string[][]}
+     */
+    static parse(text) {
+        const rows = [];
+        let row = [];
+        let field = '';
+        let inQuotes = false;
+        const input = (text || '').replace(/^\uFEFF/, '');
+
+        for (let i = 0; i < input.length; i++) {
+            const char = input[i];
+
+            if (inQuotes) {
+                if (char === '"' && input[i + 1] === '"') {
+                    field += '"';
+                    i++;
+                } else if (char === '"') {
+                    inQuotes = false;
+                } else {
+                    field += char;
+                }
+            } else if (char === '"') {
+                inQuotes = true;
+            } else if (char === ',') {
+                row.push(field);
+                field = '';
+            } else if (char === '\n' || char === '\r') {
+                if (char === '\r' && input[i + 1] === '\n') i++;
+                row.push(field);
+                rows.push(row);
+                row = [];
+                field = '';
+            } else {
+                field += char;
+            }
+        }
+
+        if (field || row.length > 0) {
+            row.push(field);
+            rows.push(row);
+        }
+
+        return rows.filter(fields => fields.some(value => value.trim()));
+    }
+
+    /**
+     * Parse CSV text into objects keyed by header. Some exports put notes above
+     * the header, so the header is the first row containing `headerColumn`.
+     * @param {string} text
+     * @param {string} headerColumn - A column name that identifies the header row
+     * @returns {Object[]}
+     */
+    static parseRecords(text, headerColumn) {
+        const rows = this.parse(text);
+        const headerIndex = rows.findIndex(fields => fields.some(value => value.trim() === headerColumn));
+        if (headerIndex === -1) return [];
+
+        const headers = rows[headerIndex].map(value => value.trim());
+        return rows.slice(headerIndex + 1).map(fields =>
+            Object.fromEntries(headers.map((header, i) => [header, (fields[i] || '').trim()])));
+    }
+}
+
+module.exports = CsvParserUtils;
@@ -3,6 +3,14 @@
 
 const CONSTANTS = require('../../constants/template-processor-constants');
 
+// Dates as CVs write them: "Mar 2020", "March 2020", "03/2020", "2020-03", "2020"
+const YEAR_TEXT = '(?:19|20)\\d{2}';
+const MONTH_TEXT = `(?:${CONSTANTS.MONTH_NAMES.join('|')})[a-z]*\\.?`;
+const DATE_TEXT = `(?:${MONTH_TEXT}\\s+${YEAR_TEXT}|\\d{1,2}\\/${YEAR_TEXT}|${YEAR_TEXT}-\\d{2}(?!\\d)|${YEAR_TEXT})`;
+const OPEN_END_TEXT = '(?:Present|Current|Now|Today)';
+const DATE_SPAN_PATTERN = new RegExp(
+    `(?<![\\w/])(${DATE_TEXT})\\s*(?:-|–|—|to|until)\\s*(${DATE_TEXT}|${OPEN_END_TEXT})(?![\\w/])`, 'i');
+
 class DateParserUtils {
     /**
      * Parse date string in multiple formats: MM/YYYY, YYYY-MM, YYYY
@@ -39,6 +47,90 @@ class DateParserUtils {
         throw new Error(`Invalid date format: ${dateStr}`);
     }
 
+    /**
+     * Format YYYY-MM, MM/YYYY or YYYY for display ("Mar 2021").
+     * Unrecognized values are returned unchanged.
+     * @param {string} dateStr
+     * @param {string} [locale] - Language to name the month in ("März 2021"); any date
+     *   toIsoDate reads is then formatted, including "Mar 2021". English without one.
+     * @returns {string}
+     */
+    static formatDate(dateStr, locale = null) {
+        if (!dateStr) return '';
+
+        const value = dateStr.toString().trim();
+        if (value.toLowerCase() === CONSTANTS.DEFAULTS.END_DATE.toLowerCase()) {
+            return CONSTANTS.DEFAULTS.END_DATE;
+        }
+
+        if (locale) {
+            const month = DateParserUtils.toIsoDate(value).match(/^(\d{4})-(\d{2})/);
+            return month
+                ? new Intl.DateTimeFormat(locale, { month: 'short', year: 'numeric', timeZone: 'UTC' })
+                    .format(new Date(Date.UTC(Number(month[1]), Number(month[2]) - 1, 1)))
+                : value;
+        }
+
+        let match = value.match(/^(\d{4})-(\d{1,2})$/);
+        if (match) return DateParserUtils.formatMonthYear(match[2], match[1], value);
+
+        match = value.match(/^(\d{1,2})\/(\d{4})$/);
+        if (match) return DateParserUtils.formatMonthYear(match[1], match[2], value);
+
+        return value;
+    }
+
+    static formatMonthYear(month, year, fallback) {
+        const monthIndex = parseInt(month, 10) - 1;
+        if (monthIndex < 0 || monthIndex > 11) return fallback;
+        return `${CONSTANTS.MONTH_NAMES[monthIndex]} ${year}`;
+    }
+
+    /**
+     * Format a start/end pair ("Mar 2019 - Present"), skipping missing ends
+     * @param {string} startDate
+     * @param {string} endDate
+     * @returns {string}
+     */
+    static formatDateRange(startDate, endDate) {
+        return [DateParserUtils.formatDate(startDate), DateParserUtils.formatDate(endDate)]
+            .filter(Boolean)
+            .join(' - ');
+    }
+
+    /**
+     * Convert a CV date to ISO 8601 (YYYY, YYYY-MM or YYYY-MM-DD).
+     * "Present" and unrecognized values return an empty string.
+     * @param {string} dateStr - "2021-03", "3/2021", "Mar 2021", "2021", ...
+     * @returns {string}
+     */
+    static toIsoDate(dateStr) {
+        if (!dateStr) return '';
+
+        const value = dateStr.toString().trim();
+        const pad = (number) => number.toString().padStart(2, '0');
+        const isMonth = (month) => parseInt(month, 10) >= 1 && parseInt(month, 10) <= 12;
+
+        let match = value.match(/^(\d{4})(?:-(\d{1,2}))?(?:-(\d{1,2}))?$/);
+        if (match) {
+            const [, year, month, day] = match;
+            if (!month || !isMonth(month)) return year;
+            return day ? `${year}-${pad(month)}-${pad(day)}` : `${year}-${pad(month)}`;
+        }
+
+        match = value.match(/^(\d{1,2})\/(\d{4})$/);
+        if (match && isMonth(match[1])) return `${match[2]}-${pad(match[1])}`;
+
+        match = value.match(/^([A-Za-z]{3,})\.?,?\s+(\d{4})$/);
+        if (match) {
+            const monthIndex = CONSTANTS.MONTH_NAMES.findIndex(name =>
+                name.toLowerCase() === match[1].slice(0, 3).toLowerCase());
+            if (monthIndex >= 0) return `${match[2]}-${pad(monthIndex + 1)}`;
+        }
+
+        return '';
+    }
+
     /**
      * Extract date range from text line
      * @param {string} line
@@ -56,6 +148,27 @@ class DateParserUtils {
         };
     }
 
+    /**
+     * Find a date span written in any common CV format
+     * ("Mar 2020 - Present", "2016 – 2018", "03/2019 to 06/2021")
+     * @param {string} line
+     * @returns {{startDate: string, endDate: string, index: number, length: number} | null}
+     *   Dates as written, except open ends which become "Present"
+     */
+    static findDateSpan(line) {
+        const match = (line || '').match(DATE_SPAN_PATTERN);
+        if (!match) {
+            return null;
+        }
+
+        return {
+            startDate: match[1],
+            endDate: new RegExp(`^${OPEN_END_TEXT}$`, 'i').test(match[2]) ? CONSTANTS.DEFAULTS.END_DATE : match[2],
+            index: match.index,
+            length: match[0].length
+        };
+    }
+
     /**
      * Calculate months difference between two dates
      * @param {Date} startDate
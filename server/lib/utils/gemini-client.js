@@ -22,7 +22,14 @@ class GeminiClient extends LLMClientBase {
         try {
             const result = await this.model.generateContent(prompt);
             const response = await result.response;
-            return response.text();
+            const text = response.text();
+
+            this._recordUsage(prompt, text, {
+                promptTokens: response.usageMetadata?.promptTokenCount,
+                completionTokens: response.usageMetadata?.candidatesTokenCount
+            });
+
+            return text;
         } catch (error) {
             // Map Gemini-specific errors to common error types
             if (error.message.includes('API_KEY_INVALID')) {
@@ -1,5 +1,6 @@
 // Security utility for input sanitization and XSS prevention
 const validator = require('validator');
+const { SKILLS } = require('../../constants');
 
 class InputSanitizer {
     /**
@@ -108,7 +109,10 @@ class InputSanitizer {
                 currentTitle: this.sanitizeHtml(cvData.personalInfo.currentTitle),
                 summary: this.sanitizeText(cvData.personalInfo.summary, 2000),
                 aboutMe: this.sanitizeText(cvData.personalInfo.aboutMe, 5000),
-                profilePicture: cvData.personalInfo.profilePicture // Keep base64 as-is, validated separately
+                profilePicture: cvData.personalInfo.profilePicture, // Keep base64 as-is, validated separately
+                linkedin: this.sanitizeUrl(cvData.personalInfo.linkedin),
+                github: this.sanitizeUrl(cvData.personalInfo.github),
+                website: this.sanitizeUrl(cvData.personalInfo.website)
             };
         }
 
@@ -136,9 +140,19 @@ class InputSanitizer {
                 soft: Array.isArray(cvData.skills.soft)
                     ? cvData.skills.soft.map(s => this.sanitizeHtml(s))
                     : [],
+                tools: Array.isArray(cvData.skills.tools)
+                    ? cvData.skills.tools.map(s => this.sanitizeHtml(s))
+                    : [],
+                domain: Array.isArray(cvData.skills.domain)
+                    ? cvData.skills.domain.map(s => this.sanitizeHtml(s))
+                    : [],
                 languages: Array.isArray(cvData.skills.languages)
                     ? cvData.skills.languages.map(s => this.sanitizeHtml(s))
-                    : []
+                    : [],
+                // Skill name => one of SKILLS.LEVELS, keyed like the sanitized lists
+                proficiency: Object.fromEntries(Object.entries(cvData.skills.proficiency || {})
+                    .filter(([, level]) => SKILLS.LEVELS.includes(level))
+                    .map(([skill, level]) => [this.sanitizeHtml(skill), level]))
             };
         }
 
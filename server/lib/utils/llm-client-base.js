@@ -1,5 +1,6 @@
 // File: lib/utils/llm-client-base.js
 // Abstract base class for all LLM clients with common functionality
+const TokenUsage = require('./token-usage');
 
 class LLMClientBase {
     constructor(config = {}) {
@@ -10,6 +11,8 @@ class LLMClientBase {
             ...config
         };
         this.clientName = this.constructor.name;
+        // Tokens spent since the last reset, counted by _sendRequest
+        this.usage = new TokenUsage();
     }
 
     // Abstract methods that must be implemented by subclasses
@@ -93,6 +96,12 @@ class LLMClientBase {
     }
 
     // Protected helper methods
+
+    // Count a successful request with the token counts the provider reported, if any
+    _recordUsage(prompt, completion, reported) {
+        this.usage.add(prompt, completion, reported);
+    }
+
     _formatSimpleTextPrompt(prompt) {
         return `${prompt}
 
@@ -195,7 +204,8 @@ CRITICAL JSON FORMATTING RULES:
     static createClient(type, config = {}) {
         const clientMap = {
             'gemini': () => new (require('./gemini-client'))(config),
-            'ollama': () => new (require('./ollama-client'))(config)
+            'ollama': () => new (require('./ollama-client'))(config),
+            'openai': () => new (require('./openai-compatible-client'))(config)
         };
 
         const createClientFn = clientMap[type.toLowerCase()];
@@ -57,6 +57,12 @@ class OllamaClient extends LLMClientBase {
                 throw new Error(`Ollama error: ${responseData.error}`);
             }
 
+            // prompt_eval_count is left out when the prompt was cached - that part is estimated
+            this._recordUsage(prompt, responseData.response || '', {
+                promptTokens: responseData.prompt_eval_count,
+                completionTokens: responseData.eval_count
+            });
+
             return responseData.response || '';
 
         } catch (error) {
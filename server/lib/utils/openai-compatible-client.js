@@ -0,0 +1,203 @@
+// File: lib/utils/openai-compatible-client.js
+// Client for any server speaking the OpenAI chat-completions protocol
+// (llama.cpp server, vLLM, LM Studio, ...), using fetch() like the Ollama client
+const LLMClientBase = require('./llm-client-base');
+
+class OpenAICompatibleClient extends LLMClientBase {
+    constructor(config = {}) {
+        super(config);
+
+        this.baseUrl = (config.baseUrl || process.env.OPENAI_BASE_URL || 'http://localhost:8080/v1').replace(/\/+$/, '');
+        this.apiKey = config.apiKey || process.env.OPENAI_API_KEY || '';
+        this.model = config.model || process.env.OPENAI_MODEL || 'default';
+        this.temperature = config.temperature ?? 0.7;
+        this.timeout = config.timeout || 30000;
+
+        // Not every server implements response_format or its json_schema type;
+        // each is cleared after the first rejection
+        this.supportsResponseFormat = true;
+        this.supportsJsonSchema = true;
+
+        console.log(`OpenAI-compatible client initialized - URL: ${this.baseUrl}, Model: ${this.model}`);
+    }
+
+    _headers() {
+        const headers = { 'Content-Type': 'application/json' };
+        if (this.apiKey) {
+            headers['Authorization'] = `Bearer ${this.apiKey}`;
+        }
+        return headers;
+    }
+
+    /**
+     * response_format for the request: a JSON schema, plain JSON mode, or none
+     * @param {Object} options
+     * @param {boolean} [options.json] - Ask for a JSON object
+     * @param {Object} [options.jsonSchema] - { name, schema } to constrain the output,
+     *   plain JSON mode on servers without json_schema
+     */
+    _responseFormat(options) {
+        if (!this.supportsResponseFormat) return undefined;
+
+        if (options.jsonSchema && this.supportsJsonSchema) {
+            return { type: 'json_schema', json_schema: { name: options.jsonSchema.name, schema: options.jsonSchema.schema } };
+        }
+        return options.json || options.jsonSchema ? { type: 'json_object' } : undefined;
+    }
+
+    async _sendRequest(prompt, options = {}) {
+        const requestData = {
+            model: this.model,
+            messages: [
+                ...(options.system ? [{ role: 'system', content: options.system }] : []),
+                { role: 'user', content: prompt }
+            ],
+            temperature: options.temperature ?? this.temperature,
+            stream: false
+        };
+        if (options.maxTokens) {
+            requestData.max_tokens = options.maxTokens;
+        }
+
+        const responseFormat = this._responseFormat(options);
+        if (responseFormat) {
+            requestData.response_format = responseFormat;
+        }
+
+        try {
+            const controller = new AbortController();
+            const timeoutId = setTimeout(() => controller.abort(), options.timeout || this.timeout);
+
+            let response;
+            try {
+                response = await fetch(`${this.baseUrl}/chat/completions`, {
+                    method: 'POST',
+                    headers: this._headers(),
+                    body: JSON.stringify(requestData),
+                    signal: controller.signal
+                });
+            } finally {
+                // Also when the request fails - the timer would otherwise keep the process alive
+                clearTimeout(timeoutId);
+            }
+
+            if (!response.ok) {
+                const errorText = await response.text();
+
+                // Servers without JSON mode reject the field - ask again with less
+                if (response.status === 400 && responseFormat && /response_format|json_schema|json_object/i.test(errorText)) {
+                    if (responseFormat.type === 'json_schema') {
+                        console.warn(`${this.baseUrl} does not support json_schema, continuing in JSON mode`);
+                        this.supportsJsonSchema = false;
+                    } else {
+                        console.warn(`${this.baseUrl} does not support response_format, continuing without JSON mode`);
+                        this.supportsResponseFormat = false;
+                    }
+                    return this._sendRequest(prompt, options);
+                }
+
+                throw new Error(this._errorMessage(response.status, errorText));
+            }
+
+            const responseData = await response.json();
+            const content = responseData.choices?.[0]?.message?.content;
+
+            if (typeof content !== 'string') {
+                throw new Error('OpenAI-compatible API returned no message content');
+            }
+
+            this._recordUsage(prompt, content, {
+                promptTokens: responseData.usage?.prompt_tokens,
+                completionTokens: responseData.usage?.completion_tokens
+            });
+
+            return content;
+
+        } catch (error) {
+            if (error.name === 'AbortError') {
+                throw new Error('timeout');
+            }
+            if (error.code === 'ECONNREFUSED' || error.message.includes('fetch failed')) {
+                throw new Error(`Cannot connect to OpenAI-compatible server at ${this.baseUrl}`);
+            }
+            throw error;
+        }
+    }
+
+    /**
+     * Map HTTP errors to the messages LLMClientBase._handleError recognizes
+     */
+    _errorMessage(status, errorText) {
+        let detail = errorText;
+        try {
+            const errorData = JSON.parse(errorText);
+            detail = errorData.error?.message || errorData.error || errorData.message || errorText;
+        } catch {
+            // Plain-text error body
+        }
+
+        if (status === 401 || status === 403) {
+            return `OpenAI-compatible API unauthorized (${status}): ${detail}`;
+        }
+        if (status === 429) {
+            return `OpenAI-compatible API rate limit (429): ${detail}`;
+        }
+        return `OpenAI-compatible API error (${status}): ${detail}`;
+    }
+
+    async _validateConnection() {
+        const models = await this.listModels();
+
+        const modelIds = models.map(model => model.id);
+        if (this.model !== 'default' && modelIds.length > 0 && !modelIds.includes(this.model)) {
+            console.warn(`Warning: Model ${this.model} not served at ${this.baseUrl}. Available models:`, modelIds);
+        }
+
+        const response = await this.generateSimpleText('Say hello in one word.', 'Connection test');
+        if (!response || response.length === 0) {
+            throw new Error('Empty response from OpenAI-compatible server');
+        }
+
+        return response;
+    }
+
+    /**
+     * Models the server offers (GET /models)
+     * @returns {Promise<Object[]>} { id, ... }
+     */
+    async listModels() {
+        try {
+            const controller = new AbortController();
+            const timeoutId = setTimeout(() => controller.abort(), 5000); // 5 second timeout for status check
+
+            let response;
+            try {
+                response = await fetch(`${this.baseUrl}/models`, {
+                    method: 'GET',
+                    headers: this._headers(),
+                    signal: controller.signal
+                });
+            } finally {
+                clearTimeout(timeoutId);
+            }
+
+            if (!response.ok) {
+                throw new Error(this._errorMessage(response.status, await response.text()));
+            }
+
+            const responseData = await response.json();
+            return responseData.data || [];
+
+        } catch (error) {
+            if (error.name === 'AbortError') {
+                throw new Error('OpenAI-compatible status check timeout');
+            }
+            if (error.code === 'ECONNREFUSED' || error.message.includes('fetch failed')) {
+                throw new Error(`Cannot connect to OpenAI-compatible server at ${this.baseUrl}`);
+            }
+            throw error;
+        }
+    }
+}
+
+module.exports = OpenAICompatibleClient;
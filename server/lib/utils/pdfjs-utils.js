@@ -0,0 +1,38 @@
+// File: lib/utils/pdfjs-utils.js
+// Shared pdf.js loading for OCR rasterization and layout-aware text extraction
+
+const path = require('path');
+
+// pdf.js needs its standard fonts to render PDFs that mix text and images
+const STANDARD_FONTS_DIR = path.join(path.dirname(require.resolve('pdfjs-dist/package.json')), 'standard_fonts') + path.sep;
+
+let pdfJsModule = null;
+
+class PdfJsUtils {
+    /**
+     * pdf.js is ESM-only, so it is loaded on first use
+     * @returns {Promise<Object>}
+     */
+    static load() {
+        if (!pdfJsModule) {
+            pdfJsModule = import('pdfjs-dist/legacy/build/pdf.mjs');
+        }
+        return pdfJsModule;
+    }
+
+    /**
+     * Open a PDF document. Callers must `destroy()` it when done.
+     * @param {Buffer} pdfBuffer
+     * @returns {Promise<Object>} pdf.js PDFDocumentProxy
+     */
+    static async openDocument(pdfBuffer) {
+        const pdfJs = await this.load();
+        return pdfJs.getDocument({
+            data: new Uint8Array(pdfBuffer),
+            standardFontDataUrl: STANDARD_FONTS_DIR,
+            verbosity: 0
+        }).promise;
+    }
+}
+
+module.exports = PdfJsUtils;
@@ -0,0 +1,166 @@
+// File: lib/utils/pii-redactor.js
+// Replaces contact details in CV text with stable placeholders ("[EMAIL_1]") before
+// it is sent to a cloud LLM, and puts the real values back into the structured result
+const DateParserUtils = require('./date-parser-utils');
+const { getUserPreferences } = require('../../database/services');
+const { PII_REDACTION } = require('../../constants');
+
+class PiiRedactor {
+    /**
+     * @param {string[]} [types] - PII_REDACTION.TYPES keys to redact
+     * @throws {Error} for an unknown type
+     */
+    constructor(types = PII_REDACTION.DEFAULT_TYPES) {
+        const unknown = types.filter(type => !PII_REDACTION.TYPES[type]);
+        if (unknown.length > 0) {
+            throw new Error(`Unknown PII type(s): ${unknown.join(', ')}. Supported: ${Object.keys(PII_REDACTION.TYPES).join(', ')}`);
+        }
+
+        this.types = types;
+        this.placeholders = new Map(); // real value -> placeholder
+        this.values = new Map();       // placeholder -> real value
+        this.counts = {};
+
+        // Models sometimes drop the brackets - "EMAIL_1" is restored too
+        const labels = types.map(type => PII_REDACTION.TYPES[type].label);
+        this.placeholderPattern = new RegExp(`\\[?\\b(${labels.join('|')})_(\\d+)\\b\\]?`, 'g');
+    }
+
+    /**
+     * Types from PII_REDACTION_TYPES (comma-separated), or the defaults
+     * @returns {string[]}
+     */
+    static getConfiguredTypes() {
+        const configured = process.env.PII_REDACTION_TYPES;
+        if (!configured || !configured.trim()) {
+            return PII_REDACTION.DEFAULT_TYPES;
+        }
+        return [...new Set(configured.split(',').map(type => type.trim()).filter(Boolean))];
+    }
+
+    /**
+     * Whether the deployment redacts for every user (PII_REDACTION=true)
+     */
+    static isEnabledForDeployment() {
+        return process.env.PII_REDACTION === 'true';
+    }
+
+    /**
+     * Redactor for text a user's request sends to an LLM provider, or null for Ollama (local)
+     * and when neither the deployment nor the user's privacy settings ask for redaction
+     * @param {string} userId
+     * @param {string} provider - 'gemini', 'openai' or 'ollama'
+     * @returns {Promise<PiiRedactor|null>}
+     */
+    static async forUser(userId, provider) {
+        if (provider === 'ollama') {
+            return null;
+        }
+
+        let enabled = PiiRedactor.isEnabledForDeployment();
+        if (!enabled) {
+            try {
+                const preferences = await getUserPreferences(userId);
+                enabled = preferences?.privacy_settings?.[PII_REDACTION.PRIVACY_SETTING] === true;
+            } catch (error) {
+                // The user's choice is unknown - redacting only costs the model some context
+                console.warn('Could not read privacy settings, redacting PII:', error.message);
+                enabled = true;
+            }
+        }
+
+        return enabled ? new PiiRedactor(PiiRedactor.getConfiguredTypes()) : null;
+    }
+
+    /**
+     * Replace every configured kind of PII with its placeholder. The same value
+     * always gets the same placeholder, so the model can still tell them apart.
+     * @param {*} text - A string, or data with strings anywhere in it
+     * @returns {*} The redacted text, or a copy of the data with its strings redacted
+     */
+    redact(text) {
+        if (Array.isArray(text)) {
+            return text.map(item => this.redact(item));
+        }
+        if (text && typeof text === 'object') {
+            return Object.fromEntries(Object.entries(text).map(([key, value]) => [key, this.redact(value)]));
+        }
+        if (typeof text !== 'string') {
+            return text;
+        }
+
+        return this.types.reduce((redacted, type) => {
+            const { label, pattern } = PII_REDACTION.TYPES[type];
+
+            return redacted.replace(pattern, (match, captured) => {
+                // Patterns with a capture group redact only that part ("DOB: [BIRTH_DATE_1]")
+                const value = (typeof captured === 'string' ? captured : match).trim();
+                if (!value || (type === 'phone' && !this.isPhoneNumber(value))) {
+                    return match;
+                }
+                return match.replace(value, this.placeholderFor(type, label, value));
+            });
+        }, text);
+    }
+
+    placeholderFor(type, label, value) {
+        if (!this.placeholders.has(value)) {
+            this.counts[type] = (this.counts[type] || 0) + 1;
+            const placeholder = `[${label}_${this.counts[type]}]`;
+            this.placeholders.set(value, placeholder);
+            this.values.set(placeholder, value);
+        }
+        return this.placeholders.get(value);
+    }
+
+    /**
+     * Enough digits for a phone number, and not a date range like "2019-03 - 2021-05"
+     */
+    isPhoneNumber(value) {
+        const digits = value.replace(/\D/g, '').length;
+        return digits >= PII_REDACTION.MIN_PHONE_DIGITS &&
+            digits <= PII_REDACTION.MAX_PHONE_DIGITS &&
+            !DateParserUtils.findDateSpan(value);
+    }
+
+    /**
+     * Replace the values already redacted wherever they appear in text - for prompts
+     * built from model output after the real values were put back (repair prompts)
+     * @param {string} text
+     * @returns {string}
+     */
+    mask(text) {
+        return [...this.placeholders.entries()]
+            .sort(([a], [b]) => b.length - a.length)
+            .reduce((masked, [value, placeholder]) => masked.split(value).join(placeholder), text);
+    }
+
+    /**
+     * Put the real values back in place of placeholders, anywhere in the data
+     * @param {*} data - Parsed model output
+     * @returns {*} A copy with the placeholders replaced; unknown placeholders are left as they are
+     */
+    restore(data) {
+        if (typeof data === 'string') {
+            return data.replace(this.placeholderPattern, (match, label, number) =>
+                this.values.get(`[${label}_${number}]`) ?? match);
+        }
+        if (Array.isArray(data)) {
+            return data.map(item => this.restore(item));
+        }
+        if (data && typeof data === 'object') {
+            return Object.fromEntries(Object.entries(data).map(([key, value]) => [key, this.restore(value)]));
+        }
+        return data;
+    }
+
+    /**
+     * How many distinct values of each type were redacted, for processing metadata
+     * @returns {Object<string, number>}
+     */
+    getSummary() {
+        return { ...this.counts };
+    }
+}
+
+module.exports = PiiRedactor;
@@ -1,8 +1,16 @@
 // File: lib/utils/text-cleaner.js
+const { CV_CHUNKING } = require('../../constants');
 
 class TextCleaner {
     
     static cleanExtractedText(text) {
+        const cleaned = this.normalizeText(text);
+
+        console.log(`Text cleaned: ${(text || '').length} -> ${cleaned.length} characters`);
+        return cleaned;
+    }
+
+    static normalizeText(text) {
         if (!text || typeof text !== 'string') {
             return '';
         }
@@ -31,9 +39,22 @@ class TextCleaner {
         cleaned = cleaned.replace(/[^\x00-\x7F\u00A0-\u024F\u1E00-\u1EFF]/g, ' '); // Keep basic Latin + extensions
         
         // Trim and normalize
-        cleaned = cleaned.trim();
-        
-        console.log(`Text cleaned: ${text.length} -> ${cleaned.length} characters`);
+        return cleaned.trim();
+    }
+
+    /**
+     * Clean a PDF block map block by block. Each heading stays on its own line
+     * and blocks stay separated, so sections survive the whitespace cleanup.
+     * @param {Object[]} blocks - { heading, text } in reading order
+     * @returns {string}
+     */
+    static cleanBlocks(blocks) {
+        const cleaned = blocks
+            .map(block => [block.heading, block.text].map(part => this.normalizeText(part)).filter(Boolean).join('\n'))
+            .filter(Boolean)
+            .join('\n\n');
+
+        console.log(`Text cleaned: ${blocks.length} layout blocks -> ${cleaned.length} characters`);
         return cleaned;
     }
 
@@ -156,13 +177,20 @@ class TextCleaner {
         return cleanedLines.join('\n');
     }
 
-    static prepareForAI(text) {
+    /**
+     * @param {string} text - Extracted CV text
+     * @param {Object} [options]
+     * @param {Object[]} [options.blocks] - PDF block map from the layout extractor, used instead of the text
+     */
+    static prepareForAI(text, { blocks } = {}) {
         // Full cleaning pipeline for AI processing
-        let prepared = text;
+        let prepared = blocks && blocks.length > 0
+            ? this.cleanBlocks(blocks)
+            : this.cleanExtractedText(text);
         
-        prepared = this.cleanExtractedText(prepared);
         prepared = this.removeCommonHeaders(prepared);
-        prepared = this.limitTextLength(prepared);
+        // Long CVs are extracted in chunks (CVChunker) - only absurd lengths are cut
+        prepared = this.limitTextLength(prepared, CV_CHUNKING.MAX_DOCUMENT_LENGTH);
         
         console.log(`🤖 Text prepared for AI: ${prepared.length} characters`);
         return prepared;
@@ -2,6 +2,7 @@
 // Reusable text parsing utilities - DRY principle
 
 const CONSTANTS = require('../../constants/template-processor-constants');
+const DateParserUtils = require('./date-parser-utils');
 
 class TextParserUtils {
     /**
@@ -64,6 +65,35 @@ class TextParserUtils {
         return boundaries;
     }
 
+    /**
+     * Find where dated entries (jobs, degrees) start. An entry starts at a line
+     * with a date span, or at the line above when the date line has little else
+     * on it ("Senior Engineer, Wix" followed by "Mar 2020 - Present").
+     * @param {string[]} lines
+     * @returns {number[]}
+     */
+    static findEntryBoundaries(lines) {
+        const boundaries = [];
+
+        lines.forEach((line, i) => {
+            const span = this.isBulletPoint(line) ? null : DateParserUtils.findDateSpan(line);
+            if (!span) return;
+
+            const rest = (line.slice(0, span.index) + line.slice(span.index + span.length)).match(/[A-Za-z]+/g) || [];
+            const previous = lines[i - 1];
+            const previousIsHeader = previous !== undefined &&
+                rest.length <= CONSTANTS.MAX_DATE_LINE_WORDS &&
+                i - 1 > (boundaries[boundaries.length - 1] ?? -1) &&
+                !this.isBulletPoint(previous) &&
+                !DateParserUtils.findDateSpan(previous) &&
+                !/[.!?]$/.test(previous);
+
+            boundaries.push(previousIsHeader ? i - 1 : i);
+        });
+
+        return boundaries;
+    }
+
     /**
      * Split array into sections based on boundary indices
      * @param {any[]} array
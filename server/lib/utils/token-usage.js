@@ -0,0 +1,62 @@
+// File: lib/utils/token-usage.js
+// Prompt and completion tokens spent through one LLM client, as the provider reports
+// them, or estimated from the text length where it reports none
+const { TOKEN_ACCOUNTING } = require('../../constants');
+
+class TokenUsage {
+    constructor() {
+        this.reset();
+    }
+
+    reset() {
+        this.requests = 0;
+        this.promptTokens = 0;
+        this.completionTokens = 0;
+        this.estimated = false;
+    }
+
+    /**
+     * Rough token count of a text, for providers that report none
+     * @param {string} text
+     * @returns {number}
+     */
+    static estimate(text) {
+        return Math.ceil((text || '').length / TOKEN_ACCOUNTING.CHARS_PER_TOKEN);
+    }
+
+    /**
+     * Count one request
+     * @param {string} prompt - Text sent
+     * @param {string} completion - Text received
+     * @param {{promptTokens?: number, completionTokens?: number}} [reported] - Counts from
+     *   the provider response; a missing count is estimated
+     */
+    add(prompt, completion, reported = {}) {
+        const promptTokens = Number.isInteger(reported.promptTokens) ? reported.promptTokens : null;
+        const completionTokens = Number.isInteger(reported.completionTokens) ? reported.completionTokens : null;
+
+        this.requests++;
+        this.promptTokens += promptTokens ?? TokenUsage.estimate(prompt);
+        this.completionTokens += completionTokens ?? TokenUsage.estimate(completion);
+        this.estimated = this.estimated || promptTokens === null || completionTokens === null;
+    }
+
+    get totalTokens() {
+        return this.promptTokens + this.completionTokens;
+    }
+
+    /**
+     * @returns {{requests: number, promptTokens: number, completionTokens: number, totalTokens: number, estimated: boolean}}
+     */
+    toJSON() {
+        return {
+            requests: this.requests,
+            promptTokens: this.promptTokens,
+            completionTokens: this.completionTokens,
+            totalTokens: this.totalTokens,
+            estimated: this.estimated
+        };
+    }
+}
+
+module.exports = TokenUsage;
@@ -0,0 +1,87 @@
+// File: lib/utils/translation-segments.js
+// The text of a CV that is translated for other language versions of a site, as
+// segments keyed by their path ("experience.0.achievements.2"). A translation is
+// stored as segments only and laid over the CV when the page is rendered.
+
+// Names, companies, institutions, locations, dates, links, contact details,
+// technical skills and tools are never translated
+const TRANSLATABLE_PATHS = [
+    'personalInfo.currentTitle',
+    'personalInfo.summary',
+    'personalInfo.aboutMe',
+    'experience.*.title',
+    'experience.*.description',
+    'experience.*.achievements.*',
+    'skills.soft.*',
+    'skills.domain.*',
+    'skills.languages.*',
+    'education.*.degree',
+    'education.*.achievements.*',
+    'projects.*.description'
+];
+
+class TranslationSegments {
+    /**
+     * The non-empty translatable text of a CV
+     * @param {Object} cvData - Final CV data (see TemplateProcessor.buildFinalDataStructure)
+     * @returns {Object} - Path => text
+     */
+    static collect(cvData) {
+        const segments = {};
+
+        const walk = (value, parts, path) => {
+            if (parts.length === 0) {
+                if (typeof value === 'string' && value.trim()) {
+                    segments[path.join('.')] = value;
+                }
+                return;
+            }
+
+            const [part, ...rest] = parts;
+            if (part === '*') {
+                if (Array.isArray(value)) {
+                    value.forEach((item, index) => walk(item, rest, [...path, String(index)]));
+                }
+            } else if (value && typeof value === 'object') {
+                walk(value[part], rest, [...path, part]);
+            }
+        };
+
+        TRANSLATABLE_PATHS.forEach(pattern => walk(cvData, pattern.split('.'), []));
+        return segments;
+    }
+
+    /**
+     * A copy of the CV with translated segments in place of the original text.
+     * Segments that are not translatable text of this CV, or empty, are ignored.
+     * @param {Object} cvData - Final CV data
+     * @param {Object} [segments] - Path => translated text
+     * @returns {Object}
+     */
+    static apply(cvData, segments = {}) {
+        const translated = JSON.parse(JSON.stringify(cvData));
+        const translatable = TranslationSegments.collect(cvData);
+
+        Object.entries(segments || {}).forEach(([key, text]) => {
+            if (!Object.prototype.hasOwnProperty.call(translatable, key) || typeof text !== 'string' || !text.trim()) {
+                return;
+            }
+
+            const parts = key.split('.');
+            const parent = parts.slice(0, -1).reduce((node, part) => node[part], translated);
+            const original = parent[parts[parts.length - 1]];
+            parent[parts[parts.length - 1]] = text.trim();
+
+            // A translated skill keeps its level
+            const proficiency = parts[0] === 'skills' ? translated.skills.proficiency : null;
+            if (proficiency && Object.prototype.hasOwnProperty.call(proficiency, original)) {
+                proficiency[text.trim()] = proficiency[original];
+                delete proficiency[original];
+            }
+        });
+
+        return translated;
+    }
+}
+
+module.exports = TranslationSegments;
@@ -10,8 +10,19 @@ const { body, param, query, validationResult } = require('express-validator');
 
 const IntelligentCVProcessor = require('../lib/intelligent-cv-processor');
 const TemplateProcessor = require('../lib/template-processor');
+const JsonResumeMapper = require('../lib/json-resume-mapper');
+const LinkedInImporter = require('../lib/linkedin-importer');
+const ExtractionCache = require('../lib/extraction-cache');
+const SectionRewriter = require('../lib/section-rewriter');
+const AchievementCoach = require('../lib/achievement-coach');
+const CVTailor = require('../lib/cv-tailor');
+const CVTranslator = require('../lib/cv-translator');
+const UsageReport = require('../lib/usage-report');
+const SkillsNormalizer = require('../lib/skills-normalizer');
+const templateRegistry = require('../lib/template-registry');
 const securePaths = require('../lib/utils/secure-paths');
 const InputSanitizer = require('../lib/utils/input-sanitizer');
+const SITE_LOCALES = require('../constants/site-locales');
 const {
     saveGeneratedSite,
     getGeneratedSiteById,
@@ -19,8 +30,10 @@ const {
     logProcessing,
     createOrUpdateUser,
     getUserById,
+    getUserPreferences,
     saveFileUpload,    // Added for persistence
-    updateFileUpload   // Added for persistence
+    updateFileUpload,  // Added for persistence
+    getSiteVariants
 } = require('../database/services');
 const {
     monitorFileUpload,
@@ -48,7 +61,15 @@ const {
     FILE_CACHE_TTL_MS,
     FILE_CACHE_MAX_SIZE,
     JOB_STATUS,
-    PATHS
+    PATHS,
+    TEMPLATES,
+    THEMES,
+    SITE_LANGUAGES,
+    CV_EXPORT,
+    TOKEN_ACCOUNTING,
+    SECTION_REWRITE,
+    ACHIEVEMENT_COACH,
+    CV_TAILORING
 } = require('../constants');
 
 const router = express.Router();
@@ -56,6 +77,10 @@ const router = express.Router();
 // Initialize services
 const templateProcessor = new TemplateProcessor();
 const intelligentProcessor = new IntelligentCVProcessor();
+const jsonResumeMapper = new JsonResumeMapper();
+const linkedInImporter = new LinkedInImporter();
+const skillsNormalizer = new SkillsNormalizer();
+const usageReport = new UsageReport();
 
 // Initialize simple queue manager (will be created after tempFileCache)
 let queueManager;
@@ -74,7 +99,12 @@ const upload = multer({
         const allowedFormats = {
             '.pdf': ALLOWED_MIME_TYPES.PDF,
             '.docx': ALLOWED_MIME_TYPES.DOCX,
-            '.txt': ALLOWED_MIME_TYPES.TEXT
+            '.txt': ALLOWED_MIME_TYPES.TEXT,
+            '.json': ALLOWED_MIME_TYPES.JSON, // JSON Resume
+            '.zip': [ALLOWED_MIME_TYPES.ZIP, ALLOWED_MIME_TYPES.ZIP_WINDOWS], // LinkedIn data export
+            '.png': ALLOWED_MIME_TYPES.PNG, // Scanned CV pages (OCR)
+            '.jpg': ALLOWED_MIME_TYPES.JPEG,
+            '.jpeg': ALLOWED_MIME_TYPES.JPEG
         };
 
         // Sanitize filename - remove dangerous characters
@@ -89,12 +119,12 @@ const upload = multer({
             if (fileExtension === '.doc') {
                 return cb(new Error('Legacy DOC format is not supported. Please save your document as DOCX (File > Save As > Word Document (.docx)) and upload again.'));
             }
-            return cb(new Error('Invalid file type. Only PDF, DOCX, and TXT files are allowed.'));
+            return cb(new Error('Invalid file type. Only PDF, DOCX, TXT, PNG, JPG, JSON Resume and LinkedIn export ZIP files are allowed.'));
         }
 
         // Validate MIME type matches extension
-        const expectedMimeType = allowedFormats[fileExtension];
-        if (file.mimetype !== expectedMimeType && file.mimetype !== 'application/octet-stream') {
+        const expectedMimeTypes = [].concat(allowedFormats[fileExtension]);
+        if (!expectedMimeTypes.includes(file.mimetype) && file.mimetype !== 'application/octet-stream') {
             return cb(new Error(`File type mismatch. File extension is ${fileExtension} but content type is ${file.mimetype}.`));
         }
 
@@ -140,6 +170,16 @@ function handleCors(req, res, allowedMethods = 'GET, OPTIONS', allowedHeaders =
     return false;
 }
 
+/**
+ * File name stem for downloads ("dana-levi")
+ * @param {Object} siteRecord - user_sites row
+ * @returns {string}
+ */
+function getDownloadBaseName(siteRecord) {
+    const personName = siteRecord.cv_data?.personalInfo?.name || 'User';
+    return personName.replace(/[^a-zA-Z0-9]/g, '-').toLowerCase();
+}
+
 /**
  * Get site record and output directory, or send 404 response
  * @param {string} siteId - The site ID
@@ -181,6 +221,8 @@ const validateFileContent = async (req, res, next) => {
             'pdf': ['25504446'], // %PDF
             'doc': ['d0cf11e0'], // Microsoft Office
             'docx': ['504b0304'], // ZIP signature (DOCX is a ZIP file)
+            'png': ['89504e47'], // \x89PNG
+            'jpg': ['ffd8ff'], // JPEG SOI marker
         };
         
         let isValidFile = false;
@@ -193,6 +235,24 @@ const validateFileContent = async (req, res, next) => {
                 break;
             }
         }
+
+        // A plain .zip shares the DOCX signature - it is a LinkedIn data export
+        if (detectedType === 'docx' && path.extname(file.originalname).toLowerCase() === FILE_EXTENSIONS.ZIP) {
+            detectedType = 'zip';
+        }
+
+        // JSON has no signature - it must parse to an object instead
+        if (!detectedType && path.extname(file.originalname).toLowerCase() === FILE_EXTENSIONS.JSON) {
+            try {
+                const parsed = JSON.parse(buffer.toString('utf8'));
+                if (parsed && typeof parsed === 'object' && !Array.isArray(parsed)) {
+                    detectedType = 'json';
+                    isValidFile = true;
+                }
+            } catch (parseError) {
+                console.log('JSON validation failed:', parseError.message);
+            }
+        }
         
         // Enhanced DOCX validation - check for Office document structure
         if (detectedType === 'docx') {
@@ -408,6 +468,7 @@ const tempFileCache = new SecureFileCache();
 const SimpleQueueManager = require('../lib/simple-queue-manager');
 const { query: dbQuery } = require('../database/index');
 queueManager = new SimpleQueueManager({ query: dbQuery }, tempFileCache);
+const extractionCache = new ExtractionCache({ query: dbQuery });
 
 // Export for external access if needed
 module.exports.tempFileCache = tempFileCache;
@@ -430,6 +491,7 @@ router.post('/upload', verifyTokenEnhanced, ...rateLimitOnly, upload.single('cvF
             path: uploadedFile.path,
             size: uploadedFile.size,
             mimetype: uploadedFile.mimetype,
+            fileHash: ExtractionCache.hashContent(await fs.promises.readFile(uploadedFile.path)),
             uploadedAt: new Date().toISOString(),
             userId: req.user.userId,
             status: 'uploaded'
@@ -448,6 +510,7 @@ router.post('/upload', verifyTokenEnhanced, ...rateLimitOnly, upload.single('cvF
                 filepath: fileInfo.path,
                 file_size: fileInfo.size,
                 mime_type: fileInfo.mimetype,
+                file_hash: fileInfo.fileHash,
                 extracted_text: null,
                 structured_data: null
             });
@@ -495,6 +558,49 @@ router.post('/upload', verifyTokenEnhanced, ...rateLimitOnly, upload.single('cvF
     }
 });
 
+/**
+ * Finish /process for uploads that are already structured (JSON Resume,
+ * LinkedIn export, a CV extracted before): record a completed job so the
+ * wizard polls it as usual
+ * @param {object} res - Express response object
+ * @param {string} userId - Owner of the upload
+ * @param {object} fileInfo - Cached upload info
+ * @param {object} structuredData - Same shape the LLM processors return
+ * @param {string} message - Response message
+ * @param {string|null} [extractedText] - Text of the upload, when it has any
+ */
+async function completeStructuredImport(res, userId, fileInfo, structuredData, message, extractedText = null) {
+    // Same canonical skill names and categories as an extraction
+    structuredData.skills = skillsNormalizer.normalize(structuredData.skills);
+
+    const jobResult = await queueManager.addCompletedJob(userId, fileInfo.id, structuredData);
+
+    fileInfo.status = JOB_STATUS.COMPLETED;
+    fileInfo.jobId = jobResult.jobId;
+    tempFileCache.set(fileInfo.id, fileInfo);
+
+    // PERSISTENCE: Store the structured data with the upload
+    try {
+        await updateFileUpload(fileInfo.id, {
+            extracted_text: extractedText,
+            structured_data: structuredData
+        });
+    } catch (dbError) {
+        console.error('Failed to update file upload in DB:', dbError.message);
+    }
+
+    return res.status(200).json({
+        success: true,
+        message,
+        jobId: jobResult.jobId,
+        position: jobResult.position,
+        estimatedWaitMinutes: jobResult.estimatedWaitMinutes,
+        fileId: fileInfo.id,
+        status: JOB_STATUS.COMPLETED,
+        queuedAt: jobResult.queuedAt
+    });
+}
+
 // Process CV file endpoint
 router.post('/process',
     verifyTokenEnhanced,
@@ -527,17 +633,51 @@ router.post('/process',
         console.log('Processing CV file:', fileInfo.originalName);
         const processingStartTime = Date.now();
 
+        // JSON Resume uploads are already structured - skip extraction and the LLM
+        if (path.extname(fileInfo.originalName).toLowerCase() === FILE_EXTENSIONS.JSON) {
+            const resume = JSON.parse(await fs.promises.readFile(fileInfo.path, 'utf8'));
+            const { valid, errors } = jsonResumeMapper.validate(resume);
+            if (!valid) {
+                return res.status(400).json({
+                    error: 'Invalid JSON Resume',
+                    message: errors.slice(0, 10).join('; ')
+                });
+            }
+
+            const structuredData = jsonResumeMapper.fromJsonResume(resume);
+            console.log(`JSON Resume mapped in ${Date.now() - processingStartTime}ms`);
+            return await completeStructuredImport(res, req.user.userId, fileInfo, structuredData, 'JSON Resume imported');
+        }
+
+        // LinkedIn data exports are CSV files - no LLM needed either
+        if (path.extname(fileInfo.originalName).toLowerCase() === FILE_EXTENSIONS.ZIP) {
+            const structuredData = await linkedInImporter.importArchive(await fs.promises.readFile(fileInfo.path));
+            console.log(`LinkedIn export imported in ${Date.now() - processingStartTime}ms`);
+            return await completeStructuredImport(res, req.user.userId, fileInfo, structuredData, 'LinkedIn export imported');
+        }
+
+        // The same file extracted before with the current prompt and providers - no LLM call
+        const cached = await extractionCache.find(req.user.userId, fileInfo.fileHash);
+        if (cached) {
+            console.log(`Reusing the extraction of file ${cached.fileId} (same content)`);
+            fileInfo.extractedText = cached.extractedText;
+            return await completeStructuredImport(res, req.user.userId, fileInfo, cached.structuredData,
+                'This CV was processed before - reusing its results', cached.extractedText);
+        }
+
         // Extract text from the uploaded file
         console.log('Extracting text from file...');
-        const extractedText = await intelligentProcessor.extractTextFromFile(fileInfo.path, fileInfo.mimetype);
+        const { text: extractedText, blocks: layoutBlocks, candidates } = await intelligentProcessor.extractDocument(fileInfo.path, fileInfo.mimetype);
         console.log('Extracted text length:', extractedText.length);
 
         if (!extractedText || extractedText.trim().length === 0) {
             throw new Error('No text could be extracted from the file');
         }
 
-        // Store extracted text in file info for queue processing
+        // Store extracted text (with the PDF block map and link/photo candidates) in file info for queue processing
         fileInfo.extractedText = extractedText;
+        fileInfo.layoutBlocks = layoutBlocks;
+        fileInfo.documentCandidates = candidates;
         tempFileCache.set(fileId, fileInfo);
 
         // PERSISTENCE: Update Database with extracted text
@@ -587,7 +727,9 @@ router.post('/process',
             statusCode = 400;
             errorTitle = 'Unsupported file format';
         } else if (error.message.includes('No text could be extracted') ||
-                   error.message.includes('empty or corrupted')) {
+                   error.message.includes('empty or corrupted') ||
+                   error.message.includes('Not a LinkedIn data export') ||
+                   error.message.includes('LinkedIn export too large')) {
             statusCode = 400;
             errorTitle = 'File processing error';
         }
@@ -630,6 +772,150 @@ router.get('/status',
     }
 });
 
+// List available landing page templates
+router.get('/templates', verifyTokenEnhanced, async (req, res) => {
+    try {
+        res.status(200).json({
+            success: true,
+            defaultTemplateId: templateRegistry.getDefaultTemplateId(),
+            templates: templateRegistry.listTemplates()
+        });
+    } catch (error) {
+        sendServerError(res, 'Template listing', error, 'Failed to list templates');
+    }
+});
+
+// Template preview thumbnail (static asset, loaded via <img> so no auth header)
+router.get('/templates/:templateId/preview',
+    [
+        param('templateId').matches(TEMPLATES.ID_PATTERN).withMessage('Invalid template ID')
+    ],
+    handleValidationErrors,
+    (req, res) => {
+    const previewPath = templateRegistry.getPreviewPath(req.params.templateId);
+
+    if (!previewPath || !fs.existsSync(previewPath)) {
+        return res.status(404).json({ error: 'Template preview not found' });
+    }
+
+    res.setHeader('Cache-Control', 'public, max-age=86400');
+    res.sendFile(previewPath);
+});
+
+/**
+ * Load the user's saved preferences for a generation request.
+ * Generation still works with defaults if preferences can't be read.
+ * @param {string} userId - Authenticated user ID
+ * @returns {Promise<Object|null>}
+ */
+async function loadGenerationPreferences(userId) {
+    try {
+        return await getUserPreferences(userId);
+    } catch (error) {
+        console.warn('Could not load user preferences, using defaults:', error.message);
+        return null;
+    }
+}
+
+/**
+ * Resolve the template for a generation request.
+ * Explicit templateId wins, then the user's saved preference, then the default.
+ * @param {string|undefined} requestedId - templateId from the request body
+ * @param {Object|null} preferences - Saved user preferences
+ * @returns {string|null} - Registered template ID, or null if requestedId is unknown
+ */
+function resolveTemplateId(requestedId, preferences) {
+    if (requestedId) {
+        return templateRegistry.hasTemplate(requestedId) ? requestedId : null;
+    }
+
+    const preferred = preferences?.template_preference;
+    if (preferred && templateRegistry.hasTemplate(preferred)) {
+        return preferred;
+    }
+
+    return templateRegistry.getDefaultTemplateId();
+}
+
+/**
+ * Resolve the color theme for a generation request.
+ * Fields in the request win; a missing mode falls back to the saved
+ * theme_preference, and anything unknown falls back to the default theme.
+ * @param {Object|undefined} requestedTheme - theme from the request body
+ * @param {Object|null} preferences - Saved user preferences
+ * @returns {Object} - Normalized theme
+ */
+function resolveTheme(requestedTheme, preferences) {
+    return templateProcessor.themeRenderer.resolveTheme(requestedTheme, preferences?.theme_preference);
+}
+
+/**
+ * Save a user_sites row for the CV data and render its landing page, named after the
+ * site ID, into the user's generated directory
+ * @param {string} userId - Authenticated user ID
+ * @param {Object} structuredData - Sanitized CV data
+ * @param {string} templateId - Registered template ID
+ * @param {Object} theme - Normalized theme
+ * @param {Object} [site] - name, and parentSiteId and tailoring for a tailored variant
+ * @returns {Promise<Object>} - Generation info as the generate endpoint returns it
+ */
+async function generateSite(userId, structuredData, templateId, theme, site = {}) {
+    const generationStartTime = Date.now();
+
+    // Create site record in database first to get the ID
+    const siteRecord = await saveGeneratedSite({
+        id: randomUUID(),
+        user_id: userId,
+        name: site.name || `${structuredData.personalInfo.name} CV Landing Page`,
+        structured_data: structuredData,
+        html_content: null, // Will be set after generation
+        css_content: null,  // Will be set after generation
+        folder_path: null,  // Will be set after generation
+        template_id: templateId,
+        theme: theme,
+        parent_site_id: site.parentSiteId,
+        tailoring: site.tailoring
+    });
+
+    // Generate the landing page using the site ID as directory name
+    const { siteDir: outputDir } = securePaths.getSecureGeneratedPath(userId, siteRecord.id);
+    console.log('CV Generation - Creating directory:', outputDir);
+    console.log('CV Generation - User ID:', userId);
+    console.log('CV Generation - Site ID:', siteRecord.id);
+    await securePaths.ensureSecureDirectory(outputDir);
+    const result = await templateProcessor.generateLandingPage(structuredData, outputDir, templateId, { theme });
+    
+    // Update the site record with generated content and paths
+    const htmlContent = fs.existsSync(path.join(outputDir, 'index.html')) ? 
+        fs.readFileSync(path.join(outputDir, 'index.html'), 'utf8') : null;
+    const cssContent = fs.existsSync(path.join(outputDir, 'styles.css')) ? 
+        fs.readFileSync(path.join(outputDir, 'styles.css'), 'utf8') : null;
+    
+    await updateSiteDeployment(siteRecord.id, {
+        deployment_status: 'generated',
+        html_content: htmlContent,
+        css_content: cssContent,
+        folder_path: outputDir
+    });
+    
+    const generationTime = Date.now() - generationStartTime;
+    recordLandingPageGeneration(userId, generationTime);
+
+    // Store generation info (keeping for compatibility)
+    return {
+        id: siteRecord.id,
+        userId: userId,
+        outputDir: outputDir,
+        generatedAt: new Date().toISOString(),
+        files: result.files,
+        templateId: result.templateId,
+        theme: result.theme,
+        languages: result.languages,
+        cvData: structuredData,
+        personName: structuredData.personalInfo.name
+    };
+}
+
 // Generate landing page endpoint
 router.post('/generate',
     verifyTokenEnhanced,
@@ -640,13 +926,42 @@ router.post('/generate',
         body('structuredData.personalInfo.name').isString().trim().isLength({ min: 1, max: 100 })
             .withMessage('Valid name is required'),
         body('structuredData.personalInfo.email').isEmail().normalizeEmail()
-            .withMessage('Valid email is required')
+            .withMessage('Valid email is required'),
+        body('templateId').optional().isString().matches(TEMPLATES.ID_PATTERN)
+            .withMessage('Invalid template ID'),
+        body('theme').optional().isObject().withMessage('Theme must be an object'),
+        body('theme.mode').optional().isIn(THEMES.MODES)
+            .withMessage(`Theme mode must be one of: ${THEMES.MODES.join(', ')}`),
+        body('theme.accentColor').optional().isString().matches(THEMES.COLOR_PATTERN)
+            .withMessage('Accent color must be a hex color such as #3b82f6'),
+        body('theme.backgroundColor').optional().isString().matches(THEMES.COLOR_PATTERN)
+            .withMessage('Background color must be a hex color such as #0f172a'),
+        body('theme.font').optional().isIn(THEMES.FONTS)
+            .withMessage(`Theme font must be one of: ${THEMES.FONTS.join(', ')}`),
+        body('language').optional().isIn(Object.keys(SITE_LOCALES))
+            .withMessage(`Language must be one of: ${Object.keys(SITE_LOCALES).join(', ')}`),
+        body('translateTo').optional().isArray({ max: SITE_LANGUAGES.MAX_TRANSLATIONS })
+            .withMessage(`Up to ${SITE_LANGUAGES.MAX_TRANSLATIONS} languages can be added`),
+        body('translateTo.*').isIn(Object.keys(SITE_LOCALES))
+            .withMessage(`Languages must be among: ${Object.keys(SITE_LOCALES).join(', ')}`)
     ],
     handleValidationErrors,
     async (req, res) => {
     try {
         let { structuredData } = req.body;
 
+        const preferences = await loadGenerationPreferences(req.user.userId);
+        const templateId = resolveTemplateId(req.body.templateId, preferences);
+        if (!templateId) {
+            return res.status(400).json({
+                error: 'Unknown template',
+                message: `Template "${req.body.templateId}" is not available`,
+                availableTemplates: templateRegistry.listTemplates().map(template => template.id)
+            });
+        }
+
+        const theme = resolveTheme(req.body.theme, preferences);
+
         if (!structuredData) {
             return res.status(400).json({ error: 'Structured CV data is required' });
         }
@@ -667,57 +982,20 @@ router.post('/generate',
             }
         }
 
+        // Language versions - stored with the CV data so the site renders them again when published
+        structuredData.language = req.body.language || SITE_LANGUAGES.DEFAULT;
+        const translateTo = [...new Set(req.body.translateTo || [])].filter(code => code !== structuredData.language);
+        let translationTokens = 0;
+        if (translateTo.length > 0) {
+            const translation = await new CVTranslator().translate(req.user.userId,
+                templateProcessor.buildFinalDataStructure(structuredData), structuredData.language, translateTo);
+            structuredData.translations = translation.translations;
+            translationTokens = translation.tokenUsage.totalTokens;
+        }
+
         console.log('Generating landing page for:', structuredData.personalInfo.name);
         console.log('User ID:', req.user.userId);
-        const generationStartTime = Date.now();
-
-        // Create site record in database first to get the ID
-        const siteName = `${structuredData.personalInfo.name} CV Landing Page`;
-
-        const siteRecord = await saveGeneratedSite({
-            id: randomUUID(),
-            user_id: req.user.userId,
-            name: siteName,
-            structured_data: structuredData,
-            html_content: null, // Will be set after generation
-            css_content: null,  // Will be set after generation
-            folder_path: null   // Will be set after generation
-        });
-
-        // Generate the landing page using the site ID as directory name
-        const { siteDir: outputDir } = securePaths.getSecureGeneratedPath(req.user.userId, siteRecord.id);
-        console.log('CV Generation - Creating directory:', outputDir);
-        console.log('CV Generation - User ID:', req.user.userId);
-        console.log('CV Generation - Site ID:', siteRecord.id);
-        await securePaths.ensureSecureDirectory(outputDir);
-        const result = await templateProcessor.generateLandingPage(structuredData, outputDir);
-        
-        // Update the site record with generated content and paths
-        const htmlContent = fs.existsSync(path.join(outputDir, 'index.html')) ? 
-            fs.readFileSync(path.join(outputDir, 'index.html'), 'utf8') : null;
-        const cssContent = fs.existsSync(path.join(outputDir, 'styles.css')) ? 
-            fs.readFileSync(path.join(outputDir, 'styles.css'), 'utf8') : null;
-        
-        await updateSiteDeployment(siteRecord.id, {
-            deployment_status: 'generated',
-            html_content: htmlContent,
-            css_content: cssContent,
-            folder_path: outputDir
-        });
-        
-        const generationTime = Date.now() - generationStartTime;
-        recordLandingPageGeneration(req.user.userId, generationTime);
-
-        // Store generation info (keeping for compatibility)
-        const generationInfo = {
-            id: siteRecord.id,
-            userId: req.user.userId,
-            outputDir: outputDir,
-            generatedAt: new Date().toISOString(),
-            files: result.files,
-            cvData: structuredData,
-            personName: structuredData.personalInfo.name
-        };
+        const generationInfo = await generateSite(req.user.userId, structuredData, templateId, theme);
         
         // Log successful generation
         await logProcessing(req.user.userId, 'landing_page_generation', 'success', null, null);
@@ -728,11 +1006,16 @@ router.post('/generate',
             success: true,
             message: `Landing page generated successfully for ${structuredData.personalInfo.name}`,
             generation: generationInfo,
-            previewUrl: `/preview/${generationInfo.id}`
+            previewUrl: `/preview/${generationInfo.id}`,
+            ...(translateTo.length > 0 && { tokens: translationTokens })
         });
 
     } catch (error) {
         console.error('Landing page generation error:', error);
+        // Translation errors carry their status (no LLM provider, limits, unreadable answer)
+        if (error.status) {
+            return sendAssistantError(res, 'Landing page generation', error, 'Generation failed');
+        }
         res.status(500).json({
             error: 'Generation failed',
             message: error.message
@@ -743,7 +1026,9 @@ router.post('/generate',
 // Preview landing page endpoint
 router.get('/preview', 
     [
-        query('previewId').isUUID().withMessage('Valid preview ID is required')
+        query('previewId').isUUID().withMessage('Valid preview ID is required'),
+        query('lang').optional().isIn(Object.keys(SITE_LOCALES))
+            .withMessage(`Language must be one of: ${Object.keys(SITE_LOCALES).join(', ')}`)
     ],
     handleValidationErrors,
     verifyTokenEnhancedWithQuery,
@@ -774,7 +1059,10 @@ router.get('/preview',
             personName: siteRecord.cv_data?.personalInfo?.name || 'User'
         };
 
-        const indexPath = path.join(outputDir, 'index.html');
+        // Other language versions are <code>.html; the site's own language is index.html
+        const { lang } = req.query;
+        const pageFile = lang && lang !== siteRecord.cv_data?.language ? `${lang}.html` : 'index.html';
+        const indexPath = path.join(outputDir, pageFile);
         
         // Read the HTML file atomically to avoid TOCTOU
         let htmlContent;
@@ -809,6 +1097,13 @@ router.get('/preview',
             `src="${baseUrl}script.js${tokenParam}"`
         );
 
+        // Language switcher links open the other language versions in the preview
+        const previewBase = `${req.protocol}://${req.get('host')}/api/cv/preview?previewId=${previewId}`;
+        htmlContent = htmlContent.replace(
+            /href="(index|[a-z]{2})\.html"/g,
+            (match, page) => `href="${previewBase}${page === 'index' ? '' : `&lang=${page}`}${tokenParam}"`
+        );
+
         // Set proper headers
         res.setHeader('Content-Type', 'text/html; charset=utf-8');
         res.setHeader('Cache-Control', 'no-cache');
@@ -910,7 +1205,8 @@ router.get('/static',
 // Download handler - creates and serves a ZIP file
 router.get('/download', 
     [
-        query('generationId').isUUID().withMessage('Valid generation ID is required')
+        query('generationId').isUUID().withMessage('Valid generation ID is required'),
+        query('includePdf').optional().isBoolean().withMessage('includePdf must be true or false')
     ],
     handleValidationErrors,
     verifyTokenEnhancedWithQuery,
@@ -933,14 +1229,6 @@ router.get('/download',
         if (!result) return;
         const { siteRecord, outputDir } = result;
 
-        // Build generation info for compatibility
-        const generationInfo = {
-            id: siteRecord.id,
-            userId: siteRecord.user_id,
-            outputDir: outputDir,
-            personName: siteRecord.cv_data?.personalInfo?.name || 'User'
-        };
-
         // Check directory exists atomically
         try {
             await fs.promises.access(outputDir, fs.constants.R_OK);
@@ -948,10 +1236,13 @@ router.get('/download',
             return res.status(404).json({ error: 'Generated files not found' });
         }
 
+        // Render the PDF before streaming so a failure can still be reported as JSON
+        const pdfBuffer = req.query.includePdf === 'true'
+            ? await templateProcessor.generatePdf(siteRecord.cv_data)
+            : null;
+
         // Create ZIP file name
-        const personName = generationInfo.personName || 'landing-page';
-        const cleanName = personName.replace(/[^a-zA-Z0-9]/g, '-').toLowerCase();
-        const zipFileName = `${cleanName}-landing-page.zip`;
+        const zipFileName = `${getDownloadBaseName(siteRecord)}-landing-page.zip`;
 
         // Set download headers
         res.setHeader('Content-Type', 'application/zip');
@@ -990,7 +1281,9 @@ router.get('/download',
         archive.pipe(res);
 
         // Add files to archive with size checking
-        const filesToInclude = ['index.html', 'styles.css', 'script.js', 'data.js'];
+        // README is added separately below with its own size limit
+        const filesToInclude = templateProcessor.getSiteFiles(outputDir)
+            .filter(fileName => fileName !== GENERATED_FILES.README);
         
         for (const fileName of filesToInclude) {
             const filePath = path.join(outputDir, fileName);
@@ -1015,6 +1308,12 @@ router.get('/download',
             }
         }
 
+        if (pdfBuffer && currentSize + pdfBuffer.length <= MAX_ARCHIVE_SIZE) {
+            console.log(`Adding ${GENERATED_FILES.PDF} to archive (${pdfBuffer.length} bytes)`);
+            archive.append(pdfBuffer, { name: GENERATED_FILES.PDF });
+            currentSize += pdfBuffer.length;
+        }
+
         // Add README file with size check
         const readmePath = path.join(outputDir, 'README.md');
         if (fs.existsSync(readmePath)) {
@@ -1047,6 +1346,93 @@ router.get('/download',
     }
 });
 
+// ==========================================
+// CV EXPORT (PDF / DOCX / JSON RESUME)
+// ==========================================
+
+const exportValidators = [
+    query('generationId').isUUID().withMessage('Valid generation ID is required'),
+    query('pageSize').optional().isIn(CV_EXPORT.PAGE_SIZES)
+        .withMessage(`Page size must be one of: ${CV_EXPORT.PAGE_SIZES.join(', ')}`)
+];
+
+/**
+ * Build a handler that renders the site's stored CV data into a document
+ * @param {string} label - Format name for logs and errors ("PDF")
+ * @param {string} extension - File extension without the dot
+ * @param {string} contentType - Response content type
+ * @param {Function} render - (cvData, options) => Promise<Buffer>
+ * @returns {Function} - Express handler
+ */
+function createExportHandler(label, extension, contentType, render) {
+    return async (req, res) => {
+        if (handleCors(req, res)) return;
+
+        try {
+            const { generationId, pageSize } = req.query;
+            console.log(`${label} export requested for generation:`, generationId);
+
+            const result = await getSiteRecordAndPath(generationId, res, 'Generation not found');
+            if (!result) return;
+            const { siteRecord } = result;
+
+            if (!siteRecord.cv_data?.personalInfo?.name) {
+                return res.status(404).json({ error: 'CV data not found for this generation' });
+            }
+
+            const buffer = await render(siteRecord.cv_data, { pageSize });
+            const fileName = `${getDownloadBaseName(siteRecord)}-cv.${extension}`;
+
+            res.setHeader('Content-Type', contentType);
+            res.setHeader('Content-Disposition', `attachment; filename="${fileName}"`);
+            res.setHeader('Content-Length', buffer.length);
+            res.setHeader('Cache-Control', 'no-cache');
+            res.send(buffer);
+
+            console.log(`${label} export completed: ${fileName} (${buffer.length} bytes)`);
+
+        } catch (error) {
+            console.error(`${label} export error:`, error);
+            if (!res.headersSent) {
+                res.status(500).json({
+                    error: `${label} export failed`,
+                    message: error.message
+                });
+            }
+        }
+    };
+}
+
+// PDF export - printable CV rendered from the site's stored CV data
+router.get('/export/pdf',
+    exportValidators,
+    handleValidationErrors,
+    verifyTokenEnhancedWithQuery,
+    authorizeResourceOwnership('generated_site'),
+    createExportHandler('PDF', 'pdf', CONTENT_TYPES.PDF,
+        (cvData, options) => templateProcessor.generatePdf(cvData, options))
+);
+
+// DOCX export - editable Word version of the (edited) CV
+router.get('/export/docx',
+    exportValidators,
+    handleValidationErrors,
+    verifyTokenEnhancedWithQuery,
+    authorizeResourceOwnership('generated_site'),
+    createExportHandler('DOCX', 'docx', CONTENT_TYPES.DOCX,
+        (cvData, options) => templateProcessor.generateDocx(cvData, options))
+);
+
+// JSON Resume export - interoperable data for other resume tools
+router.get('/export/json',
+    exportValidators,
+    handleValidationErrors,
+    verifyTokenEnhancedWithQuery,
+    authorizeResourceOwnership('generated_site'),
+    createExportHandler('JSON Resume', 'json', CONTENT_TYPES.JSON,
+        async (cvData) => Buffer.from(JSON.stringify(templateProcessor.generateJsonResume(cvData), null, 2)))
+);
+
 // ==========================================
 // QUEUE STATUS ENDPOINTS
 // ==========================================
@@ -1096,7 +1482,11 @@ router.get('/job/:jobId/status',
                 startedAt: job.started_at,
                 completedAt: job.completed_at,
                 structuredData: job.structured_data,
-                error: job.error_message
+                error: job.error_message,
+                tokens: {
+                    prompt: job.prompt_tokens || 0,
+                    completion: job.completion_tokens || 0
+                }
             }
         });
 
@@ -1189,4 +1579,266 @@ router.get('/queue/stats', verifyTokenEnhanced, async (req, res) => {
     }
 });
 
+// Get LLM usage - the user's own, with today's limits, and for administrators the totals across all users
+router.get('/usage',
+    verifyTokenEnhanced,
+    [
+        query('days').optional().isInt({ min: 1, max: TOKEN_ACCOUNTING.MAX_USAGE_DAYS })
+            .withMessage(`days must be between 1 and ${TOKEN_ACCOUNTING.MAX_USAGE_DAYS}`).toInt()
+    ],
+    handleValidationErrors,
+    async (req, res) => {
+    try {
+        const days = req.query.days || TOKEN_ACCOUNTING.DEFAULT_USAGE_DAYS;
+        const report = await usageReport.build(req.user.userId, days);
+
+        res.json({
+            success: true,
+            ...report
+        });
+
+    } catch (error) {
+        console.error('Usage stats error:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to get usage statistics'
+        });
+    }
+});
+
+/**
+ * Errors of the writing assistants carry the status to answer with
+ */
+function sendAssistantError(res, context, error, errorType) {
+    if (error.status) {
+        return res.status(error.status).json({
+            success: false,
+            error: error.message
+        });
+    }
+    sendServerError(res, context, error, errorType);
+}
+
+// Suggest rewrites of the summary or about me text in a chosen tone and length
+router.post('/assist/rewrite',
+    verifyTokenEnhanced,
+    ...rateLimitOnly,
+    [
+        body('section').isIn(Object.keys(SECTION_REWRITE.SECTIONS))
+            .withMessage(`Section must be one of: ${Object.keys(SECTION_REWRITE.SECTIONS).join(', ')}`),
+        body('text').isString().trim().isLength({ min: 1, max: SECTION_REWRITE.MAX_TEXT_LENGTH })
+            .withMessage(`Text must be between 1 and ${SECTION_REWRITE.MAX_TEXT_LENGTH} characters`),
+        body('tone').isIn(Object.keys(SECTION_REWRITE.TONES))
+            .withMessage(`Tone must be one of: ${Object.keys(SECTION_REWRITE.TONES).join(', ')}`),
+        body('length').optional().isIn(Object.keys(SECTION_REWRITE.LENGTHS))
+            .withMessage(`Length must be one of: ${Object.keys(SECTION_REWRITE.LENGTHS).join(', ')}`),
+        body('count').optional().isInt({ min: 1, max: SECTION_REWRITE.MAX_ALTERNATIVES })
+            .withMessage(`Count must be between 1 and ${SECTION_REWRITE.MAX_ALTERNATIVES}`).toInt()
+    ],
+    handleValidationErrors,
+    async (req, res) => {
+    try {
+        const { section, text, tone, length, count } = req.body;
+        const result = await new SectionRewriter().rewrite(req.user.userId, { section, text, tone, length, count });
+
+        res.json({
+            success: true,
+            section,
+            tone,
+            length: length || SECTION_REWRITE.DEFAULT_LENGTH,
+            provider: result.provider,
+            alternatives: result.alternatives,
+            tokens: result.tokenUsage.totalTokens
+        });
+
+    } catch (error) {
+        sendAssistantError(res, 'Section rewrite', error, 'Failed to suggest rewrites');
+    }
+});
+
+// Review experience achievements: weak bullets, suggested rewrites and questions to quantify them
+router.post('/assist/achievements',
+    verifyTokenEnhanced,
+    ...rateLimitOnly,
+    [
+        body('experience').isArray({ min: 1, max: ACHIEVEMENT_COACH.MAX_ENTRIES })
+            .withMessage(`Experience must be a list of 1 to ${ACHIEVEMENT_COACH.MAX_ENTRIES} entries`),
+        body('experience.*').isObject().withMessage('Experience entries must be objects'),
+        body('experience.*.achievements').optional().isArray({ max: ACHIEVEMENT_COACH.MAX_ACHIEVEMENTS })
+            .withMessage(`Each entry can have up to ${ACHIEVEMENT_COACH.MAX_ACHIEVEMENTS} achievements`),
+        body('experience.*.achievements.*').isString().isLength({ max: ACHIEVEMENT_COACH.MAX_ACHIEVEMENT_LENGTH })
+            .withMessage(`Achievements must be text of up to ${ACHIEVEMENT_COACH.MAX_ACHIEVEMENT_LENGTH} characters`)
+    ],
+    handleValidationErrors,
+    async (req, res) => {
+    try {
+        const review = await new AchievementCoach().review(req.user.userId, req.body.experience);
+
+        res.json({
+            success: true,
+            sessionId: review.sessionId,
+            provider: review.provider,
+            summary: review.summary,
+            bullets: review.bullets,
+            tokens: review.tokenUsage ? review.tokenUsage.totalTokens : 0
+        });
+
+    } catch (error) {
+        sendAssistantError(res, 'Achievement review', error, 'Failed to review achievements');
+    }
+});
+
+// Rewrite reviewed achievements with the user's answers to their questions
+router.post('/assist/achievements/:sessionId/answers',
+    verifyTokenEnhanced,
+    ...rateLimitOnly,
+    [
+        param('sessionId').isUUID().withMessage('Valid review session ID is required'),
+        body('answers').isArray({ min: 1, max: ACHIEVEMENT_COACH.MAX_ENTRIES * ACHIEVEMENT_COACH.MAX_QUESTIONS })
+            .withMessage('At least one answer is required'),
+        body('answers.*.questionId').isString().matches(/^\d+\.\d+-\d+$/).withMessage('Invalid question ID'),
+        body('answers.*.answer').isString().trim().isLength({ min: 1, max: ACHIEVEMENT_COACH.MAX_ANSWER_LENGTH })
+            .withMessage(`Answers must be between 1 and ${ACHIEVEMENT_COACH.MAX_ANSWER_LENGTH} characters`)
+    ],
+    handleValidationErrors,
+    async (req, res) => {
+    try {
+        const result = await new AchievementCoach().applyAnswers(req.user.userId, req.params.sessionId, req.body.answers);
+
+        res.json({
+            success: true,
+            sessionId: result.sessionId,
+            experience: result.experience,
+            changes: result.changes,
+            tokens: result.tokenUsage.totalTokens
+        });
+
+    } catch (error) {
+        sendAssistantError(res, 'Achievement answers', error, 'Failed to apply answers');
+    }
+});
+
+// The steps of an achievement review: what was flagged, asked, answered and changed
+router.get('/assist/achievements/:sessionId',
+    verifyTokenEnhanced,
+    [
+        param('sessionId').isUUID().withMessage('Valid review session ID is required')
+    ],
+    handleValidationErrors,
+    async (req, res) => {
+    try {
+        const history = await new AchievementCoach().getHistory(req.user.userId, req.params.sessionId);
+        res.json({ success: true, ...history });
+
+    } catch (error) {
+        sendAssistantError(res, 'Achievement review history', error, 'Failed to get the review history');
+    }
+});
+
+// ==========================================
+// TAILORED VARIANTS
+// ==========================================
+
+// Tailor a site's CV to a job description and generate it as a new site linked to the original
+router.post('/sites/:id/tailor',
+    verifyTokenEnhanced,
+    ...rateLimitOnly,
+    [
+        param('id').isUUID().withMessage('Valid site ID is required'),
+        body('jobDescription').isString().trim()
+            .isLength({ min: CV_TAILORING.MIN_JOB_DESCRIPTION_LENGTH, max: CV_TAILORING.MAX_JOB_DESCRIPTION_LENGTH })
+            .withMessage(`Job description must be between ${CV_TAILORING.MIN_JOB_DESCRIPTION_LENGTH} and ${CV_TAILORING.MAX_JOB_DESCRIPTION_LENGTH} characters`)
+    ],
+    handleValidationErrors,
+    authorizeResourceOwnership('generated_site'),
+    async (req, res) => {
+    try {
+        const siteRecord = await getGeneratedSiteById(req.params.id);
+        if (!siteRecord.cv_data?.personalInfo?.name) {
+            return res.status(404).json({ error: 'CV data not found for this site' });
+        }
+
+        const { jobDescription } = req.body;
+        const cvData = templateProcessor.buildFinalDataStructure(siteRecord.cv_data);
+        const tailored = await new CVTailor().tailor(req.user.userId, cvData, jobDescription);
+
+        // The saved CV was sanitized before; CVTailor sanitizes the text the model rewrote
+        const structuredData = tailored.cvData;
+        const name = structuredData.personalInfo.name;
+
+        // The variant is in the original's language; its translations were of the original text
+        if (siteRecord.cv_data.language) {
+            structuredData.language = siteRecord.cv_data.language;
+        }
+        const role = [tailored.jobTitle || 'Tailored', tailored.company].filter(Boolean).join(' at ');
+
+        // The variant keeps the original's look; variants of a variant hang off the same original
+        const templateId = resolveTemplateId(siteRecord.template_id, null) || templateRegistry.getDefaultTemplateId();
+        const generationInfo = await generateSite(req.user.userId, structuredData, templateId, resolveTheme(siteRecord.theme, null), {
+            name: `${name} CV - ${role}`,
+            parentSiteId: siteRecord.parent_site_id || siteRecord.id,
+            tailoring: {
+                jobTitle: tailored.jobTitle,
+                company: tailored.company,
+                jobDescriptionPreview: jobDescription.slice(0, CV_TAILORING.PREVIEW_LENGTH),
+                report: tailored.report
+            }
+        });
+
+        await logProcessing(req.user.userId, 'cv_tailoring', 'success', null, null);
+
+        res.status(200).json({
+            success: true,
+            message: `Tailored landing page generated for ${name}`,
+            generation: generationInfo,
+            previewUrl: `/preview/${generationInfo.id}`,
+            parentSiteId: siteRecord.parent_site_id || siteRecord.id,
+            tailoring: {
+                jobTitle: tailored.jobTitle,
+                company: tailored.company,
+                report: tailored.report
+            },
+            tokens: tailored.tokenUsage.totalTokens
+        });
+
+    } catch (error) {
+        sendAssistantError(res, 'CV tailoring', error, 'Failed to tailor the CV');
+    }
+});
+
+// The tailored variants of a site, newest first
+router.get('/sites/:id/variants',
+    verifyTokenEnhanced,
+    [
+        param('id').isUUID().withMessage('Valid site ID is required')
+    ],
+    handleValidationErrors,
+    authorizeResourceOwnership('generated_site'),
+    async (req, res) => {
+    try {
+        const siteRecord = await getGeneratedSiteById(req.params.id);
+        const parentSiteId = siteRecord.parent_site_id || siteRecord.id;
+        const variants = await getSiteVariants(parentSiteId);
+
+        res.json({
+            success: true,
+            parentSiteId,
+            variants: variants.map(variant => ({
+                id: variant.id,
+                name: variant.site_name,
+                templateId: variant.template_id,
+                jobTitle: variant.tailoring?.jobTitle || '',
+                company: variant.tailoring?.company || '',
+                coverage: variant.tailoring?.report?.coverage ?? null,
+                deploymentStatus: variant.deployment_status,
+                pagesUrl: variant.pages_url,
+                createdAt: variant.created_at
+            }))
+        });
+
+    } catch (error) {
+        sendServerError(res, 'Site variants', error, 'Failed to get the tailored variants');
+    }
+});
+
 module.exports = router;
\ No newline at end of file
@@ -1,17 +1,19 @@
 // File: routes/github.js - GitHub OAuth and API endpoints
 const express = require('express');
 const { Octokit } = require('@octokit/rest');
-const { createOrUpdateUser, getUserById, updateSiteDeployment } = require('../database/services');
+const { createOrUpdateUser, getUserById, updateSiteDeployment, getGeneratedSiteById } = require('../database/services');
 const jwt = require('jsonwebtoken');
 const path = require('path');
 const fs = require('fs').promises;
 const securePaths = require('../lib/utils/secure-paths');
+const TemplateProcessor = require('../lib/template-processor');
 const { recordGitHubConnection, recordGitHubPublish } = require('../middleware/monitoring');
 const { authorizeResourceOwnership } = require('../middleware/authorization');
 const { verifyTokenEnhanced } = require('../middleware/enhanced-auth');
 const { githubRateLimitOnly } = require('../middleware/security');
 
 const router = express.Router();
+const templateProcessor = new TemplateProcessor();
 
 // GitHub OAuth configuration
 const GITHUB_CLIENT_ID = process.env.GITHUB_CLIENT_ID;
@@ -533,6 +535,58 @@ router.post('/enable-pages', verifyTokenEnhanced, ...githubRateLimitOnly, async
     }
 });
 
+/**
+ * GitHub Pages URL a new project repository will be served from
+ * @param {string} owner - GitHub username
+ * @param {string} repo - Repository name
+ * @returns {string}
+ */
+function getExpectedPagesUrl(owner, repo) {
+    const host = `${owner.toLowerCase()}.github.io`;
+    return repo.toLowerCase() === host ? `https://${host}/` : `https://${host}/${repo}/`;
+}
+
+/**
+ * Re-render a generated site for its public URL (canonical, og:url, sitemap.xml),
+ * keeping the template and theme it was generated with.
+ * Falls back to the files already on disk if the stored CV data is unavailable.
+ * @returns {Promise<string[]>} - Site files to publish
+ */
+async function renderSiteForUrl(siteRecord, siteDirectory, siteUrl) {
+    if (siteRecord?.cv_data?.personalInfo) {
+        try {
+            const result = await templateProcessor.generateLandingPage(
+                siteRecord.cv_data, siteDirectory, siteRecord.template_id,
+                { siteUrl, theme: siteRecord.theme }
+            );
+            return result.files;
+        } catch (error) {
+            console.error('Could not render site for published URL:', error.message);
+        }
+    }
+    return templateProcessor.getSiteFiles(siteDirectory);
+}
+
+/**
+ * Upload (or update, when sha is given) one site file
+ * @returns {Promise<string>} - Blob sha of the uploaded file
+ */
+async function uploadSiteFile(octokit, owner, repo, siteDirectory, fileName, sha) {
+    // Read as a Buffer so binary files (profile photo) survive the base64 encoding
+    const content = await fs.readFile(path.join(siteDirectory, fileName));
+
+    const { data } = await octokit.rest.repos.createOrUpdateFileContents({
+        owner,
+        repo,
+        path: fileName,
+        message: `${sha ? 'Update' : 'Add'} ${fileName} - Test CV Landing Page`,
+        content: content.toString('base64'),
+        ...(sha ? { sha } : {})
+    });
+
+    return data.content.sha;
+}
+
 // Test push CV site to GitHub repository (for debugging)
 router.post('/test-push-cv', verifyTokenEnhanced, ...githubRateLimitOnly, authorizeResourceOwnership('generated_site'), async (req, res) => {
     try {
@@ -567,26 +621,26 @@ router.post('/test-push-cv', verifyTokenEnhanced, ...githubRateLimitOnly, author
             });
         }
 
+        // Stored CV data is used for the repo name and for re-rendering with the public URL
+        let siteRecord = null;
+        try {
+            siteRecord = await getGeneratedSiteById(jobId);
+        } catch (error) {
+            console.log('Could not load site record:', error.message);
+        }
+
         // Generate repository name if not provided
         let finalRepoName = repoName;
         if (!finalRepoName) {
             try {
-                // Try to read CV data for naming
-                const dataFilePath = path.join(siteDirectory, 'data.js');
-                const dataContent = await fs.readFile(dataFilePath, 'utf8');
-                const jsonMatch = dataContent.match(/const\s+cvData\s*=\s*({[\s\S]*});/);
-                if (jsonMatch) {
-                    const cvData = JSON.parse(jsonMatch[1]);
-                    if (cvData.personalInfo) {
-                        const firstName = cvData.personalInfo.firstName || '';
-                        const lastName = cvData.personalInfo.lastName || '';
-                        if (firstName || lastName) {
-                            finalRepoName = `${firstName}-${lastName}`.toLowerCase()
-                                .replace(/[^a-z0-9-]/g, '-')
-                                .replace(/-+/g, '-')
-                                .replace(/^-|-$/g, '') + '-cv-test';
-                        }
-                    }
+                // Use the name from the stored CV data (sites no longer ship a data.js)
+                const fullName = siteRecord?.cv_data?.personalInfo?.name || '';
+                const slug = fullName.toLowerCase()
+                    .replace(/[^a-z0-9-]/g, '-')
+                    .replace(/-+/g, '-')
+                    .replace(/^-|-$/g, '');
+                if (slug) {
+                    finalRepoName = `${slug}-cv-test`;
                 }
             } catch (error) {
                 console.log('Could not extract name from CV data:', error.message);
@@ -632,28 +686,18 @@ router.post('/test-push-cv', verifyTokenEnhanced, ...githubRateLimitOnly, author
             has_wiki: false
         });
 
+        // Render canonical URL, OpenGraph tags and sitemap.xml for the Pages URL
+        const owner = req.user.github_username;
+        const expectedPagesUrl = getExpectedPagesUrl(owner, availableRepoName);
+        const siteFiles = await renderSiteForUrl(siteRecord, siteDirectory, expectedPagesUrl);
+
         // Upload all site files
-        const siteFiles = ['index.html', 'styles.css', 'script.js', 'data.js', 'README.md'];
         const uploadResults = [];
+        const uploadedShas = {};
 
         for (const fileName of siteFiles) {
-            const filePath = path.join(siteDirectory, fileName);
-            
             try {
-                // Check if file exists
-                await fs.access(filePath);
-                
-                // Read file content
-                const content = await fs.readFile(filePath, 'utf8');
-                
-                // Upload to GitHub
-                await octokit.rest.repos.createOrUpdateFileContents({
-                    owner: req.user.github_username,
-                    repo: availableRepoName,
-                    path: fileName,
-                    message: `Add ${fileName} - Test CV Landing Page`,
-                    content: Buffer.from(content).toString('base64')
-                });
+                uploadedShas[fileName] = await uploadSiteFile(octokit, owner, availableRepoName, siteDirectory, fileName);
                 
                 uploadResults.push({
                     file: fileName,
@@ -685,6 +729,24 @@ router.post('/test-push-cv', verifyTokenEnhanced, ...githubRateLimitOnly, author
             console.error('Failed to enable GitHub Pages:', error.message);
         }
 
+        // Pages may serve from a different URL (e.g. custom domain) - refresh the URL-dependent files
+        if (pagesUrl && templateProcessor.seoRenderer.normalizeSiteUrl(pagesUrl) !== expectedPagesUrl) {
+            console.log('GitHub Pages URL differs from expected, re-rendering for:', pagesUrl);
+            const renderedFiles = await renderSiteForUrl(siteRecord, siteDirectory, pagesUrl);
+
+            // Every language page links to the others by URL
+            const urlDependentFiles = renderedFiles.filter(fileName => fileName.endsWith('.html') || ['robots.txt', 'sitemap.xml'].includes(fileName));
+            for (const fileName of urlDependentFiles) {
+                try {
+                    uploadedShas[fileName] = await uploadSiteFile(
+                        octokit, owner, availableRepoName, siteDirectory, fileName, uploadedShas[fileName]
+                    );
+                } catch (error) {
+                    console.error(`Failed to update ${fileName} for Pages URL:`, error.message);
+                }
+            }
+        }
+
         const successfulUploads = uploadResults.filter(r => r.success).length;
         const failedUploads = uploadResults.filter(r => !r.success).length;
         const publishTime = Date.now() - publishStartTime;
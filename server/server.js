@@ -61,15 +61,37 @@ if (missingVars.length > 0) {
     process.exit(1);
 }
 
-// Validate LLM client type specific variables
-const llmClientType = process.env.LLM_CLIENT_TYPE || 'gemini';
-if (llmClientType === 'gemini' && !process.env.GEMINI_API_KEY) {
-    console.error('ERROR: GEMINI_API_KEY is required when LLM_CLIENT_TYPE=gemini');
+// Validate LLM provider specific variables (LLM_CLIENT_TYPE, or every provider in LLM_PROVIDER_CHAIN)
+const { getProviderChain } = require('./lib/intelligent-cv-processor');
+const llmProviderVars = {
+    gemini: 'GEMINI_API_KEY',
+    ollama: 'OLLAMA_BASE_URL',
+    openai: 'OPENAI_BASE_URL'
+};
+
+let llmProviders;
+try {
+    llmProviders = getProviderChain();
+} catch (error) {
+    console.error(`ERROR: ${error.message}`);
     process.exit(1);
 }
 
-if (llmClientType === 'ollama' && !process.env.OLLAMA_BASE_URL) {
-    console.error('ERROR: OLLAMA_BASE_URL is required when LLM_CLIENT_TYPE=ollama');
+llmProviders.forEach(provider => {
+    const envVar = llmProviderVars[provider];
+    if (envVar && !process.env[envVar]) {
+        console.error(`ERROR: ${envVar} is required when ${provider} is a configured LLM provider`);
+        process.exit(1);
+    }
+});
+
+// Validate the PII types redacted before CV text is sent to a cloud LLM
+const PiiRedactor = require('./lib/utils/pii-redactor');
+let piiTypes;
+try {
+    piiTypes = new PiiRedactor(PiiRedactor.getConfiguredTypes()).types;
+} catch (error) {
+    console.error(`ERROR: PII_REDACTION_TYPES - ${error.message}`);
     process.exit(1);
 }
 
@@ -406,6 +428,8 @@ const server = app.listen(PORT, async () => {
     console.info(`=================================`);
     console.info(`Configuration Status:`);
     console.info(`Gemini API: ${process.env.GEMINI_API_KEY ? 'Configured' : 'Missing'}`);
+    console.info(`LLM Providers: ${llmProviders.join(' → ')}`);
+    console.info(`PII Redaction: ${PiiRedactor.isEnabledForDeployment() ? 'All users' : 'Per user privacy setting'} (${piiTypes.join(', ')})`);
     console.info(`JWT Secret: ${process.env.JWT_SECRET ? 'Configured' : 'Missing'}`);
     console.info(`Database: ${process.env.DATABASE_URL ? 'Configured' : 'Missing'}`);
     console.info(`GitHub OAuth: ${process.env.GITHUB_CLIENT_ID ? 'Configured' : 'Missing'}`);
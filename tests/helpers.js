@@ -0,0 +1,120 @@
+// Test Helpers
+// Shared by the test scripts: check results, keep the output readable, and for the
+// scripts that send prompts to a stub LLM server, keep the api_usage table in memory.
+let failures = 0;
+
+function check(condition, message) {
+    if (condition) {
+        console.log(`✅ ${message}`);
+    } else {
+        failures++;
+        console.log(`❌ ${message}`);
+    }
+}
+
+/**
+ * How many checks failed so far
+ */
+function getFailures() {
+    return failures;
+}
+
+// Processors and clients log every step - keep the test output readable
+async function quietly(operation) {
+    const originalLog = console.log;
+    const originalWarn = console.warn;
+    const originalError = console.error;
+    console.log = () => {};
+    console.warn = () => {};
+    console.error = () => {};
+    try {
+        return await operation();
+    } finally {
+        console.log = originalLog;
+        console.warn = originalWarn;
+        console.error = originalError;
+    }
+}
+
+function copy(value) {
+    return JSON.parse(JSON.stringify(value));
+}
+
+function same(actual, expected) {
+    return JSON.stringify(actual) === JSON.stringify(expected);
+}
+
+async function withEnv(variables, operation) {
+    const original = {};
+    Object.entries(variables).forEach(([name, value]) => {
+        original[name] = process.env[name];
+        if (value === undefined) {
+            delete process.env[name];
+        } else {
+            process.env[name] = value;
+        }
+    });
+    try {
+        return await operation();
+    } finally {
+        Object.entries(original).forEach(([name, value]) => {
+            if (value === undefined) {
+                delete process.env[name];
+            } else {
+                process.env[name] = value;
+            }
+        });
+    }
+}
+
+/**
+ * api_usage in memory, answering the statements of trackApiUsage and checkApiLimits
+ * @param {Function} [otherQuery] - (sql, params) for any other statement; without it
+ *   other statements throw
+ * @returns {{rows: Object[], query: Function, usageOf: Function}}
+ */
+function createApiUsageStore(otherQuery = null) {
+    const rows = [];
+
+    const query = (sql, params) => {
+        if (sql.includes('UPDATE api_usage')) {
+            const [requestCount, tokenCount, userId, apiType, date] = params;
+            const row = rows.find(usage => usage.user_id === userId && usage.api_type === apiType && usage.usage_date === date);
+            if (row) {
+                row.request_count += requestCount;
+                row.token_count += tokenCount;
+            }
+            return { rows: row ? [row] : [] };
+        }
+        if (sql.includes('INSERT INTO api_usage')) {
+            const [user_id, api_type, usage_date, request_count, token_count] = params;
+            const row = { user_id, api_type, usage_date, request_count, token_count };
+            rows.push(row);
+            return { rows: [row] };
+        }
+        if (sql.includes('FROM api_usage')) {
+            const [userId, apiType, date] = params;
+            return { rows: rows.filter(usage => usage.user_id === userId && usage.api_type === apiType && usage.usage_date === date) };
+        }
+        if (otherQuery) {
+            return otherQuery(sql, params);
+        }
+        throw new Error(`Unexpected query: ${sql}`);
+    };
+
+    // The user's first row for a provider - the tests run within one day
+    const usageOf = (userId, apiType) =>
+        rows.find(usage => usage.user_id === userId && usage.api_type === apiType) || { request_count: 0, token_count: 0 };
+
+    return { rows, query, usageOf };
+}
+
+module.exports = {
+    check,
+    getFailures,
+    quietly,
+    copy,
+    same,
+    withEnv,
+    createApiUsageStore
+};
@@ -0,0 +1,204 @@
+// Achievement Coach Test
+// Weak experience bullets are flagged by rules, the LLM suggests rewrites and asks for
+// the missing figures, and the answers are merged back into the experience entries,
+// with every step kept in the review's session.
+const http = require('http');
+const { check, getFailures, quietly, copy, withEnv, createApiUsageStore } = require('./helpers');
+
+// api_usage and cv_processing_sessions in memory, read and written through the database client
+const apiUsage = createApiUsageStore();
+const sessions = [];
+const database = require('../server/database/index');
+database.query = async (sql, params = []) => (sql.includes('cv_processing_sessions') ? sessionsQuery(sql, params) : apiUsage.query(sql, params));
+
+const AchievementCoach = require('../server/lib/achievement-coach');
+const OpenAICompatibleClient = require('../server/lib/utils/openai-compatible-client');
+const { ACHIEVEMENT_COACH, PII_REDACTION } = require('../server/constants');
+
+const EXPERIENCE = [
+    {
+        title: 'Backend Developer',
+        company: 'Paylane',
+        achievements: [
+            'Responsible for the payments API',
+            'Reduced checkout latency by 40% by caching exchange rates',
+            'Worked on onboarding emails'
+        ]
+    },
+    {
+        title: 'Support Engineer',
+        company: 'Helpdesk Co',
+        achievements: ['Architected a ticket triage bot', 'Launch dashboards used by 3 teams']
+    }
+];
+
+/**
+ * The statements of CVSessionService used by the review
+ */
+function sessionsQuery(sql, params) {
+    if (sql.includes('INSERT INTO cv_processing_sessions')) {
+        const [user_id, cv_text_preview, metadata] = params;
+        const row = {
+            id: `00000000-0000-4000-8000-00000000000${sessions.length + 1}`,
+            user_id,
+            cv_text_preview,
+            session_data: {},
+            step_count: 0,
+            current_step: null,
+            processing_metadata: JSON.parse(metadata),
+            created_at: new Date().toISOString()
+        };
+        sessions.push(row);
+        return { rows: [row] };
+    }
+    if (sql.includes('UPDATE cv_processing_sessions')) {
+        const [sessionId, step, stepName] = params;
+        const row = sessions.find(session => session.id === sessionId);
+        Object.assign(row.session_data, JSON.parse(step));
+        row.step_count++;
+        row.current_step = stepName;
+        return { rows: [] };
+    }
+    if (sql.includes('FROM cv_processing_sessions')) {
+        const [sessionId, userId] = params;
+        return { rows: copy(sessions.filter(session => session.id === sessionId && session.user_id === userId)) };
+    }
+    throw new Error(`Unexpected query: ${sql}`);
+}
+
+/**
+ * What a model would answer to the review and the answers prompts
+ */
+function modelReply(prompt) {
+    if (prompt.startsWith('Review these achievement bullets')) {
+        return '```json\n' + JSON.stringify({
+            bullets: [
+                { id: '0.0', suggestion: 'Built and ran the payments API handling [number of transactions] a day', questions: ['How many transactions a day?', 'How many merchants used it?', 'What uptime did it reach?', 'Which stack?'] },
+                { id: '0.2', suggestion: 'Launched onboarding emails that raised activation by [percentage]', questions: ['By how much did activation change?'] },
+                { id: '9.9', suggestion: 'Not one of the bullets', questions: ['Ignored?'] }
+            ]
+        }, null, 2) + '\n```';
+    }
+    return JSON.stringify({
+        bullets: [
+            { id: '0.0', text: 'Built and ran the payments API for 1,200 merchants, processing 50,000 transactions a day' },
+            { id: '0.2', text: 'Worked on onboarding emails' }
+        ]
+    });
+}
+
+function startServer() {
+    const prompts = [];
+    const server = http.createServer((req, res) => {
+        let raw = '';
+        req.on('data', chunk => { raw += chunk; });
+        req.on('end', () => {
+            const prompt = JSON.parse(raw).messages.map(message => message.content).join('\n');
+            prompts.push(prompt);
+            res.writeHead(200, { 'Content-Type': 'application/json' });
+            res.end(JSON.stringify({
+                id: 'chatcmpl-test',
+                object: 'chat.completion',
+                choices: [{ index: 0, message: { role: 'assistant', content: modelReply(prompt) }, finish_reason: 'stop' }],
+                usage: { prompt_tokens: 400, completion_tokens: 100, total_tokens: 500 }
+            }));
+        });
+    });
+
+    return new Promise(resolve => server.listen(0, '127.0.0.1', () => resolve({
+        url: `http://127.0.0.1:${server.address().port}`,
+        prompts,
+        close: () => new Promise(done => server.close(done))
+    })));
+}
+
+async function testAchievementCoach() {
+    console.log('=== ACHIEVEMENT COACH TEST ===\n');
+    const server = await startServer();
+    const client = await quietly(() => new OpenAICompatibleClient({ baseUrl: `${server.url}/v1`, model: 'qwen2.5-7b-instruct', maxRetries: 1 }));
+    const coach = await quietly(() => new AchievementCoach({ provider: 'openai', client }));
+
+    console.log('1️⃣  Flagging weak bullets...');
+    const bullets = coach.analyze(EXPERIENCE);
+    const issuesOf = id => bullets.find(bullet => bullet.id === id).issues.join();
+    check(bullets.length === 5 && bullets[0].role === 'Backend Developer at Paylane', 'Every achievement is analyzed with its role');
+    check(issuesOf('0.0') === 'no-metric,weak-verb' && issuesOf('0.2') === 'no-metric,weak-verb', 'Duty statements lack both a metric and an action verb');
+    check(issuesOf('0.1') === '', 'A bullet with an action verb and a percentage is strong');
+    check(issuesOf('1.0') === 'no-metric' && issuesOf('1.1') === '', 'Other past tenses and present forms count as action verbs');
+    check(coach.findIssues('Helped increase sales by $2M').join() === 'weak-verb' &&
+        coach.findIssues('Grew revenue to millions').length === 0, 'Weak verbs are flagged; amounts in words are measurable');
+
+    console.log('\n2️⃣  Reviewing with the LLM...');
+    const review = await quietly(() => coach.review('user-1', copy(EXPERIENCE)));
+    const prompt = server.prompts[0];
+    check(server.prompts.length === 1 && prompt.includes('"id": "0.0"') && prompt.includes('"id": "1.0"') &&
+        !prompt.includes('Reduced checkout latency'), 'Only the weak bullets are sent, in one request');
+    check(prompt.includes('never invent numbers'), 'The model is told to use placeholders instead of inventing figures');
+    const payments = review.bullets.find(bullet => bullet.id === '0.0');
+    check(payments.suggestion.startsWith('Built and ran') && payments.questions.length === ACHIEVEMENT_COACH.MAX_QUESTIONS &&
+        payments.questions[0].id === '0.0-1' && payments.questions[0].text === 'How many transactions a day?', 'Suggestions come with numbered questions');
+    check(review.bullets.find(bullet => bullet.id === '1.0').suggestion === null && !review.bullets.some(bullet => bullet.id === '9.9'),
+        'Bullets the model skipped have no suggestion; ids it made up are ignored');
+    check(review.summary.total === 5 && review.summary.weak === 3 && review.summary.noMetric === 3 && review.summary.weakVerb === 2,
+        'The summary counts the issues');
+    check(apiUsage.usageOf('user-1', 'openai').request_count === 1 && apiUsage.usageOf('user-1', 'openai').token_count === 500, 'The review counts against the daily limits');
+
+    const session = sessions.find(row => row.id === review.sessionId);
+    check(session && session.user_id === 'user-1' && session.processing_metadata.type === ACHIEVEMENT_COACH.SESSION_TYPE &&
+        session.session_data.achievement_analysis.data.bullets.length === 5, 'The analysis is the first step of the review session');
+
+    console.log('\n3️⃣  Merging answers...');
+    const answered = await quietly(() => coach.applyAnswers('user-1', review.sessionId, [
+        { questionId: '0.0-1', answer: '50,000' },
+        { questionId: '0.0-2', answer: 'About 1,200' },
+        { questionId: '0.2-1', answer: 'Not sure' },
+        { questionId: '7.0-1', answer: 'Not a question of this review' }
+    ]));
+    const answersPrompt = server.prompts[1];
+    check(answersPrompt.includes('"question": "How many transactions a day?"') && answersPrompt.includes('"answer": "50,000"') &&
+        !answersPrompt.includes('Not a question'), 'The answers go to the model with their questions');
+    check(answered.experience[0].achievements[0] === 'Built and ran the payments API for 1,200 merchants, processing 50,000 transactions a day',
+        'The rewritten bullet replaces the one in the experience entry');
+    check(answered.experience[0].achievements[1] === EXPERIENCE[0].achievements[1] && answered.experience[1].title === 'Support Engineer',
+        'Everything else in the entries is kept');
+    check(answered.changes.length === 1 && answered.changes[0].bulletId === '0.0' && answered.changes[0].before === 'Responsible for the payments API',
+        'Only bullets the model changed are reported as changes');
+
+    const round = session.session_data.achievement_answers_1;
+    check(round && round.data.answers.length === 3 && round.data.answers[0].question === 'How many transactions a day?' &&
+        round.data.changes.length === 1 && round.data.experience[0].achievements[0] === answered.experience[0].achievements[0],
+    'The answers, the changes and the new entries are a step of the session');
+
+    await quietly(() => coach.applyAnswers('user-1', review.sessionId, [{ questionId: '0.0-3', answer: '99.95%' }]));
+    check(server.prompts[2].includes('"text": "Built and ran the payments API for 1,200 merchants') && session.session_data.achievement_answers_2,
+        'A second round starts from the entries the first one left');
+
+    console.log('\n4️⃣  History and access...');
+    const history = await coach.getHistory('user-1', review.sessionId);
+    check(history.steps.map(step => step.step).join() === 'achievement_analysis,achievement_answers_1,achievement_answers_2',
+        'The history lists every step in order');
+    const foreign = await coach.getHistory('user-2', review.sessionId).catch(error => error);
+    check(foreign.status === 404, 'Another user cannot see the review');
+    const unanswered = await quietly(() => coach.applyAnswers('user-1', review.sessionId, [{ questionId: '7.0-1', answer: 'x' }]).catch(error => error));
+    check(unanswered.status === 400 && server.prompts.length === 3, 'Answers to unknown questions are refused without a request');
+
+    const strong = await quietly(() => new AchievementCoach({ provider: null }).review('user-3', [EXPERIENCE[0]].map(entry => ({ ...entry, achievements: [entry.achievements[1]] }))));
+    check(strong.summary.weak === 0 && strong.tokenUsage === null, 'Strong bullets need no LLM, even where none is configured');
+    const unavailable = await quietly(() => new AchievementCoach({ provider: null }).review('user-3', copy(EXPERIENCE)).catch(error => error));
+    check(unavailable.status === 503, 'Weak bullets without an LLM answer 503');
+
+    const contact = [{ ...EXPERIENCE[0], achievements: ['Answered the support@paylane.com mailbox'] }];
+    await withEnv({ PII_REDACTION: 'true' }, () => quietly(() => coach.review('user-4', contact)));
+    check(!server.prompts[3].includes('support@paylane.com') && server.prompts[3].includes('Answered the [EMAIL_1] mailbox') &&
+        server.prompts[3].includes(PII_REDACTION.PROMPT_INSTRUCTION), 'Contact details in the bullets are redacted when asked for');
+
+    await server.close();
+
+    console.log(getFailures() === 0 ? '\n🎉 ALL ACHIEVEMENT COACH TESTS PASSED' : `\n💥 ${getFailures()} ACHIEVEMENT COACH CHECK(S) FAILED`);
+    process.exitCode = getFailures() === 0 ? 0 : 1;
+}
+
+testAchievementCoach().catch(error => {
+    console.error('💥 Test execution failed:', error);
+    process.exitCode = 1;
+});
@@ -0,0 +1,239 @@
+// CV Tailoring Test
+// A copy of the CV is aimed at a pasted job description: the LLM rewrites the summary
+// and the relevant experience, skills and achievements are reordered by the job's
+// keywords, and the gap report says which keywords the original CV already has.
+const http = require('http');
+const { check, getFailures, quietly, copy, withEnv, createApiUsageStore } = require('./helpers');
+
+// api_usage and user_sites in memory, read and written through the database client
+const apiUsage = createApiUsageStore();
+const sites = [];
+const database = require('../server/database/index');
+database.query = async (sql, params = []) => (sql.includes('user_sites') ? sitesQuery(sql, params) : apiUsage.query(sql, params));
+
+const CVTailor = require('../server/lib/cv-tailor');
+const TemplateProcessor = require('../server/lib/template-processor');
+const SectionRenderer = require('../server/lib/section-renderer');
+const InputSanitizer = require('../server/lib/utils/input-sanitizer');
+const OpenAICompatibleClient = require('../server/lib/utils/openai-compatible-client');
+const { saveGeneratedSite, getSiteVariants } = require('../server/database/services');
+const { CV_TAILORING, PII_REDACTION } = require('../server/constants');
+
+const CV = {
+    personalInfo: {
+        name: 'Jane Doe',
+        email: 'jane@example.com',
+        phone: '+31 6 12345678',
+        currentTitle: 'Backend Developer',
+        summary: 'Backend developer who likes clean APIs.'
+    },
+    experience: [
+        {
+            title: 'Backend Developer',
+            company: 'Paylane',
+            description: 'Worked on the payments platform.',
+            achievements: [
+                'Ran the weekly release train',
+                'Moved the payments API to Node.js and PostgreSQL',
+                'Cut checkout latency by 40% with Redis caching'
+            ]
+        },
+        {
+            title: 'Support Engineer',
+            company: 'Helpdesk Co',
+            description: 'Answered customer tickets.',
+            achievements: ['Wrote the triage handbook']
+        }
+    ],
+    skills: {
+        technical: ['Java', 'Python', 'PostgreSQL', 'Node.js', 'C++'],
+        soft: ['Mentoring', 'Communication'],
+        languages: ['English', 'Dutch']
+    },
+    education: [{ degree: 'BSc Computer Science', institution: 'TU Delft' }],
+    projects: [{ name: 'Ledger', description: 'Double-entry bookkeeping library', technologies: ['TypeScript'] }],
+    certifications: [{ name: 'AWS Certified Developer' }]
+};
+
+const JOB_DESCRIPTION = `Senior Backend Engineer at Finbird. You will build payment services in Node.js
+and PostgreSQL, run them on Kubernetes and mentor two developers. Experience with Redis and
+strong communication skills are a plus.`;
+
+/**
+ * The user_sites statements of saveGeneratedSite and getSiteVariants
+ */
+function sitesQuery(sql, params) {
+    if (sql.includes('INSERT INTO user_sites')) {
+        const [id, user_id, site_name, repo_name, github_url, cv_data, html_content, css_content, folder_path, template_id, theme, parent_site_id, tailoring] = params;
+        const row = {
+            id, user_id, site_name, repo_name, github_url, cv_data, html_content, css_content, folder_path, template_id,
+            theme: JSON.parse(theme),
+            parent_site_id,
+            tailoring: tailoring === null ? null : JSON.parse(tailoring),
+            deployment_status: 'pending',
+            created_at: new Date(Date.now() + sites.length).toISOString()
+        };
+        sites.push(row);
+        return { rows: [row] };
+    }
+    if (sql.includes('WHERE parent_site_id = $1')) {
+        return {
+            rows: sites.filter(site => site.parent_site_id === params[0])
+                .sort((a, b) => b.created_at.localeCompare(a.created_at))
+        };
+    }
+    throw new Error(`Unexpected query: ${sql}`);
+}
+
+/**
+ * What a model would answer to the tailoring prompt; "garbage" in the job description
+ * makes it answer without JSON
+ */
+function modelReply(prompt) {
+    if (prompt.includes('garbage')) {
+        return 'I would be happy to help you tailor your CV!';
+    }
+    return '```json\n' + JSON.stringify({
+        jobTitle: '  Senior Backend Engineer ',
+        company: 'Finbird',
+        keywords: ['Node.js', 'PostgreSQL', 'Kubernetes', 'node.js', 'Redis', 'mentoring', 'communication', '', 'x'.repeat(CV_TAILORING.MAX_KEYWORD_LENGTH + 1)],
+        summary: 'Backend engineer who builds payment APIs in   Node.js and PostgreSQL.',
+        experience: [
+            { index: 0, description: 'Built the payments platform in Node.js and PostgreSQL.' },
+            { index: 7, description: 'Not one of the entries' },
+            { index: 1, description: '   ' }
+        ]
+    }, null, 2) + '\n```';
+}
+
+function startServer() {
+    const prompts = [];
+    const server = http.createServer((req, res) => {
+        let raw = '';
+        req.on('data', chunk => { raw += chunk; });
+        req.on('end', () => {
+            const prompt = JSON.parse(raw).messages.map(message => message.content).join('\n');
+            prompts.push(prompt);
+            res.writeHead(200, { 'Content-Type': 'application/json' });
+            res.end(JSON.stringify({
+                id: 'chatcmpl-test',
+                object: 'chat.completion',
+                choices: [{ index: 0, message: { role: 'assistant', content: modelReply(prompt) }, finish_reason: 'stop' }],
+                usage: { prompt_tokens: 600, completion_tokens: 150, total_tokens: 750 }
+            }));
+        });
+    });
+
+    return new Promise(resolve => server.listen(0, '127.0.0.1', () => resolve({
+        url: `http://127.0.0.1:${server.address().port}`,
+        prompts,
+        close: () => new Promise(done => server.close(done))
+    })));
+}
+
+async function testCVTailoring() {
+    console.log('=== CV TAILORING TEST ===\n');
+    const server = await startServer();
+    const client = await quietly(() => new OpenAICompatibleClient({ baseUrl: `${server.url}/v1`, model: 'qwen2.5-7b-instruct', maxRetries: 1 }));
+    const tailor = await quietly(() => new CVTailor({ provider: 'openai', client }));
+
+    console.log('1️⃣  Matching keywords...');
+    check(tailor.mentions('Node.js and PostgreSQL', 'node.js') && tailor.mentions('C++ and Go', 'C++'),
+        'Keywords match whole words regardless of case and punctuation');
+    check(!tailor.mentions('JavaScript developer', 'Java') && !tailor.mentions('C++ developer', 'C'),
+        'A keyword inside a longer term does not match');
+    check(tailor.mentions('Entwicklung mit Größe', 'Größe') && !tailor.mentions('Übergrößen', 'größe'),
+        'Words with accents are whole words too');
+    check(tailor.byRelevance(['a', 'b', 'c', 'd'], item => (item === 'c' || item === 'd' ? 1 : 0)).join('') === 'cdab',
+        'Relevant items move to the front and keep their order');
+
+    console.log('\n2️⃣  Tailoring a CV...');
+    const original = copy(CV);
+    const result = await quietly(() => tailor.tailor('user-1', CV, JOB_DESCRIPTION));
+    const prompt = server.prompts[0];
+    check(prompt.includes('Senior Backend Engineer at Finbird') && prompt.includes('"index": 1'),
+        'The prompt holds the job description and the indexed experience');
+    check(!prompt.includes('jane@example.com') && !prompt.includes('+31 6') && !prompt.includes('Jane Doe'),
+        'No contact details are sent to the model');
+    check(result.jobTitle === 'Senior Backend Engineer' && result.company === 'Finbird', 'The role and company are named');
+    check(result.cvData.personalInfo.summary === 'Backend engineer who builds payment APIs in Node.js and PostgreSQL.' &&
+        result.cvData.personalInfo.email === 'jane@example.com', 'The summary is rewritten and the contact details kept');
+    check(result.cvData.experience[0].description === 'Built the payments platform in Node.js and PostgreSQL.' &&
+        result.cvData.experience[1].description === 'Answered customer tickets.',
+        'Relevant descriptions are rewritten; empty and unknown rewrites are ignored');
+    check(result.cvData.experience[0].achievements.join('|') ===
+        'Moved the payments API to Node.js and PostgreSQL|Cut checkout latency by 40% with Redis caching|Ran the weekly release train',
+        'Achievements with the most keywords come first');
+    check(result.cvData.skills.technical.join() === 'PostgreSQL,Node.js,Java,Python,C++' &&
+        result.cvData.skills.soft.join() === 'Mentoring,Communication' &&
+        result.cvData.skills.languages.join() === 'English,Dutch',
+        'Skills the job asks for move to the front; languages keep their order');
+    check(JSON.stringify(CV) === JSON.stringify(original), 'The original CV is left as it was');
+
+    console.log('\n3️⃣  Keyword gap report...');
+    const { report } = result;
+    check(report.keywords.map(entry => entry.keyword).join() === 'Node.js,PostgreSQL,Kubernetes,Redis,mentoring,communication',
+        'Keywords are trimmed of repeats, empty and overlong entries');
+    check(report.missing.join() === 'Kubernetes' && report.matched.length === 5, 'Kubernetes is the gap');
+    const nodeEntry = report.keywords.find(entry => entry.keyword === 'Node.js');
+    check(nodeEntry.sections.join() === 'experience,skills', 'Each keyword lists the sections it was found in');
+    check(report.coverage === 0.83, 'Coverage is the share of keywords found');
+    check(!report.keywords.find(entry => entry.keyword === 'Node.js').sections.includes('summary'),
+        'The report checks the original CV, not the rewritten summary');
+    check(tailor.buildKeywordReport([], CV).coverage === 1, 'No keywords means nothing is missing');
+
+    console.log('\n4️⃣  Limits and errors...');
+    check(apiUsage.usageOf('user-1', 'openai').request_count === 1 && apiUsage.usageOf('user-1', 'openai').token_count === 750,
+        'The request and its tokens are counted against the user');
+    const unreadable = await quietly(() => tailor.tailor('user-1', CV, `${JOB_DESCRIPTION} garbage`).catch(error => error));
+    check(unreadable.status === 502 && apiUsage.usageOf('user-1', 'openai').request_count === 2,
+        'An answer without JSON is a 502 and still counted');
+    const unavailable = await quietly(() => new CVTailor({ provider: null }).tailor('user-1', CV, JOB_DESCRIPTION).catch(error => error));
+    check(unavailable.status === 503 && server.prompts.length === 2, 'Without an LLM the request is refused with 503');
+
+    const contactCv = copy(CV);
+    contactCv.personalInfo.summary = 'Backend developer - reach me at jane@example.com.';
+    await withEnv({ PII_REDACTION: 'true' }, () => quietly(() => tailor.tailor('user-1', contactCv, JOB_DESCRIPTION)));
+    check(!server.prompts[2].includes('jane@example.com') && server.prompts[2].includes('reach me at [EMAIL_1]') &&
+        server.prompts[2].includes(PII_REDACTION.PROMPT_INSTRUCTION), 'Contact details in the CV text are redacted when asked for');
+
+    console.log('\n5️⃣  Variants in user_sites...');
+    const parent = await quietly(() => saveGeneratedSite({
+        id: '11111111-1111-4111-8111-111111111111', user_id: 'user-1', name: 'Jane Doe CV Landing Page', structured_data: CV, template_id: 'professional'
+    }));
+    check(parent.parent_site_id === null && parent.tailoring === null, 'An ordinary site has no parent or tailoring');
+    const variant = await quietly(() => saveGeneratedSite({
+        id: '22222222-2222-4222-8222-222222222222', user_id: 'user-1', name: 'Jane Doe CV - Senior Backend Engineer at Finbird',
+        structured_data: result.cvData, template_id: 'professional', parent_site_id: parent.id,
+        tailoring: { jobTitle: result.jobTitle, company: result.company, report }
+    }));
+    check(variant.parent_site_id === parent.id && variant.tailoring.report.missing.join() === 'Kubernetes',
+        'A variant is linked to its original with its keyword report');
+    const variants = await quietly(() => getSiteVariants(parent.id));
+    check(variants.length === 1 && variants[0].id === variant.id, 'The original lists its variants');
+
+    console.log('\n6️⃣  Escaping a saved CV once...');
+    const saved = InputSanitizer.sanitizeCVData({
+        ...copy(CV),
+        personalInfo: { ...copy(CV.personalInfo), name: 'Conor O\'Brien' },
+        experience: [{ ...copy(CV.experience[0]), company: 'AT&T' }, copy(CV.experience[1])]
+    });
+    const finalData = await quietly(() => new TemplateProcessor().buildFinalDataStructure(saved));
+    const escaped = await quietly(() => tailor.tailor('user-1', finalData, JOB_DESCRIPTION));
+    check(escaped.cvData.personalInfo.name === 'Conor O&#x27;Brien' && escaped.cvData.experience[0].company === 'AT&amp;T',
+        'Names and companies keep the escaping they were saved with');
+    const experienceHtml = new SectionRenderer().renderSections(escaped.cvData).EXPERIENCE_ITEMS;
+    check(experienceHtml.includes('AT&amp;T') && !experienceHtml.includes('&amp;amp;'), 'The variant shows an apostrophe and an ampersand as written');
+    check(escaped.cvData.personalInfo.summary === 'Backend engineer who builds payment APIs in Node.js and PostgreSQL.',
+        'The rewritten summary is sanitized');
+
+    await server.close();
+
+    console.log(getFailures() === 0 ? '\n🎉 ALL CV TAILORING TESTS PASSED' : `\n💥 ${getFailures()} CV TAILORING CHECK(S) FAILED`);
+    process.exitCode = getFailures() === 0 ? 0 : 1;
+}
+
+testCVTailoring().catch(error => {
+    console.error('💥 Test execution failed:', error);
+    process.exitCode = 1;
+});
@@ -0,0 +1,108 @@
+// Document Assets Test
+// Reads hyperlinks and the embedded photo from PDF and DOCX fixture CVs, and
+// checks confirmed links reach the rendered site.
+const fs = require('fs');
+const path = require('path');
+const { check, getFailures, quietly, same } = require('./helpers');
+
+const DocumentAssetsExtractor = require('../server/lib/document-assets-extractor');
+const IntelligentCVProcessorBase = require('../server/lib/intelligent-cv-processor-base');
+const SectionRenderer = require('../server/lib/section-renderer');
+const InputSanitizer = require('../server/lib/utils/input-sanitizer');
+
+const LINKS_PDF = path.join(__dirname, 'fixtures', 'cv-with-links.pdf');
+const LINKS_DOCX = path.join(__dirname, 'fixtures', 'cv-with-links.docx');
+
+const EXPECTED_LINKS = [
+    ['https://www.linkedin.com/in/maya-shapiro', 'linkedin'],
+    ['https://github.com/mayashapiro', 'github'],
+    ['https://mayashapiro.dev', 'website'],
+    ['https://doi.org/10.1145/3313831.3376000', null]
+];
+
+// Width and height of a baseline JPEG from its SOF0 marker
+function jpegSize(dataUri) {
+    const jpeg = Buffer.from(dataUri.split(',')[1], 'base64');
+    const marker = jpeg.indexOf(Buffer.from([0xff, 0xc0]));
+    return marker === -1 ? null : { width: jpeg.readUInt16BE(marker + 7), height: jpeg.readUInt16BE(marker + 5) };
+}
+
+function checkCandidates(candidates) {
+    check(same(candidates.links.map(link => [link.url, link.field]), EXPECTED_LINKS),
+        'Links are found in order with suggested fields, mailto: is skipped');
+    check(candidates.links[0].text === 'LinkedIn' && candidates.links[2].text === 'Portfolio', 'Link text is kept');
+    check(candidates.profilePicture.startsWith('data:image/jpeg;base64,'), 'Photo is returned as a JPEG data URI');
+    check(same(jpegSize(candidates.profilePicture), { width: 200, height: 240 }), 'The head shot is picked, not the icon');
+}
+
+async function testDocumentAssets() {
+    console.log('=== DOCUMENT ASSETS TEST ===\n');
+    const extractor = new DocumentAssetsExtractor();
+
+    console.log('1️⃣  Extracting a PDF with link annotations and a photo...');
+    checkCandidates(await extractor.extract(fs.readFileSync(LINKS_PDF), 'application/pdf'));
+
+    console.log('\n2️⃣  Extracting a DOCX with hyperlinks and a photo...');
+    checkCandidates(await extractor.extract(fs.readFileSync(LINKS_DOCX),
+        'application/vnd.openxmlformats-officedocument.wordprocessingml.document'));
+
+    console.log('\n3️⃣  Classifying links...');
+    const classified = extractor.classifyLinks([
+        { url: 'https://github.com/someone/some-repo', text: 'Repo' },
+        { url: 'https://github.com/someone/', text: 'GitHub' },
+        { url: 'https://www.linkedin.com/company/acme', text: 'Acme' },
+        { url: 'https://first.example.com/', text: 'Blog' },
+        { url: 'https://second.example.com', text: 'Shop' },
+        { url: 'https://first.example.com', text: 'Blog again' },
+        { url: 'javascript:alert(1)', text: 'Bad' }
+    ]);
+    check(same(classified.map(link => [link.url, link.field]), [
+        ['https://github.com/someone/some-repo', null],
+        ['https://github.com/someone/', 'github'],
+        ['https://www.linkedin.com/company/acme', null],
+        ['https://first.example.com', 'website'],
+        ['https://second.example.com', null]
+    ]), 'Repositories and company pages are not profiles, duplicates and unsafe links are dropped');
+    check(await extractor.extract(Buffer.from('plain text'), 'text/plain') === null, 'Other formats have no candidates');
+    const undecodedPage = {
+        getOperatorList: async () => ({ fnArray: [1], argsArray: [['img_p0_1']] }),
+        objs: { get: () => {} }
+    };
+    check(await extractor.findPdfPhoto(undecodedPage, { OPS: { paintImageXObject: 1 } }) === '',
+        'An image that never decodes is skipped instead of hanging');
+
+    console.log('\n4️⃣  Extracting through the CV processor...');
+    const processor = await quietly(() => new IntelligentCVProcessorBase());
+    const document = await quietly(() => processor.extractDocument(LINKS_PDF, 'application/pdf'));
+    check(document.text.includes('Maya Shapiro') && document.candidates.links.length === EXPECTED_LINKS.length,
+        'PDF uploads return text and candidates');
+    processor.assetsExtractor.extract = async () => {
+        throw new Error('corrupt image');
+    };
+    const withoutCandidates = await quietly(() => processor.extractDocument(LINKS_PDF, 'application/pdf'));
+    check(withoutCandidates.text === document.text && withoutCandidates.candidates === null,
+        'A failed candidate extraction does not fail the upload');
+
+    console.log('\n5️⃣  Rendering confirmed links...');
+    const personalInfo = InputSanitizer.sanitizeCVData({
+        personalInfo: {
+            name: 'Maya Shapiro',
+            linkedin: 'https://www.linkedin.com/in/maya-shapiro',
+            github: 'https://github.com/mayashapiro',
+            website: 'javascript:alert(1)'
+        }
+    }).personalInfo;
+    check(personalInfo.linkedin && personalInfo.github && !personalInfo.website, 'Sanitizer keeps safe profile links only');
+    const html = new SectionRenderer().renderProfileLinks(personalInfo);
+    check(html.includes('id="quick-linkedin" href="https://www.linkedin.com/in/maya-shapiro"') &&
+        html.includes('id="quick-github"') && !html.includes('quick-website'), 'Hero shows a link per confirmed field');
+    check(new SectionRenderer().renderProfileLinks({}) === '', 'No links render nothing');
+
+    console.log(getFailures() === 0 ? '\n🎉 ALL DOCUMENT ASSETS TESTS PASSED' : `\n💥 ${getFailures()} DOCUMENT ASSETS CHECK(S) FAILED`);
+    process.exitCode = getFailures() === 0 ? 0 : 1;
+}
+
+testDocumentAssets().catch(error => {
+    console.error('💥 Test execution failed:', error);
+    process.exitCode = 1;
+});
@@ -0,0 +1,83 @@
+// DOCX Export Test
+// Renders the fixture CV to Word and reads it back with mammoth (the same
+// library extractFromWord uses), so edited content round-trips.
+const fs = require('fs');
+const path = require('path');
+const JSZip = require('jszip');
+const mammoth = require('mammoth');
+const { check, getFailures } = require('./helpers');
+
+const TemplateProcessor = require('../server/lib/template-processor');
+const InputSanitizer = require('../server/lib/utils/input-sanitizer');
+const DateParserUtils = require('../server/lib/utils/date-parser-utils');
+
+const FIXTURE_CV = path.join(__dirname, 'fixtures', 'sample-cv.json');
+
+function loadFixture() {
+    return InputSanitizer.sanitizeCVData(JSON.parse(fs.readFileSync(FIXTURE_CV, 'utf8')));
+}
+
+async function renderDocx(cvData, options) {
+    // Template processor is chatty - keep the test output readable
+    const originalLog = console.log;
+    console.log = () => {};
+    try {
+        const buffer = await new TemplateProcessor().generateDocx(cvData, options);
+        const [html, text] = await Promise.all([
+            mammoth.convertToHtml({ buffer }),
+            mammoth.extractRawText({ buffer })
+        ]);
+        return { buffer, html: html.value, text: text.value };
+    } finally {
+        console.log = originalLog;
+    }
+}
+
+async function testDocxExport() {
+    console.log('=== DOCX EXPORT TEST ===\n');
+
+    console.log('1️⃣  Checking date formatting...');
+    check(DateParserUtils.formatDate('2021-03') === 'Mar 2021', 'YYYY-MM is formatted');
+    check(DateParserUtils.formatDate('3/2021') === 'Mar 2021', 'MM/YYYY is formatted');
+    check(DateParserUtils.formatDate('present') === 'Present', 'Present is normalized');
+    check(DateParserUtils.formatDate('Summer 2020') === 'Summer 2020', 'Unknown formats are kept');
+    check(DateParserUtils.formatDateRange('2019-03', '') === 'Mar 2019', 'Missing end dates are skipped');
+
+    console.log('\n2️⃣  Rendering fixture CV...');
+    const { buffer, html, text } = await renderDocx(loadFixture());
+    const zip = await JSZip.loadAsync(buffer);
+    const documentXml = await zip.file('word/document.xml').async('string');
+    check(!!zip.file('[Content_Types].xml'), 'Output is a DOCX package');
+    check(documentXml.includes('w:w="11906"'), 'A4 is the default page size');
+
+    console.log('\n3️⃣  Checking document structure...');
+    const headings = [...html.matchAll(/<h1>(.*?)<\/h1>/g)].map(match => match[1]);
+    check(JSON.stringify(headings) === JSON.stringify(['Summary', 'Experience', 'Skills', 'Education', 'Projects', 'Certifications']),
+        'Sections are Word headings in landing page order');
+    check(html.includes('<h2>Senior Backend Engineer - AT&amp;T Labs</h2>'), 'Jobs are sub-headings with decoded entities');
+    check(html.includes('<li>Led migration of 12 services to Kubernetes</li>'), 'Achievements are Word bullet lists');
+    check(text.includes('Tel Aviv | Mar 2019 - Jun 2024'), 'Date ranges are formatted');
+    check(!text.includes('Improved onboarding flow'), 'Achievement-like experience entries are skipped');
+    check(html.includes('<a href="https://github.com/example/pg-migrate-lite">'), 'Project links are hyperlinks');
+    check(!text.includes('javascript:'), 'Unsafe project URLs are dropped');
+
+    console.log('\n4️⃣  Checking edited content and options...');
+    const edited = {
+        ...loadFixture(),
+        _hasEditedContent: true,
+        skillsText: 'Technical Skills:\nGo, Rust\n\nSoft Skills:\nLeadership'
+    };
+    const editedDocx = await renderDocx(edited, { pageSize: 'LETTER' });
+    check(editedDocx.text.includes('Technical: Go, Rust') && !editedDocx.text.includes('Node.js'),
+        'Edited skills text replaces the original skills');
+    const editedXml = await (await JSZip.loadAsync(editedDocx.buffer)).file('word/document.xml').async('string');
+    check(editedXml.includes('w:w="12240"'), 'Letter page size is applied');
+
+    console.log(getFailures() === 0 ? '\n🎉 ALL DOCX EXPORT TESTS PASSED' : `\n💥 ${getFailures()} DOCX EXPORT CHECK(S) FAILED`);
+    process.exitCode = getFailures() === 0 ? 0 : 1;
+}
+
+testDocxExport().catch(error => {
+    console.error('💥 Test execution failed:', error);
+    process.exitCode = 1;
+});
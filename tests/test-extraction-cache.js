@@ -0,0 +1,183 @@
+// Extraction Cache Test
+// Uploads are hashed, finished extractions are kept with their upload, and a re-upload
+// of the same CV by the same user reuses them until the prompt version or providers change.
+const fs = require('fs');
+const path = require('path');
+const { check, getFailures, quietly, copy, withEnv } = require('./helpers');
+
+// file_uploads in memory, read and written through the database client
+const uploads = [];
+const database = require('../server/database/index');
+database.query = async (sql, params = []) => fileUploadsQuery(sql, params);
+
+const { saveFileUpload } = require('../server/database/services');
+const ExtractionCache = require('../server/lib/extraction-cache');
+const IntelligentCVProcessorBase = require('../server/lib/intelligent-cv-processor-base');
+const STRUCTURED_CV_SCHEMA = require('../server/lib/schemas/structured-cv.schema.json');
+const SimpleQueueManager = require('../server/lib/simple-queue-manager');
+const { EXTRACTION_CACHE } = require('../server/constants');
+
+const PLAIN_CV = fs.readFileSync(path.join(__dirname, 'fixtures', 'plain-cv.txt'), 'utf8');
+const SAMPLE_CV = JSON.parse(fs.readFileSync(path.join(__dirname, 'fixtures', 'sample-cv.json'), 'utf8'));
+
+/**
+ * The file_uploads statements used by the upload route, the cache and the queue
+ */
+function fileUploadsQuery(sql, params) {
+    if (sql.includes('INSERT INTO file_uploads')) {
+        const [id, user_id, filename, original_filename, filepath, file_size, mime_type, file_hash, extracted_text, structured_data] = params;
+        const row = { id, user_id, filename, original_filename, filepath, file_size, mime_type, file_hash, extracted_text, structured_data, created_at: uploads.length };
+        uploads.push(row);
+        return { rows: [row] };
+    }
+    if (sql.includes('UPDATE file_uploads')) {
+        const row = uploads.find(upload => upload.id === params[1]);
+        if (row) {
+            row.structured_data = params[0];
+        }
+        return { rows: row ? [row] : [] };
+    }
+    if (sql.includes('FROM file_uploads')) {
+        const [userId, fileHash, version] = params;
+        const rows = uploads
+            .filter(upload => upload.user_id === userId && upload.file_hash === fileHash)
+            .filter(upload => JSON.parse(upload.structured_data || 'null')?.processingMetadata?.extractionVersion === version)
+            .sort((a, b) => b.created_at - a.created_at);
+        return { rows: rows.slice(0, 1) };
+    }
+    throw new Error(`Unexpected query: ${sql}`);
+}
+
+async function upload(id, userId, content) {
+    return saveFileUpload({
+        id,
+        user_id: userId,
+        filename: `${id}.txt`,
+        filepath: `uploads/${id}.txt`,
+        file_size: content.length,
+        mime_type: 'text/plain',
+        file_hash: ExtractionCache.hashContent(Buffer.from(content)),
+        extracted_text: content,
+        structured_data: null
+    });
+}
+
+async function testExtractionCache() {
+    console.log('=== EXTRACTION CACHE TEST ===\n');
+    const cache = new ExtractionCache({ query: database.query });
+    const hash = ExtractionCache.hashContent(Buffer.from(PLAIN_CV));
+
+    console.log('1️⃣  Hashing uploads...');
+    check(/^[0-9a-f]{64}$/.test(hash) && hash === ExtractionCache.hashContent(Buffer.from(PLAIN_CV)),
+        'The same content always has the same SHA-256');
+    check(hash !== ExtractionCache.hashContent(Buffer.from(PLAIN_CV + ' ')), 'Any change to the file changes it');
+    const saved = await upload('file-1', 'user-1', PLAIN_CV);
+    check(saved.file_hash === hash, 'file_uploads.file_hash is filled in on upload');
+
+    console.log('\n2️⃣  Versioning cached results...');
+    const version = await withEnv({ LLM_PROVIDER_CHAIN: undefined, LLM_CLIENT_TYPE: 'gemini', LLM_FALLBACK: undefined },
+        () => ExtractionCache.getVersion());
+    check(version === `prompt-${EXTRACTION_CACHE.PROMPT_VERSION}-${ExtractionCache.getPromptFingerprint()}|gemini>rules` &&
+        /^[0-9a-f]{12}$/.test(ExtractionCache.getPromptFingerprint()), `The version names the prompt and providers (${version})`);
+    const modelVersion = await withEnv({ LLM_PROVIDER_CHAIN: 'openai,rules', OPENAI_MODEL: 'qwen2.5-7b' },
+        () => ExtractionCache.getVersion());
+    check(modelVersion.endsWith('|openai:qwen2.5-7b>rules'), 'Models chosen by the environment are part of it');
+
+    console.log('\n3️⃣  Reusing an extraction...');
+    await withEnv({ LLM_PROVIDER_CHAIN: 'openai,rules', OPENAI_MODEL: 'qwen2.5-7b' }, async () => {
+        check(await cache.find('user-1', hash) === null, 'Nothing is reused before the first extraction finishes');
+
+        const result = copy(SAMPLE_CV);
+        result.processingMetadata = { processor: 'openai' };
+        check(await cache.store('file-1', result) === true && result.processingMetadata.extractionVersion === modelVersion,
+            'A finished extraction is stored with its version');
+
+        await upload('file-2', 'user-1', PLAIN_CV);
+        const hit = await cache.find('user-1', hash);
+        check(hit && hit.fileId === 'file-1' && hit.extractedText === PLAIN_CV &&
+            hit.structuredData.personalInfo.name === SAMPLE_CV.personalInfo.name, 'A re-upload of the same CV finds it');
+        check(hit && hit.structuredData.processingMetadata.reusedFrom === 'file-1' &&
+            hit.structuredData.processingMetadata.extractionVersion === modelVersion, 'The reused result says where it came from');
+
+        check(await cache.find('user-2', hash) === null, 'Another user uploading the same file is extracted on their own');
+        check(await cache.find('user-1', ExtractionCache.hashContent(Buffer.from('Another CV'))) === null, 'A different file is a miss');
+        check(await cache.find('user-1', undefined) === null, 'An upload without a hash is a miss');
+    });
+
+    console.log('\n4️⃣  Invalidating...');
+    await withEnv({ LLM_PROVIDER_CHAIN: 'openai,rules', OPENAI_MODEL: 'llama-3.1-8b' }, async () => {
+        check(await cache.find('user-1', hash) === null, 'Changing the model invalidates earlier results');
+    });
+
+    const promptVersion = EXTRACTION_CACHE.PROMPT_VERSION;
+    EXTRACTION_CACHE.PROMPT_VERSION = `${promptVersion}-next`;
+    await withEnv({ LLM_PROVIDER_CHAIN: 'openai,rules', OPENAI_MODEL: 'qwen2.5-7b' }, async () => {
+        check(await cache.find('user-1', hash) === null, 'So does a new prompt template version');
+    });
+    EXTRACTION_CACHE.PROMPT_VERSION = promptVersion;
+
+    const buildPrompt = IntelligentCVProcessorBase.prototype.buildComprehensivePrompt;
+    IntelligentCVProcessorBase.prototype.buildComprehensivePrompt = function (...args) {
+        return `${buildPrompt.apply(this, args)}\n- Write dates as YYYY-MM`;
+    };
+    await withEnv({ LLM_PROVIDER_CHAIN: 'openai,rules', OPENAI_MODEL: 'qwen2.5-7b' }, async () => {
+        check(await cache.find('user-1', hash) === null, 'Editing the prompt text invalidates them without a version bump');
+    });
+    IntelligentCVProcessorBase.prototype.buildComprehensivePrompt = buildPrompt;
+
+    const schemaDescription = STRUCTURED_CV_SCHEMA.description;
+    STRUCTURED_CV_SCHEMA.description = `${schemaDescription} (edited)`;
+    await withEnv({ LLM_PROVIDER_CHAIN: 'openai,rules', OPENAI_MODEL: 'qwen2.5-7b' }, async () => {
+        check(await cache.find('user-1', hash) === null, 'So does editing the structured CV schema');
+    });
+    STRUCTURED_CV_SCHEMA.description = schemaDescription;
+    await withEnv({ LLM_PROVIDER_CHAIN: 'openai,rules', OPENAI_MODEL: 'qwen2.5-7b' }, async () => {
+        check(await cache.find('user-1', hash) !== null, 'The unchanged prompt and schema find the result again');
+    });
+
+    await withEnv({ LLM_PROVIDER_CHAIN: 'openai,rules', OPENAI_MODEL: 'qwen2.5-7b' }, async () => {
+        await upload('file-3', 'user-3', PLAIN_CV);
+        const degraded = { ...copy(SAMPLE_CV), processingMetadata: { processor: 'rules', fallbackFrom: 'openai' } };
+        check(await cache.store('file-3', degraded) === false && !degraded.processingMetadata.extractionVersion &&
+            JSON.parse(uploads[2].structured_data).processingMetadata.processor === 'rules',
+        'A fallback result is stored with the upload but not reused');
+        check(await cache.find('user-3', hash) === null, 'The next upload tries the preferred provider again');
+    });
+
+    const offline = new ExtractionCache({ query: async () => { throw new Error('connect ECONNREFUSED'); } });
+    check(await quietly(() => offline.find('user-1', hash)) === null && await quietly(() => offline.store('file-1', copy(SAMPLE_CV))) === false,
+        'A database error means extracting again, not failing the upload');
+
+    console.log('\n5️⃣  Storing results from the queue...');
+    const queue = Object.create(SimpleQueueManager.prototype);
+    queue.isProcessing = false;
+    queue.fileCache = new Map([['file-4', { extractedText: PLAIN_CV }]]);
+    await upload('file-4', 'user-4', PLAIN_CV);
+    const jobs = [];
+    queue.db = {
+        query: async (sql, params = []) => {
+            if (sql.includes('file_uploads')) {
+                return fileUploadsQuery(sql, params);
+            }
+            jobs.push({ sql, params });
+            return sql.includes("WHERE status = 'queued'") && sql.includes('LIMIT 1')
+                ? { rows: [{ id: 'job-4', user_id: 'user-4', file_id: 'file-4' }] }
+                : { rows: [] };
+        }
+    };
+    await withEnv({ LLM_PROVIDER_CHAIN: 'rules' }, () => quietly(() => queue.processNextJob()));
+    const completed = jobs.find(job => job.sql.includes("status = 'completed'"));
+    const storedResult = JSON.parse(uploads[3].structured_data || 'null');
+    check(completed && storedResult && storedResult.personalInfo.name === JSON.parse(completed.params[0]).personalInfo.name,
+        'A finished job stores its result with the upload');
+    const reused = await withEnv({ LLM_PROVIDER_CHAIN: 'rules' }, () => cache.find('user-4', hash));
+    check(reused && reused.fileId === 'file-4', 'The next upload of that CV reuses it');
+
+    console.log(getFailures() === 0 ? '\n🎉 ALL EXTRACTION CACHE TESTS PASSED' : `\n💥 ${getFailures()} EXTRACTION CACHE CHECK(S) FAILED`);
+    process.exitCode = getFailures() === 0 ? 0 : 1;
+}
+
+testExtractionCache().catch(error => {
+    console.error('💥 Test execution failed:', error);
+    process.exitCode = 1;
+});
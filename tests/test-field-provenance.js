@@ -0,0 +1,125 @@
+// Field Provenance Test
+// Locates extracted values in the CV text, scores how closely each was found, and
+// checks that the processors attach the provenance and store it with the session.
+const fs = require('fs');
+const path = require('path');
+const { check, getFailures, quietly } = require('./helpers');
+
+const FieldProvenance = require('../server/lib/field-provenance');
+const IntelligentCVProcessorRules = require('../server/lib/intelligent-cv-processor-rules');
+const IntelligentCVProcessorOpenAI = require('../server/lib/intelligent-cv-processor-openai');
+const IntelligentCVProcessorOllama = require('../server/lib/intelligent-cv-processor-ollama');
+const TextCleaner = require('../server/lib/utils/text-cleaner');
+
+const PLAIN_CV = fs.readFileSync(path.join(__dirname, 'fixtures', 'plain-cv.txt'), 'utf8');
+const SAMPLE_CV = JSON.parse(fs.readFileSync(path.join(__dirname, 'fixtures', 'sample-cv.json'), 'utf8'));
+
+/**
+ * Stand-in session service that keeps the steps in memory
+ */
+function memorySessionService() {
+    const steps = {};
+    return {
+        steps,
+        createSession: async () => 'session-1',
+        storeStepResult: async (sessionId, stepName, data, confidence, metadata) => {
+            steps[stepName] = { data, confidence, metadata };
+        },
+        getSessionContext: async () => ({ previousSteps: { ...steps } }),
+        cleanupSession: async () => {}
+    };
+}
+
+async function testFieldProvenance() {
+    console.log('=== FIELD PROVENANCE TEST ===\n');
+    const provenance = new FieldProvenance(PLAIN_CV);
+
+    console.log('1️⃣  Locating values in the CV text...');
+    const name = provenance.locate('Noa Berger');
+    check(name.confidence === 1 && PLAIN_CV.slice(name.start, name.end) === 'Noa Berger' &&
+        name.after.startsWith('\nStaff Backend Engineer'), 'A verbatim value is certain, with its span and context');
+
+    const recased = provenance.locate('stanford university');
+    check(recased.confidence === 0.9 && recased.snippet === 'Stanford University', 'Case and punctuation differences still match');
+
+    const date = provenance.locate('2021-03');
+    check(date.confidence === 0.9 && date.snippet === '03/2021', 'A normalized date is found as written in the CV');
+
+    const reworded = provenance.locate('Designed a reconciliation service for the ledger');
+    check(reworded.confidence > 0.5 && reworded.confidence < 0.9 && reworded.snippet.includes('ledger reconciliation service'),
+        'A reworded value scores lower and points at the original wording');
+
+    const invented = provenance.locate('Passionate about delightful user experiences');
+    check(invented.confidence === 0.1 && invented.start === null && invented.snippet === '', 'A value not in the CV has no span');
+
+    const words = new FieldProvenance('Skills: JavaScript, TypeScript');
+    check(words.locate('java').confidence < 0.9, 'Only whole words match - "Java" is not found in "JavaScript"');
+
+    console.log('\n2️⃣  Annotating extracted data...');
+    const annotation = provenance.annotate({
+        personalInfo: { name: 'Noa Berger', currentTitle: 'Staff Backend Engineer', profilePicture: 'data:image/png;base64,AAAA' },
+        experience: [{ company: 'Dropbox', endDate: '', achievements: ['Reduced p99 latency by 45%', 'Won the hackathon'] }],
+        skills: { technical: ['Rust'] },
+        processingMetadata: { llmProvider: 'test' }
+    });
+    check(Object.keys(annotation.fields).join() ===
+        'personalInfo.name,experience[0].company,experience[0].achievements[0],experience[0].achievements[1],skills.technical[0]',
+    'Every non-empty text field is keyed by its path');
+    check(annotation.fields['experience[0].achievements[1]'].confidence === 0.1 && annotation.lowConfidenceFields === 1,
+        'Low-confidence fields are counted');
+    check(annotation.confidence === 0.82, 'Overall confidence is the mean of the fields');
+    check(provenance.annotate({ personalInfo: { name: '' } }).confidence === 1, 'Nothing to check is fully confident');
+
+    console.log('\n3️⃣  Attaching provenance to processor results...');
+    const rules = await quietly(() => new IntelligentCVProcessorRules());
+    const rulesResult = await quietly(() => rules.processCV(PLAIN_CV, 'user-1'));
+    const nameField = rulesResult.fieldProvenance['personalInfo.name'];
+    check(nameField && PLAIN_CV.slice(nameField.start, nameField.end) === rulesResult.personalInfo.name,
+        'Rule-based results carry spans into the CV text');
+    check(rulesResult.processingMetadata.confidence >= 0.9 && rulesResult.processingMetadata.lowConfidenceFields === 0,
+        'Rule-based extraction only returns text found in the CV');
+
+    const openAI = await quietly(() => new IntelligentCVProcessorOpenAI({ baseUrl: 'http://127.0.0.1:1/v1', model: 'test-model' }));
+    openAI.sessionService = memorySessionService();
+    openAI.client.generateText = async () => JSON.stringify(SAMPLE_CV);
+    const sourceText = 'Dana Levi\nSenior Backend Engineer at AT&T Labs, Tel Aviv\nMar 2019 - Jun 2024\nNode.js, PostgreSQL, Kubernetes';
+    const openAIResult = await quietly(() => openAI.processCV(sourceText, 'user-1'));
+    const cleanedText = await quietly(() => TextCleaner.prepareForAI(sourceText));
+    const company = openAIResult.fieldProvenance['experience[0].company'];
+    check(company.confidence === 1 && cleanedText.slice(company.start, company.end) === 'AT&T Labs',
+        'Spans index into the text the model read');
+    check(openAIResult.fieldProvenance['personalInfo.aboutMe'].confidence < 0.6 && openAIResult.processingMetadata.lowConfidenceFields > 0,
+        'Text the model wrote itself is flagged for review');
+
+    const stored = openAI.sessionService.steps.extraction;
+    check(stored && stored.confidence === openAIResult.processingMetadata.confidence && stored.confidence < 1 &&
+        stored.data.fieldProvenance === openAIResult.fieldProvenance, 'The extraction is stored in the session with its confidence');
+    check(stored.metadata.lowConfidenceFields === openAIResult.processingMetadata.lowConfidenceFields,
+        'The session records how many fields need a look');
+
+    openAI.sessionService.storeStepResult = async () => {
+        throw new Error('Failed to store step result: connection refused');
+    };
+    const unstored = await quietly(() => openAI.processCV(sourceText, 'user-1').then(result => result, () => null));
+    check(unstored && unstored.fieldProvenance, 'A failed session write does not fail the extraction');
+
+    const ollama = await quietly(() => new IntelligentCVProcessorOllama());
+    ollama.sessionService = memorySessionService();
+    ollama.extractBasicInfo = async () => ({ name: 'Noa Berger', email: 'noa.berger@example.com' });
+    ollama.extractProfessional = async () => ({ experience: [{ company: 'Stripe', title: 'Chief Happiness Officer' }] });
+    ollama.extractAdditional = async () => ({ projects: [] });
+    const ollamaResult = await quietly(() => ollama.processCV(PLAIN_CV, 'user-1'));
+    const steps = ollama.sessionService.steps;
+    check(steps.basic_info.confidence === 1 && steps.professional.confidence < 1 && steps.additional.confidence === 1,
+        'Each multi-step result is stored with its own confidence');
+    check(steps.final_result.confidence === ollamaResult.processingMetadata.confidence && ollamaResult.fieldProvenance['experience[0].title'],
+        'The final result is stored with the overall confidence');
+
+    console.log(getFailures() === 0 ? '\n🎉 ALL FIELD PROVENANCE TESTS PASSED' : `\n💥 ${getFailures()} FIELD PROVENANCE CHECK(S) FAILED`);
+    process.exitCode = getFailures() === 0 ? 0 : 1;
+}
+
+testFieldProvenance().catch(error => {
+    console.error('💥 Test execution failed:', error);
+    process.exitCode = 1;
+});
@@ -0,0 +1,147 @@
+// JSON Resume Test
+// Maps the fixture CV to JSON Resume and back, imports a hand-written
+// resume.json, and checks both against the official schema.
+const fs = require('fs');
+const path = require('path');
+const { check, getFailures, same } = require('./helpers');
+
+const TemplateProcessor = require('../server/lib/template-processor');
+const JsonResumeMapper = require('../server/lib/json-resume-mapper');
+const InputSanitizer = require('../server/lib/utils/input-sanitizer');
+const DateParserUtils = require('../server/lib/utils/date-parser-utils');
+
+const FIXTURE_CV = path.join(__dirname, 'fixtures', 'sample-cv.json');
+const FIXTURE_RESUME = path.join(__dirname, 'fixtures', 'sample-resume.json');
+
+function loadFixture() {
+    return InputSanitizer.sanitizeCVData(JSON.parse(fs.readFileSync(FIXTURE_CV, 'utf8')));
+}
+
+function loadResume() {
+    return JSON.parse(fs.readFileSync(FIXTURE_RESUME, 'utf8'));
+}
+
+function exportResume(cvData) {
+    // Template processor is chatty - keep the test output readable
+    const originalLog = console.log;
+    console.log = () => {};
+    try {
+        return new TemplateProcessor().generateJsonResume(cvData);
+    } finally {
+        console.log = originalLog;
+    }
+}
+
+function testJsonResume() {
+    console.log('=== JSON RESUME TEST ===\n');
+    const mapper = new JsonResumeMapper();
+
+    console.log('1️⃣  Checking ISO date conversion...');
+    check(DateParserUtils.toIsoDate('06/2016') === '2016-06', 'MM/YYYY becomes YYYY-MM');
+    check(DateParserUtils.toIsoDate('Mar 2021') === '2021-03', 'Month names are understood');
+    check(DateParserUtils.toIsoDate('2016') === '2016', 'Years are kept');
+    check(DateParserUtils.toIsoDate('Present') === '' && DateParserUtils.toIsoDate('Summer 2020') === '',
+        'Present and unknown formats are left out');
+
+    console.log('\n2️⃣  Exporting fixture CV...');
+    const resume = exportResume(loadFixture());
+    check(mapper.validate(resume).valid, 'Export is valid against the JSON Resume schema');
+    check(resume.basics.name === 'Dana Levi' && resume.basics.label === 'Senior Backend Engineer', 'Basics carry name and title');
+    check(same(resume.basics.location, { city: 'Tel Aviv', region: 'Israel' }), 'Location is split into city and region');
+    check(resume.basics.summary.includes('data pipelines & developer tooling'), 'Entities are decoded to plain text');
+    check(resume.work.length === 2 && resume.work[0].name === 'AT&T Labs', 'Work entries are exported');
+    check(resume.work[1].startDate === '2016-06' && resume.work[1].endDate === '2019-02', 'Work dates are ISO 8601');
+    check(resume.work[0].highlights[1] === 'Led migration of 12 services to Kubernetes', 'Achievements become highlights');
+    check(!resume.work.some(work => work.position === 'Improved onboarding flow'), 'Achievement-like experience entries are skipped');
+    check(same(resume.education[0], { institution: 'Tel Aviv University', studyType: 'B.Sc. Computer Science', endDate: '2016', score: '88' }),
+        'Education is exported');
+    check(resume.awards[0].title === 'Dean\'s list' && resume.awards[0].awarder === 'Tel Aviv University',
+        'Education achievements become awards');
+    check(same(resume.skills.map(skill => skill.name), ['Technical', 'Soft Skills']) &&
+        same(resume.skills[0].keywords, ['Node.js', 'PostgreSQL', 'Kubernetes']), 'Skills are grouped');
+    check(same(resume.languages, [{ language: 'Hebrew' }, { language: 'English' }]), 'Languages are exported');
+    check(resume.projects[0].url === 'https://github.com/example/pg-migrate-lite' &&
+        same(resume.projects[0].keywords, ['TypeScript', 'PostgreSQL']), 'Projects keep links and technologies');
+    check(!('url' in resume.projects[1]), 'Unsafe project URLs are dropped');
+    check(same(resume.certificates[0], {
+        name: 'Certified Kubernetes Administrator',
+        issuer: 'CNCF',
+        date: '2022-09',
+        url: 'https://www.cncf.io/certification/cka/'
+    }), 'Certifications are exported');
+
+    console.log('\n3️⃣  Checking round trip...');
+    const roundTrip = mapper.fromJsonResume(resume);
+    const original = JSON.parse(fs.readFileSync(FIXTURE_CV, 'utf8'));
+    check(roundTrip.personalInfo.name === original.personalInfo.name &&
+        roundTrip.personalInfo.location === original.personalInfo.location, 'Personal info survives');
+    check(same(roundTrip.experience[0].achievements, original.experience[0].achievements), 'Experience survives');
+    check(same(roundTrip.skills, original.skills), 'Skills and languages survive');
+    check(same(roundTrip.education[0].achievements, original.education[0].achievements), 'Education achievements survive');
+    check(same(roundTrip.projects[0], original.projects[0]), 'Projects survive');
+    check(same(roundTrip.certifications, original.certifications), 'Certifications survive');
+    const linked = exportResume({
+        ...loadFixture(),
+        personalInfo: { ...loadFixture().personalInfo, linkedin: 'https://www.linkedin.com/in/dana-levi', website: 'https://danalevi.dev' }
+    });
+    check(same(linked.basics.profiles, [{ network: 'LinkedIn', url: 'https://www.linkedin.com/in/dana-levi' }]) &&
+        linked.basics.url === 'https://danalevi.dev', 'Profile links are exported');
+    check(mapper.fromJsonResume(linked).personalInfo.linkedin === 'https://www.linkedin.com/in/dana-levi', 'Profile links survive');
+
+    console.log('\n4️⃣  Importing resume.json...');
+    const cv = mapper.fromJsonResume(loadResume());
+    check(cv.personalInfo.name === 'Noa Cohen' && cv.personalInfo.currentTitle === 'Data Engineer', 'Basics are imported');
+    check(cv.personalInfo.location === 'Haifa, IL', 'Location is joined');
+    check(cv.personalInfo.github === 'https://github.com/noacohen' && cv.personalInfo.linkedin === '' &&
+        cv.personalInfo.website === 'https://noacohen.example.com', 'Profiles and website are imported');
+    check(cv.personalInfo.summary === cv.personalInfo.aboutMe && cv.personalInfo.summary.startsWith('Data engineer'),
+        'Summary fills the about section');
+    check(cv.experience.length === 3, 'Work and volunteer entries become experience');
+    check(cv.experience[0].startDate === '2021-04' && cv.experience[0].endDate === 'Present', 'Open-ended jobs are current');
+    check(cv.experience[2].company === 'PyData Haifa' && cv.experience[2].title === 'Meetup Organizer', 'Volunteer roles are mapped');
+    check(same(cv.education[0], {
+        degree: 'B.Sc. in Industrial Engineering',
+        institution: 'Technion',
+        location: '',
+        graduationDate: '2019-06',
+        gpa: '91',
+        achievements: ['Excellence scholarship']
+    }), 'Education and school awards are imported');
+    check(same(cv.skills.technical, ['Python', 'Spark', 'Airflow', 'PostgreSQL', 'dbt']), 'Technical skills are merged without duplicates');
+    check(same(cv.skills.soft, ['Mentoring', 'Public speaking']), 'Soft skill groups are recognized');
+    check(same(cv.skills.languages, ['Hebrew (Native)', 'English (Professional)']), 'Language fluency is kept');
+    check(cv.projects[0].description === 'Prometheus exporter for consumer lag. Used by 40+ companies' &&
+        same(cv.projects[0].technologies, ['Go', 'Kafka']), 'Projects are imported');
+    check(same(cv.certifications[0], {
+        name: 'Google Professional Data Engineer',
+        issuer: 'Google Cloud',
+        date: '2023-02',
+        url: 'https://cloud.google.com/certification/data-engineer'
+    }), 'Certificates are imported');
+    check(cv.processingMetadata.llmProvider === 'json-resume', 'Import is marked as not LLM-processed');
+
+    console.log('\n5️⃣  Checking validation...');
+    check(mapper.validate(loadResume()).valid, 'Fixture resume.json is valid');
+    const invalid = mapper.validate({ basics: { email: 'not-an-email' }, work: [{ startDate: 'March' }] });
+    check(!invalid.valid && invalid.errors.length === 3, 'Schema violations and a missing name are reported');
+    check(invalid.errors.some(error => error.startsWith('work[0].startDate')), 'Errors point at the offending field');
+    check(!mapper.validate([]).valid && !mapper.validate(null).valid, 'Non-object JSON is rejected');
+
+    console.log('\n6️⃣  Checking edited content...');
+    const edited = exportResume({
+        ...loadFixture(),
+        _hasEditedContent: true,
+        skillsText: 'Technical Skills:\nGo, Rust\n\nSoft Skills:\nLeadership'
+    });
+    check(same(edited.skills[0].keywords, ['Go', 'Rust']), 'Edited skills text replaces the original skills');
+
+    console.log(getFailures() === 0 ? '\n🎉 ALL JSON RESUME TESTS PASSED' : `\n💥 ${getFailures()} JSON RESUME CHECK(S) FAILED`);
+    process.exitCode = getFailures() === 0 ? 0 : 1;
+}
+
+try {
+    testJsonResume();
+} catch (error) {
+    console.error('💥 Test execution failed:', error);
+    process.exitCode = 1;
+}
@@ -0,0 +1,128 @@
+// LinkedIn Import Test
+// Zips the fixture CSVs like LinkedIn's "Download your data" export and checks
+// they map to the structure the LLM processors return.
+const fs = require('fs');
+const path = require('path');
+const JSZip = require('jszip');
+const { check, getFailures, same } = require('./helpers');
+
+const LinkedInImporter = require('../server/lib/linkedin-importer');
+const CsvParserUtils = require('../server/lib/utils/csv-parser-utils');
+const { LINKEDIN_IMPORT } = require('../server/constants');
+
+const FIXTURE_DIR = path.join(__dirname, 'fixtures', 'linkedin-export');
+
+async function buildArchive(files = fs.readdirSync(FIXTURE_DIR), folder = '') {
+    const zip = new JSZip();
+    for (const file of files) {
+        zip.file(folder + file, fs.readFileSync(path.join(FIXTURE_DIR, file)));
+    }
+    return zip.generateAsync({ type: 'nodebuffer' });
+}
+
+async function testLinkedInImport() {
+    console.log('=== LINKEDIN IMPORT TEST ===\n');
+    const importer = new LinkedInImporter();
+
+    console.log('1️⃣  Checking CSV parsing...');
+    const rows = CsvParserUtils.parse('a,b\r\n"x, ""quoted""","line 1\nline 2"\n\n');
+    check(same(rows, [['a', 'b'], ['x, "quoted"', 'line 1\nline 2']]), 'Quotes, commas and newlines in fields are handled');
+    const records = CsvParserUtils.parseRecords('Notes:\n"Exported for you"\n\nName,Level\nGo,Expert\n', 'Name');
+    check(same(records, [{ Name: 'Go', Level: 'Expert' }]), 'Notes above the header are skipped');
+
+    console.log('\n2️⃣  Importing fixture export...');
+    const cv = await importer.importArchive(await buildArchive());
+    check(same(Object.keys(cv), ['personalInfo', 'experience', 'education', 'skills', 'projects', 'certifications', 'processingMetadata']),
+        'Output has the processor structure');
+    check(same(cv.personalInfo, {
+        name: 'Yael Mizrahi',
+        email: 'yael.mizrahi@example.com',
+        phone: '+972 54 111 2222',
+        location: 'Tel Aviv District, Israel',
+        currentTitle: 'Product Designer at Monday.com',
+        profilePicture: '',
+        summary: 'Designer who ships. I care about accessible, "boring" interfaces that just work.',
+        aboutMe: 'Designer who ships. I care about accessible, "boring" interfaces that just work.'
+    }), 'Profile, primary email and phone are imported');
+    check(cv.experience.length === 2 && cv.experience[0].company === 'Monday.com', 'Positions become experience');
+    check(cv.experience[0].startDate === '2021-02' && cv.experience[0].endDate === 'Present', 'Current positions end in Present');
+    check(cv.experience[1].startDate === '2018-07' && cv.experience[1].endDate === '2021-01', 'Dates are normalized');
+    check(cv.experience[0].description === 'Own the design system used by 40 product teams.' &&
+        same(cv.experience[0].achievements, ['Rebuilt the component library in Figma', 'Cut design review time by 30%']),
+        'Description bullets become achievements');
+    check(same(cv.education, [{
+        degree: 'B.Des. Visual Communication',
+        institution: 'Bezalel Academy of Arts and Design',
+        location: '',
+        graduationDate: '2018',
+        gpa: '',
+        achievements: ['Student council', 'Design week organizer']
+    }]), 'Education is imported');
+    check(same(cv.skills, {
+        technical: ['Figma', 'Design Systems', 'User Research'],
+        soft: [],
+        languages: ['Hebrew (Native or bilingual proficiency)', 'English (Full professional proficiency)']
+    }), 'Skills and languages are imported');
+    check(same(cv.projects, [{
+        name: 'Accessible Color Kit',
+        description: 'Open-source palette generator with WCAG checks.',
+        technologies: [],
+        url: 'https://github.com/example/a11y-colors'
+    }]), 'Projects are imported');
+    check(same(cv.certifications, [{
+        name: 'Google UX Design Certificate',
+        issuer: 'Coursera',
+        date: '2022-03',
+        url: 'https://www.coursera.org/professional-certificates/google-ux-design'
+    }]), 'Certifications are imported');
+    check(cv.processingMetadata.llmProvider === 'linkedin-export', 'Import is marked as not LLM-processed');
+
+    console.log('\n3️⃣  Checking partial and invalid archives...');
+    const partial = await importer.importArchive(await buildArchive(['Profile.csv', 'Positions.csv'], 'Basic_LinkedInDataExport/'));
+    check(partial.personalInfo.name === 'Yael Mizrahi' && partial.experience.length === 2, 'Files inside a folder are found');
+    check(partial.education.length === 0 && partial.skills.technical.length === 0 && partial.personalInfo.email === '',
+        'Missing optional files leave sections empty');
+
+    let error = null;
+    try {
+        await importer.importArchive(await buildArchive(['Skills.csv']));
+    } catch (importError) {
+        error = importError;
+    }
+    check(error && error.message.includes('Not a LinkedIn data export'), 'Archives without Profile.csv are rejected');
+
+    console.log('\n4️⃣  Checking archive size limits...');
+    const rejection = promise => promise.then(() => null, thrown => thrown);
+    const crowded = new JSZip();
+    crowded.file('Profile.csv', fs.readFileSync(path.join(FIXTURE_DIR, 'Profile.csv')));
+    for (let i = 0; i < LINKEDIN_IMPORT.MAX_ENTRIES; i++) {
+        crowded.file(`filler/${i}.csv`, '');
+    }
+    error = await rejection(importer.importArchive(await crowded.generateAsync({ type: 'nodebuffer' })));
+    check(error && error.message.includes(`more than ${LINKEDIN_IMPORT.MAX_ENTRIES} files`), 'Archives with too many entries are rejected');
+
+    const declared = await JSZip.loadAsync(await buildArchive(['Profile.csv']));
+    Object.values(declared.files)[0]._data.uncompressedSize = LINKEDIN_IMPORT.MAX_UNPACKED_SIZE + 1;
+    error = null;
+    try {
+        importer.checkArchiveSize(declared);
+    } catch (sizeError) {
+        error = sizeError;
+    }
+    check(error && error.message.includes('LinkedIn export too large'), 'Archives declaring a large unpacked size are rejected');
+
+    const bomb = new JSZip();
+    bomb.file('Profile.csv', Buffer.alloc(LINKEDIN_IMPORT.MAX_FILE_SIZE + 1, 'a'));
+    const bombBuffer = await bomb.generateAsync({ type: 'nodebuffer', compression: 'DEFLATE' });
+    error = await rejection(importer.importArchive(bombBuffer));
+    check(bombBuffer.length < 64 * 1024 && error && error.message.includes('Profile.csv is over'),
+        'A file that unpacks over the limit is rejected while unpacking');
+
+    console.log(getFailures() === 0 ? '\n🎉 ALL LINKEDIN IMPORT TESTS PASSED' : `\n💥 ${getFailures()} LINKEDIN IMPORT CHECK(S) FAILED`);
+    process.exitCode = getFailures() === 0 ? 0 : 1;
+}
+
+testLinkedInImport().catch(error => {
+    console.error('💥 Test execution failed:', error);
+    process.exitCode = 1;
+});
@@ -0,0 +1,198 @@
+// Long CV Chunking Test
+// A synthetic 40-page academic CV is split at section headings, extracted chunk by
+// chunk by stand-in models, and merged without losing the tail or duplicating entries.
+const CVChunker = require('../server/lib/cv-chunker');
+const TextCleaner = require('../server/lib/utils/text-cleaner');
+const IntelligentCVProcessorOpenAI = require('../server/lib/intelligent-cv-processor-openai');
+const IntelligentCVProcessorOllama = require('../server/lib/intelligent-cv-processor-ollama');
+const { CV_CHUNKING } = require('../server/constants');
+const { check, getFailures, quietly } = require('./helpers');
+
+const JOBS = 25;
+const PUBLICATIONS = 700;
+const SKILLS = ['Python', 'R', 'Stata', 'LaTeX', 'Bayesian statistics'];
+
+/**
+ * About 40 pages: a career of short appointments, a long publication list,
+ * and the sections that used to be cut off after it
+ */
+function buildLongCV() {
+    const lines = [
+        'Noa Berger',
+        'Professor of Computational Social Science',
+        'noa.berger@example.edu | +1 (415) 555-0142 | Boston, MA',
+        '',
+        'PROFESSIONAL SUMMARY',
+        'Researcher working on statistical methods for large-scale social data.',
+        '',
+        'WORK EXPERIENCE'
+    ];
+    for (let job = 1; job <= JOBS; job++) {
+        lines.push(`Senior Researcher, Institute ${job} | 01/${1980 + job} - 12/${1980 + job}`);
+        for (let bullet = 1; bullet <= 6; bullet++) {
+            lines.push(`• Led study ${job}.${bullet} on survey methodology using Python and R, published in two journals`);
+        }
+    }
+    lines.push('', 'EDUCATION', 'Ph.D. Statistics, Harvard University, 1980', '', 'PUBLICATIONS');
+    for (let paper = 1; paper <= PUBLICATIONS; paper++) {
+        lines.push(`${paper}. Berger N., Levi D. (${1980 + (paper % 40)}). Title of paper number ${paper} on sampling in networked populations. Journal of Methods ${paper}, 12(3), 45-67.`);
+    }
+    lines.push('', 'SKILLS', SKILLS.join(', '), '', 'CERTIFICATIONS', 'Certified Data Steward, Data Trust, 2021', 'Certified Survey Auditor, AAPOR, 2023');
+    return lines.join('\n');
+}
+
+/**
+ * What a model would extract from one prompt's worth of the synthetic CV
+ */
+function extractFromText(text) {
+    const experience = [...text.matchAll(/Senior Researcher, Institute (\d+) \| (\d\d\/\d{4}) - (\d\d\/\d{4})/g)]
+        .map(([, job, startDate, endDate]) => ({
+            title: 'Senior Researcher',
+            company: `Institute ${job}`,
+            location: '',
+            startDate,
+            endDate,
+            description: '',
+            achievements: [...text.matchAll(new RegExp(`Led study ${job}\\.\\d\\b.*?journals`, 'g'))].map(([bullet]) => bullet)
+        }));
+
+    return {
+        personalInfo: {
+            name: text.includes('Noa Berger') ? 'Noa Berger' : '',
+            email: '', phone: '', location: '',
+            summary: text.includes('PROFESSIONAL SUMMARY') ? 'Researcher working on statistical methods for large-scale social data.' : '',
+            aboutMe: ''
+        },
+        experience,
+        education: text.includes('Harvard University')
+            ? [{ degree: 'Ph.D. Statistics', institution: 'Harvard University', location: '', graduationDate: '1980', gpa: '', achievements: [] }]
+            : [],
+        skills: {
+            technical: SKILLS.filter(skill => text.includes(skill)).map(skill => (text.includes('SKILLS') ? skill : skill.toLowerCase())),
+            soft: [],
+            languages: []
+        },
+        projects: [],
+        certifications: [...text.matchAll(/Certified ([A-Z]\w+ [A-Z]\w+), ([^,]+), (\d{4})/g)]
+            .map(([, name, issuer, date]) => ({ name: `Certified ${name}`, issuer, date, url: '' }))
+    };
+}
+
+function cvTextOf(prompt) {
+    return prompt.split('=== CV TEXT TO ANALYZE ===')[1].split('=== FINAL REMINDERS ===')[0];
+}
+
+async function testLongCVChunking() {
+    console.log('=== LONG CV CHUNKING TEST ===\n');
+    const rawCV = buildLongCV();
+    const cleanedText = await quietly(() => TextCleaner.prepareForAI(rawCV));
+
+    console.log('1️⃣  Preparing the text...');
+    check(rawCV.length > 100000, `The synthetic CV is about 40 pages (${rawCV.length} characters)`);
+    check(cleanedText.includes('Certified Survey Auditor') && !cleanedText.includes('[Content truncated'),
+        'The whole CV is kept, up to the last certification');
+    check(TextCleaner.limitTextLength(rawCV, 25000).endsWith('[Content truncated due to length]'),
+        'Explicit length limits still truncate');
+
+    console.log('\n2️⃣  Splitting at section boundaries...');
+    const chunker = new CVChunker();
+    const chunks = chunker.split(cleanedText);
+    check(chunks.length > 1 && chunks.every(chunk => chunk.text.length <= CV_CHUNKING.CHUNK_LENGTH),
+        `The CV is split into ${chunks.length} chunks that each fit one prompt`);
+    check(chunks.every(chunk => chunk.text.includes('Noa Berger') && chunk.text.startsWith(`[Part ${chunk.index} of ${chunks.length}`)),
+        'Every chunk is numbered and carries the opening of the CV');
+
+    const bodies = chunks.slice(1).map(chunk => chunk.text.split('continues here]\n\n')[1]);
+    check(bodies.every(body => /^(?:[A-Z]+ )*[A-Z]+(?: \(continued\))?\s/.test(body)),
+        'Chunks start at a heading, or repeat it where a long section continues');
+    check(bodies.some(body => body.startsWith('PUBLICATIONS (continued)')), 'The publication list is split across chunks');
+
+    const allText = chunks.map(chunk => chunk.text).join('\n');
+    const lost = [];
+    for (let paper = 1; paper <= PUBLICATIONS; paper++) {
+        if (!allText.includes(`Title of paper number ${paper} `)) lost.push(paper);
+    }
+    check(lost.length === 0 && allText.includes('Certified Survey Auditor, AAPOR, 2023'), 'No publication and nothing after them is lost');
+
+    const short = chunker.split('Dana Levi EXPERIENCE Backend Developer');
+    check(short.length === 1 && short[0].text === 'Dana Levi EXPERIENCE Backend Developer', 'A CV that fits one prompt is left as it is');
+
+    const inLines = new CVChunker({ chunkLength: 700, contextLength: 50 });
+    const blockText = ['Dana Levi', 'Experience', 'x '.repeat(200), '', 'Education:', 'y '.repeat(200)].join('\n');
+    const blockChunks = inLines.split(blockText);
+    check(blockChunks.length === 2 && blockChunks[1].text.includes('Education:\ny'), 'Headings on a line of their own are boundaries too');
+
+    console.log('\n3️⃣  Merging partial results...');
+    const merged = chunker.merge([
+        {
+            personalInfo: { name: 'Noa Berger', summary: '' },
+            experience: [{ title: 'Researcher', company: 'Institute 1', startDate: '2019', achievements: ['Led study A'] }],
+            skills: { technical: ['Python', 'C++'], soft: [] },
+            processingMetadata: { schemaRepairs: 1 }
+        },
+        {
+            personalInfo: { name: 'N. Berger', summary: 'Statistician' },
+            experience: [
+                { title: 'researcher', company: 'Institute 1.', startDate: '2019', location: 'Boston', achievements: ['Led study A', 'Led study B'] },
+                { title: 'Researcher', company: 'Institute 1', startDate: '2022', achievements: [] }
+            ],
+            skills: { technical: ['python', 'C', 'C#'], soft: ['Mentoring'] },
+            processingMetadata: { schemaRepairs: 2 }
+        }
+    ]);
+    check(merged.personalInfo.name === 'Noa Berger' && merged.personalInfo.summary === 'Statistician',
+        'The first non-empty value of a field wins');
+    check(merged.experience.length === 2 && merged.experience[0].location === 'Boston' &&
+        merged.experience[0].achievements.join() === 'Led study A,Led study B', 'An entry found twice is combined');
+    check(merged.experience[1].startDate === '2022', 'The same role with another start date is kept');
+    check(merged.skills.technical.join() === 'Python,C++,C,C#' && merged.skills.soft.join() === 'Mentoring',
+        'Skills are joined without case duplicates');
+    check(merged.processingMetadata.chunks === 2 && merged.processingMetadata.schemaRepairs === 3, 'Metadata counts chunks and repairs');
+
+    console.log('\n4️⃣  Processing the long CV...');
+    const processor = await quietly(() => new IntelligentCVProcessorOpenAI({ baseUrl: 'http://127.0.0.1:1/v1', model: 'test-model' }));
+    processor.sessionService = { createSession: async () => 'session-1', storeStepResult: async () => {} };
+    const prompts = [];
+    processor.client.generateText = async (prompt) => {
+        prompts.push(prompt);
+        return JSON.stringify(extractFromText(cvTextOf(prompt)));
+    };
+    const result = await quietly(() => processor.processCV(rawCV, 'user-1'));
+    check(prompts.length === chunks.length && result.processingMetadata.chunks === chunks.length, 'Each chunk is extracted with one call');
+    check(result.experience.length === JOBS && result.experience.every(job => job.achievements.length === 6),
+        'Every appointment is extracted once, with all its achievements');
+    check(result.certifications.map(certification => certification.name).join() === 'Certified Data Steward,Certified Survey Auditor' &&
+        result.skills.technical.length === SKILLS.length, 'Skills and certifications after the publication list are extracted');
+    const lastCertification = result.fieldProvenance['certifications[1].name'];
+    check(lastCertification.confidence === 1 && cleanedText.slice(lastCertification.start, lastCertification.end) === 'Certified Survey Auditor',
+        'Provenance points into the full text');
+
+    const ollama = await quietly(() => new IntelligentCVProcessorOllama());
+    const steps = {};
+    ollama.sessionService = {
+        createSession: async () => 'session-2',
+        storeStepResult: async (sessionId, stepName, data) => {
+            steps[stepName] = { data };
+        },
+        getSessionContext: async () => ({ previousSteps: { ...steps } })
+    };
+    let professionalCalls = 0;
+    ollama.extractBasicInfo = async (text) => extractFromText(text).personalInfo;
+    ollama.extractProfessional = async (text) => {
+        professionalCalls++;
+        const { experience, skills, education } = extractFromText(text);
+        return { experience, skills, education };
+    };
+    ollama.extractAdditional = async (text) => ({ projects: [], certifications: extractFromText(text).certifications });
+    const ollamaResult = await quietly(() => ollama.processCV(rawCV, 'user-1'));
+    check(professionalCalls === chunks.length && ollamaResult.experience.length === JOBS &&
+        ollamaResult.certifications.length === 2, 'The multi-step processor works through the chunks too');
+
+    console.log(getFailures() === 0 ? '\n🎉 ALL LONG CV CHUNKING TESTS PASSED' : `\n💥 ${getFailures()} LONG CV CHUNKING CHECK(S) FAILED`);
+    process.exitCode = getFailures() === 0 ? 0 : 1;
+}
+
+testLongCVChunking().catch(error => {
+    console.error('💥 Test execution failed:', error);
+    process.exitCode = 1;
+});
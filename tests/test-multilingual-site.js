@@ -0,0 +1,225 @@
+// Multilingual Site Test
+// A landing page can be generated in more languages than the CV's own: the LLM translates
+// the text segments only, each language becomes a page of its own with translated labels
+// and dates, the pages link to each other through hreflang tags and a language switcher,
+// and Hebrew and Arabic pages are laid out right to left.
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const http = require('http');
+const { check, getFailures, quietly, copy, createApiUsageStore } = require('./helpers');
+
+// api_usage and user_preferences in memory, read and written through the database client
+const apiUsage = createApiUsageStore();
+const preferences = { 'private-user': { user_id: 'private-user', privacy_settings: { redact_pii: true } } };
+const database = require('../server/database/index');
+database.query = async (sql, params = []) => (sql.includes('user_preferences')
+    ? { rows: preferences[params[0]] ? [preferences[params[0]]] : [] }
+    : apiUsage.query(sql, params));
+
+const CVTranslator = require('../server/lib/cv-translator');
+const TemplateProcessor = require('../server/lib/template-processor');
+const SectionRenderer = require('../server/lib/section-renderer');
+const TranslationSegments = require('../server/lib/utils/translation-segments');
+const DateParserUtils = require('../server/lib/utils/date-parser-utils');
+const OpenAICompatibleClient = require('../server/lib/utils/openai-compatible-client');
+const SITE_LOCALES = require('../server/constants/site-locales');
+
+const CV = {
+    personalInfo: {
+        name: 'Jane Doe',
+        email: 'jane@example.com',
+        phone: '+31 6 12345678',
+        location: 'Amsterdam',
+        currentTitle: 'Backend Developer',
+        summary: 'Backend developer who builds payment APIs.',
+        linkedin: 'https://linkedin.com/in/janedoe'
+    },
+    experience: [
+        {
+            title: 'Backend Developer',
+            company: 'Paylane',
+            location: 'Amsterdam',
+            startDate: '2019-03',
+            endDate: 'Present',
+            description: 'Worked on the payments platform.',
+            achievements: ['Cut checkout latency by 40%', 'Mentored two developers']
+        }
+    ],
+    skills: {
+        technical: ['Node.js', 'PostgreSQL'],
+        soft: ['Mentoring'],
+        languages: ['English', 'Dutch']
+    },
+    education: [{ degree: 'BSc Computer Science', institution: 'TU Delft', graduationDate: '2018-06' }],
+    projects: [{ name: 'Ledger', description: 'Double-entry bookkeeping library', technologies: ['TypeScript'] }],
+    certifications: [{ name: 'AWS Certified Developer', issuer: 'Amazon', date: '2022-09' }]
+};
+
+/**
+ * What a model would answer to the translation prompt: every segment marked with the
+ * language, plus a company it was not asked for and markup in the summary. French gets
+ * an answer without segments.
+ */
+function modelReply(prompt) {
+    if (prompt.includes('into Français')) {
+        return '{"translation": "Je ne peux pas"}';
+    }
+    const code = prompt.includes('into Deutsch') ? 'DE' : 'AR';
+    const segments = JSON.parse(prompt.slice(prompt.indexOf('SEGMENTS:') + 9, prompt.indexOf('Answer with')));
+    const translated = Object.fromEntries(Object.entries(segments).map(([key, text]) => [key, `${code}  ${text}`]));
+    translated['experience.0.company'] = 'Paylane GmbH';
+    translated['personalInfo.summary'] += ' <script>alert(1)</script>';
+    translated['skills.languages.1'] = 'Dutch';
+    return JSON.stringify({ segments: translated });
+}
+
+function startServer() {
+    const prompts = [];
+    const server = http.createServer((req, res) => {
+        let raw = '';
+        req.on('data', chunk => { raw += chunk; });
+        req.on('end', () => {
+            const prompt = JSON.parse(raw).messages.map(message => message.content).join('\n');
+            prompts.push(prompt);
+            res.writeHead(200, { 'Content-Type': 'application/json' });
+            res.end(JSON.stringify({
+                id: 'chatcmpl-test',
+                object: 'chat.completion',
+                choices: [{ index: 0, message: { role: 'assistant', content: modelReply(prompt) }, finish_reason: 'stop' }],
+                usage: { prompt_tokens: 400, completion_tokens: 200, total_tokens: 600 }
+            }));
+        });
+    });
+
+    return new Promise(resolve => server.listen(0, '127.0.0.1', () => resolve({
+        url: `http://127.0.0.1:${server.address().port}`,
+        prompts,
+        close: () => new Promise(done => server.close(done))
+    })));
+}
+
+async function testMultilingualSite() {
+    console.log('=== MULTILINGUAL SITE TEST ===\n');
+    const server = await startServer();
+    const client = await quietly(() => new OpenAICompatibleClient({ baseUrl: `${server.url}/v1`, model: 'qwen2.5-7b-instruct', maxRetries: 1 }));
+    const translator = await quietly(() => new CVTranslator({ provider: 'openai', client }));
+    const templateProcessor = new TemplateProcessor();
+    const renderer = new SectionRenderer();
+
+    console.log('1️⃣  Dates and labels...');
+    check(DateParserUtils.formatDate('2021-03') === 'Mar 2021' && DateParserUtils.formatDate('03/2021', 'de') === 'März 2021',
+        'Dates are formatted in the page language');
+    check(DateParserUtils.formatDate('2021', 'fr') === '2021' && DateParserUtils.formatDate('Summer 2020', 'de') === 'Summer 2020',
+        'Years and free text stay as they are');
+    check(renderer.formatDate('Present', 'de') === 'heute' && renderer.formatDate('Present') === 'Present',
+        'An ongoing role ends "Present" in the page language');
+    check(renderer.getLabels('xx') === SITE_LOCALES.en.labels, 'An unknown language falls back to English labels');
+    check(Object.values(SITE_LOCALES).every(locale => Object.keys(locale.labels).join() === Object.keys(SITE_LOCALES.en.labels).join()),
+        'Every language has every label');
+    check(Object.values(SITE_LOCALES).every(locale => Object.values(locale.labels).every(label => !/[<>"]/.test(label))),
+        'No label holds markup or double quotes');
+
+    console.log('\n2️⃣  Translation segments...');
+    const segments = TranslationSegments.collect(CV);
+    check(segments['experience.0.achievements.1'] === 'Mentored two developers' && segments['skills.soft.0'] === 'Mentoring',
+        'Text segments are keyed by their path');
+    check(!Object.values(segments).some(text => ['Jane Doe', 'Paylane', 'TU Delft', 'Ledger', 'Node.js', '2019-03'].includes(text)),
+        'Names, companies, institutions, technical skills and dates are not segments');
+    const applied = TranslationSegments.apply(CV, { 'experience.0.title': 'Backend-Entwickler', 'experience.0.company': 'Other', '__proto__.polluted': 'x' });
+    check(applied.experience[0].title === 'Backend-Entwickler' && applied.experience[0].company === 'Paylane' && !({}).polluted,
+        'Only known segments are applied');
+    check(CV.experience[0].title === 'Backend Developer', 'Applying leaves the CV as it was');
+
+    console.log('\n3️⃣  Translating a CV...');
+    const finalCv = await quietly(async () => templateProcessor.buildFinalDataStructure(copy(CV)));
+    const { translations, tokenUsage } = await quietly(() => translator.translate('user-1', finalCv, 'en', ['de', 'ar']));
+    check(server.prompts.length === 2 && server.prompts[0].includes('into Deutsch (de)') && server.prompts[1].includes('into العربية (ar)'),
+        'One request per language');
+    check(!server.prompts[0].includes('jane@example.com') && !server.prompts[0].includes('Paylane') && !server.prompts[0].includes('Jane Doe'),
+        'No names or contact details are sent to the model');
+    check(translations.de['experience.0.title'] === 'DE Backend Developer' && translations.ar['skills.soft.0'] === 'AR Mentoring',
+        'Segments are translated and their whitespace cleaned');
+    check(!('experience.0.company' in translations.de) && !('skills.languages.1' in translations.de),
+        'Segments that were not asked for or did not change are not stored');
+    check(tokenUsage.requests === 2 && tokenUsage.totalTokens === 1200, 'The tokens of all requests are summed');
+    check(apiUsage.usageOf('user-1', 'openai').request_count === 2 && apiUsage.usageOf('user-1', 'openai').token_count === 1200,
+        'The requests are counted against the user');
+    const noSegments = await quietly(() => translator.translate('user-1', finalCv, 'en', ['fr']).catch(error => error));
+    check(noSegments.status === 502, 'An answer without translations is a 502');
+    const unavailable = await quietly(() => new CVTranslator({ provider: null }).translate('user-1', finalCv, 'en', ['de']).catch(error => error));
+    check(unavailable.status === 503 && server.prompts.length === 3, 'Without an LLM the request is refused with 503');
+    const privateCv = await quietly(async () => templateProcessor.buildFinalDataStructure({
+        ...copy(CV),
+        personalInfo: { ...copy(CV.personalInfo), summary: 'Backend developer - reach me at jane@example.com or +31 6 12345678.' }
+    }));
+    const redacted = await quietly(() => translator.translate('private-user', privateCv, 'en', ['de']));
+    check(!server.prompts[3].includes('jane@example.com') && !server.prompts[3].includes('12345678') &&
+        server.prompts[3].includes('[EMAIL_1]') && server.prompts[3].includes('[PHONE_1]'),
+        'Contact details in the text are redacted when the user asks for it');
+    check(redacted.translations.de['personalInfo.summary'].startsWith('DE Backend developer - reach me at jane@example.com or +31 6 12345678.'),
+        'The translation gets them back');
+    check(!server.prompts[0].includes('placeholders'), 'Other users\' text is sent as it is');
+
+    console.log('\n4️⃣  Rendering the language versions...');
+    const outputDir = fs.mkdtempSync(path.join(os.tmpdir(), 'cv-i18n-test-'));
+    try {
+        const siteUrl = 'https://jane.github.io/cv/';
+        const result = await quietly(() => templateProcessor.generateLandingPage({ ...copy(CV), language: 'en', translations },
+            outputDir, 'professional', { siteUrl }));
+        const page = file => fs.readFileSync(path.join(outputDir, file), 'utf8');
+        const english = page('index.html');
+        const german = page('de.html');
+        const arabic = page('ar.html');
+
+        check(result.languages.join() === 'en,de,ar' && ['index.html', 'de.html', 'ar.html'].every(file => result.files.includes(file)),
+            'Each language is a page of its own');
+        check(english.includes('<html lang="en" class="theme-dark">') && german.includes('<html lang="de" class="theme-dark">'),
+            'Each page declares its language');
+        check(arabic.includes('<html lang="ar" dir="rtl" class="theme-dark">') && !german.includes('dir="rtl"'),
+            'Arabic is laid out right to left');
+        check(german.includes('DE Backend Developer') && german.includes('Paylane') && !german.includes('Paylane GmbH'),
+            'The German page has the translated text and the original company');
+        check(german.includes('Berufserfahrung') && german.includes('März 2019 - heute') && english.includes('Mar 2019 - Present'),
+            'Labels and dates are in the page language');
+        check(!german.includes('<script>alert') && german.includes('&lt;script&gt;'), 'Translated text is escaped');
+        check(german.includes('<link rel="canonical" href="https://jane.github.io/cv/de.html">') &&
+            english.includes('<link rel="canonical" href="https://jane.github.io/cv/">'), 'Each page is its own canonical URL');
+        check(english.includes('<link rel="alternate" hreflang="de" href="https://jane.github.io/cv/de.html">') &&
+            english.includes('<link rel="alternate" hreflang="x-default" href="https://jane.github.io/cv/">'),
+            'hreflang links point to every language version');
+        check(german.includes('<a href="index.html" hreflang="en" lang="en">English</a>') &&
+            german.includes('<a href="de.html" hreflang="de" lang="de" aria-current="page">Deutsch</a>') &&
+            german.includes('aria-label="Sprache"'), 'The language switcher links the pages and marks the current one');
+        const sitemap = page('sitemap.xml');
+        check(['https://jane.github.io/cv/', 'https://jane.github.io/cv/de.html', 'https://jane.github.io/cv/ar.html']
+            .every(url => sitemap.includes(`<loc>${url}</loc>`)), 'The sitemap lists every language version');
+        check(page('styles.css').includes('[dir="rtl"] .mr-2'), 'The stylesheet mirrors spacing for right-to-left pages');
+    } finally {
+        fs.rmSync(outputDir, { recursive: true, force: true });
+    }
+
+    console.log('\n5️⃣  Single-language sites...');
+    const singleDir = fs.mkdtempSync(path.join(os.tmpdir(), 'cv-i18n-test-'));
+    try {
+        const result = await quietly(() => templateProcessor.generateLandingPage({ ...copy(CV), language: 'he' }, singleDir, 'professional'));
+        const hebrew = fs.readFileSync(path.join(singleDir, 'index.html'), 'utf8');
+        check(result.languages.join() === 'he' && !result.files.some(file => /^[a-z]{2}\.html$/.test(file)),
+            'A CV in one language is index.html only');
+        check(hebrew.includes('<html lang="he" dir="rtl"') && hebrew.includes(SITE_LOCALES.he.labels.EXPERIENCE),
+            'It is rendered in its own language');
+        check(!hebrew.includes('language-switcher') && !hebrew.includes('hreflang'), 'It has no switcher or alternate links');
+    } finally {
+        fs.rmSync(singleDir, { recursive: true, force: true });
+    }
+
+    await server.close();
+
+    console.log(getFailures() === 0 ? '\n🎉 ALL MULTILINGUAL SITE TESTS PASSED' : `\n💥 ${getFailures()} MULTILINGUAL SITE CHECK(S) FAILED`);
+    process.exitCode = getFailures() === 0 ? 0 : 1;
+}
+
+testMultilingualSite().catch(error => {
+    console.error('💥 Test execution failed:', error);
+    process.exitCode = 1;
+});
@@ -0,0 +1,103 @@
+// OCR Extraction Test
+// Runs text extraction on a text PDF, a scanned (image-only) PDF and a photo
+// of a CV page, using the bundled Tesseract model only.
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const pdfParse = require('pdf-parse');
+const { check, getFailures, quietly } = require('./helpers');
+
+const IntelligentCVProcessorBase = require('../server/lib/intelligent-cv-processor-base');
+const TemplateProcessor = require('../server/lib/template-processor');
+const InputSanitizer = require('../server/lib/utils/input-sanitizer');
+const { OCR } = require('../server/constants');
+
+const FIXTURE_CV = path.join(__dirname, 'fixtures', 'sample-cv.json');
+const SCANNED_PDF = path.join(__dirname, 'fixtures', 'scanned-cv.pdf');
+const SCANNED_PNG = path.join(__dirname, 'fixtures', 'scanned-cv.png');
+
+/**
+ * A one-page PDF with the given MediaBox and a line of text
+ */
+function pdfWithPageSize(width, height) {
+    const objects = [
+        '<< /Type /Catalog /Pages 2 0 R >>',
+        `<< /Type /Pages /Kids [3 0 R] /Count 1 /MediaBox [0 0 ${width} ${height}] >>`,
+        '<< /Type /Page /Parent 2 0 R /Contents 4 0 R /Resources << /Font << /F1 5 0 R >> >> >>',
+        '<< /Length 39 >>\nstream\nBT /F1 24 Tf 72 72 Td (Page text) Tj ET\nendstream',
+        '<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica >>'
+    ];
+    let pdf = '%PDF-1.4\n';
+    const offsets = objects.map((object, index) => {
+        const offset = pdf.length;
+        pdf += `${index + 1} 0 obj\n${object}\nendobj\n`;
+        return offset;
+    });
+    const xref = pdf.length;
+    pdf += `xref\n0 ${objects.length + 1}\n0000000000 65535 f \n`;
+    pdf += offsets.map(offset => `${String(offset).padStart(10, '0')} 00000 n \n`).join('');
+    pdf += `trailer\n<< /Size ${objects.length + 1} /Root 1 0 R >>\nstartxref\n${xref}\n%%EOF\n`;
+    return Buffer.from(pdf, 'latin1');
+}
+
+function pngSize(png) {
+    return { width: png.readUInt32BE(16), height: png.readUInt32BE(20) };
+}
+
+async function testOcrExtraction() {
+    console.log('=== OCR EXTRACTION TEST ===\n');
+    const processor = await quietly(() => new IntelligentCVProcessorBase());
+
+    let ocrRuns = 0;
+    const extractFromPdf = processor.ocrExtractor.extractFromPdf.bind(processor.ocrExtractor);
+    processor.ocrExtractor.extractFromPdf = (buffer) => {
+        ocrRuns++;
+        return extractFromPdf(buffer);
+    };
+
+    console.log('1️⃣  Extracting a text PDF...');
+    const textPdfPath = path.join(os.tmpdir(), `ocr-test-${process.pid}.pdf`);
+    const textPdf = await quietly(() => new TemplateProcessor().generatePdf(
+        InputSanitizer.sanitizeCVData(JSON.parse(fs.readFileSync(FIXTURE_CV, 'utf8')))));
+    fs.writeFileSync(textPdfPath, textPdf);
+    try {
+        const text = await quietly(() => processor.extractTextFromFile(textPdfPath, 'application/pdf'));
+        check(text.includes('Senior Backend Engineer'), 'Text layer is used');
+        check(ocrRuns === 0, 'OCR is skipped when the PDF has text');
+    } finally {
+        fs.unlinkSync(textPdfPath);
+    }
+
+    console.log('\n2️⃣  Extracting a scanned PDF...');
+    const textLayer = await pdfParse(fs.readFileSync(SCANNED_PDF));
+    check(textLayer.text.trim() === '', 'Fixture PDF has no text layer');
+    const scanned = await quietly(() => processor.extractTextFromFile(SCANNED_PDF, 'application/pdf'));
+    check(ocrRuns === 1, 'OCR runs when the text layer is empty');
+    check(scanned.includes('Avi Ben-David') && scanned.includes('Mechanical Engineer'), 'Name and title are recognized');
+    check(scanned.includes('avi.bendavid@example.com'), 'Email is recognized');
+    check(scanned.includes('Elbit Systems') && scanned.includes('additive manufacturing'), 'Experience is recognized');
+    check(scanned.includes('SolidWorks, ANSYS'), 'Skills are recognized');
+
+    console.log('\n3️⃣  Extracting a CV page image...');
+    const image = await quietly(() => processor.extractTextFromFile(SCANNED_PNG, 'image/png'));
+    check(image.includes('Ben-Gurion University, 2014'), 'PNG uploads are read with OCR');
+
+    console.log('\n4️⃣  Checking rasterization limits...');
+    const pages = await processor.ocrExtractor.rasterizePdf(textPdf, { maxPages: 1, scale: 1 });
+    check(pages.length === 1 && pages[0].subarray(1, 4).toString() === 'PNG', 'Pages are rendered to PNG up to the page limit');
+
+    const [large] = await quietly(() => processor.ocrExtractor.rasterizePdf(pdfWithPageSize(3000, 3000)));
+    const largeSize = large ? pngSize(large) : { width: 0, height: 0 };
+    check(largeSize.width * largeSize.height <= OCR.MAX_PAGE_PIXELS * 1.01 && largeSize.width >= 3000,
+        `Large pages render at a lower scale within the pixel budget (${largeSize.width}x${largeSize.height})`);
+    const huge = await quietly(() => processor.ocrExtractor.rasterizePdf(pdfWithPageSize(200000, 200000)));
+    check(huge.length === 0, 'Pages too large for the budget are skipped');
+
+    console.log(getFailures() === 0 ? '\n🎉 ALL OCR EXTRACTION TESTS PASSED' : `\n💥 ${getFailures()} OCR EXTRACTION CHECK(S) FAILED`);
+    process.exitCode = getFailures() === 0 ? 0 : 1;
+}
+
+testOcrExtraction().catch(error => {
+    console.error('💥 Test execution failed:', error);
+    process.exitCode = 1;
+});
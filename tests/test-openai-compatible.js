@@ -0,0 +1,166 @@
+// OpenAI-Compatible Client Test
+// Talks to an in-process server that speaks the chat-completions protocol the
+// way llama.cpp server, vLLM and LM Studio do, including one without JSON mode.
+const fs = require('fs');
+const http = require('http');
+const path = require('path');
+const { check, getFailures, quietly } = require('./helpers');
+
+const OpenAICompatibleClient = require('../server/lib/utils/openai-compatible-client');
+const IntelligentCVProcessorOpenAI = require('../server/lib/intelligent-cv-processor-openai');
+const { createIntelligentCVProcessor } = require('../server/lib/intelligent-cv-processor');
+const healthMonitor = require('../server/lib/health-monitor');
+
+const FIXTURE_CV = path.join(__dirname, 'fixtures', 'sample-cv.json');
+
+/**
+ * Minimal chat-completions server. `reply(body)` returns the message content;
+ * `rejectResponseFormat` answers 400 like servers without JSON mode do.
+ */
+function startServer({ reply, rejectResponseFormat = false, apiKey = '' }) {
+    const requests = [];
+
+    const server = http.createServer((req, res) => {
+        let raw = '';
+        req.on('data', chunk => { raw += chunk; });
+        req.on('end', () => {
+            const body = raw ? JSON.parse(raw) : null;
+            requests.push({ method: req.method, url: req.url, headers: req.headers, body });
+
+            const send = (status, data) => {
+                res.writeHead(status, { 'Content-Type': 'application/json' });
+                res.end(JSON.stringify(data));
+            };
+
+            if (apiKey && req.headers.authorization !== `Bearer ${apiKey}`) {
+                return send(401, { error: { message: 'Invalid API key', type: 'invalid_request_error' } });
+            }
+            if (req.url === '/v1/models') {
+                return send(200, { object: 'list', data: [{ id: 'qwen2.5-7b-instruct', object: 'model' }] });
+            }
+            if (req.url !== '/v1/chat/completions') {
+                return send(404, { error: { message: 'Not found' } });
+            }
+            if (rejectResponseFormat && body.response_format) {
+                return send(400, { error: { message: `'response_format.type' must be 'json_schema' or 'text'` } });
+            }
+
+            send(200, {
+                id: 'chatcmpl-test',
+                object: 'chat.completion',
+                model: body.model,
+                choices: [{ index: 0, message: { role: 'assistant', content: reply(body) }, finish_reason: 'stop' }]
+            });
+        });
+    });
+
+    return new Promise(resolve => server.listen(0, '127.0.0.1', () => resolve({
+        baseUrl: `http://127.0.0.1:${server.address().port}/v1`,
+        requests,
+        close: () => new Promise(done => server.close(done))
+    })));
+}
+
+async function testOpenAICompatible() {
+    console.log('=== OPENAI-COMPATIBLE CLIENT TEST ===\n');
+    const cvJson = fs.readFileSync(FIXTURE_CV, 'utf8');
+
+    console.log('1️⃣  Sending a JSON mode request...');
+    const server = await startServer({ reply: () => cvJson, apiKey: 'local-secret' });
+    try {
+        const client = await quietly(() => new OpenAICompatibleClient({
+            baseUrl: `${server.baseUrl}/`, model: 'qwen2.5-7b-instruct', apiKey: 'local-secret', maxRetries: 1
+        }));
+        const text = await quietly(() => client.generateText('Extract this CV', { json: true, system: 'You extract CVs.' }));
+        const request = server.requests[server.requests.length - 1];
+        check(JSON.parse(text).personalInfo.name === 'Dana Levi', 'Message content is returned');
+        check(request.url === '/v1/chat/completions' && request.headers.authorization === 'Bearer local-secret',
+            'Request goes to /chat/completions with the bearer key');
+        check(request.body.model === 'qwen2.5-7b-instruct' && request.body.stream === false &&
+            request.body.messages.map(message => message.role).join() === 'system,user', 'Body follows the chat-completions format');
+        check(request.body.response_format.type === 'json_object', 'JSON mode is requested');
+
+        await quietly(() => client.generateText('Extract', {
+            jsonSchema: { name: 'cv', schema: { type: 'object', properties: { name: { type: 'string' } } } }
+        }));
+        const schemaRequest = server.requests[server.requests.length - 1];
+        check(schemaRequest.body.response_format.type === 'json_schema' && schemaRequest.body.response_format.json_schema.name === 'cv',
+            'A JSON schema can constrain the output');
+
+        const models = await quietly(() => client.listModels());
+        check(models.length === 1 && models[0].id === 'qwen2.5-7b-instruct', 'Models are listed');
+
+        const unauthorized = await quietly(() => new OpenAICompatibleClient({ baseUrl: server.baseUrl, maxRetries: 1 }));
+        const error = await quietly(() => unauthorized.generateText('Hello').then(() => null, thrown => thrown));
+        check(error && error.message.startsWith('Invalid API key'), 'A rejected key is reported as an invalid API key');
+    } finally {
+        await server.close();
+    }
+
+    console.log('\n2️⃣  Talking to a server without JSON mode...');
+    const plainServer = await startServer({ reply: () => '```json\n{"name": "Dana"}\n```', rejectResponseFormat: true });
+    try {
+        const client = await quietly(() => new OpenAICompatibleClient({ baseUrl: plainServer.baseUrl, maxRetries: 1 }));
+        const text = await quietly(() => client.generateText('Extract', { json: true }));
+        check(text.includes('"Dana"') && client.supportsResponseFormat === false, 'The request is repeated without response_format');
+        await quietly(() => client.generateText('Extract again', { json: true }));
+        const lastRequests = plainServer.requests.slice(-1);
+        check(plainServer.requests.length === 3 && !lastRequests[0].body.response_format, 'Later requests skip response_format');
+    } finally {
+        await plainServer.close();
+    }
+
+    const closedClient = await quietly(() => new OpenAICompatibleClient({ baseUrl: plainServer.baseUrl, maxRetries: 1 }));
+    const timers = () => process.getActiveResourcesInfo().filter(resource => resource === 'Timeout').length;
+    const timersBefore = timers();
+    const connectionError = await quietly(() => closedClient.generateText('Hello').then(() => null, thrown => thrown));
+    check(connectionError && connectionError.message.includes('Cannot connect to OpenAI-compatible server'),
+        'An unreachable server is reported clearly');
+    check(timers() <= timersBefore, 'A failed request leaves no timeout running');
+
+    console.log('\n3️⃣  Processing a CV...');
+    const cvServer = await startServer({ reply: () => cvJson });
+    try {
+        const processor = await quietly(() => new IntelligentCVProcessorOpenAI({ baseUrl: cvServer.baseUrl, model: 'qwen2.5-7b-instruct' }));
+        processor.sessionService = {
+            createSession: async () => 'session-1',
+            cleanupSession: async () => {}
+        };
+        const candidates = { links: [], profilePicture: '' };
+        const result = await quietly(() => processor.processCV('Dana Levi\nSenior Backend Engineer', 'user-1', { candidates }));
+        const prompt = cvServer.requests[0].body.messages[0].content;
+        check(prompt.includes('=== CV TEXT TO ANALYZE ===') && prompt.includes('Dana Levi'), 'The single-pass prompt carries the CV text');
+        check(result.personalInfo.name === 'Dana Levi' && result.experience.length > 0 && Array.isArray(result.skills.technical),
+            'The response is normalized like Gemini output');
+        check(result.processingMetadata.llmProvider === 'openai-compatible' && result.processingMetadata.modelUsed === 'qwen2.5-7b-instruct',
+            'Metadata names the provider and model');
+        check(result.candidates === candidates && processor.getProcessorName() === 'openai-compatible-qwen2.5-7b-instruct',
+            'Candidates are passed through');
+        check(await quietly(() => processor.testConnection()) === true, 'Connection test lists models and sends a prompt');
+
+        console.log('\n4️⃣  Wiring into configuration and health checks...');
+        const originalEnv = { ...process.env };
+        Object.assign(process.env, { LLM_CLIENT_TYPE: 'openai', OPENAI_BASE_URL: cvServer.baseUrl, OPENAI_MODEL: 'qwen2.5-7b-instruct' });
+        delete process.env.GITHUB_CLIENT_ID;
+        try {
+            const selected = await quietly(() => createIntelligentCVProcessor());
+            check(selected instanceof IntelligentCVProcessorOpenAI && selected.client.baseUrl === cvServer.baseUrl,
+                'LLM_CLIENT_TYPE=openai selects the OpenAI-compatible processor');
+            const health = await healthMonitor.checkExternalAPIs();
+            check(health.status === 'healthy' && health.details['openai-compatible'].message.includes('1 models'),
+                'Health check reaches the server');
+        } finally {
+            process.env = originalEnv;
+        }
+    } finally {
+        await cvServer.close();
+    }
+
+    console.log(getFailures() === 0 ? '\n🎉 ALL OPENAI-COMPATIBLE TESTS PASSED' : `\n💥 ${getFailures()} OPENAI-COMPATIBLE CHECK(S) FAILED`);
+    process.exitCode = getFailures() === 0 ? 0 : 1;
+}
+
+testOpenAICompatible().catch(error => {
+    console.error('💥 Test execution failed:', error);
+    process.exitCode = 1;
+});
@@ -0,0 +1,89 @@
+// PDF Export Test
+// Renders the fixture CV to PDF and checks the extracted text, so the export
+// stays parseable by applicant tracking systems.
+const fs = require('fs');
+const path = require('path');
+const pdfParse = require('pdf-parse');
+const { check, getFailures } = require('./helpers');
+
+const TemplateProcessor = require('../server/lib/template-processor');
+const InputSanitizer = require('../server/lib/utils/input-sanitizer');
+
+const FIXTURE_CV = path.join(__dirname, 'fixtures', 'sample-cv.json');
+
+function loadFixture() {
+    return InputSanitizer.sanitizeCVData(JSON.parse(fs.readFileSync(FIXTURE_CV, 'utf8')));
+}
+
+async function renderPdf(cvData, options) {
+    // Template processor is chatty - keep the test output readable
+    const originalLog = console.log;
+    console.log = () => {};
+    try {
+        const buffer = await new TemplateProcessor().generatePdf(cvData, options);
+        const parsed = await pdfParse(buffer);
+        return { buffer, pages: parsed.numpages, text: parsed.text, info: parsed.info };
+    } finally {
+        console.log = originalLog;
+    }
+}
+
+function indexOrder(text, markers) {
+    const positions = markers.map(marker => text.indexOf(marker));
+    return positions.every(position => position >= 0) &&
+        positions.every((position, i) => i === 0 || position > positions[i - 1]);
+}
+
+async function testPdfExport() {
+    console.log('=== PDF EXPORT TEST ===\n');
+
+    console.log('1️⃣  Rendering fixture CV...');
+    const { buffer, pages, text, info } = await renderPdf(loadFixture());
+    check(buffer.subarray(0, 5).toString() === '%PDF-', 'Output is a PDF');
+    check(pages === 1, 'Short CV fits on one page');
+    check(info.Title === 'Dana Levi - CV' && info.Author === 'Dana Levi', 'Document metadata is set');
+
+    console.log('\n2️⃣  Checking text content...');
+    check(indexOrder(text, ['Dana Levi', 'SUMMARY', 'EXPERIENCE', 'SKILLS', 'EDUCATION', 'PROJECTS', 'CERTIFICATIONS']),
+        'Sections follow the landing page order');
+    check(text.includes('Senior Backend Engineer - AT&T Labs'), 'Entities are decoded to plain text');
+    check(text.includes('Mar 2019 - Jun 2024'), 'Dates are formatted');
+    check(text.includes('• Led migration of 12 services to Kubernetes'), 'Achievements are text bullets');
+    check(!text.includes('Improved onboarding flow'), 'Achievement-like experience entries are skipped');
+    check(text.includes('Technical: Node.js, PostgreSQL, Kubernetes'), 'Skills are listed as text');
+    check(!text.includes('javascript:'), 'Unsafe project URLs are dropped');
+    check(text.includes('Page 1 of 1'), 'Pages are numbered');
+
+    console.log('\n3️⃣  Checking edited content...');
+    const edited = {
+        ...loadFixture(),
+        _hasEditedContent: true,
+        skillsText: 'Technical Skills:\nGo, Rust\n\nSoft Skills:\nLeadership'
+    };
+    const editedPdf = await renderPdf(edited);
+    check(editedPdf.text.includes('Technical: Go, Rust') && !editedPdf.text.includes('Node.js'),
+        'Edited skills text replaces the original skills');
+
+    console.log('\n4️⃣  Checking pagination...');
+    const long = loadFixture();
+    long.experience = Array.from({ length: 12 }, (_, i) => ({
+        title: `Staff Engineer ${i + 1}`,
+        company: `Company Number ${i + 1}`,
+        startDate: '2010-01',
+        endDate: '2011-01',
+        description: 'Built and operated services. '.repeat(6),
+        achievements: ['Shipped a platform used by many teams', 'Reduced infrastructure cost by a third']
+    }));
+    const longPdf = await renderPdf(long, { pageSize: 'LETTER' });
+    check(longPdf.pages > 1, `Long CV is paginated (${longPdf.pages} pages)`);
+    check(longPdf.text.includes(`Page ${longPdf.pages} of ${longPdf.pages}`), 'Every page is numbered');
+    check(longPdf.text.includes('Staff Engineer 12 - Company Number 12'), 'No entries are lost across pages');
+
+    console.log(getFailures() === 0 ? '\n🎉 ALL PDF EXPORT TESTS PASSED' : `\n💥 ${getFailures()} PDF EXPORT CHECK(S) FAILED`);
+    process.exitCode = getFailures() === 0 ? 0 : 1;
+}
+
+testPdfExport().catch(error => {
+    console.error('💥 Test execution failed:', error);
+    process.exitCode = 1;
+});
@@ -0,0 +1,113 @@
+// PDF Layout Test
+// Extracts two-column fixture CVs, drawn row by row across the columns like
+// designer tools do, and checks the sidebar is no longer interleaved.
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const pdfParse = require('pdf-parse');
+const { check, getFailures, quietly, same } = require('./helpers');
+
+const IntelligentCVProcessorBase = require('../server/lib/intelligent-cv-processor-base');
+const PdfLayoutExtractor = require('../server/lib/pdf-layout-extractor');
+const TextCleaner = require('../server/lib/utils/text-cleaner');
+
+const TWO_COLUMN_PDF = path.join(__dirname, 'fixtures', 'two-column-cv.pdf');
+const RIGHT_SIDEBAR_PDF = path.join(__dirname, 'fixtures', 'right-sidebar-cv.pdf');
+
+// True when the snippets appear in the text in this order
+function inOrder(text, snippets) {
+    const positions = snippets.map(snippet => text.indexOf(snippet));
+    return positions.every((position, i) => position !== -1 && (i === 0 || position > positions[i - 1]));
+}
+
+async function testPdfLayout() {
+    console.log('=== PDF LAYOUT TEST ===\n');
+    const extractor = new PdfLayoutExtractor();
+
+    console.log('1️⃣  Extracting a CV with a left sidebar...');
+    const twoColumnBuffer = fs.readFileSync(TWO_COLUMN_PDF);
+    const plain = await pdfParse(twoColumnBuffer);
+    check(inOrder(plain.text, ['Senior Data Engineer, Wix', 'Apache Spark', 'Data Engineer, Intel']),
+        'Fixture interleaves the sidebar when read without layout');
+
+    const twoColumn = await quietly(() => extractor.extract(twoColumnBuffer));
+    check(same(twoColumn.blocks.map(block => [block.column, block.heading]), [
+        ['full', 'Dana Levi'],
+        ['sidebar', 'CONTACT'],
+        ['sidebar', 'SKILLS'],
+        ['sidebar', 'LANGUAGES'],
+        ['main', 'PROFILE'],
+        ['main', 'EXPERIENCE'],
+        ['main', 'EDUCATION']
+    ]), 'Header, sidebar and main column blocks are found in reading order');
+    const skills = twoColumn.blocks.find(block => block.heading === 'SKILLS');
+    check(skills.text === 'Python\nApache Spark\nAirflow\nPostgreSQL\ndbt', 'Sidebar block holds only its own lines');
+    const experience = twoColumn.blocks.find(block => block.heading === 'EXPERIENCE');
+    check(experience.text === [
+        'Senior Data Engineer, Wix',
+        'Mar 2020 - Present',
+        '- Built streaming pipelines processing 2B events a day',
+        '- Cut warehouse costs by 35% with incremental models',
+        'Data Engineer, Intel',
+        'Jul 2016 - Feb 2020',
+        '- Migrated 120 cron jobs to Airflow',
+        '- Designed the manufacturing data lake'
+    ].join('\n'), 'Experience lines stay together and in order');
+    check(inOrder(twoColumn.text, ['Dana Levi\nData Engineer', 'CONTACT\n', 'English (Fluent)', 'PROFILE\n', 'EDUCATION\n']),
+        'Linear text follows the block order');
+    check(experience.page === 1 && experience.bbox.x === 230 && experience.bbox.width > 200 && skills.bbox.x === 50,
+        'Blocks carry page and position');
+
+    console.log('\n2️⃣  Extracting a CV with a right sidebar and a dated second page...');
+    const rightSidebar = await quietly(() => extractor.extract(fs.readFileSync(RIGHT_SIDEBAR_PDF)));
+    check(same(rightSidebar.blocks.map(block => [block.page, block.column, block.heading]), [
+        [1, 'full', 'Omer Katz'],
+        [1, 'main', null],
+        [1, 'main', 'Summary'],
+        [1, 'main', 'Experience'],
+        [1, 'sidebar', null],
+        [1, 'sidebar', 'Skills'],
+        [1, 'sidebar', 'Certifications'],
+        [2, 'full', 'Earlier Experience and Education']
+    ]), 'Main column is read before a right sidebar');
+    check(inOrder(rightSidebar.text, ['- Built the internal design system', 'omer.katz@example.com', 'TypeScript\nReact']),
+        'Sidebar follows the whole main column');
+    check(rightSidebar.text.includes('2012 - 2016 B.Sc. Software Engineering, Ben-Gurion University\nGraduated with honors.'),
+        'A date column beside single-column text stays on its rows');
+
+    console.log('\n3️⃣  Preparing text for the AI...');
+    const prepared = await quietly(() => TextCleaner.prepareForAI(twoColumn.text, { blocks: twoColumn.blocks }));
+    check(prepared.includes('\n\nEXPERIENCE\nSenior Data Engineer, Wix Mar 2020 - Present - Built streaming'),
+        'Blocks stay separated with their headings on their own lines');
+    check(!/Engineer, Wix.*Apache Spark/.test(prepared), 'Sidebar text is not mixed into experience');
+    const plainPrepared = await quietly(() => TextCleaner.prepareForAI(twoColumn.text));
+    check(!plainPrepared.includes('\n'), 'Text without a block map is cleaned as before');
+
+    console.log('\n4️⃣  Extracting through the CV processor...');
+    const processor = await quietly(() => new IntelligentCVProcessorBase());
+    let ocrRuns = 0;
+    processor.ocrExtractor.extractFromPdf = async () => {
+        ocrRuns++;
+        return '';
+    };
+    const document = await quietly(() => processor.extractDocument(TWO_COLUMN_PDF, 'application/pdf'));
+    check(document.text === twoColumn.text && document.blocks.length === 7, 'PDF uploads return the block map');
+    check(ocrRuns === 0, 'OCR is skipped for PDFs with a text layer');
+
+    const textPath = path.join(os.tmpdir(), `layout-test-${process.pid}.txt`);
+    fs.writeFileSync(textPath, plain.text);
+    try {
+        const textDocument = await quietly(() => processor.extractDocument(textPath, 'text/plain'));
+        check(textDocument.blocks === null && textDocument.text === plain.text.trim(), 'Other uploads have no block map');
+    } finally {
+        fs.unlinkSync(textPath);
+    }
+
+    console.log(getFailures() === 0 ? '\n🎉 ALL PDF LAYOUT TESTS PASSED' : `\n💥 ${getFailures()} PDF LAYOUT CHECK(S) FAILED`);
+    process.exitCode = getFailures() === 0 ? 0 : 1;
+}
+
+testPdfLayout().catch(error => {
+    console.error('💥 Test execution failed:', error);
+    process.exitCode = 1;
+});
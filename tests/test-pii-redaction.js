@@ -0,0 +1,144 @@
+// PII Redaction Test
+// Replaces contact details with placeholders, restores them in the structured
+// result, and checks that a cloud LLM never sees the real values.
+const fs = require('fs');
+const path = require('path');
+const { check, getFailures, quietly, copy, withEnv } = require('./helpers');
+
+// Privacy settings by user, read by the processors instead of the database
+const databaseServices = require('../server/database/services');
+const privacySettings = {};
+databaseServices.getUserPreferences = async (userId) => {
+    if (userId === 'offline-user') {
+        throw new Error('DATABASE_URL environment variable is required');
+    }
+    return { privacy_settings: privacySettings[userId] || {} };
+};
+
+const PiiRedactor = require('../server/lib/utils/pii-redactor');
+const IntelligentCVProcessorOpenAI = require('../server/lib/intelligent-cv-processor-openai');
+
+const PLAIN_CV = fs.readFileSync(path.join(__dirname, 'fixtures', 'plain-cv.txt'), 'utf8');
+const SAMPLE_CV = JSON.parse(fs.readFileSync(path.join(__dirname, 'fixtures', 'sample-cv.json'), 'utf8'));
+
+/**
+ * OpenAI-compatible processor whose model copies placeholders back like a real one would
+ */
+async function processorAnswering(responses) {
+    const processor = await quietly(() => new IntelligentCVProcessorOpenAI({ baseUrl: 'http://127.0.0.1:1/v1', model: 'test-model' }));
+    const prompts = [];
+    processor.sessionService = {
+        createSession: async () => 'session-1',
+        storeStepResult: async () => {}
+    };
+    processor.client.generateText = async (prompt) => {
+        prompts.push(prompt);
+        return JSON.stringify(responses[Math.min(prompts.length, responses.length) - 1]);
+    };
+    return { processor, prompts };
+}
+
+async function testPiiRedaction() {
+    console.log('=== PII REDACTION TEST ===\n');
+
+    console.log('1️⃣  Redacting CV text...');
+    const redactor = new PiiRedactor();
+    const redacted = redactor.redact(PLAIN_CV);
+    check(!redacted.includes('noa.berger@example.com') && !redacted.includes('555-0142') && !redacted.includes('linkedin.com/in/noaberger'),
+        'Email, phone and profile links are removed');
+    check(redacted.includes('[EMAIL_1] | [PHONE_1] | San Francisco, CA') && redacted.includes('[URL_1] | [URL_2]'),
+        'Each value is replaced with a numbered placeholder');
+    check(redacted.includes('Noa Berger') && redacted.includes('03/2021 – Present') && redacted.includes('06/2017 – 02/2021'),
+        'Names and dates are left for the model');
+    check(JSON.stringify(redactor.getSummary()) === '{"email":1,"phone":1,"url":3}', 'The summary counts distinct values per type');
+
+    const repeated = new PiiRedactor(['email']);
+    const twice = repeated.redact('dana@example.com, later dana@example.com, and ops@example.com');
+    check(twice === '[EMAIL_1], later [EMAIL_1], and [EMAIL_2]', 'The same value always gets the same placeholder');
+
+    const numbers = new PiiRedactor(['phone']);
+    check(numbers.redact('2019-03 - 2021-05, 2015 - 2019, ID 12345678') === '2019-03 - 2021-05, 2015 - 2019, ID 12345678',
+        'Date ranges and short numbers are not phone numbers');
+    check(numbers.redact('Mobile: +972 50-123-4567\n2019 - 2021') === 'Mobile: [PHONE_1]\n2019 - 2021',
+        'A phone number does not run into the next line');
+
+    const configured = new PiiRedactor(['address', 'birthDate']);
+    check(configured.redact('221 Baker Street, Apt 4, London\nDate of birth: 12 May 1990') ===
+        '[ADDRESS_1], London\nDate of birth: [BIRTH_DATE_1]', 'Street addresses and birth dates are redacted when configured');
+
+    const unknownType = (() => {
+        try {
+            return new PiiRedactor(['email', 'ssn']) && null;
+        } catch (error) {
+            return error;
+        }
+    })();
+    check(unknownType && unknownType.message.includes('Unknown PII type(s): ssn'), 'Unknown types are rejected');
+    const types = await withEnv({ PII_REDACTION_TYPES: ' email, phone ,email' }, () => PiiRedactor.getConfiguredTypes());
+    check(types.join() === 'email,phone', 'PII_REDACTION_TYPES picks the types');
+
+    const structured = new PiiRedactor(['email']).redact({ summary: 'Mail dana@example.com', achievements: ['Wrote dana@example.com'], index: 2 });
+    check(JSON.stringify(structured) === '{"summary":"Mail [EMAIL_1]","achievements":["Wrote [EMAIL_1]"],"index":2}',
+        'Strings anywhere in structured data are redacted too');
+
+    console.log('\n2️⃣  Restoring the structured result...');
+    const restored = redactor.restore({
+        personalInfo: { email: '[EMAIL_1]', phone: 'PHONE_1' },
+        projects: [{ url: 'https://[URL_3]' }, { url: '[URL_9]' }],
+        experience: []
+    });
+    check(restored.personalInfo.email === 'noa.berger@example.com' && restored.personalInfo.phone === '+1 (415) 555-0142',
+        'Placeholders are replaced, with or without brackets');
+    check(restored.projects[0].url === 'https://https://github.com/noab/ledgerlint' && restored.projects[1].url === '[URL_9]',
+        'Unknown placeholders are left as they are');
+    check(redactor.mask('got "+1 (415) 555-0142"') === 'got "[PHONE_1]"', 'Restored values are masked again in later prompts');
+
+    console.log('\n3️⃣  Processing with redaction...');
+    const modelAnswer = copy(SAMPLE_CV);
+    modelAnswer.personalInfo.name = 'Noa Berger';
+    modelAnswer.personalInfo.email = '[EMAIL_1]';
+    modelAnswer.personalInfo.phone = '[PHONE_1]';
+
+    privacySettings['private-user'] = { redact_pii: true };
+    const opted = await processorAnswering([modelAnswer]);
+    const optedResult = await quietly(() => opted.processor.processCV(PLAIN_CV, 'private-user'));
+    check(!opted.prompts[0].includes('noa.berger@example.com') && !opted.prompts[0].includes('555-0142') &&
+        opted.prompts[0].includes('7. PLACEHOLDERS'), 'A user who opted in has contact details withheld from the model');
+    check(optedResult.personalInfo.email === 'noa.berger@example.com' && optedResult.personalInfo.phone === '+1 (415) 555-0142',
+        'The real values are back in the result');
+    check(optedResult.processingMetadata.piiRedacted.email === 1 && optedResult.fieldProvenance['personalInfo.email'].confidence === 1,
+        'Metadata records the redaction and provenance points at the real text');
+
+    const brokenAnswer = copy(modelAnswer);
+    brokenAnswer.experience[0].startDate = '[PHONE_1]';
+    const repairing = await processorAnswering([brokenAnswer, modelAnswer]);
+    await quietly(() => repairing.processor.processCV(PLAIN_CV, 'private-user'));
+    check(repairing.prompts.length === 2 && repairing.prompts[1].includes('got "[PHONE_1]"') && !repairing.prompts[1].includes('555-0142'),
+        'Repair prompts quote errors without the real values');
+
+    check(await PiiRedactor.forUser('private-user', 'openai') instanceof PiiRedactor &&
+        await PiiRedactor.forUser('public-user', 'gemini') === null, 'PiiRedactor.forUser follows the privacy settings');
+    check(await withEnv({ PII_REDACTION: 'true' }, () => PiiRedactor.forUser('private-user', 'ollama')) === null,
+        'Nothing is redacted for Ollama, which runs locally');
+
+    const open = await processorAnswering([{ ...modelAnswer, personalInfo: { ...modelAnswer.personalInfo, email: 'noa.berger@example.com', phone: '' } }]);
+    const openResult = await quietly(() => open.processor.processCV(PLAIN_CV, 'public-user'));
+    check(open.prompts[0].includes('noa.berger@example.com') && !open.prompts[0].includes('PLACEHOLDERS') &&
+        openResult.processingMetadata.piiRedacted === undefined, 'Other users are processed as before');
+
+    const deployment = await processorAnswering([modelAnswer]);
+    await withEnv({ PII_REDACTION: 'true' }, () => quietly(() => deployment.processor.processCV(PLAIN_CV, 'public-user')));
+    check(!deployment.prompts[0].includes('noa.berger@example.com'), 'PII_REDACTION=true redacts for every user');
+
+    const offline = await processorAnswering([modelAnswer]);
+    await quietly(() => offline.processor.processCV(PLAIN_CV, 'offline-user'));
+    check(!offline.prompts[0].includes('noa.berger@example.com'), 'Unreadable privacy settings err on the side of redacting');
+
+    console.log(getFailures() === 0 ? '\n🎉 ALL PII REDACTION TESTS PASSED' : `\n💥 ${getFailures()} PII REDACTION CHECK(S) FAILED`);
+    process.exitCode = getFailures() === 0 ? 0 : 1;
+}
+
+testPiiRedaction().catch(error => {
+    console.error('💥 Test execution failed:', error);
+    process.exitCode = 1;
+});
@@ -0,0 +1,174 @@
+// Provider Failover Test
+// Runs CVs through an ordered provider chain with stand-in providers that fail
+// the way real ones do (429, timeout, outage) and checks the circuit breakers.
+const fs = require('fs');
+const path = require('path');
+const { check, getFailures, quietly, withEnv } = require('./helpers');
+
+const CircuitBreaker = require('../server/lib/utils/circuit-breaker');
+const IntelligentCVProcessorChain = require('../server/lib/intelligent-cv-processor-chain');
+const IntelligentCVProcessorRules = require('../server/lib/intelligent-cv-processor-rules');
+const { createIntelligentCVProcessor, getProviderChain } = require('../server/lib/intelligent-cv-processor');
+const SimpleQueueManager = require('../server/lib/simple-queue-manager');
+
+const CV_TEXT = fs.readFileSync(path.join(__dirname, 'fixtures', 'plain-cv.txt'), 'utf8');
+
+/**
+ * Stand-in provider: `outcomes` is consumed one per call, an Error is thrown,
+ * anything else succeeds. Calls are counted.
+ */
+function fakeProvider(name, outcomes = []) {
+    const provider = {
+        calls: 0,
+        getProcessorName: () => name,
+        processCV: async () => {
+            const outcome = outcomes[provider.calls++];
+            if (outcome instanceof Error) {
+                throw outcome;
+            }
+            return { personalInfo: { name: 'Noa Berger' }, processingMetadata: { llmProvider: name } };
+        }
+    };
+    return provider;
+}
+
+const delay = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+async function testProviderFailover() {
+    console.log('=== PROVIDER FAILOVER TEST ===\n');
+
+    console.log('1️⃣  Tripping circuit breakers...');
+    const flaky = new CircuitBreaker('flaky', { failureThreshold: 3, openDurationMs: 30 });
+    await quietly(() => {
+        flaky.recordFailure(new Error('Malformed JSON'));
+        flaky.recordFailure(new Error('Malformed JSON'));
+    });
+    check(flaky.allowRequest(), 'Two failures leave the circuit closed');
+    await quietly(() => flaky.recordFailure(new Error('Malformed JSON')));
+    check(flaky.getState() === 'open' && !flaky.allowRequest(), 'The third failure in a row opens it');
+
+    const limited = new CircuitBreaker('limited', { openDurationMs: 30 });
+    await quietly(() => limited.recordFailure(new Error('429 Resource has been exhausted (e.g. check quota)')));
+    check(limited.getState() === 'open', 'A 429 opens the circuit at once');
+    const slow = new CircuitBreaker('slow', { openDurationMs: 30 });
+    await quietly(() => slow.recordFailure(new Error('Ollama request timeout')));
+    check(slow.getState() === 'open', 'A timeout opens the circuit at once');
+
+    await delay(40);
+    check(limited.getState() === 'half-open' && limited.allowRequest(), 'After the open period one trial request is allowed');
+    check(!limited.allowRequest(), 'Other requests wait for the trial');
+    await quietly(() => limited.recordFailure(new Error('Service unavailable')));
+    check(limited.getState() === 'open', 'A failed trial opens the circuit again');
+    await delay(40);
+    await quietly(() => limited.recordSuccess());
+    check(limited.getState() === 'closed' && limited.failures === 0, 'A successful trial closes it');
+
+    console.log('\n2️⃣  Reading the chain configuration...');
+    await withEnv({ LLM_PROVIDER_CHAIN: ' Gemini, ollama ,rules,rules', LLM_CLIENT_TYPE: 'openai' }, () => {
+        check(getProviderChain().join() === 'gemini,ollama,rules', 'LLM_PROVIDER_CHAIN is read in order');
+    });
+    await withEnv({ LLM_PROVIDER_CHAIN: undefined, LLM_CLIENT_TYPE: 'ollama', LLM_FALLBACK: undefined }, () => {
+        check(getProviderChain().join() === 'ollama,rules', 'Without a chain, LLM_CLIENT_TYPE falls back to rules');
+    });
+    await withEnv({ LLM_PROVIDER_CHAIN: undefined, LLM_CLIENT_TYPE: 'gemini', LLM_FALLBACK: 'none' }, () => {
+        check(getProviderChain().join() === 'gemini', 'LLM_FALLBACK=none leaves the provider alone');
+    });
+    await withEnv({ LLM_PROVIDER_CHAIN: 'gemini,claude' }, () => {
+        const error = (() => {
+            try {
+                getProviderChain();
+                return null;
+            } catch (thrown) {
+                return thrown;
+            }
+        })();
+        check(error && error.message.includes('claude'), 'Unknown providers are rejected');
+    });
+    await withEnv({ LLM_PROVIDER_CHAIN: 'rules' }, async () => {
+        const processor = await quietly(() => createIntelligentCVProcessor());
+        check(processor instanceof IntelligentCVProcessorChain && processor.getProcessorName() === 'chain-rules',
+            'The factory builds a chain when LLM_PROVIDER_CHAIN is set');
+    });
+
+    console.log('\n3️⃣  Failing over between providers...');
+    CircuitBreaker.resetAll();
+    const gemini = fakeProvider('gemini-test', [new Error('429 Resource has been exhausted (e.g. check quota)')]);
+    const ollama = fakeProvider('ollama-test', [new Error('Ollama request timeout'), new Error('Ollama request timeout')]);
+    const chain = await quietly(() => new IntelligentCVProcessorChain([gemini, ollama, 'rules']));
+
+    const served = await quietly(() => chain.processCV(CV_TEXT, 'failover-test', {}));
+    check(served.personalInfo.name === 'Noa Berger' && served.processingMetadata.processor === 'rules',
+        'The next provider serves the job transparently');
+    check(served.processingMetadata.fallbackFrom === 'gemini-test' &&
+        served.processingMetadata.failedProviders.map(failure => failure.processor).join() === 'gemini-test,ollama-test',
+        'The providers that failed are recorded');
+
+    const again = await quietly(() => chain.processCV(CV_TEXT, 'failover-test', {}));
+    check(gemini.calls === 1 && ollama.calls === 1 && again.processingMetadata.processor === 'rules',
+        'Providers with an open circuit are skipped on the next job');
+    check(CircuitBreaker.getAll()['gemini-test'].state === 'open' && CircuitBreaker.getAll().rules.state === 'closed',
+        'Breaker states are reported per provider');
+
+    CircuitBreaker.resetAll();
+    const recovering = fakeProvider('recovering-test');
+    const recoveringBreaker = CircuitBreaker.forProvider('recovering-test');
+    recoveringBreaker.openDurationMs = 30;
+    await quietly(() => recoveringBreaker.recordFailure(new Error('Ollama request timeout')));
+    await delay(40);
+    const recoveringChain = await quietly(() => new IntelligentCVProcessorChain([recovering, 'rules']));
+    const concurrent = await quietly(() => Promise.all([
+        recoveringChain.processCV(CV_TEXT, 'failover-test', {}),
+        recoveringChain.processCV(CV_TEXT, 'failover-test', {})
+    ]));
+    check(recovering.calls === 1 && concurrent.map(result => result.processingMetadata.processor).join() === 'recovering-test,rules',
+        'Two concurrent jobs in half-open make one trial call');
+    check(recoveringBreaker.getState() === 'closed' && recoveringBreaker.allowRequest(), 'The successful trial lets every job through again');
+
+    CircuitBreaker.resetAll();
+    const healthy = fakeProvider('gemini-test');
+    const first = await quietly(() => new IntelligentCVProcessorChain([healthy, 'rules']).processCV(CV_TEXT, 'failover-test', {}));
+    check(first.processingMetadata.processor === 'gemini-test' && !first.processingMetadata.fallbackFrom,
+        'The first provider serves when it is healthy');
+
+    CircuitBreaker.resetAll();
+    const down = fakeProvider('down-test', [new Error('fetch failed')]);
+    const error = await quietly(() => new IntelligentCVProcessorChain([down]).processCV(CV_TEXT, 'failover-test', {})
+        .then(() => null, thrown => thrown));
+    check(error && error.message === 'fetch failed', 'When every provider fails, the last error is raised');
+
+    console.log('\n4️⃣  Recording the provider with the job...');
+    CircuitBreaker.resetAll();
+    const queries = [];
+    const queue = Object.create(SimpleQueueManager.prototype);
+    queue.isProcessing = false;
+    queue.fileCache = new Map([['file-1', { extractedText: CV_TEXT }]]);
+    queue.db = {
+        query: async (sql, params = []) => {
+            queries.push({ sql, params });
+            return sql.includes("WHERE status = 'queued'") && sql.includes('LIMIT 1')
+                ? { rows: [{ id: 'job-1', user_id: 'user-1', file_id: 'file-1' }] }
+                : { rows: [] };
+        }
+    };
+
+    await withEnv({ LLM_PROVIDER_CHAIN: 'rules' }, () => quietly(() => queue.processNextJob()));
+    const completed = queries.find(query => query.sql.includes("status = 'completed'"));
+    const structuredData = completed && JSON.parse(completed.params[0]);
+    check(completed && completed.sql.includes('processor = $3') && completed.params[2] === 'rules',
+        'processing_jobs.processor stores the provider that served the job');
+    check(structuredData && structuredData.processingMetadata.processor === 'rules', 'The result names it in its metadata');
+
+    const rules = await quietly(() => new IntelligentCVProcessorRules());
+    const fallback = await withEnv({ LLM_FALLBACK: undefined }, () => quietly(() =>
+        SimpleQueueManager.prototype.processWithFallback.call({}, fakeProvider('ollama-test', [new Error('fetch failed')]), CV_TEXT, 'failover-test', {})));
+    check(fallback.processingMetadata.processor === rules.getProcessorName() && fallback.processingMetadata.fallbackFrom === 'ollama-test',
+        'A single LLM_CLIENT_TYPE provider still falls back to rules');
+
+    console.log(getFailures() === 0 ? '\n🎉 ALL PROVIDER FAILOVER TESTS PASSED' : `\n💥 ${getFailures()} PROVIDER FAILOVER CHECK(S) FAILED`);
+    process.exitCode = getFailures() === 0 ? 0 : 1;
+}
+
+testProviderFailover().catch(error => {
+    console.error('💥 Test execution failed:', error);
+    process.exitCode = 1;
+});
@@ -0,0 +1,118 @@
+// Rule-Based Extraction Test
+// Runs the LLM-free processor on fixture CVs in three layouts and scores the
+// fields it gets right against hand-written expectations.
+const fs = require('fs');
+const path = require('path');
+const { check, getFailures, quietly } = require('./helpers');
+
+const IntelligentCVProcessorRules = require('../server/lib/intelligent-cv-processor-rules');
+const { createIntelligentCVProcessor } = require('../server/lib/intelligent-cv-processor');
+const SimpleQueueManager = require('../server/lib/simple-queue-manager');
+const DateParserUtils = require('../server/lib/utils/date-parser-utils');
+const TextParserUtils = require('../server/lib/utils/text-parser-utils');
+
+const FIXTURES_DIR = path.join(__dirname, 'fixtures');
+const EXPECTED = JSON.parse(fs.readFileSync(path.join(FIXTURES_DIR, 'rules-expected.json'), 'utf8'));
+const MIME_TYPES = { '.txt': 'text/plain', '.pdf': 'application/pdf' };
+const MIN_ACCURACY = 0.95;
+
+/**
+ * Compare every expected leaf value with the value at the same path
+ * @returns {{total: number, misses: string[]}}
+ */
+function score(expected, actual, prefix = '') {
+    if (expected === null || typeof expected !== 'object') {
+        return expected === actual
+            ? { total: 1, misses: [] }
+            : { total: 1, misses: [`${prefix}: expected ${JSON.stringify(expected)}, got ${JSON.stringify(actual)}`] };
+    }
+
+    return Object.keys(expected).reduce((result, key) => {
+        const child = score(expected[key], actual == null ? undefined : actual[key], prefix ? `${prefix}.${key}` : key);
+        return { total: result.total + child.total, misses: [...result.misses, ...child.misses] };
+    }, { total: 0, misses: [] });
+}
+
+async function testRulesExtraction() {
+    console.log('=== RULE-BASED EXTRACTION TEST ===\n');
+    const processor = await quietly(() => new IntelligentCVProcessorRules());
+
+    console.log('1️⃣  Scoring extraction accuracy...');
+    let total = 0;
+    let missed = 0;
+    const results = {};
+    for (const [fileName, expected] of Object.entries(EXPECTED)) {
+        const filePath = path.join(FIXTURES_DIR, fileName);
+        const document = await quietly(() => processor.extractDocument(filePath, MIME_TYPES[path.extname(fileName)]));
+        const result = await quietly(() => processor.processCV(document.text, 'rules-test', { blocks: document.blocks }));
+        results[fileName] = result;
+
+        const { total: fields, misses } = score(expected, result);
+        const accuracy = (fields - misses.length) / fields;
+        check(accuracy >= MIN_ACCURACY, `${fileName}: ${fields - misses.length}/${fields} fields (${Math.round(accuracy * 100)}%)`);
+        misses.forEach(miss => console.log(`     ${miss}`));
+        total += fields;
+        missed += misses.length;
+    }
+    check((total - missed) / total >= MIN_ACCURACY, `Overall accuracy ${Math.round((total - missed) / total * 100)}% of ${total} fields`);
+
+    console.log('\n2️⃣  Checking the result shape...');
+    const plain = results['plain-cv.txt'];
+    check(plain.processingMetadata.llmProvider === 'rules' && plain.processingMetadata.intelligentProcessor === false,
+        'Results are marked as rule-based');
+    check(plain.personalInfo.aboutMe === plain.personalInfo.summary && plain.personalInfo.profilePicture === '',
+        'Personal info has the fields the template needs');
+    check(Array.isArray(plain.skills.technical) && Array.isArray(plain.skills.soft) && Array.isArray(plain.skills.languages),
+        'Skills are grouped like the LLM processors group them');
+    const candidates = { links: [], profilePicture: 'data:image/jpeg;base64,AAAA' };
+    const withCandidates = await quietly(() => processor.processCV('Jane Doe\nEXPERIENCE\nEngineer, Acme | 2020 - Present', 'rules-test', { candidates }));
+    check(withCandidates.candidates === candidates, 'Document candidates are passed through');
+    const empty = await quietly(() => processor.processCV('', 'rules-test'));
+    check(empty.experience.length === 0 && empty.personalInfo.currentTitle === 'Professional', 'Empty text gives an empty CV');
+
+    console.log('\n3️⃣  Finding dates and entries...');
+    check(JSON.stringify(DateParserUtils.findDateSpan('Dropbox | Jul 2016 – Feb 2020')) ===
+        JSON.stringify({ startDate: 'Jul 2016', endDate: 'Feb 2020', index: 10, length: 19 }), 'Month-name spans are found');
+    check(DateParserUtils.findDateSpan('03/2019 to current').endDate === 'Present', 'Open ends become Present');
+    check(DateParserUtils.findDateSpan('Grew to 1500 - 2000 users') === null, 'Numbers that are not years are ignored');
+    check(JSON.stringify(TextParserUtils.findEntryBoundaries([
+        'Engineer, Acme', 'Mar 2020 - Present', '- Shipped things',
+        '2016 - 2018 Analyst, Globex', 'Wrote reports.'
+    ])) === '[0,3]', 'Entries start at the title above a date-only line');
+
+    console.log('\n4️⃣  Selecting and falling back...');
+    const originalType = process.env.LLM_CLIENT_TYPE;
+    process.env.LLM_CLIENT_TYPE = 'rules';
+    const selected = await quietly(() => createIntelligentCVProcessor());
+    check(selected instanceof IntelligentCVProcessorRules, 'LLM_CLIENT_TYPE=rules selects the rule-based processor');
+    if (originalType === undefined) {
+        delete process.env.LLM_CLIENT_TYPE;
+    } else {
+        process.env.LLM_CLIENT_TYPE = originalType;
+    }
+
+    const failingProcessor = {
+        processCV: async () => {
+            throw new Error('429 Resource has been exhausted (e.g. check quota)');
+        },
+        getProcessorName: () => 'gemini-test'
+    };
+    const text = fs.readFileSync(path.join(FIXTURES_DIR, 'plain-cv.txt'), 'utf8');
+    const fallback = await quietly(() => SimpleQueueManager.prototype.processWithFallback.call({}, failingProcessor, text, 'rules-test', {}));
+    check(fallback.personalInfo.name === 'Noa Berger' && fallback.processingMetadata.fallbackFrom === 'gemini-test',
+        'A failed LLM job is processed with rules and marked as a fallback');
+
+    process.env.LLM_FALLBACK = 'none';
+    const error = await quietly(() => SimpleQueueManager.prototype.processWithFallback.call({}, failingProcessor, text, 'rules-test', {})
+        .then(() => null, thrown => thrown));
+    delete process.env.LLM_FALLBACK;
+    check(error && error.message.includes('quota'), 'LLM_FALLBACK=none lets the job fail');
+
+    console.log(getFailures() === 0 ? '\n🎉 ALL RULE-BASED EXTRACTION TESTS PASSED' : `\n💥 ${getFailures()} RULE-BASED EXTRACTION CHECK(S) FAILED`);
+    process.exitCode = getFailures() === 0 ? 0 : 1;
+}
+
+testRulesExtraction().catch(error => {
+    console.error('💥 Test execution failed:', error);
+    process.exitCode = 1;
+});
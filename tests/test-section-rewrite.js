@@ -0,0 +1,132 @@
+// Section Rewrite Test
+// The wizard's "Suggest" action: the summary or about me text is rewritten in a chosen
+// tone and length by the first LLM in the chain, as several alternatives, within the
+// user's daily limits.
+const http = require('http');
+const { check, getFailures, quietly, withEnv, createApiUsageStore } = require('./helpers');
+
+// api_usage in memory, read and written through the database client
+const apiUsage = createApiUsageStore();
+const database = require('../server/database/index');
+database.query = async (sql, params = []) => apiUsage.query(sql, params);
+
+const SectionRewriter = require('../server/lib/section-rewriter');
+const OpenAICompatibleClient = require('../server/lib/utils/openai-compatible-client');
+const { PII_REDACTION, SECTION_REWRITE } = require('../server/constants');
+
+const SUMMARY = 'Backend developer with 6 years of experience building payment APIs in Node.js and PostgreSQL.';
+
+/**
+ * A chat-completions endpoint answering every prompt with reply(prompt)
+ */
+function startServer(reply) {
+    const prompts = [];
+    const server = http.createServer((req, res) => {
+        let raw = '';
+        req.on('data', chunk => { raw += chunk; });
+        req.on('end', () => {
+            const prompt = JSON.parse(raw).messages.map(message => message.content).join('\n');
+            prompts.push(prompt);
+            res.writeHead(200, { 'Content-Type': 'application/json' });
+            res.end(JSON.stringify({
+                id: 'chatcmpl-test',
+                object: 'chat.completion',
+                choices: [{ index: 0, message: { role: 'assistant', content: reply(prompt) }, finish_reason: 'stop' }],
+                usage: { prompt_tokens: 180, completion_tokens: 120, total_tokens: 300 }
+            }));
+        });
+    });
+
+    return new Promise(resolve => server.listen(0, '127.0.0.1', () => resolve({
+        url: `http://127.0.0.1:${server.address().port}`,
+        prompts,
+        close: () => new Promise(done => server.close(done))
+    })));
+}
+
+async function openAIRewriter(baseUrl) {
+    const client = await quietly(() => new OpenAICompatibleClient({ baseUrl, model: 'qwen2.5-7b-instruct', maxRetries: 1 }));
+    return new SectionRewriter({ provider: 'openai', client });
+}
+
+async function testSectionRewrite() {
+    console.log('=== SECTION REWRITE TEST ===\n');
+
+    console.log('1️⃣  Choosing the provider...');
+    check(await withEnv({ LLM_PROVIDER_CHAIN: 'rules,ollama,gemini' }, () => SectionRewriter.getProvider()) === 'ollama',
+        'The first LLM in the chain writes the suggestions');
+    check(await withEnv({ LLM_PROVIDER_CHAIN: undefined, LLM_CLIENT_TYPE: 'openai' }, () => SectionRewriter.getProvider()) === 'openai',
+        'Without a chain, LLM_CLIENT_TYPE is used');
+    const rulesOnly = await withEnv({ LLM_PROVIDER_CHAIN: 'rules' }, () => new SectionRewriter());
+    const unavailable = await rulesOnly.rewrite('user-1', { section: 'summary', text: SUMMARY, tone: 'formal' }).catch(error => error);
+    check(unavailable.status === 503 && apiUsage.usageOf('user-1', 'rules').request_count === 0, 'Rule-based deployments answer 503');
+
+    console.log('\n2️⃣  Asking for alternatives...');
+    const server = await startServer(() => [
+        'Option 1: "Backend engineer with six years of experience designing payment APIs in Node.js and PostgreSQL."',
+        '---',
+        '2. Six years building reliable payment APIs with Node.js and PostgreSQL.',
+        '---',
+        '',
+        '---',
+        SUMMARY,
+        '---',
+        'Node.js and PostgreSQL backend developer, six years in payments.'
+    ].join('\n'));
+    const rewriter = await openAIRewriter(`${server.url}/v1`);
+    const result = await quietly(() => rewriter.rewrite('user-1', { section: 'summary', text: SUMMARY, tone: 'executive', length: 'short' }));
+    const prompt = server.prompts[0];
+    check(prompt.includes(SECTION_REWRITE.TONES.executive) && prompt.includes(SECTION_REWRITE.LENGTHS.short) &&
+        prompt.includes(SECTION_REWRITE.SECTIONS.summary) && prompt.includes(SUMMARY), 'The prompt carries the section, tone, length and text');
+    check(prompt.includes(`Write ${SECTION_REWRITE.DEFAULT_ALTERNATIVES} different alternatives`) && prompt.includes('Return ONLY the requested text'),
+        'It asks for the default number of alternatives through generateSimpleText');
+    check(result.alternatives.length === 3 && result.provider === 'openai', 'Three alternatives come back in one request');
+    check(result.alternatives[0] === 'Backend engineer with six years of experience designing payment APIs in Node.js and PostgreSQL.' &&
+        result.alternatives[1].startsWith('Six years'), 'Labels, numbering and quotes are removed');
+    check(!result.alternatives.includes(SUMMARY), 'Empty answers and a copy of the original are dropped');
+
+    const numbered = rewriter.parseAlternatives('1. First version.\n2) Second version.\n3. Third version.', SUMMARY, 2);
+    check(numbered.join('|') === 'First version.|Second version.', 'A numbered list without separators is split too, up to count');
+
+    console.log('\n3️⃣  Counting against the daily limits...');
+    check(apiUsage.usageOf('user-1', 'openai').request_count === 1 && apiUsage.usageOf('user-1', 'openai').token_count === 300 &&
+        result.tokenUsage.totalTokens === 300, 'The request and its tokens are tracked in api_usage');
+
+    await withEnv({ OPENAI_DAILY_TOKEN_LIMIT: '300' }, async () => {
+        const refused = await quietly(() => rewriter.rewrite('user-1', { section: 'aboutMe', text: SUMMARY, tone: 'friendly' }).catch(error => error));
+        check(refused.status === 429 && refused.userLimitExceeded && refused.message.includes('Resets: tomorrow'),
+            'A user over the limit is refused with 429');
+        check(server.prompts.length === 1, 'No request is sent for them');
+    });
+
+    const aboutMe = await quietly(() => rewriter.rewrite('user-2', { section: 'aboutMe', text: SUMMARY, tone: 'friendly', count: 1 }));
+    check(aboutMe.alternatives.length === 1 && server.prompts[1].includes(SECTION_REWRITE.SECTIONS.aboutMe) &&
+        server.prompts[1].includes(SECTION_REWRITE.LENGTHS[SECTION_REWRITE.DEFAULT_LENGTH]), 'About me text uses its own instructions and the default length');
+    await server.close();
+
+    console.log('\n4️⃣  Unusable answers...');
+    const echo = await startServer(() => `"${SUMMARY}"`);
+    const echoing = await openAIRewriter(`${echo.url}/v1`);
+    const empty = await quietly(() => echoing.rewrite('user-3', { section: 'summary', text: SUMMARY, tone: 'concise' }).catch(error => error));
+    check(empty.status === 502 && apiUsage.usageOf('user-3', 'openai').token_count === 300, 'Only the original back is a 502, and its tokens still count');
+    await echo.close();
+
+    console.log('\n5️⃣  Redacting contact details...');
+    const contact = `${SUMMARY} Reach me at jane@example.com.`;
+    const placeholders = await startServer(() => 'Payments backend engineer, six years in Node.js - write to [EMAIL_1].');
+    const redacting = await openAIRewriter(`${placeholders.url}/v1`);
+    const redacted = await withEnv({ PII_REDACTION: 'true' }, () => quietly(() => redacting.rewrite('user-4', { section: 'summary', text: contact, tone: 'concise', count: 1 })));
+    check(!placeholders.prompts[0].includes('jane@example.com') && placeholders.prompts[0].includes('[EMAIL_1]') &&
+        placeholders.prompts[0].includes(PII_REDACTION.PROMPT_INSTRUCTION), 'The model gets placeholders instead of contact details');
+    check(redacted.alternatives[0] === 'Payments backend engineer, six years in Node.js - write to jane@example.com.',
+        'The real values are back in the suggestions');
+    await placeholders.close();
+
+    console.log(getFailures() === 0 ? '\n🎉 ALL SECTION REWRITE TESTS PASSED' : `\n💥 ${getFailures()} SECTION REWRITE CHECK(S) FAILED`);
+    process.exitCode = getFailures() === 0 ? 0 : 1;
+}
+
+testSectionRewrite().catch(error => {
+    console.error('💥 Test execution failed:', error);
+    process.exitCode = 1;
+});
@@ -0,0 +1,173 @@
+// Skills Normalization Test
+// Skills are matched against the bundled taxonomy after extraction and after the wizard's
+// edits: variants of a skill ("JS", "Javascript", "JavaScript ES6") become one canonical
+// name in its category (technical, soft, tools, domain), a level written next to a skill
+// is kept, and the landing page and exports group the skills and show the levels.
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { check, getFailures, quietly, copy, same } = require('./helpers');
+
+const SkillsNormalizer = require('../server/lib/skills-normalizer');
+const IntelligentCVProcessorRules = require('../server/lib/intelligent-cv-processor-rules');
+const TemplateProcessor = require('../server/lib/template-processor');
+const SectionRenderer = require('../server/lib/section-renderer');
+const SeoRenderer = require('../server/lib/seo-renderer');
+const JsonResumeMapper = require('../server/lib/json-resume-mapper');
+const TranslationSegments = require('../server/lib/utils/translation-segments');
+const InputSanitizer = require('../server/lib/utils/input-sanitizer');
+const SKILLS_TAXONOMY = require('../server/constants/skills-taxonomy');
+const SITE_LOCALES = require('../server/constants/site-locales');
+const { SKILLS } = require('../server/constants');
+
+const PLAIN_CV = fs.readFileSync(path.join(__dirname, 'fixtures', 'plain-cv.txt'), 'utf8');
+
+const CV = {
+    personalInfo: {
+        name: 'Jane Doe',
+        email: 'jane@example.com',
+        location: 'Amsterdam',
+        currentTitle: 'Backend Developer',
+        summary: 'Backend developer who builds payment APIs.'
+    },
+    experience: [
+        {
+            title: 'Backend Developer',
+            company: 'Paylane',
+            startDate: '2019-03',
+            endDate: 'Present',
+            description: 'Worked on the payments platform.',
+            achievements: ['Cut checkout latency by 40%']
+        }
+    ],
+    skills: {
+        technical: ['Node.js', 'PostgreSQL'],
+        soft: ['Mentoring'],
+        tools: ['Docker', 'Jira'],
+        domain: ['Payments'],
+        languages: ['English', 'Dutch'],
+        proficiency: { 'Node.js': 'expert', Docker: 'intermediate' }
+    },
+    education: [],
+    projects: [],
+    certifications: []
+};
+
+async function testSkillsNormalization() {
+    console.log('=== SKILLS NORMALIZATION TEST ===\n');
+    const normalizer = new SkillsNormalizer();
+
+    console.log('1️⃣  Checking the taxonomy...');
+    check(SKILLS.CATEGORIES.every(category => Array.isArray(SKILLS_TAXONOMY[category]) && SKILLS_TAXONOMY[category].length > 0),
+        'Every category has skills');
+    const owners = new Map();
+    const conflicts = [];
+    SKILLS.CATEGORIES.forEach(category => SKILLS_TAXONOMY[category].forEach(entry => {
+        [entry.name, ...entry.aliases].forEach(alias => {
+            const key = normalizer.key(alias);
+            if (owners.has(key) && owners.get(key) !== entry.name) conflicts.push(`${alias} (${owners.get(key)}, ${entry.name})`);
+            owners.set(key, entry.name);
+        });
+    }));
+    check(conflicts.length === 0, `No alias names two skills${conflicts.length ? `: ${conflicts.join('; ')}` : ''}`);
+    check(Object.values(SKILLS.LEVEL_ALIASES).every(level => SKILLS.LEVELS.includes(level)), 'Level aliases name known levels');
+
+    console.log('\n2️⃣  Normalizing skills...');
+    const normalized = normalizer.normalize({
+        technical: ['JS', 'Javascript', 'JavaScript ES6', 'python 3 (Expert)', 'Kubernetes', 'Teamwork', 'Ledger reconciliation'],
+        soft: ['• Communication skills', 'Conflict resolution.', 'Docker - advanced'],
+        languages: ['English', 'english', 'Dutch (Fluent)']
+    });
+    check(same(normalized.technical, ['JavaScript', 'Python', 'Ledger reconciliation']), 'Variants of a skill are merged under its canonical name');
+    check(same(normalized.tools, ['Kubernetes', 'Docker']), 'Tools are moved to their category');
+    check(same(normalized.soft, ['Teamwork', 'Communication', 'Conflict Resolution']), 'Soft skills are moved to their category');
+    check(same(normalized.domain, []) && same(normalizer.normalize({ technical: ['agile methodologies', 'SEO'] }).domain, ['Agile', 'SEO']),
+        'Domain skills are moved to their category');
+    check(same(normalized.proficiency, { Python: 'expert', Docker: 'advanced' }), 'Levels written next to a skill are kept by its canonical name');
+    check(same(normalized.languages, ['English', 'Dutch (Fluent)']), 'Languages are only cleaned and listed once');
+    check(same(normalizer.normalize(normalized), normalized), 'Normalizing twice changes nothing');
+    check(normalizer.normalize({ technical: ['Objective-C', 'Go - Beginner'] }).proficiency.Go === 'beginner' &&
+        normalizer.normalize({ technical: ['Objective-C'] }).technical[0] === 'Objective-C', 'A hyphen is a level only before a level word');
+    check(same(normalizer.normalize({ technical: ['JS'], proficiency: { javascript: 'proficient', JS: 'guru' } }).proficiency, { JavaScript: 'advanced' }),
+        'Separate levels are matched to canonical names and unknown levels dropped');
+    check(same(normalizer.normalize(['React', 'Figma']), { technical: ['React'], soft: [], tools: ['Figma'], domain: [], languages: [], proficiency: {} }),
+        'A plain list counts as technical skills');
+    check(same(normalizer.normalize(null), { technical: [], soft: [], tools: [], domain: [], languages: [], proficiency: {} }),
+        'Missing skills give empty lists');
+
+    console.log('\n3️⃣  Normalizing after extraction and edits...');
+    const extracted = await quietly(() => new IntelligentCVProcessorRules().processCV(PLAIN_CV, 'user-1'));
+    check(extracted.skills.technical.includes('Apache Kafka') && extracted.skills.tools.includes('Kubernetes'),
+        'Extracted skills are normalized');
+    const kafka = extracted.fieldProvenance[`skills.technical[${extracted.skills.technical.indexOf('Apache Kafka')}]`];
+    check(kafka && PLAIN_CV.slice(kafka.start, kafka.end) === 'Kafka' && kafka.confidence >= 0.9,
+        'A renamed skill points at the name the CV used');
+
+    const templateProcessor = new TemplateProcessor();
+    const edited = InputSanitizer.sanitizeCVData({
+        ...copy(CV),
+        _hasEditedContent: true,
+        skillsText: 'Technical Skills:\nnodejs, Go (Expert)\n\nTools:\ngit, k8s\n\nProfessional Skills:\nteam work\n\nDomain Expertise:\nFinTech\n\nLanguages:\nEnglish, Dutch'
+    });
+    const finalData = await quietly(() => templateProcessor.buildFinalDataStructure(edited));
+    check(same(finalData.skills.technical, ['Node.js', 'Go']) && same(finalData.skills.tools, ['Git', 'Kubernetes']) &&
+        same(finalData.skills.soft, ['Teamwork']) && same(finalData.skills.domain, ['FinTech']),
+        'Edited skills text is normalized, although sanitizing joins its lines');
+    check(same(finalData.skills.languages, ['English', 'Dutch']) && same(finalData.skills.proficiency, { Go: 'expert' }),
+        'Languages and levels are read from the edited text');
+    check(same(templateProcessor.convertTextToSkills('Python, Scrum').domain, ['Scrum']), 'Text without headings is sorted too');
+
+    const sanitized = InputSanitizer.sanitizeCVData({ ...copy(CV), skills: { ...copy(CV.skills), proficiency: { '<b>C</b>': 'expert', Docker: 'guru' } } });
+    check(same(sanitized.skills.tools, ['Docker', 'Jira']) && same(sanitized.skills.proficiency, { '&lt;b&gt;C&lt;&#x2F;b&gt;': 'expert' }),
+        'Sanitizing keeps tools, domain and valid levels');
+
+    console.log('\n4️⃣  Rendering grouped skills...');
+    const sectionRenderer = new SectionRenderer();
+    const sections = sectionRenderer.renderSections(copy(CV));
+    check(sections.TECHNICAL_SKILLS.includes('<span class="skill-tag" data-level="expert">Node.js <small class="skill-level">Expert</small></span>'),
+        'Skills with a level show it');
+    check(sections.SOFT_SKILLS === '<span class="skill-tag">Mentoring</span>', 'Skills without a level are plain tags');
+    check(sections.SKILL_GROUPS.includes('id="tools-skills"') && sections.SKILL_GROUPS.includes('id="domain-skills"') &&
+        sections.SKILL_GROUPS.includes('Intermediate'), 'Tools and domain skills get cards of their own');
+    check(sectionRenderer.renderSections({ ...copy(CV), skills: { technical: ['Go'] } }).SKILL_GROUPS === '',
+        'CVs without tools or domain skills keep two cards');
+    check(sectionRenderer.renderSections({ ...copy(CV), skills: { tools: ['Git'] } }).SKILLS_HIDDEN === '',
+        'A CV with only tools still shows the skills section');
+    check(sectionRenderer.renderSkillGroups(copy(CV.skills), 'de').includes(SITE_LOCALES.de.labels.TOOLS) &&
+        sectionRenderer.renderSkillTags(['Docker'], CV.skills.proficiency, 'de').includes(SITE_LOCALES.de.labels.LEVEL_INTERMEDIATE),
+        'Group and level labels follow the site language');
+    check(sectionRenderer.renderSkillTags(['Go'], { Go: '" onmouseover="x' }) === '<span class="skill-tag">Go</span>',
+        'Unknown levels are not rendered');
+
+    const outputDir = fs.mkdtempSync(path.join(os.tmpdir(), 'cv-skills-test-'));
+    try {
+        await quietly(() => templateProcessor.generateLandingPage(copy(CV), outputDir, 'professional'));
+        const page = fs.readFileSync(path.join(outputDir, 'index.html'), 'utf8');
+        check(!page.includes('{{') && page.includes('id="tools-skills"') && page.includes('class="skill-level"'),
+            'The landing page lists the skill groups and levels');
+    } finally {
+        fs.rmSync(outputDir, { recursive: true, force: true });
+    }
+
+    check(same(new SeoRenderer(sectionRenderer).buildPersonSchema(copy(CV), null, null).knowsAbout, ['Node.js', 'PostgreSQL', 'Docker', 'Jira', 'Payments']),
+        'Structured data knows about tools and domains');
+    const resume = new JsonResumeMapper().toJsonResume(copy(CV));
+    check(same(resume.skills.map(group => group.name), ['Technical', 'Tools', 'Soft Skills', 'Domain Expertise']),
+        'JSON Resume exports a group per category');
+    check(sectionRenderer.formatSkill('Node.js', CV.skills.proficiency) === 'Node.js (Expert)' &&
+        sectionRenderer.formatSkill('Jira', CV.skills.proficiency) === 'Jira', 'PDF and Word exports write levels in brackets');
+
+    const translated = TranslationSegments.apply({ ...copy(CV), skills: { ...copy(CV.skills), proficiency: { Payments: 'expert' } } },
+        { 'skills.domain.0': 'Zahlungsverkehr', 'skills.tools.0': 'Docker-Container' });
+    check(same(translated.skills.domain, ['Zahlungsverkehr']) && same(translated.skills.proficiency, { Zahlungsverkehr: 'expert' }),
+        'A translated skill keeps its level');
+    check(same(translated.skills.tools, ['Docker', 'Jira']), 'Tools are not translated');
+
+    console.log(getFailures() === 0 ? '\n🎉 ALL SKILLS NORMALIZATION TESTS PASSED' : `\n💥 ${getFailures()} SKILLS NORMALIZATION CHECK(S) FAILED`);
+    process.exitCode = getFailures() === 0 ? 0 : 1;
+}
+
+testSkillsNormalization().catch(error => {
+    console.error('💥 Test execution failed:', error);
+    process.exitCode = 1;
+});
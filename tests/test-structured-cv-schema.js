@@ -0,0 +1,157 @@
+// Structured CV Schema Test
+// Validates model output against the structured CV schema and runs the repair
+// loop with stand-in models that return broken, then corrected, JSON.
+const fs = require('fs');
+const path = require('path');
+const { SchemaType } = require('@google/generative-ai');
+const { check, getFailures, quietly, copy } = require('./helpers');
+
+const StructuredCVValidator = require('../server/lib/structured-cv-validator');
+const IntelligentCVProcessorGemini = require('../server/lib/intelligent-cv-processor-gemini');
+const IntelligentCVProcessorOpenAI = require('../server/lib/intelligent-cv-processor-openai');
+
+const SAMPLE_CV = JSON.parse(fs.readFileSync(path.join(__dirname, 'fixtures', 'sample-cv.json'), 'utf8'));
+
+/**
+ * Stand-in model: answers with `responses` in turn and keeps the prompts it got
+ */
+function scriptedModel(responses) {
+    const prompts = [];
+    const generate = async (prompt) => {
+        prompts.push(prompt);
+        return responses[Math.min(prompts.length, responses.length) - 1];
+    };
+    return { prompts, generate };
+}
+
+// Every schema node, with its path
+function collectNodes(node, nodePath = 'root', nodes = []) {
+    nodes.push({ node, nodePath });
+    Object.entries(node.properties || {}).forEach(([name, child]) => collectNodes(child, `${nodePath}.${name}`, nodes));
+    if (node.items) {
+        collectNodes(node.items, `${nodePath}[]`, nodes);
+    }
+    return nodes;
+}
+
+async function testStructuredCVSchema() {
+    console.log('=== STRUCTURED CV SCHEMA TEST ===\n');
+    const validator = new StructuredCVValidator();
+
+    console.log('1️⃣  Validating model output...');
+    check(validator.validate(SAMPLE_CV).length === 0, 'A complete extraction is valid');
+
+    const missing = copy(SAMPLE_CV);
+    delete missing.experience;
+    delete missing.skills.soft;
+    const missingErrors = validator.validate(missing);
+    check(missingErrors.includes('experience is missing') && missingErrors.includes('skills.soft is missing'),
+        'Missing arrays are reported by path');
+
+    const wrongTypes = copy(SAMPLE_CV);
+    wrongTypes.skills.technical = 'Node.js, PostgreSQL';
+    wrongTypes.education[0].achievements = 'Dean\'s list';
+    const typeErrors = validator.validate(wrongTypes);
+    check(typeErrors.some(error => error.startsWith('skills.technical') && error.includes('array')) &&
+        typeErrors.some(error => error.startsWith('education[0].achievements')), 'Strings in place of lists are reported');
+
+    const wrongDates = copy(SAMPLE_CV);
+    wrongDates.experience[0].startDate = 'March \'19';
+    wrongDates.experience[1].endDate = 'now';
+    const dateErrors = validator.validate(wrongDates);
+    check(dateErrors.length === 2 && dateErrors[0].startsWith('experience[0].startDate must be a date written as') &&
+        dateErrors[0].endsWith('got "March \'19"'), 'Wrong date formats are reported with the expected formats');
+
+    const acceptedDates = ['2020', '2020-01', '01/2020', '3/2020', 'Jan 2020', 'September 2020', 'Sept. 2020', 'Present', ''];
+    const datedCV = copy(SAMPLE_CV);
+    datedCV.certifications = acceptedDates.map(date => ({ name: 'Certificate', date }));
+    check(validator.validate(datedCV).length === 0, 'Every date format the prompt asks for is accepted');
+    check(validator.validate({ personalInfo: { name: 'Dana' } }).length === 5, 'Errors are listed for each missing section');
+
+    console.log('\n2️⃣  Deriving the response schema...');
+    const responseSchema = validator.toResponseSchema();
+    const nodes = collectNodes(responseSchema);
+    const serialized = JSON.stringify(responseSchema);
+    check(!serialized.includes('$ref') && !serialized.includes('pattern') && !serialized.includes('minLength'),
+        'References are inlined and validation-only keywords dropped');
+    check(nodes.every(({ node }) => Object.values(SchemaType).includes(node.type)), 'Every node has a type Gemini understands');
+    check(nodes.filter(({ node }) => node.properties).every(({ node }) => node.required.length === Object.keys(node.properties).length),
+        'Every property is required, so empty fields are returned as "" or []');
+    check(responseSchema.properties.experience.items.properties.startDate.description.includes('YYYY-MM'),
+        'Date fields describe the expected format');
+
+    console.log('\n3️⃣  Repairing invalid output...');
+    const processor = await quietly(() => new IntelligentCVProcessorOpenAI({ baseUrl: 'http://127.0.0.1:1/v1', model: 'test-model' }));
+
+    const broken = copy(SAMPLE_CV);
+    delete broken.education;
+    broken.experience[0].endDate = 'till now';
+    const repairing = scriptedModel([JSON.stringify(broken), JSON.stringify(SAMPLE_CV)]);
+    const repaired = await quietly(() => processor.extractValidatedData('Dana Levi', repairing.generate));
+    check(repairing.prompts.length === 2 && repaired.education.length === 1 && repaired.processingMetadata.schemaRepairs === 1,
+        'An invalid response is repaired with one more call');
+    check(repairing.prompts[1].includes('- education is missing') && repairing.prompts[1].includes('got "till now"') &&
+        repairing.prompts[1].includes(JSON.stringify(broken)), 'The repair prompt quotes the errors and the response');
+
+    const malformed = scriptedModel(['{"personalInfo": {"name": "Dana Levi",}, "experience": [', JSON.stringify(SAMPLE_CV)]);
+    const recovered = await quietly(() => processor.extractValidatedData('Dana Levi', malformed.generate));
+    check(recovered.personalInfo.name === 'Dana Levi' && malformed.prompts[1].includes('JSON parsing failed'),
+        'Malformed JSON goes through the same repair pass');
+
+    const stubborn = scriptedModel([JSON.stringify({ personalInfo: { name: 'Dana Levi' } })]);
+    const error = await quietly(() => processor.extractValidatedData('Dana Levi', stubborn.generate).then(() => null, thrown => thrown));
+    check(stubborn.prompts.length === 3 && error && error.message.includes('after 2 repair attempts') && error.message.includes('experience is missing'),
+        'Output that stays invalid is rejected after two repairs');
+
+    const valid = scriptedModel([JSON.stringify(SAMPLE_CV)]);
+    const accepted = await quietly(() => processor.extractValidatedData('Dana Levi', valid.generate));
+    check(valid.prompts.length === 1 && accepted.processingMetadata.schemaRepairs === 0 &&
+        valid.prompts[0].includes('"Mon YYYY"'), 'Valid output needs no repair');
+
+    console.log('\n4️⃣  Using native structured output...');
+    const requests = [];
+    processor.client.generateText = async (prompt, options) => {
+        requests.push(options);
+        return requests.length === 1 ? JSON.stringify(broken) : JSON.stringify(SAMPLE_CV);
+    };
+    const openAIResult = await quietly(() => processor.extractAllData('Dana Levi'));
+    check(openAIResult.education.length === 1 && requests.length === 2, 'The OpenAI-compatible processor repairs its output');
+    check(requests[0].jsonSchema.name === 'structured_cv' && requests[0].jsonSchema.schema.properties.skills.required.length === 5,
+        'It asks for json_schema structured output');
+
+    const originalKey = process.env.GEMINI_API_KEY;
+    process.env.GEMINI_API_KEY = 'test-key';
+    try {
+        const gemini = await quietly(() => new IntelligentCVProcessorGemini());
+        check(gemini.model.generationConfig.responseMimeType === 'application/json' &&
+            gemini.model.generationConfig.responseSchema.properties.personalInfo.type === SchemaType.OBJECT,
+            'Gemini is configured with the response schema');
+
+        let geminiCalls = 0;
+        gemini.generateContentSafe = async () => {
+            geminiCalls++;
+            const text = geminiCalls === 1 ? JSON.stringify(broken) : JSON.stringify(SAMPLE_CV);
+            return { response: { text: () => text } };
+        };
+        const geminiResult = await quietly(() => gemini.extractAllData('Dana Levi'));
+        check(geminiCalls === 2 && geminiResult.education.length === 1 && geminiResult.processingMetadata.schemaRepairs === 1,
+            'Gemini output is validated and repaired');
+
+        await quietly(() => gemini.initializeModel('gemini-1.0-pro-latest'));
+        check(gemini.model.generationConfig.responseSchema === undefined, 'Models without response schemas fall back to the prompt');
+    } finally {
+        if (originalKey === undefined) {
+            delete process.env.GEMINI_API_KEY;
+        } else {
+            process.env.GEMINI_API_KEY = originalKey;
+        }
+    }
+
+    console.log(getFailures() === 0 ? '\n🎉 ALL STRUCTURED CV SCHEMA TESTS PASSED' : `\n💥 ${getFailures()} STRUCTURED CV SCHEMA CHECK(S) FAILED`);
+    process.exitCode = getFailures() === 0 ? 0 : 1;
+}
+
+testStructuredCVSchema().catch(error => {
+    console.error('💥 Test execution failed:', error);
+    process.exitCode = 1;
+});
@@ -0,0 +1,193 @@
+// Template Rendering Regression Test
+// Renders the fixture CV with the professional template and compares index.html
+// against the stored snapshot. Run with --update to refresh the snapshot after
+// an intentional template change.
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { check, getFailures } = require('./helpers');
+
+const TemplateProcessor = require('../server/lib/template-processor');
+const InputSanitizer = require('../server/lib/utils/input-sanitizer');
+
+const FIXTURE_CV = path.join(__dirname, 'fixtures', 'sample-cv.json');
+const SNAPSHOT = path.join(__dirname, 'fixtures', 'professional-rendered.html');
+const updateSnapshot = process.argv.includes('--update');
+
+async function renderFixture(options = {}) {
+    const cvData = InputSanitizer.sanitizeCVData(JSON.parse(fs.readFileSync(FIXTURE_CV, 'utf8')));
+    const outputDir = fs.mkdtempSync(path.join(os.tmpdir(), 'cv-render-test-'));
+
+    // Template processor is chatty - keep the test output readable
+    const originalLog = console.log;
+    console.log = () => {};
+    try {
+        const result = await new TemplateProcessor().generateLandingPage(cvData, outputDir, 'professional', options);
+        const html = fs.readFileSync(path.join(outputDir, 'index.html'), 'utf8');
+        const css = fs.readFileSync(path.join(outputDir, 'styles.css'), 'utf8');
+        return { result, html, css, outputDir };
+    } finally {
+        console.log = originalLog;
+    }
+}
+
+async function testTemplateRendering() {
+    console.log('=== TEMPLATE RENDERING REGRESSION TEST ===\n');
+
+    const { result, html, outputDir } = await renderFixture();
+
+    try {
+        console.log('1️⃣  Checking generated files...');
+        check(!fs.existsSync(path.join(outputDir, 'data.js')), 'No data.js is written');
+        check(!result.files.includes('data.js'), 'data.js is not listed in generated files');
+        check(!/src="data\.js"/.test(html), 'index.html does not load data.js');
+
+        console.log('\n2️⃣  Checking rendered sections...');
+        check(!/{{[A-Z_]+}}/.test(html.replace(/{{NAME}} is just text/, '')), 'All placeholders are replaced');
+        check(html.includes('<h3 class="text-xl font-semibold text-white mb-1">Senior Backend Engineer</h3>'), 'Experience is rendered');
+        check(html.includes('Mar 2019 - Jun 2024') && html.includes('Jun 2016 - Feb 2019'), 'Experience dates are formatted');
+        check(!html.includes('Improved onboarding flow'), 'Achievement-like experience entries are skipped');
+        check(html.includes('<span class="skill-tag">Kubernetes</span>'), 'Technical skills are rendered');
+        check(html.includes('<span class="skill-tag">Hebrew</span>'), 'Languages are rendered');
+        check(html.includes('Tel Aviv University'), 'Education is rendered');
+        check(html.includes('href="https://github.com/example/pg-migrate-lite"'), 'Project links are rendered');
+        check(html.includes('Certified Kubernetes Administrator') && html.includes('Sep 2022'), 'Certifications are rendered');
+        check(html.includes('<span id="hero-initials">DL</span>'), 'Hero initials are rendered');
+        check(!/id="[a-z]+-section"[^>]* hidden/.test(html), 'No populated section is hidden');
+        check((html.match(/<div class="highlight-item">/g) || []).length === 3, 'Highlight counters with data are shown');
+
+        const originalLog = console.log;
+        console.log = () => {};
+        const empty = new TemplateProcessor().createReplacements({ personalInfo: { name: 'Ann Lee' }, experience: [], skills: {}, projects: [] });
+        console.log = originalLog;
+        check(empty.YEARS_EXPERIENCE === '0' && empty.PROJECTS_COUNT === '0' && empty.SKILLS_COUNT === '0',
+            'Counters are not made up for a CV without experience, projects or skills');
+        check(empty.YEARS_EXPERIENCE_HIDDEN === ' hidden' && empty.HIGHLIGHTS_HIDDEN === ' hidden', 'Empty counters are hidden');
+
+        console.log('\n3️⃣  Checking escaping...');
+        check(html.includes('AT&amp;T Labs') && !html.includes('AT&amp;amp;T'), 'Pre-escaped values are not double-escaped');
+        check(html.includes('&lt;b&gt;core&lt;&#x2F;b&gt;') || html.includes('&lt;b&gt;core&lt;/b&gt;'), 'Markup in achievements is escaped');
+        check(html.includes('starts at $1 and {{NAME}} is just text'), 'CV text is not re-expanded as a placeholder');
+        check(!html.includes('javascript:'), 'Unsafe project URLs are dropped');
+
+        console.log('\n4️⃣  Checking SEO metadata before publishing...');
+        check(html.includes('<meta name="twitter:card" content="summary">'), 'Twitter card tags are rendered');
+        check(!html.includes('rel="canonical"'), 'No canonical URL before the site is published');
+        check(fs.existsSync(path.join(outputDir, 'robots.txt')), 'robots.txt is written');
+        check(!fs.existsSync(path.join(outputDir, 'sitemap.xml')), 'sitemap.xml waits for a public URL');
+
+        console.log('\n5️⃣  Comparing against snapshot...');
+        if (updateSnapshot || !fs.existsSync(SNAPSHOT)) {
+            fs.writeFileSync(SNAPSHOT, html, 'utf8');
+            console.log(`📝 Snapshot written to ${path.relative(process.cwd(), SNAPSHOT)}`);
+        } else {
+            const expected = fs.readFileSync(SNAPSHOT, 'utf8');
+            if (expected === html) {
+                check(true, 'Rendered HTML matches snapshot');
+            } else {
+                const expectedLines = expected.split('\n');
+                const actualLines = html.split('\n');
+                const line = expectedLines.findIndex((text, index) => text !== actualLines[index]);
+                check(false, `Rendered HTML differs from snapshot at line ${line + 1}`);
+                console.log(`   expected: ${(expectedLines[line] || '').trim()}`);
+                console.log(`   actual:   ${(actualLines[line] || '').trim()}`);
+                console.log('   Re-run with --update if the change is intentional.');
+            }
+        }
+    } finally {
+        fs.rmSync(outputDir, { recursive: true, force: true });
+    }
+
+    await testPublishedSeo();
+    await testThemes();
+
+    console.log(getFailures() === 0 ? '\n🎉 ALL RENDERING TESTS PASSED' : `\n💥 ${getFailures()} RENDERING CHECK(S) FAILED`);
+    process.exitCode = getFailures() === 0 ? 0 : 1;
+}
+
+async function testPublishedSeo() {
+    console.log('\n6️⃣  Checking SEO metadata for a published site...');
+
+    const siteUrl = 'https://dana-levi.github.io/dana-levi-cv';
+    const { html, outputDir } = await renderFixture({ siteUrl });
+
+    try {
+        check(html.includes('<link rel="canonical" href="https://dana-levi.github.io/dana-levi-cv/">'), 'Canonical URL uses the published URL');
+        check(html.includes('<meta property="og:url" content="https://dana-levi.github.io/dana-levi-cv/">'), 'og:url uses the published URL');
+
+        const sitemap = fs.readFileSync(path.join(outputDir, 'sitemap.xml'), 'utf8');
+        const robots = fs.readFileSync(path.join(outputDir, 'robots.txt'), 'utf8');
+        check(sitemap.includes('<loc>https://dana-levi.github.io/dana-levi-cv/</loc>'), 'sitemap.xml lists the site');
+        check(robots.includes('Sitemap: https://dana-levi.github.io/dana-levi-cv/sitemap.xml'), 'robots.txt points to the sitemap');
+
+        const jsonLdMatch = html.match(/<script type="application\/ld\+json">([\s\S]*?)<\/script>/);
+        const person = jsonLdMatch ? JSON.parse(jsonLdMatch[1]) : {};
+        check(person['@type'] === 'Person' && person.name === 'Dana Levi', 'JSON-LD describes the Person');
+        check(person.worksFor?.name === 'AT&T Labs', 'JSON-LD includes current employer without HTML entities');
+        check(person.alumniOf?.[0]?.name === 'Tel Aviv University', 'JSON-LD includes education');
+        check(person.url === 'https://dana-levi.github.io/dana-levi-cv/', 'JSON-LD includes the site URL');
+    } finally {
+        fs.rmSync(outputDir, { recursive: true, force: true });
+    }
+}
+
+async function testThemes() {
+    console.log('\n7️⃣  Checking themes...');
+
+    const dark = await renderFixture();
+    try {
+        check(dark.html.includes('<html lang="en" class="theme-dark">'), 'Default theme is dark');
+        check(dark.html.includes('<meta name="color-scheme" content="dark">'), 'Dark color-scheme meta tag');
+        check(!dark.css.includes('prefers-color-scheme'), 'Dark theme adds no light palette');
+    } finally {
+        fs.rmSync(dark.outputDir, { recursive: true, force: true });
+    }
+
+    const light = await renderFixture({ theme: { mode: 'light', accentColor: '#0D9488', font: 'serif' } });
+    try {
+        check(light.html.includes('class="theme-light"') && light.html.includes('content="light"'), 'Light theme sets class and color-scheme');
+        check(/--color-text: #0f172a;/.test(light.css), 'Light palette is written into styles.css');
+        check(light.css.includes('--color-accent: #0d9488;') && light.css.includes('--color-accent-rgb: 13, 148, 136;'), 'Custom accent color is written');
+        check(light.css.includes('--font-family: Georgia'), 'Custom font is written');
+        check(light.result.theme.accentColor === '#0d9488', 'Normalized theme is returned');
+    } finally {
+        fs.rmSync(light.outputDir, { recursive: true, force: true });
+    }
+
+    const auto = await renderFixture({ theme: { mode: 'auto' } });
+    try {
+        check(auto.html.includes('content="light dark"'), 'Auto theme supports both color schemes');
+        check(auto.css.includes('@media (prefers-color-scheme: light)'), 'Auto theme follows prefers-color-scheme');
+    } finally {
+        fs.rmSync(auto.outputDir, { recursive: true, force: true });
+    }
+
+    const custom = await renderFixture({ theme: { mode: 'dark', backgroundColor: '#fefce8' } });
+    try {
+        check(custom.html.includes('class="theme-light"'), 'Light custom background switches to dark text');
+        check(custom.css.includes('--color-bg-1-rgb: 254, 252, 232;'), 'Custom background color is written');
+    } finally {
+        fs.rmSync(custom.outputDir, { recursive: true, force: true });
+    }
+
+    const unsafe = await renderFixture({ theme: { mode: 'professional', accentColor: 'red;} body{display:none', font: 'Comic Sans' } });
+    try {
+        check(unsafe.result.theme.mode === 'dark' && !unsafe.result.theme.accentColor && !unsafe.result.theme.font, 'Unknown theme values fall back to defaults');
+        check(!unsafe.css.includes('display:none') && !unsafe.css.includes('Comic Sans'), 'Invalid theme values never reach styles.css');
+    } finally {
+        fs.rmSync(unsafe.outputDir, { recursive: true, force: true });
+    }
+
+    const { themeRenderer } = new TemplateProcessor();
+    check(themeRenderer.resolveTheme(undefined, 'light').mode === 'light', 'Without a theme in the request the saved theme preference is used');
+    check(JSON.stringify(themeRenderer.resolveTheme({ accentColor: '#0D9488' }, 'auto')) === '{"mode":"auto","accentColor":"#0d9488"}',
+        'A request without a mode keeps its colors and takes the saved mode');
+    check(themeRenderer.resolveTheme({ mode: 'dark' }, 'light').mode === 'dark', 'A mode in the request wins over the preference');
+    check(themeRenderer.resolveTheme(undefined, null).mode === 'dark' && themeRenderer.resolveTheme({}, 'sepia').mode === 'dark',
+        'Without a known preference the default mode is used');
+}
+
+testTemplateRendering().catch(error => {
+    console.error('💥 Test execution failed:', error);
+    process.exitCode = 1;
+});
@@ -0,0 +1,208 @@
+// Token Accounting Test
+// LLM clients report the tokens each request took (or an estimate), processors record
+// them per job and per user and day, and daily token limits stop further extractions.
+const fs = require('fs');
+const http = require('http');
+const path = require('path');
+const { check, getFailures, quietly, withEnv, createApiUsageStore } = require('./helpers');
+
+// api_usage in memory, read and written through the database client. Anything else
+// (processing sessions, preferences) gets a row with just an id.
+const apiUsage = createApiUsageStore(() => ({ rows: [{ id: 'row-1' }] }));
+const database = require('../server/database/index');
+database.query = async (sql, params = []) => (sql.includes('to_char(usage_date') ? usageQuery(sql, params) : apiUsage.query(sql, params));
+
+/**
+ * The statements of getUserApiUsage and getGlobalApiUsage - every row is from today
+ */
+function usageQuery(sql, params) {
+    const date = new Date().toLocaleDateString('en-CA');
+    if (!sql.includes('GROUP BY')) {
+        return { rows: apiUsage.rows.filter(row => row.user_id === params[0]).map(row => ({ ...row, usage_date: date })) };
+    }
+
+    const groups = new Map();
+    apiUsage.rows.forEach(row => {
+        const group = groups.get(row.api_type) || { api_type: row.api_type, usage_date: date, request_count: 0, token_count: 0, users: new Set() };
+        group.request_count += row.request_count;
+        group.token_count += row.token_count;
+        group.users.add(row.user_id);
+        groups.set(row.api_type, group);
+    });
+    return { rows: [...groups.values()].map(({ users, ...group }) => ({ ...group, user_count: users.size })) };
+}
+
+const { checkApiLimits, trackApiUsage } = require('../server/database/services');
+const TokenUsage = require('../server/lib/utils/token-usage');
+const OllamaClient = require('../server/lib/utils/ollama-client');
+const CircuitBreaker = require('../server/lib/utils/circuit-breaker');
+const IntelligentCVProcessorOpenAI = require('../server/lib/intelligent-cv-processor-openai');
+const IntelligentCVProcessorGemini = require('../server/lib/intelligent-cv-processor-gemini');
+const IntelligentCVProcessorChain = require('../server/lib/intelligent-cv-processor-chain');
+const SimpleQueueManager = require('../server/lib/simple-queue-manager');
+const UsageReport = require('../server/lib/usage-report');
+
+const PLAIN_CV = fs.readFileSync(path.join(__dirname, 'fixtures', 'plain-cv.txt'), 'utf8');
+const CV_JSON = fs.readFileSync(path.join(__dirname, 'fixtures', 'sample-cv.json'), 'utf8');
+
+/**
+ * Chat-completions and Ollama generate endpoints. Chat completions report usage;
+ * the Ollama endpoint leaves out prompt_eval_count, as Ollama does for a cached prompt.
+ */
+function startServer({ reply }) {
+    const server = http.createServer((req, res) => {
+        let raw = '';
+        req.on('data', chunk => { raw += chunk; });
+        req.on('end', () => {
+            const content = reply();
+            res.writeHead(200, { 'Content-Type': 'application/json' });
+            if (req.url === '/api/generate') {
+                return res.end(JSON.stringify({ model: 'llama3.2', response: content, done: true, eval_count: 42 }));
+            }
+            res.end(JSON.stringify({
+                id: 'chatcmpl-test',
+                object: 'chat.completion',
+                choices: [{ index: 0, message: { role: 'assistant', content }, finish_reason: 'stop' }],
+                usage: { prompt_tokens: 1200, completion_tokens: 300, total_tokens: 1500 }
+            }));
+        });
+    });
+
+    return new Promise(resolve => server.listen(0, '127.0.0.1', () => resolve({
+        url: `http://127.0.0.1:${server.address().port}`,
+        close: () => new Promise(done => server.close(done))
+    })));
+}
+
+async function openAIProcessor(baseUrl) {
+    const processor = await quietly(() => new IntelligentCVProcessorOpenAI({ baseUrl, model: 'qwen2.5-7b-instruct' }));
+    processor.sessionService = { createSession: async () => 'session-1', storeStepResult: async () => {} };
+    return processor;
+}
+
+async function testTokenAccounting() {
+    console.log('=== TOKEN ACCOUNTING TEST ===\n');
+
+    console.log('1️⃣  Counting tokens...');
+    const usage = new TokenUsage();
+    usage.add('prompt', 'completion', { promptTokens: 120, completionTokens: 30 });
+    check(JSON.stringify(usage) === '{"requests":1,"promptTokens":120,"completionTokens":30,"totalTokens":150,"estimated":false}',
+        'Counts reported by the provider are used as they are');
+    usage.add('x'.repeat(400), 'y'.repeat(41), { completionTokens: 10 });
+    check(usage.promptTokens === 220 && usage.completionTokens === 40 && usage.estimated,
+        'A missing count is estimated from the text, and flagged');
+
+    let server = await startServer({ reply: () => CV_JSON });
+    const ollama = await quietly(() => new OllamaClient({ baseUrl: server.url, model: 'llama3.2' }));
+    await quietly(() => ollama._sendRequest('p'.repeat(800)));
+    check(ollama.usage.completionTokens === 42 && ollama.usage.promptTokens === 200 && ollama.usage.estimated,
+        'Ollama reports generated tokens; a cached prompt is estimated');
+
+    console.log('\n2️⃣  Recording a job...');
+    const processor = await openAIProcessor(`${server.url}/v1`);
+    const result = await quietly(() => processor.processCV(PLAIN_CV, 'user-1'));
+    const tokenUsage = result.processingMetadata.tokenUsage;
+    check(tokenUsage && tokenUsage.requests === 1 && tokenUsage.promptTokens === 1200 && tokenUsage.completionTokens === 300 &&
+        !tokenUsage.estimated, 'The result carries the tokens the server reported');
+    check(apiUsage.usageOf('user-1', 'openai').request_count === 1 && apiUsage.usageOf('user-1', 'openai').token_count === 1500,
+        'The user\'s daily api_usage gets the tokens');
+
+    await quietly(() => processor.processCV(PLAIN_CV, 'user-1'));
+    check(apiUsage.usageOf('user-1', 'openai').token_count === 3000 && processor.client.usage.requests === 0,
+        'Each CV is counted once');
+
+    const gemini = await withEnv({ GEMINI_API_KEY: 'test-key' }, () => quietly(() => new IntelligentCVProcessorGemini()));
+    gemini.sessionService = processor.sessionService;
+    gemini.model = {
+        generateContent: async () => ({
+            response: { text: () => CV_JSON, usageMetadata: { promptTokenCount: 2100, candidatesTokenCount: 700, totalTokenCount: 2800 } }
+        })
+    };
+    const geminiResult = await quietly(() => gemini.processCV(PLAIN_CV, 'user-1'));
+    check(geminiResult.processingMetadata.tokenUsage.totalTokens === 2800 && apiUsage.usageOf('user-1', 'gemini').token_count === 2800,
+        'Gemini usage metadata is recorded under gemini');
+
+    console.log('\n3️⃣  Failed attempts...');
+    await server.close();
+    server = await startServer({ reply: () => 'Sorry, I cannot help with that.' });
+    const failing = await openAIProcessor(`${server.url}/v1`);
+    const error = await quietly(() => failing.processCV(PLAIN_CV, 'user-2').then(() => null, caught => caught));
+    check(error && apiUsage.usageOf('user-2', 'openai').request_count === 3 && apiUsage.usageOf('user-2', 'openai').token_count === 4500,
+        'Tokens spent on an extraction that failed validation are counted too');
+
+    console.log('\n4️⃣  Enforcing daily limits...');
+    await withEnv({ OPENAI_DAILY_TOKEN_LIMIT: '3000' }, async () => {
+        const limited = await checkApiLimits('user-1', 'openai');
+        check(!limited.allowed && limited.reason === 'Daily limit of 3000 tokens exceeded. Used: 3000', 'checkApiLimits enforces the daily token limit');
+        check((await checkApiLimits('user-3', 'openai')).remainingTokens === 3000, 'Other users have their full allowance');
+
+        const refused = await quietly(() => processor.processCV(PLAIN_CV, 'user-1').then(() => null, caught => caught));
+        check(refused && refused.userLimitExceeded && refused.message.includes('Resets: tomorrow'), 'A user over the limit is refused');
+        check(apiUsage.usageOf('user-1', 'openai').request_count === 2, 'No request is sent for them');
+
+        CircuitBreaker.resetAll();
+        const chain = new IntelligentCVProcessorChain([processor, 'rules']);
+        const fallback = await quietly(() => chain.processCV(PLAIN_CV, 'user-1'));
+        const breaker = CircuitBreaker.getAll()[processor.getProcessorName()];
+        check(fallback.processingMetadata.processor === 'rules' && breaker.state === 'closed' && breaker.failures === 0,
+            'Failover passes them to the next provider without opening its circuit for everyone');
+    });
+    await withEnv({ OPENAI_DAILY_TOKEN_LIMIT: '0' }, async () => {
+        check((await checkApiLimits('user-1', 'openai')).allowed, 'A limit of 0 is no limit');
+    });
+    await withEnv({ GEMINI_DAILY_LIMIT: '1' }, async () => {
+        check(!(await checkApiLimits('user-1', 'gemini')).allowed, 'The daily request limit still applies');
+    });
+
+    console.log('\n5️⃣  Storing tokens with the job...');
+    await server.close();
+    server = await startServer({ reply: () => CV_JSON });
+    const queries = [];
+    const queue = Object.create(SimpleQueueManager.prototype);
+    queue.isProcessing = false;
+    queue.fileCache = new Map([['file-1', { extractedText: PLAIN_CV }]]);
+    queue.db = {
+        query: async (sql, params = []) => {
+            queries.push({ sql, params });
+            return sql.includes("WHERE status = 'queued'") && sql.includes('LIMIT 1')
+                ? { rows: [{ id: 'job-1', user_id: 'user-4', file_id: 'file-1' }] }
+                : { rows: [] };
+        }
+    };
+    await withEnv({ LLM_PROVIDER_CHAIN: 'openai', OPENAI_BASE_URL: `${server.url}/v1` }, () => quietly(() => queue.processNextJob()));
+    const completed = queries.find(query => query.sql.includes("status = 'completed'"));
+    check(completed && completed.sql.includes('prompt_tokens = $4, completion_tokens = $5') &&
+        completed.params[3] === 1200 && completed.params[4] === 300, 'processing_jobs records the prompt and completion tokens');
+    await server.close();
+
+    await trackApiUsage('user-5', 'ollama', 2, 900);
+    check(apiUsage.usageOf('user-5', 'ollama').token_count === 900 && (await checkApiLimits('user-5', 'ollama')).allowed,
+        'Ollama usage is recorded and unlimited by default');
+
+    console.log('\n6️⃣  Reporting usage...');
+    const usageReport = new UsageReport();
+    await withEnv({ ADMIN_USER_IDS: 'user-9, user-5' }, async () => {
+        const own = await usageReport.build('user-1', 30);
+        check(own.user.daily.every(row => row.users === undefined) && own.user.totals.openai.tokens === apiUsage.usageOf('user-1', 'openai').token_count &&
+            own.user.totals.gemini.tokens === 2800 && !own.user.totals.ollama, 'A user gets their own usage per provider');
+        check(own.user.today.find(limit => limit.apiType === 'openai').tokens === apiUsage.usageOf('user-1', 'openai').token_count,
+            'Today\'s usage is shown next to the limits');
+        check(own.global === undefined, 'Other users\' usage is left out for users who are not administrators');
+
+        const admin = await usageReport.build('user-5', 30);
+        const openaiRows = apiUsage.rows.filter(row => row.api_type === 'openai');
+        check(admin.user.totals.ollama.tokens === 900 && !admin.user.totals.openai, 'An administrator gets their own usage');
+        check(openaiRows.length > 1 && admin.global.totals.openai.tokens === openaiRows.reduce((sum, row) => sum + row.token_count, 0) &&
+            admin.global.daily.find(row => row.apiType === 'openai').users === openaiRows.length,
+            'An administrator also gets the totals across all users, with how many users there were');
+    });
+    check(!UsageReport.isAdmin('user-5'), 'Without ADMIN_USER_IDS there are no administrators');
+
+    console.log(getFailures() === 0 ? '\n🎉 ALL TOKEN ACCOUNTING TESTS PASSED' : `\n💥 ${getFailures()} TOKEN ACCOUNTING CHECK(S) FAILED`);
+    process.exitCode = getFailures() === 0 ? 0 : 1;
+}
+
+testTokenAccounting().catch(error => {
+    console.error('💥 Test execution failed:', error);
+    process.exitCode = 1;
+});